@@ -0,0 +1,530 @@
+/**
+ * @fileoverview Camera, viewports and clipping for the 3D Renderer
+ * @description The camera that views and projects the scene, the viewports that
+ * divide a canvas between cameras, and near-plane/frustum clipping.
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+import { Vector3, Matrix4 } from './math.js';
+
+/* ============================================
+ * CAMERA CLASS - View and Projection
+ * ============================================ */
+
+/**
+ * @class Camera
+ * @description Camera looking from an eye point at a target.
+ * World space is right-handed with +Y up; the camera looks down its local -Z.
+ * The principal point sits at the center of the viewport, a rectangle of the
+ * canvas in pixels (the whole canvas unless several viewports share it).
+ *
+ * The projection blends from perspective (orthoBlend 0) to orthographic
+ * (orthoBlend 1). Both show the target plane at the same scale, so the blend
+ * changes only how strongly distance shrinks things. Projected points divide
+ * by w = d + (1 - orthoBlend) * z, where d is the eye-to-target distance and z
+ * the depth past the target plane; for a perspective view w is simply the
+ * distance in front of the camera.
+ *
+ * The view and projection matrices are built with Matrix4.lookAt(),
+ * Matrix4.perspective() and Matrix4.orthographic() and follow Matrix4's
+ * column-major conventions.
+ */
+class Camera {
+    /**
+     * @param {Object} [options]
+     * @param {Vector3} [options.eye] - Camera position
+     * @param {Vector3} [options.target] - Point the camera looks at
+     * @param {Vector3} [options.up] - Approximate up direction
+     * @param {number} [options.fov=60] - Vertical field of view in degrees
+     * @param {number} [options.aspect] - Viewport width / height
+     * @param {number} [options.near=1] - Near plane distance
+     * @param {number} [options.far=20000] - Far plane distance
+     * @param {number} [options.zoom=1] - Optical zoom factor applied to the focal length
+     * @param {number} [options.orthoBlend=0] - 0 = perspective, 1 = orthographic
+     */
+    constructor({
+        eye = new Vector3(0, 0, 3000),
+        target = new Vector3(0, 0, 0),
+        up = new Vector3(0, 1, 0),
+        fov = 60,
+        aspect = 500 / 400,
+        near = 1,
+        far = 20000,
+        zoom = 1,
+        orthoBlend = 0
+    } = {}) {
+        this.eye = eye;
+        this.target = target;
+        this.up = up;
+        this.fov = fov;
+        this.aspect = aspect;
+        this.near = near;
+        this.far = far;
+        this.zoom = zoom;
+        this.orthoBlend = orthoBlend;
+
+        /** Canvas rectangle drawn into, in pixels; the principal point is its center */
+        this.viewport = { x: 0, y: 0, width: 500, height: 400 };
+
+        /** @private {Matrix4} */
+        this._viewMatrix = new Matrix4();
+
+        /** @private {Matrix4} */
+        this._projectionMatrix = new Matrix4();
+
+        this.update();
+    }
+
+    /**
+     * Focal length in pixels, derived from the field of view, viewport height and zoom
+     * @type {number}
+     */
+    get focalLength() {
+        return this.zoom * (this.viewport.height / 2) / Math.tan((this.fov * Math.PI / 180) / 2);
+    }
+
+    /**
+     * Distance from the eye to the target
+     * @type {number}
+     */
+    get distance() {
+        return this.eye.distanceTo(this.target);
+    }
+
+    /**
+     * Unit vector from the eye towards the target
+     * @type {Vector3}
+     */
+    get forward() {
+        return this.target.subtract(this.eye).normalize();
+    }
+
+    get viewMatrix() { return this._viewMatrix; }
+    get projectionMatrix() { return this._projectionMatrix; }
+
+    /**
+     * Sets the viewport rectangle, aspect ratio and principal point
+     * @param {number} width - Viewport width in pixels
+     * @param {number} height - Viewport height in pixels
+     * @param {number} [x=0] - Left edge on the canvas in pixels
+     * @param {number} [y=0] - Top edge on the canvas in pixels
+     * @returns {Camera} this
+     */
+    setViewport(width, height, x = 0, y = 0) {
+        this.viewport = { x, y, width, height };
+        this.aspect = width / height;
+        return this.update();
+    }
+
+    /**
+     * Points the camera at a new target
+     * @param {Vector3} target - Point to look at
+     * @returns {Camera} this
+     */
+    lookAt(target) {
+        this.target = target;
+        return this.update();
+    }
+
+    /**
+     * Moves the eye around the target to a preset view direction, keeping
+     * its distance. Isometric looks down the (1, 1, 1) diagonal so all three
+     * axes are foreshortened equally; dimetric looks from 30° above the XZ
+     * diagonal, the 2:1 view where the X and Z axes rise at 26.57°.
+     * @param {string} name - 'front' | 'back' | 'top' | 'bottom' | 'left' |
+     *   'right' | 'isometric' | 'dimetric'
+     * @returns {Camera} this
+     * @throws {Error} If the view name is unknown
+     */
+    setView(name) {
+        const elevation = Math.PI / 6;
+        const views = {
+            front: [new Vector3(0, 0, 1), new Vector3(0, 1, 0)],
+            back: [new Vector3(0, 0, -1), new Vector3(0, 1, 0)],
+            top: [new Vector3(0, 1, 0), new Vector3(0, 0, -1)],
+            bottom: [new Vector3(0, -1, 0), new Vector3(0, 0, 1)],
+            left: [new Vector3(-1, 0, 0), new Vector3(0, 1, 0)],
+            right: [new Vector3(1, 0, 0), new Vector3(0, 1, 0)],
+            isometric: [new Vector3(1, 1, 1), new Vector3(0, 1, 0)],
+            dimetric: [
+                new Vector3(Math.cos(elevation), Math.sqrt(2) * Math.sin(elevation), Math.cos(elevation)),
+                new Vector3(0, 1, 0)
+            ]
+        };
+        if (!views[name]) {
+            throw new Error(`Unknown view "${name}". Available: ${Object.keys(views).join(', ')}`);
+        }
+
+        const [direction, up] = views[name];
+        this.eye = this.target.add(direction.normalize().scale(this.distance));
+        this.up = up;
+        return this.update();
+    }
+
+    /**
+     * Moves the eye to `focalLength` units from the target and sets the field
+     * of view so the focal length is also `focalLength` pixels. Objects at the
+     * target then keep a 1 unit = 1 pixel scale (at zoom 1), like the original renderer.
+     * @param {number} focalLength - Focal length in pixels
+     * @param {number} [height=viewport.height] - Height in pixels the focal length
+     *   refers to; a smaller viewport then shows the same view scaled down
+     * @returns {Camera} this
+     */
+    setFocalLength(focalLength, height = this.viewport.height) {
+        const back = this.eye.subtract(this.target).normalize();
+        this.eye = this.target.add(back.scale(focalLength));
+        this.fov = 2 * Math.atan((height / 2) / focalLength) * 180 / Math.PI;
+        return this.update();
+    }
+
+    /**
+     * Rebuilds the view and projection matrices.
+     * Call after changing eye, target, up, fov, near, far or zoom directly.
+     * @returns {Camera} this
+     */
+    update() {
+        this._viewMatrix = Matrix4.lookAt(this.eye, this.target, this.up);
+
+        // Zoom narrows the field of view: tan(fov / 2) shrinks by the zoom factor
+        const tanHalf = Math.tan((this.fov * Math.PI / 180) / 2) / this.zoom;
+        const perspective = Matrix4.perspective(2 * Math.atan(tanHalf), this.aspect, this.near, this.far);
+        const blend = this.orthoBlend;
+        if (blend <= 0) {
+            this._projectionMatrix = perspective;
+            return this;
+        }
+
+        // The orthographic box matches the perspective frustum at the target
+        // plane; scaling it by the distance makes its w equal the target's w
+        const distance = this.distance;
+        const halfHeight = distance * tanHalf;
+        const orthographic = Matrix4.orthographic(
+            -halfHeight * this.aspect, halfHeight * this.aspect,
+            -halfHeight, halfHeight,
+            this.near, this.far
+        );
+        this._projectionMatrix.elements = perspective.elements.map(
+            (value, i) => value * (1 - blend) + orthographic.elements[i] * distance * blend
+        );
+        return this;
+    }
+
+    /**
+     * Distance of a world point past the target plane, along the view direction.
+     * Positive values are farther from the camera than the target.
+     * @param {Vector3} point - World-space point
+     * @returns {number} Depth relative to the target
+     */
+    depthOf(point) {
+        return -this._viewMatrix.transformVector(point).z - this.distance;
+    }
+
+    /**
+     * Transforms a world-space point into view space (camera at the origin,
+     * looking down -Z)
+     * @param {Vector3} point - World-space point
+     * @returns {Vector3} View-space point
+     */
+    worldToView(point) {
+        return this._viewMatrix.transformVector(point);
+    }
+
+    /**
+     * Rotates a view-space direction into world space
+     * @param {Vector3} direction - View-space direction (X right, Y up, Z towards the viewer)
+     * @returns {Vector3} World-space direction
+     */
+    viewToWorldDirection(direction) {
+        // The view rotation is orthonormal, so its transpose is its inverse
+        return this._viewMatrix.transpose().transformDirection(direction);
+    }
+
+    /**
+     * Transforms a view-space point back into world space
+     * @param {Vector3} point - View-space point
+     * @returns {Vector3} World-space point
+     */
+    viewToWorld(point) {
+        return this._viewMatrix.invert().transformVector(point);
+    }
+
+    /**
+     * Ray through a canvas pixel in view space: every point it reaches
+     * projects onto that pixel (see projectView). Starts at the eye for a
+     * perspective view and on the eye's plane for an orthographic one;
+     * the direction advances one unit of depth.
+     * @param {number} x - Canvas X in pixels
+     * @param {number} y - Canvas Y in pixels
+     * @returns {Object} { origin, direction } as view-space Vector3s
+     */
+    viewRay(x, y) {
+        const p = this._projectionMatrix.elements;
+        const ndcX = 2 * (x - this.viewport.x) / this.viewport.width - 1;
+        const ndcY = 1 - 2 * (y - this.viewport.y) / this.viewport.height;
+        const slopeX = ndcX / p[0];
+        const slopeY = ndcY / p[5];
+
+        // projectView divides by w = distance + (1 - blend) * z, which is
+        // blend * distance on the eye's plane (z = -distance)
+        const start = this.orthoBlend * this.distance;
+        const perspective = 1 - this.orthoBlend;
+        return {
+            origin: new Vector3(slopeX * start, slopeY * start, 0),
+            direction: new Vector3(slopeX * perspective, slopeY * perspective, -1)
+        };
+    }
+
+    /**
+     * Vector from a world point towards the viewer: towards the eye for a
+     * perspective view, along the view axis for an orthographic one.
+     * Only its direction matters (for back-face tests).
+     * @param {Vector3} point - World-space point
+     * @returns {Vector3} Unnormalized direction
+     */
+    toViewer(point) {
+        const back = this.eye.subtract(this.target);
+        return back.add(this.target.subtract(point).scale(1 - this.orthoBlend));
+    }
+
+    /**
+     * Projective terms for a depth past the target plane
+     * @param {number} z - Depth relative to the target (as depthOf() returns)
+     * @returns {Object} { w, depthKey } where w is the projective divisor and
+     *   depthKey is a depth value that is linear in screen space and larger
+     *   for nearer points (1/w for a perspective view)
+     */
+    depthTerms(z) {
+        const distance = this.distance;
+        const blend = this.orthoBlend;
+        const w = distance + (1 - blend) * z;
+        return { w, depthKey: (1 - blend * z / distance) / w };
+    }
+
+    /**
+     * Clipping planes in view space, for use with Clipping
+     * @param {boolean} [frustum=false] - Include the far and four side planes,
+     *   not just the near plane
+     * @returns {Array<Object>} Planes as { normal, offset }
+     */
+    clipPlanes(frustum = false) {
+        // Points in front of the near plane satisfy -z >= near
+        const planes = [{ normal: new Vector3(0, 0, -1), offset: -this.near }];
+        if (!frustum) return planes;
+
+        // Inside the frustum |ndc| <= 1, i.e. w ± p * coordinate >= 0, where
+        // w = p[11] * z + p[15] is -z for a perspective view
+        const p = this._projectionMatrix.elements;
+        planes.push(
+            { normal: new Vector3(0, 0, 1), offset: this.far },
+            { normal: new Vector3(p[0], 0, p[11]), offset: p[15] },
+            { normal: new Vector3(-p[0], 0, p[11]), offset: p[15] },
+            { normal: new Vector3(0, p[5], p[11]), offset: p[15] },
+            { normal: new Vector3(0, -p[5], p[11]), offset: p[15] }
+        );
+        return planes;
+    }
+
+    /**
+     * Projects a view-space point to canvas pixels. The point must be in
+     * front of the near plane; clip geometry first.
+     * @param {Vector3} view - View-space point
+     * @returns {Object} { x, y, scale, z, w, depthKey } where scale is pixels
+     *   per world unit at the point, z is its depth relative to the target,
+     *   w the projective divisor (the distance in front of the camera for a
+     *   perspective view) and depthKey as for depthTerms()
+     */
+    projectView(view) {
+        const p = this._projectionMatrix.elements;
+        const z = -view.z - this.distance;
+        const { w, depthKey } = this.depthTerms(z);
+        const ndcX = (p[0] * view.x) / w;
+        const ndcY = (p[5] * view.y) / w;
+
+        return {
+            x: this.viewport.x + (ndcX + 1) / 2 * this.viewport.width,
+            y: this.viewport.y + (1 - ndcY) / 2 * this.viewport.height,
+            scale: this.focalLength / w,
+            z,
+            w,
+            depthKey
+        };
+    }
+
+    /**
+     * Projects a world-space point to canvas pixels
+     * @param {Vector3} point - World-space point
+     * @returns {Object} { x, y, scale, z, w, depthKey } as for projectView()
+     */
+    project(point) {
+        return this.projectView(this.worldToView(point));
+    }
+}
+
+/* ============================================
+ * VIEWPORT CLASS
+ * ============================================ */
+
+/**
+ * @class Viewport
+ * @description One view drawn by Renderer3D: a rectangle of the renderer's
+ * canvas (or of a canvas of its own) seen through its own camera and projection.
+ * A viewport with a preset view follows the renderer's main camera, keeping
+ * its target, distance and field of view but looking from the preset
+ * direction, so the views stay in step as the main view changes.
+ */
+class Viewport {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.name=''] - Label drawn in the viewport's corner
+     * @param {Camera} [options.camera] - Camera to view through; defaults to a new one
+     * @param {Object|null} [options.rect=null] - { x, y, width, height } as fractions (0-1)
+     *   of the canvas; null fills it
+     * @param {HTMLCanvasElement|null} [options.canvas=null] - Canvas of its own, or null
+     *   to share the renderer's canvas
+     * @param {string|null} [options.view=null] - Preset view (see Camera#setView) to follow
+     *   the main camera from, or null for a free camera
+     * @param {string|null} [options.projection=null] - 'perspective' | 'orthographic', or
+     *   null to follow the renderer's projection settings
+     */
+    constructor({
+        name = '',
+        camera = new Camera(),
+        rect = null,
+        canvas = null,
+        view = null,
+        projection = null
+    } = {}) {
+        this.name = name;
+        this.camera = camera;
+        this.rect = rect;
+        this.canvas = canvas;
+        this.view = view;
+        this.projection = projection;
+    }
+
+    /**
+     * The viewport's rectangle in pixels, with edges rounded so neighbouring
+     * viewports meet without gaps
+     * @param {number} width - Canvas width in pixels
+     * @param {number} height - Canvas height in pixels
+     * @returns {Object} { x, y, width, height }
+     */
+    pixelRect(width, height) {
+        const { x, y, width: w, height: h } = this.rect || { x: 0, y: 0, width: 1, height: 1 };
+        const left = Math.round(x * width);
+        const top = Math.round(y * height);
+        return {
+            x: left,
+            y: top,
+            width: Math.round((x + w) * width) - left,
+            height: Math.round((y + h) * height) - top
+        };
+    }
+}
+
+/* ============================================
+ * CLIPPING
+ * ============================================ */
+
+/**
+ * @namespace Clipping
+ * @description Clips view-space segments and polygons against planes before
+ * projection, so geometry behind the camera is cut at the near plane instead
+ * of being mirrored through the eye. A plane is { normal, offset } and keeps
+ * the points where normal · p + offset >= 0.
+ */
+const Clipping = {
+    /**
+     * Signed distance of a point from a plane (positive inside)
+     * @param {Object} plane - { normal: Vector3, offset: number }
+     * @param {Vector3} point - Point to test
+     * @returns {number}
+     */
+    distance(plane, point) {
+        return plane.normal.dot(point) + plane.offset;
+    },
+
+    /**
+     * Checks whether a point lies inside every plane
+     * @param {Vector3} point - Point to test
+     * @param {Array<Object>} planes - Clipping planes
+     * @returns {boolean}
+     */
+    contains(point, planes) {
+        return planes.every(plane => this.distance(plane, point) >= 0);
+    },
+
+    /**
+     * Clips a segment against convex planes, cutting it at the intersections
+     * @param {Vector3} a - Segment start
+     * @param {Vector3} b - Segment end
+     * @param {Array<Object>} planes - Clipping planes
+     * @returns {Object|null} { a, b, t0, t1 } with the clipped endpoints and
+     *   their parameters along the original segment, or null if nothing is left
+     */
+    clipSegment(a, b, planes) {
+        let t0 = 0;
+        let t1 = 1;
+
+        for (const plane of planes) {
+            const da = this.distance(plane, a);
+            const db = this.distance(plane, b);
+            if (da < 0 && db < 0) return null;
+
+            if (da < 0) {
+                t0 = Math.max(t0, da / (da - db));
+            } else if (db < 0) {
+                t1 = Math.min(t1, da / (da - db));
+            }
+            if (t0 > t1) return null;
+        }
+
+        return {
+            a: t0 > 0 ? a.lerp(b, t0) : a,
+            b: t1 < 1 ? a.lerp(b, t1) : b,
+            t0,
+            t1
+        };
+    },
+
+    /**
+     * Clips a convex or concave polygon against planes (Sutherland-Hodgman)
+     * @param {Array<Object>} corners - Corners with a `position` (Vector3) and any other attributes
+     * @param {Array<Object>} planes - Clipping planes
+     * @param {Function} interpolate - (from, to, t) => new corner between two corners
+     * @returns {Array<Object>} Clipped corners, or [] if fewer than 3 remain
+     */
+    clipPolygon(corners, planes, interpolate) {
+        let output = corners;
+
+        for (const plane of planes) {
+            const input = output;
+            output = [];
+
+            input.forEach((current, k) => {
+                const previous = input[(k + input.length - 1) % input.length];
+                const dc = this.distance(plane, current.position);
+                const dp = this.distance(plane, previous.position);
+
+                if (dc >= 0) {
+                    if (dp < 0) output.push(interpolate(previous, current, dp / (dp - dc)));
+                    output.push(current);
+                } else if (dp >= 0) {
+                    output.push(interpolate(previous, current, dp / (dp - dc)));
+                }
+            });
+
+            if (output.length < 3) return [];
+        }
+
+        return output;
+    }
+};
+
+/* ============================================
+ * EXPORTS
+ * ============================================ */
+
+export { Camera, Viewport, Clipping };
@@ -0,0 +1,272 @@
+/**
+ * @fileoverview Color, material and lighting for the 3D Renderer
+ * @description Color conversions, surface materials and the light sources that
+ * shade them.
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+import { Vector3 } from './math.js';
+
+/* ============================================
+ * COLOR UTILITIES
+ * ============================================ */
+
+/**
+ * @namespace ColorUtils
+ * @description Utility functions for color manipulation
+ */
+const ColorUtils = {
+    /**
+     * Converts HSL to RGB hex string
+     * @param {number} h - Hue (0-360)
+     * @param {number} s - Saturation (0-100)
+     * @param {number} l - Lightness (0-100)
+     * @returns {string} Hex color string
+     */
+    hslToHex(h, s, l) {
+        s /= 100;
+        l /= 100;
+        const a = s * Math.min(l, 1 - l);
+        const f = n => {
+            const k = (n + h / 30) % 12;
+            const color = l - a * Math.max(Math.min(k - 3, 9 - k, 1), -1);
+            return Math.round(255 * color).toString(16).padStart(2, '0');
+        };
+        return `#${f(0)}${f(8)}${f(4)}`;
+    },
+
+    /**
+     * Gets color based on Z-depth
+     * @param {number} z - Z coordinate
+     * @param {number} minZ - Minimum Z value
+     * @param {number} maxZ - Maximum Z value
+     * @returns {string} Hex color string
+     */
+    depthColor(z, minZ = -200, maxZ = 200) {
+        const normalized = (z - minZ) / (maxZ - minZ);
+        const hue = 200 + normalized * 60;  // Blue to cyan
+        const lightness = 30 + normalized * 40;
+        return this.hslToHex(hue, 80, lightness);
+    },
+
+    /**
+     * Interpolates between two colors
+     * @param {string} color1 - Start color (hex)
+     * @param {string} color2 - End color (hex)
+     * @param {number} t - Interpolation factor (0-1)
+     * @returns {string} Interpolated color (hex)
+     */
+    lerp(color1, color2, t) {
+        const c1 = this.hexToRgb(color1);
+        const c2 = this.hexToRgb(color2);
+        
+        return this.rgbToHex(
+            c1.r + (c2.r - c1.r) * t,
+            c1.g + (c2.g - c1.g) * t,
+            c1.b + (c2.b - c1.b) * t
+        );
+    },
+
+    /**
+     * Parses a hex color string
+     * @param {string} hex - Color in #rrggbb format
+     * @returns {Object} { r, g, b } with channels in 0-255
+     * @throws {Error} If the color is not in #rrggbb format
+     */
+    hexToRgb(hex) {
+        if (!/^#[0-9a-f]{6}$/i.test(hex)) {
+            throw new Error(`Expected a #rrggbb color, got "${hex}"`);
+        }
+        const c = parseInt(hex.slice(1), 16);
+        return { r: (c >> 16) & 255, g: (c >> 8) & 255, b: c & 255 };
+    },
+
+    /**
+     * Converts RGB channels to a hex color string
+     * Channels are rounded and clamped to 0-255.
+     * @param {number} r - Red (0-255)
+     * @param {number} g - Green (0-255)
+     * @param {number} b - Blue (0-255)
+     * @returns {string} Hex color string
+     */
+    rgbToHex(r, g, b) {
+        const clamp = v => Math.min(255, Math.max(0, Math.round(v)));
+        return `#${(clamp(r) << 16 | clamp(g) << 8 | clamp(b)).toString(16).padStart(6, '0')}`;
+    }
+};
+
+/* ============================================
+ * MATERIAL CLASS - Surface Appearance
+ * ============================================ */
+
+/**
+ * @class Material
+ * @description Colors, opacity and shading of faces, edges and vertices.
+ *
+ * A shape can carry a `material` for all of it, plus `faceMaterials[f]` and
+ * `edgeMaterials[e]` arrays (null entries allowed) for individual faces and
+ * edges. Every field left null is inherited: from the shape's material, then
+ * from the renderer settings (faceColor or depth coloring, wireframeColor,
+ * vertexColor, shading). Explicit colors take precedence over depth coloring.
+ */
+class Material {
+    /**
+     * @param {Object} [options]
+     * @param {string|null} [options.color=null] - Face base color (hex); tints textures
+     * @param {string|null} [options.edgeColor=null] - Edge and outline color (hex)
+     * @param {string|null} [options.vertexColor=null] - Vertex marker color (hex)
+     * @param {number|null} [options.opacity=null] - 0 (invisible) to 1 (opaque)
+     * @param {string|null} [options.shading=null] - 'none' | 'flat' | 'gouraud'
+     * @param {string|null} [options.emissive=null] - Color (hex) added after lighting
+     * @param {string} [options.name='Material'] - Display name
+     */
+    constructor({
+        color = null,
+        edgeColor = null,
+        vertexColor = null,
+        opacity = null,
+        shading = null,
+        emissive = null,
+        name = 'Material'
+    } = {}) {
+        this.name = name;
+        this.color = color;
+        this.edgeColor = edgeColor;
+        this.vertexColor = vertexColor;
+        this.opacity = opacity;
+        this.shading = shading;
+        this.emissive = emissive;
+    }
+
+    /**
+     * Combines materials field by field, the first non-null value winning
+     * @static
+     * @param {...(Material|null|undefined)} materials - Most specific first
+     * @returns {Material} New material; fields nobody set stay null
+     */
+    static resolve(...materials) {
+        const result = new Material();
+        ['color', 'edgeColor', 'vertexColor', 'opacity', 'shading', 'emissive'].forEach(key => {
+            const source = materials.find(m => m && m[key] !== null && m[key] !== undefined);
+            if (source) result[key] = source[key];
+        });
+        return result;
+    }
+
+    /**
+     * Copies this material
+     * @returns {Material}
+     */
+    clone() {
+        return new Material({ ...this });
+    }
+}
+
+/* ============================================
+ * LIGHT CLASS - Scene Illumination
+ * ============================================ */
+
+/**
+ * @class Light
+ * @description Ambient, directional or point light source.
+ * Positions and directions live in the same space as the transformed vertices.
+ */
+class Light {
+    /**
+     * @param {string} type - 'ambient' | 'directional' | 'point'
+     * @param {Object} [options]
+     * @param {string} [options.color='#ffffff'] - Light color (hex)
+     * @param {number} [options.intensity=1] - Brightness multiplier
+     * @param {Vector3} [options.direction] - Direction the light travels (directional)
+     * @param {Vector3} [options.position] - Light position (point)
+     * @param {number} [options.range=500] - Distance at which a point light falls to half strength
+     */
+    constructor(type, {
+        color = '#ffffff',
+        intensity = 1,
+        direction = new Vector3(0, 0, 1),
+        position = new Vector3(0, 0, 0),
+        range = 500
+    } = {}) {
+        this.type = type;
+        this.color = color;
+        this.intensity = intensity;
+        this.direction = direction;
+        this.position = position;
+        this.range = range;
+    }
+
+    /**
+     * Creates an ambient light
+     * @static
+     * @param {string} color - Light color (hex)
+     * @param {number} intensity - Brightness multiplier
+     * @returns {Light}
+     */
+    static ambient(color = '#ffffff', intensity = 0.3) {
+        return new Light('ambient', { color, intensity });
+    }
+
+    /**
+     * Creates a directional light
+     * @static
+     * @param {Vector3} direction - Direction the light travels
+     * @param {string} color - Light color (hex)
+     * @param {number} intensity - Brightness multiplier
+     * @returns {Light}
+     */
+    static directional(direction, color = '#ffffff', intensity = 1) {
+        return new Light('directional', { direction, color, intensity });
+    }
+
+    /**
+     * Creates a point light
+     * @static
+     * @param {Vector3} position - Light position
+     * @param {string} color - Light color (hex)
+     * @param {number} intensity - Brightness multiplier
+     * @param {number} range - Half-strength distance
+     * @returns {Light}
+     */
+    static point(position, color = '#ffffff', intensity = 1, range = 500) {
+        return new Light('point', { position, color, intensity, range });
+    }
+
+    /**
+     * Computes the Lambert contribution of this light at a surface point
+     * @param {Vector3} point - Surface point
+     * @param {Vector3} normal - Unit surface normal
+     * @returns {Object} { r, g, b } light energy per channel (1 = full)
+     */
+    illuminate(point, normal) {
+        let factor = 0;
+
+        switch (this.type) {
+            case 'ambient':
+                factor = 1;
+                break;
+            case 'directional':
+                factor = Math.max(0, -normal.dot(this.direction.normalize()));
+                break;
+            case 'point': {
+                const toLight = this.position.subtract(point);
+                const distance = toLight.magnitude();
+                const attenuation = 1 / (1 + (distance / this.range) ** 2);
+                factor = Math.max(0, normal.dot(toLight.normalize())) * attenuation;
+                break;
+            }
+        }
+
+        const c = ColorUtils.hexToRgb(this.color);
+        const k = factor * this.intensity / 255;
+        return { r: c.r * k, g: c.g * k, b: c.b * k };
+    }
+}
+
+/* ============================================
+ * EXPORTS
+ * ============================================ */
+
+export { ColorUtils, Material, Light };
@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Mesh exporters for the 3D Renderer
+ * @description Serializes { vertices, edges, faces } shapes to OBJ, STL
+ * (ASCII and binary) and PLY. Every exporter is a pure function of the shape.
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+/* ============================================
+ * SHAPE EXPORTER
+ * ============================================ */
+
+/**
+ * @namespace ShapeExporter
+ * @description Pure functions turning a shape into file contents
+ */
+const ShapeExporter = {
+    /**
+     * Writes a shape as Wavefront OBJ.
+     * Faces become `f` statements; edges not covered by any face become `l`.
+     * Texture coordinates are written as `vt` and referenced as `v/vt`.
+     * @param {Object} shape - Shape with vertices, edges, faces and optional uvs
+     * @returns {string} OBJ text
+     */
+    toOBJ(shape) {
+        const lines = [
+            '# Exported by Pure JS 3D Renderer',
+            `o ${this._safeName(shape.name)}`
+        ];
+
+        shape.vertices.forEach(v => {
+            lines.push(`v ${this._num(v.x)} ${this._num(v.y)} ${this._num(v.z)}`);
+        });
+
+        const faceUVs = shape.uvs && shape.faceUVs ? shape.faceUVs : [];
+        (shape.uvs || []).forEach(([u, v]) => {
+            lines.push(`vt ${this._num(u)} ${this._num(v)}`);
+        });
+
+        const faces = shape.faces || [];
+        faces.forEach((face, f) => {
+            const uv = faceUVs[f];
+            lines.push(`f ${face.map((i, k) => uv ? `${i + 1}/${uv[k] + 1}` : i + 1).join(' ')}`);
+        });
+
+        this._looseEdges(shape).forEach(([a, b]) => {
+            lines.push(`l ${a + 1} ${b + 1}`);
+        });
+
+        return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Writes a shape as ASCII STL
+     * @param {Object} shape - Shape with vertices and faces
+     * @returns {string} STL text
+     * @throws {Error} If the shape has no faces
+     */
+    toSTL(shape) {
+        const name = this._safeName(shape.name);
+        const lines = [`solid ${name}`];
+
+        this._triangles(shape).forEach(({ normal, corners }) => {
+            lines.push(`  facet normal ${this._num(normal.x)} ${this._num(normal.y)} ${this._num(normal.z)}`);
+            lines.push('    outer loop');
+            corners.forEach(v => {
+                lines.push(`      vertex ${this._num(v.x)} ${this._num(v.y)} ${this._num(v.z)}`);
+            });
+            lines.push('    endloop');
+            lines.push('  endfacet');
+        });
+
+        lines.push(`endsolid ${name}`);
+        return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Writes a shape as binary STL (little-endian)
+     * @param {Object} shape - Shape with vertices and faces
+     * @returns {ArrayBuffer} STL bytes
+     * @throws {Error} If the shape has no faces
+     */
+    toBinarySTL(shape) {
+        const triangles = this._triangles(shape);
+        const buffer = new ArrayBuffer(84 + triangles.length * 50);
+        const view = new DataView(buffer);
+
+        // 80-byte header; must not start with "solid" or readers assume ASCII
+        const header = `Pure JS 3D Renderer - ${shape.name || 'Shape'}`.slice(0, 80);
+        for (let k = 0; k < header.length; k++) {
+            view.setUint8(k, header.charCodeAt(k) & 0x7f);
+        }
+        view.setUint32(80, triangles.length, true);
+
+        let offset = 84;
+        triangles.forEach(({ normal, corners }) => {
+            [normal, ...corners].forEach(v => {
+                view.setFloat32(offset, v.x, true);
+                view.setFloat32(offset + 4, v.y, true);
+                view.setFloat32(offset + 8, v.z, true);
+                offset += 12;
+            });
+            view.setUint16(offset, 0, true);  // Attribute byte count
+            offset += 2;
+        });
+
+        return buffer;
+    },
+
+    /**
+     * Writes a shape as ASCII PLY with vertex, face and edge elements
+     * @param {Object} shape - Shape with vertices, edges and faces
+     * @returns {string} PLY text
+     */
+    toPLY(shape) {
+        const faces = shape.faces || [];
+        const lines = [
+            'ply',
+            'format ascii 1.0',
+            `comment ${this._safeName(shape.name)} exported by Pure JS 3D Renderer`,
+            `element vertex ${shape.vertices.length}`,
+            'property float x',
+            'property float y',
+            'property float z',
+            `element face ${faces.length}`,
+            'property list uchar int vertex_indices',
+            `element edge ${shape.edges.length}`,
+            'property int vertex1',
+            'property int vertex2',
+            'end_header'
+        ];
+
+        shape.vertices.forEach(v => {
+            lines.push(`${this._num(v.x)} ${this._num(v.y)} ${this._num(v.z)}`);
+        });
+        faces.forEach(face => {
+            lines.push(`${face.length} ${face.join(' ')}`);
+        });
+        shape.edges.forEach(([a, b]) => {
+            lines.push(`${a} ${b}`);
+        });
+
+        return lines.join('\n') + '\n';
+    },
+
+    /* ----------------------------------------
+     * HELPERS
+     * ---------------------------------------- */
+
+    /**
+     * Fan-triangulates every face and computes unit normals
+     * @private
+     * @returns {Array<Object>} { normal: Vector3, corners: Vector3[3] }
+     */
+    _triangles(shape) {
+        const faces = shape.faces || [];
+        if (faces.length === 0) {
+            throw new Error(`STL export needs a shape with faces; "${shape.name || 'shape'}" has none`);
+        }
+
+        const triangles = [];
+        faces.forEach(face => {
+            for (let k = 1; k < face.length - 1; k++) {
+                const corners = [face[0], face[k], face[k + 1]].map(i => shape.vertices[i]);
+                const normal = corners[1].subtract(corners[0])
+                    .cross(corners[2].subtract(corners[0]))
+                    .normalize();
+                triangles.push({ normal, corners });
+            }
+        });
+        return triangles;
+    },
+
+    /**
+     * Edges that do not lie on any face boundary
+     * @private
+     */
+    _looseEdges(shape) {
+        const faceEdges = new Set();
+        (shape.faces || []).forEach(face => {
+            face.forEach((a, k) => {
+                const b = face[(k + 1) % face.length];
+                faceEdges.add(a < b ? `${a}-${b}` : `${b}-${a}`);
+            });
+        });
+        return shape.edges.filter(([a, b]) => !faceEdges.has(a < b ? `${a}-${b}` : `${b}-${a}`));
+    },
+
+    /**
+     * Formats a coordinate compactly, without exponent noise like 6e-15
+     * @private
+     */
+    _num(value) {
+        return String(Number(value.toFixed(6)));
+    },
+
+    /**
+     * Makes a shape name safe for single-token header fields
+     * @private
+     */
+    _safeName(name) {
+        return (name || 'Shape').replace(/\s+/g, '_');
+    }
+};
+
+/* ============================================
+ * EXPORTS
+ * ============================================ */
+
+export { ShapeExporter };
@@ -0,0 +1,348 @@
+/**
+ * @fileoverview Pure-JS framebuffer render target for the 3D Renderer
+ * @description A canvas stand-in backed by a plain RGBA array, so
+ * Renderer3D can draw without a DOM or a native canvas (for example in Node).
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+/* ============================================
+ * FRAMEBUFFER CLASS
+ * ============================================ */
+
+/**
+ * @class FrameBuffer
+ * @description RGBA pixel buffer with the parts of the HTMLCanvasElement
+ * interface Renderer3D uses (width, height, getContext('2d')). Assign it to
+ * renderer.canvas; it has no path filling, so the renderer always draws into
+ * it with the z-buffer rasterizer.
+ */
+class FrameBuffer {
+    /**
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     */
+    constructor(width, height) {
+        this.width = Math.max(1, Math.floor(width));
+        this.height = Math.max(1, Math.floor(height));
+
+        /** RGBA pixels, in the same layout as ImageData#data; starts transparent */
+        this.data = new Uint8ClampedArray(this.width * this.height * 4);
+
+        /** @private {FrameBufferContext|null} Context handed out by getContext() */
+        this._context = null;
+    }
+
+    /**
+     * Returns the drawing context, like HTMLCanvasElement#getContext
+     * @param {string} type - Context type; only '2d' is supported
+     * @returns {FrameBufferContext|null} The context, or null for other types
+     */
+    getContext(type) {
+        if (type !== '2d') return null;
+        if (!this._context) this._context = new FrameBufferContext(this);
+        return this._context;
+    }
+
+    /**
+     * Copy of the pixels as ImageData-like { width, height, data }
+     * @returns {Object}
+     */
+    toImageData() {
+        return { width: this.width, height: this.height, data: new Uint8ClampedArray(this.data) };
+    }
+}
+
+/* ============================================
+ * FRAMEBUFFER CONTEXT CLASS
+ * ============================================ */
+
+/**
+ * @class FrameBufferContext
+ * @description The subset of CanvasRenderingContext2D that Renderer3D's
+ * z-buffer path calls: image data transfers, rectangle fills and clears,
+ * rectangular clipping and stroked straight paths (viewport frames).
+ * Strokes are square-stamped and not anti-aliased. There is no font
+ * rasterizer, so fillText() draws nothing.
+ */
+class FrameBufferContext {
+    /**
+     * @param {FrameBuffer} canvas - Buffer to draw into
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+
+        /** Tells Renderer3D to rasterize everything; paths cannot be filled here */
+        this.rasterOnly = true;
+
+        // Canvas2D drawing state
+        this.strokeStyle = '#000000';
+        this.fillStyle = '#000000';
+        this.lineWidth = 1;
+        this.globalAlpha = 1;
+        this.font = '10px sans-serif';
+        this.textBaseline = 'alphabetic';
+
+        /** @private {Array<number>} Dash pattern from setLineDash() */
+        this._lineDash = [];
+
+        /** @private {Object|null} Clip rectangle { minX, minY, maxX, maxY } (exclusive max) */
+        this._clip = null;
+
+        /** @private {Array<Array<Object>>} Subpaths of points since beginPath() */
+        this._subpaths = [];
+
+        /** @private {Array<Object>} State stack for save()/restore() */
+        this._stack = [];
+    }
+
+    /* ----------------------------------------
+     * STATE
+     * ---------------------------------------- */
+
+    save() {
+        this._stack.push({
+            strokeStyle: this.strokeStyle,
+            fillStyle: this.fillStyle,
+            lineWidth: this.lineWidth,
+            globalAlpha: this.globalAlpha,
+            font: this.font,
+            textBaseline: this.textBaseline,
+            _lineDash: this._lineDash,
+            _clip: this._clip
+        });
+    }
+
+    restore() {
+        const state = this._stack.pop();
+        if (state) Object.assign(this, state);
+    }
+
+    setLineDash(segments) {
+        this._lineDash = [...segments];
+    }
+
+    getLineDash() {
+        return [...this._lineDash];
+    }
+
+    /* ----------------------------------------
+     * IMAGE DATA
+     * ---------------------------------------- */
+
+    createImageData(width, height) {
+        return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+    }
+
+    getImageData(x, y, width, height) {
+        const image = this.createImageData(width, height);
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                const px = x + col;
+                const py = y + row;
+                if (px < 0 || py < 0 || px >= this.canvas.width || py >= this.canvas.height) continue;
+                const from = (py * this.canvas.width + px) * 4;
+                image.data.set(this.canvas.data.subarray(from, from + 4), (row * width + col) * 4);
+            }
+        }
+        return image;
+    }
+
+    putImageData(image, dx, dy) {
+        // Like Canvas2D, ignores clipping and alpha and replaces the pixels
+        const { width, height } = this.canvas;
+        for (let row = 0; row < image.height; row++) {
+            const y = dy + row;
+            if (y < 0 || y >= height) continue;
+            const left = Math.max(0, dx);
+            const right = Math.min(width, dx + image.width);
+            if (left >= right) continue;
+            const from = (row * image.width + (left - dx)) * 4;
+            const to = from + (right - left) * 4;
+            this.canvas.data.set(image.data.subarray(from, to), (y * width + left) * 4);
+        }
+    }
+
+    /* ----------------------------------------
+     * RECTANGLES
+     * ---------------------------------------- */
+
+    fillRect(x, y, width, height) {
+        const color = this._parseColor(this.fillStyle);
+        this._eachPixel(x, y, width, height, index => this._blend(index, color, this.globalAlpha));
+    }
+
+    clearRect(x, y, width, height) {
+        this._eachPixel(x, y, width, height, index => this.canvas.data.fill(0, index * 4, index * 4 + 4));
+    }
+
+    /* ----------------------------------------
+     * PATHS
+     * ---------------------------------------- */
+
+    beginPath() {
+        this._subpaths = [];
+    }
+
+    moveTo(x, y) {
+        this._subpaths.push([{ x, y }]);
+    }
+
+    lineTo(x, y) {
+        const current = this._subpaths[this._subpaths.length - 1];
+        if (current) {
+            current.push({ x, y });
+        } else {
+            this.moveTo(x, y);
+        }
+    }
+
+    closePath() {
+        const current = this._subpaths[this._subpaths.length - 1];
+        if (current?.length > 1) {
+            current.push({ ...current[0] });
+        }
+    }
+
+    rect(x, y, width, height) {
+        this.moveTo(x, y);
+        this.lineTo(x + width, y);
+        this.lineTo(x + width, y + height);
+        this.lineTo(x, y + height);
+        this.closePath();
+    }
+
+    /**
+     * Intersects the clip region with the current path's bounding box.
+     * Only rectangular paths clip exactly.
+     */
+    clip() {
+        const points = this._subpaths.flat();
+        if (points.length === 0) return;
+
+        const bounds = {
+            minX: Math.round(Math.min(...points.map(p => p.x))),
+            minY: Math.round(Math.min(...points.map(p => p.y))),
+            maxX: Math.round(Math.max(...points.map(p => p.x))),
+            maxY: Math.round(Math.max(...points.map(p => p.y)))
+        };
+        const clip = this._clip;
+        this._clip = clip ? {
+            minX: Math.max(clip.minX, bounds.minX),
+            minY: Math.max(clip.minY, bounds.minY),
+            maxX: Math.min(clip.maxX, bounds.maxX),
+            maxY: Math.min(clip.maxY, bounds.maxY)
+        } : bounds;
+    }
+
+    stroke() {
+        const color = this._parseColor(this.strokeStyle);
+        const half = (Math.max(1, Math.round(this.lineWidth)) - 1) / 2;
+        const dash = this._lineDash.length >= 2 ? this._lineDash : null;
+        const period = dash ? dash[0] + dash[1] : 0;
+
+        this._subpaths.forEach(points => {
+            let travelled = 0;
+            for (let k = 1; k < points.length; k++) {
+                const a = points[k - 1];
+                const b = points[k];
+                const length = Math.hypot(b.x - a.x, b.y - a.y);
+                const steps = Math.max(1, Math.ceil(length));
+                for (let i = 0; i <= steps; i++) {
+                    const t = i / steps;
+                    if (period > 0 && (travelled + t * length) % period >= dash[0]) continue;
+                    this._stamp(a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t, half, color);
+                }
+                travelled += length;
+            }
+        });
+    }
+
+    fillText() {
+        // No font rasterizer; text is left out of framebuffer output
+    }
+
+    /* ----------------------------------------
+     * HELPERS
+     * ---------------------------------------- */
+
+    /**
+     * Paints a square of pixels around a point
+     * @private
+     */
+    _stamp(cx, cy, half, color) {
+        const minX = Math.round(cx - half - 0.5);
+        const minY = Math.round(cy - half - 0.5);
+        const size = Math.round(half * 2) + 1;
+        this._eachPixel(minX, minY, size, size, index => this._blend(index, color, this.globalAlpha));
+    }
+
+    /**
+     * Calls back with the index of every pixel of a rectangle that lies
+     * inside both the buffer and the clip region
+     * @private
+     */
+    _eachPixel(x, y, width, height, callback) {
+        const clip = this._clip || { minX: 0, minY: 0, maxX: this.canvas.width, maxY: this.canvas.height };
+        const minX = Math.max(0, clip.minX, Math.round(x));
+        const minY = Math.max(0, clip.minY, Math.round(y));
+        const maxX = Math.min(this.canvas.width, clip.maxX, Math.round(x + width));
+        const maxY = Math.min(this.canvas.height, clip.maxY, Math.round(y + height));
+
+        for (let py = minY; py < maxY; py++) {
+            for (let px = minX; px < maxX; px++) {
+                callback(py * this.canvas.width + px);
+            }
+        }
+    }
+
+    /**
+     * Source-over blends a color into one pixel
+     * @private
+     */
+    _blend(index, color, alpha) {
+        const data = this.canvas.data;
+        const i = index * 4;
+        const srcAlpha = alpha * color.a;
+        const dstAlpha = data[i + 3] / 255;
+        const outAlpha = srcAlpha + dstAlpha * (1 - srcAlpha);
+        if (outAlpha <= 0) return;
+
+        const mix = (src, dst) => (src * srcAlpha + dst * dstAlpha * (1 - srcAlpha)) / outAlpha;
+        data[i] = mix(color.r, data[i]);
+        data[i + 1] = mix(color.g, data[i + 1]);
+        data[i + 2] = mix(color.b, data[i + 2]);
+        data[i + 3] = outAlpha * 255;
+    }
+
+    /**
+     * Parses #rgb, #rrggbb, rgb() and rgba() colors
+     * @private
+     * @returns {Object} { r, g, b } in 0-255 and a in 0-1; black for anything else
+     */
+    _parseColor(style) {
+        const text = String(style).trim();
+
+        const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(text);
+        if (hex) {
+            const digits = hex[1].length === 3 ? hex[1].replace(/./g, c => c + c) : hex[1];
+            const value = parseInt(digits, 16);
+            return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255, a: 1 };
+        }
+
+        const rgb = /^rgba?\(([^)]+)\)$/i.exec(text);
+        if (rgb) {
+            const [r, g, b, a = 1] = rgb[1].split(',').map(parseFloat);
+            return { r, g, b, a };
+        }
+
+        return { r: 0, g: 0, b: 0, a: 1 };
+    }
+}
+
+/* ============================================
+ * EXPORTS
+ * ============================================ */
+
+export { FrameBuffer, FrameBufferContext };
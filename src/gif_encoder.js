@@ -0,0 +1,443 @@
+/**
+ * @fileoverview Animated GIF encoder for the 3D Renderer
+ * @description Pure JavaScript GIF89a writer: median-cut palette
+ * quantization per frame and LZW compression. Works on plain RGBA arrays,
+ * so it runs the same in the browser and without a DOM.
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+import { ColorUtils } from './color.js';
+
+/* ============================================
+ * COLOR QUANTIZER
+ * ============================================ */
+
+/**
+ * @namespace ColorQuantizer
+ * @description Reduces RGB images to an indexed palette.
+ *
+ * Colors are first binned into a 32×32×32 histogram (5 bits per channel).
+ * Median cut then splits the box of occupied bins along its longest axis at
+ * the pixel-weighted median until there are enough boxes; each palette entry
+ * is the mean color of the pixels in one box. Everything is deterministic.
+ */
+const ColorQuantizer = {
+    /**
+     * Builds a palette for RGB pixels
+     * @param {Uint8Array} rgb - Packed RGB pixels
+     * @param {number} [maxColors=256] - Largest palette size (2-256)
+     * @returns {Array<Array<number>>} Palette of [r, g, b] entries
+     */
+    buildPalette(rgb, maxColors = 256) {
+        const { counts, sums } = this._histogram(rgb);
+
+        const bins = [];
+        for (let key = 0; key < counts.length; key++) {
+            if (counts[key] > 0) bins.push(key);
+        }
+        if (bins.length === 0) return [[0, 0, 0]];
+
+        const boxes = [this._box(bins, counts)];
+        while (boxes.length < maxColors) {
+            // Split the box with the most pixels spread over the widest range
+            let best = -1;
+            let bestScore = 0;
+            boxes.forEach((box, i) => {
+                const score = box.range * box.count;
+                if (box.keys.length > 1 && score > bestScore) {
+                    best = i;
+                    bestScore = score;
+                }
+            });
+            if (best < 0) break;
+
+            const halves = this._split(boxes[best], counts).map(keys => this._box(keys, counts));
+            boxes.splice(best, 1, ...halves);
+        }
+
+        return boxes.map(({ keys, count }) => {
+            let r = 0, g = 0, b = 0;
+            keys.forEach(key => {
+                r += sums[key * 3];
+                g += sums[key * 3 + 1];
+                b += sums[key * 3 + 2];
+            });
+            return [Math.round(r / count), Math.round(g / count), Math.round(b / count)];
+        });
+    },
+
+    /**
+     * Maps each pixel to its nearest palette entry
+     * @param {Uint8Array} rgb - Packed RGB pixels
+     * @param {Array<Array<number>>} palette - Palette from buildPalette()
+     * @returns {Uint8Array} One palette index per pixel
+     */
+    indexPixels(rgb, palette) {
+        const indices = new Uint8Array(rgb.length / 3);
+        // Pixels in the same histogram bin share their nearest entry
+        const cache = new Int16Array(32768).fill(-1);
+
+        for (let p = 0, i = 0; p < indices.length; p++, i += 3) {
+            const key = this._key(rgb[i], rgb[i + 1], rgb[i + 2]);
+            if (cache[key] < 0) {
+                cache[key] = this._nearest(palette, rgb[i], rgb[i + 1], rgb[i + 2]);
+            }
+            indices[p] = cache[key];
+        }
+        return indices;
+    },
+
+    /**
+     * Counts pixels and sums their colors per 5-bit bin
+     * @private
+     */
+    _histogram(rgb) {
+        const counts = new Uint32Array(32768);
+        const sums = new Float64Array(32768 * 3);
+        for (let i = 0; i < rgb.length; i += 3) {
+            const key = this._key(rgb[i], rgb[i + 1], rgb[i + 2]);
+            counts[key]++;
+            sums[key * 3] += rgb[i];
+            sums[key * 3 + 1] += rgb[i + 1];
+            sums[key * 3 + 2] += rgb[i + 2];
+        }
+        return { counts, sums };
+    },
+
+    /**
+     * Histogram bin of a color
+     * @private
+     */
+    _key(r, g, b) {
+        return ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    },
+
+    /**
+     * One 5-bit channel of a bin (0 = red, 1 = green, 2 = blue)
+     * @private
+     */
+    _channel(key, axis) {
+        return (key >> (10 - axis * 5)) & 31;
+    },
+
+    /**
+     * Describes a box of bins: pixel count and the channel with the widest spread
+     * @private
+     */
+    _box(keys, counts) {
+        let count = 0;
+        keys.forEach(key => { count += counts[key]; });
+
+        let axis = 0;
+        let range = -1;
+        for (let a = 0; a < 3; a++) {
+            let min = 31, max = 0;
+            keys.forEach(key => {
+                const c = this._channel(key, a);
+                if (c < min) min = c;
+                if (c > max) max = c;
+            });
+            if (max - min > range) {
+                axis = a;
+                range = max - min;
+            }
+        }
+        return { keys, count, axis, range };
+    },
+
+    /**
+     * Splits a box at the pixel-weighted median of its longest axis
+     * @private
+     */
+    _split({ keys, count, axis }, counts) {
+        const sorted = [...keys].sort((a, b) =>
+            (this._channel(a, axis) - this._channel(b, axis)) || (a - b)
+        );
+
+        let running = 0;
+        let cut = 1;
+        for (let i = 0; i < sorted.length - 1; i++) {
+            running += counts[sorted[i]];
+            cut = i + 1;
+            if (running * 2 >= count) break;
+        }
+        return [sorted.slice(0, cut), sorted.slice(cut)];
+    },
+
+    /**
+     * Index of the palette entry closest to a color
+     * @private
+     */
+    _nearest(palette, r, g, b) {
+        let best = 0;
+        let bestDistance = Infinity;
+        palette.forEach(([pr, pg, pb], i) => {
+            const distance = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+            if (distance < bestDistance) {
+                best = i;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+};
+
+/* ============================================
+ * GIF ENCODER CLASS
+ * ============================================ */
+
+/**
+ * @class GifEncoder
+ * @description Writes an animated GIF89a one frame at a time.
+ *
+ * Each frame gets its own (local) palette of up to 256 colors, so color
+ * fidelity does not degrade when the scene changes over the animation.
+ * Transparent pixels are flattened onto the background color.
+ */
+class GifEncoder {
+    /**
+     * @param {number} width - Frame width in pixels
+     * @param {number} height - Frame height in pixels
+     * @param {Object} [options]
+     * @param {number} [options.delay=50] - Default frame delay in milliseconds
+     * @param {number} [options.repeat=0] - Times to repeat; 0 loops forever, -1 plays once
+     * @param {string} [options.background='#ffffff'] - Hex color behind transparent pixels
+     * @param {number} [options.maxColors=256] - Palette size per frame (2-256)
+     */
+    constructor(width, height, {
+        delay = 50,
+        repeat = 0,
+        background = '#ffffff',
+        maxColors = 256
+    } = {}) {
+        this.width = Math.max(1, Math.floor(width));
+        this.height = Math.max(1, Math.floor(height));
+        this.delay = delay;
+        this.repeat = repeat;
+        this.background = background;
+        this.maxColors = Math.min(256, Math.max(2, maxColors));
+
+        /** @private {Array<Uint8Array>} Encoded chunks, header first */
+        this._chunks = [this._header()];
+
+        /** @private {number} Frames added so far */
+        this._frameCount = 0;
+    }
+
+    /**
+     * Frames added so far
+     * @returns {number}
+     */
+    get frameCount() {
+        return this._frameCount;
+    }
+
+    /**
+     * Quantizes and compresses one frame
+     * @param {Uint8ClampedArray|Uint8Array} rgba - Pixels in ImageData layout
+     * @param {number} [delay=this.delay] - How long to show the frame, in milliseconds
+     * @throws {Error} If the pixel count does not match the encoder size
+     */
+    addFrame(rgba, delay = this.delay) {
+        const pixelCount = this.width * this.height;
+        if (rgba.length !== pixelCount * 4) {
+            throw new Error(`Frame has ${rgba.length} bytes; ${this.width}x${this.height} needs ${pixelCount * 4}`);
+        }
+
+        const rgb = this._flatten(rgba);
+        const palette = ColorQuantizer.buildPalette(rgb, this.maxColors);
+        const indices = ColorQuantizer.indexPixels(rgb, palette);
+
+        // Color tables hold a power of two entries, at least 2
+        const tableBits = Math.max(1, Math.ceil(Math.log2(palette.length)));
+        const table = new Uint8Array(3 << tableBits);
+        palette.forEach(([r, g, b], i) => table.set([r, g, b], i * 3));
+
+        const centiseconds = Math.max(0, Math.round(delay / 10));
+        const minCodeSize = Math.max(2, tableBits);
+
+        this._chunks.push(
+            new Uint8Array([
+                // Graphic control extension: disposal 1 (keep), delay
+                0x21, 0xF9, 0x04, 0x04, centiseconds & 0xFF, centiseconds >> 8, 0x00, 0x00,
+                // Image descriptor with a local color table
+                0x2C, 0, 0, 0, 0,
+                this.width & 0xFF, this.width >> 8, this.height & 0xFF, this.height >> 8,
+                0x80 | (tableBits - 1)
+            ]),
+            table,
+            new Uint8Array([minCodeSize]),
+            this._subBlocks(this._lzw(indices, minCodeSize)),
+            new Uint8Array([0x00])
+        );
+        this._frameCount++;
+    }
+
+    /**
+     * Finishes the file
+     * @returns {Uint8Array} GIF bytes
+     * @throws {Error} If no frames were added
+     */
+    finish() {
+        if (this._frameCount === 0) {
+            throw new Error('GIF has no frames');
+        }
+
+        const chunks = [...this._chunks, new Uint8Array([0x3B])];
+        const bytes = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        let offset = 0;
+        chunks.forEach(chunk => {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return bytes;
+    }
+
+    /* ----------------------------------------
+     * HELPERS
+     * ---------------------------------------- */
+
+    /**
+     * Header, logical screen descriptor and looping extension
+     * @private
+     */
+    _header() {
+        const { width, height } = this;
+        const bytes = [
+            ...'GIF89a'.split('').map(c => c.charCodeAt(0)),
+            width & 0xFF, width >> 8, height & 0xFF, height >> 8,
+            0x70, 0x00, 0x00  // No global color table, 8-bit color resolution
+        ];
+
+        if (this.repeat >= 0) {
+            bytes.push(
+                0x21, 0xFF, 0x0B,
+                ...'NETSCAPE2.0'.split('').map(c => c.charCodeAt(0)),
+                0x03, 0x01, this.repeat & 0xFF, (this.repeat >> 8) & 0xFF, 0x00
+            );
+        }
+        return new Uint8Array(bytes);
+    }
+
+    /**
+     * Drops alpha by blending onto the background color
+     * @private
+     */
+    _flatten(rgba) {
+        const { r: br, g: bg, b: bb } = ColorUtils.hexToRgb(this.background);
+        const rgb = new Uint8Array((rgba.length / 4) * 3);
+
+        for (let i = 0, j = 0; i < rgba.length; i += 4, j += 3) {
+            const a = rgba[i + 3];
+            if (a === 255) {
+                rgb[j] = rgba[i];
+                rgb[j + 1] = rgba[i + 1];
+                rgb[j + 2] = rgba[i + 2];
+            } else {
+                rgb[j] = Math.round((rgba[i] * a + br * (255 - a)) / 255);
+                rgb[j + 1] = Math.round((rgba[i + 1] * a + bg * (255 - a)) / 255);
+                rgb[j + 2] = Math.round((rgba[i + 2] * a + bb * (255 - a)) / 255);
+            }
+        }
+        return rgb;
+    }
+
+    /**
+     * Variable-width LZW compression as GIF specifies it: codes start at
+     * minCodeSize + 1 bits, grow up to 12 bits, and the table is reset with
+     * a clear code once it holds 4096 entries
+     * @private
+     * @param {Uint8Array} indices - Palette index per pixel
+     * @param {number} minCodeSize - Bits per uncompressed index
+     * @returns {Uint8Array} Packed code stream, least significant bit first
+     */
+    _lzw(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+
+        let out = new Uint8Array(Math.max(256, indices.length >> 1));
+        let length = 0;
+        let buffer = 0;
+        let bufferBits = 0;
+        let codeSize = minCodeSize + 1;
+
+        const emit = (code) => {
+            buffer |= code << bufferBits;
+            bufferBits += codeSize;
+            while (bufferBits >= 8) {
+                if (length === out.length) {
+                    const grown = new Uint8Array(out.length * 2);
+                    grown.set(out);
+                    out = grown;
+                }
+                out[length++] = buffer & 0xFF;
+                buffer >>>= 8;
+                bufferBits -= 8;
+            }
+        };
+
+        // Codes for index strings, keyed by prefix code and next index
+        const table = new Map();
+        let nextCode = endCode + 1;
+
+        emit(clearCode);
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const index = indices[i];
+            const key = (prefix << 8) | index;
+            const code = table.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            emit(prefix);
+            if (nextCode === 4096) {
+                emit(clearCode);
+                table.clear();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            } else {
+                if (nextCode >= 1 << codeSize) codeSize++;
+                table.set(key, nextCode++);
+            }
+            prefix = index;
+        }
+        emit(prefix);
+        emit(endCode);
+        if (bufferBits > 0) {
+            if (length === out.length) {
+                const grown = new Uint8Array(out.length + 1);
+                grown.set(out);
+                out = grown;
+            }
+            out[length++] = buffer & 0xFF;
+        }
+
+        return out.subarray(0, length);
+    }
+
+    /**
+     * Splits data into length-prefixed sub-blocks of at most 255 bytes
+     * @private
+     */
+    _subBlocks(data) {
+        const blocks = new Uint8Array(data.length + Math.ceil(data.length / 255));
+        let offset = 0;
+        for (let i = 0; i < data.length; i += 255) {
+            const block = data.subarray(i, i + 255);
+            blocks[offset++] = block.length;
+            blocks.set(block, offset);
+            offset += block.length;
+        }
+        return blocks;
+    }
+}
+
+/* ============================================
+ * EXPORTS
+ * ============================================ */
+
+export { ColorQuantizer, GifEncoder };
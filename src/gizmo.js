@@ -0,0 +1,234 @@
+/**
+ * @fileoverview Translate gizmo for the 3D Renderer
+ * @description On-screen handles for moving things along the world X, Y
+ * and Z axes or within the XY, YZ and XZ planes. Renderer3D draws the gizmo
+ * it is given on top of the scene; the gizmo turns pointer positions into
+ * constrained world-space points.
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+import { Vector3 } from './math.js';
+import { ScreenGeometry } from './screen_geometry.js';
+
+/* ============================================
+ * TRANSLATE GIZMO CLASS
+ * ============================================ */
+
+/** World axis of each axis handle */
+const AXES = {
+    x: new Vector3(1, 0, 0),
+    y: new Vector3(0, 1, 0),
+    z: new Vector3(0, 0, 1)
+};
+
+/** Spanning axes of each plane handle */
+const PLANES = {
+    xy: ['x', 'y'],
+    yz: ['y', 'z'],
+    xz: ['x', 'z']
+};
+
+/**
+ * @class TranslateGizmo
+ * @description Three axis arrows and three plane squares at a world
+ * position, kept at a constant size on screen. Dragging an axis handle moves
+ * along that axis; dragging a plane handle moves within the plane (the
+ * square between the two axes it spans).
+ *
+ * @example
+ * const gizmo = new TranslateGizmo({ position: center });
+ * renderer.gizmo = gizmo;
+ * const { handle, camera } = renderer.pickGizmo(x, y);
+ * const start = gizmo.dragPoint(camera, handle, x, y);
+ * // ...on pointer move:
+ * const delta = gizmo.dragPoint(camera, handle, moveX, moveY).subtract(start);
+ */
+class TranslateGizmo {
+    /**
+     * @param {Object} [options]
+     * @param {Vector3} [options.position] - World position, defaults to the origin
+     * @param {number} [options.size=70] - Arrow length in pixels
+     * @param {Object} [options.colors] - Colors for x, y, z and the active handle
+     */
+    constructor({ position = new Vector3(), size = 70, colors = {} } = {}) {
+        /** World position of the gizmo's center */
+        this.position = position;
+
+        /** Arrow length in pixels */
+        this.size = size;
+
+        /** Handle colors; plane squares use the color of the axis they face */
+        this.colors = { x: '#ef4444', y: '#22c55e', z: '#3b82f6', active: '#facc15', ...colors };
+
+        /** @type {string|null} Handle under the pointer, drawn in the active color */
+        this.hovered = null;
+
+        /** @type {string|null} Handle being dragged, drawn in the active color */
+        this.active = null;
+    }
+
+    /**
+     * Names of every handle: 'x', 'y', 'z', 'xy', 'yz', 'xz'
+     * @type {Array<string>}
+     */
+    static get HANDLES() {
+        return [...Object.keys(AXES), ...Object.keys(PLANES)];
+    }
+
+    /* ----------------------------------------
+     * GEOMETRY
+     * ---------------------------------------- */
+
+    /**
+     * World units that appear one pixel long at the gizmo, seen through a camera
+     * @param {Camera} camera - Camera the gizmo is seen through
+     * @returns {number}
+     */
+    unitsPerPixel(camera) {
+        const right = camera.viewToWorldDirection(new Vector3(1, 0, 0));
+        const a = camera.project(this.position);
+        const b = camera.project(this.position.add(right));
+        const pixels = Math.hypot(b.x - a.x, b.y - a.y);
+        return pixels > 0 ? 1 / pixels : 1;
+    }
+
+    /**
+     * World-space outlines of the handles as seen through a camera. Axes
+     * pointing (nearly) at the viewer are left out, as are the planes
+     * containing them edge-on, since they could not be dragged sensibly.
+     * @param {Camera} camera - Camera the gizmo is seen through
+     * @returns {Array<Object>} Handles { name, type: 'axis' | 'plane', points, color }
+     *   where points are the axis' start and end or the plane square's corners
+     */
+    handles(camera) {
+        const length = this.size * this.unitsPerPixel(camera);
+        const toViewer = camera.viewToWorldDirection(new Vector3(0, 0, 1));
+        const handles = [];
+
+        Object.entries(AXES).forEach(([name, axis]) => {
+            // Less than a fifth of the arrow shows when it points at the viewer
+            if (Math.abs(axis.dot(toViewer)) > 0.98) return;
+            handles.push({
+                name,
+                type: 'axis',
+                points: [this.position, this.position.add(axis.scale(length))],
+                color: this._colorOf(name)
+            });
+        });
+
+        Object.entries(PLANES).forEach(([name, [u, v]]) => {
+            const normal = AXES[u].cross(AXES[v]);
+            if (Math.abs(normal.dot(toViewer)) < 0.2) return;
+            const near = 0.25 * length;
+            const far = 0.5 * length;
+            const corner = (a, b) => this.position.add(AXES[u].scale(a)).add(AXES[v].scale(b));
+            handles.push({
+                name,
+                type: 'plane',
+                points: [corner(near, near), corner(far, near), corner(far, far), corner(near, far)],
+                color: this._colorOf(name)
+            });
+        });
+
+        return handles;
+    }
+
+    /**
+     * Finds the handle under a point of a camera's viewport. Plane squares
+     * take precedence over the axis lines beside them.
+     * @param {Camera} camera - Camera the gizmo is seen through
+     * @param {number} x - Canvas X in pixels
+     * @param {number} y - Canvas Y in pixels
+     * @param {number} [radius=6] - How far from an axis line still counts, in pixels
+     * @returns {string|null} Handle name, or null
+     */
+    pick(camera, x, y, radius = 6) {
+        const handles = this.handles(camera);
+        const plane = handles.find(handle => handle.type === 'plane' &&
+            ScreenGeometry.containsPoint(handle.points.map(p => camera.project(p)), x, y));
+        if (plane) return plane.name;
+
+        let nearest = null;
+        let nearestDistance = radius;
+        handles.filter(handle => handle.type === 'axis').forEach(handle => {
+            const [a, b] = handle.points.map(p => camera.project(p));
+            const { distance } = ScreenGeometry.closestOnSegment(a, b, x, y);
+            if (distance <= nearestDistance) {
+                nearest = handle.name;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    /* ----------------------------------------
+     * DRAGGING
+     * ---------------------------------------- */
+
+    /**
+     * World point a handle's constraint puts under a pointer: the point of
+     * the axis line nearest to the pointer's ray, or where the ray meets the
+     * handle's plane. Subtract the point at the start of a drag to get the
+     * distance moved.
+     * @param {Camera} camera - Camera the drag happens in
+     * @param {string} handle - Handle name
+     * @param {number} x - Canvas X in pixels
+     * @param {number} y - Canvas Y in pixels
+     * @param {Vector3} [origin=this.position] - Where the constraint passes
+     *   through; keep the start position while the gizmo follows a drag
+     * @returns {Vector3|null} World point, or null when the ray runs parallel
+     *   to the constraint
+     * @throws {Error} If the handle is unknown
+     */
+    dragPoint(camera, handle, x, y, origin = this.position) {
+        const ray = camera.viewRay(x, y);
+        const start = camera.viewToWorld(ray.origin);
+        const direction = camera.viewToWorldDirection(ray.direction);
+
+        if (AXES[handle]) {
+            // Closest point of the axis line to the ray
+            const axis = AXES[handle];
+            const offset = origin.subtract(start);
+            const b = axis.dot(direction);
+            const c = direction.dot(direction);
+            const denominator = c - b * b;
+            if (Math.abs(denominator) < 1e-9 * c) return null;
+            const s = (b * direction.dot(offset) - c * axis.dot(offset)) / denominator;
+            return origin.add(axis.scale(s));
+        }
+
+        if (PLANES[handle]) {
+            const [u, v] = PLANES[handle];
+            const normal = AXES[u].cross(AXES[v]);
+            const facing = normal.dot(direction);
+            if (Math.abs(facing) < 1e-9) return null;
+            const t = normal.dot(origin.subtract(start)) / facing;
+            return start.add(direction.scale(t));
+        }
+
+        throw new Error(`Unknown gizmo handle "${handle}". Available: ${TranslateGizmo.HANDLES.join(', ')}`);
+    }
+
+    /* ----------------------------------------
+     * HELPERS
+     * ---------------------------------------- */
+
+    /**
+     * Draw color of a handle
+     * @private
+     */
+    _colorOf(name) {
+        if (name === this.active || name === this.hovered) return this.colors.active;
+        // A plane square takes the color of the axis it faces
+        const facing = PLANES[name] ? Object.keys(AXES).find(axis => !name.includes(axis)) : name;
+        return this.colors[facing];
+    }
+}
+
+/* ============================================
+ * EXPORTS
+ * ============================================ */
+
+export { TranslateGizmo };
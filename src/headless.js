@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Headless rendering for the 3D Renderer in Node
+ * @description Renders into a FrameBuffer and writes PPM or PNG files.
+ * Needs only Node's built-in modules; no DOM or native canvas.
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { Shapes } from './shapes.js';
+import { createRenderer } from './renderer.js';
+import { FrameBuffer } from './framebuffer.js';
+import { ImageEncoder } from './image_encoder.js';
+
+/* ============================================
+ * RENDERING
+ * ============================================ */
+
+/**
+ * Renders one built-in shape into a new FrameBuffer
+ * @param {Object} [options]
+ * @param {string} [options.shape='cube'] - Name of a Shapes entry
+ * @param {Array<number>} [options.shapeArgs=[]] - Arguments for the shape generator
+ * @param {number} [options.width=500] - Image width in pixels
+ * @param {number} [options.height=400] - Image height in pixels
+ * @param {Object} [options.transform={}] - Renderer3D#transform() parameters
+ *   (rotationX/Y/Z in degrees, translateX/Y/Z, scaleX/Y/Z)
+ * @param {Object} [options.settings={}] - Renderer3D settings to override
+ * @param {number|null} [options.focalLength=null] - Focal length, or null for the default
+ * @param {string|null} [options.view=null] - Preset view (see Camera#setView)
+ * @returns {FrameBuffer} The rendered frame
+ * @throws {Error} If the shape name is unknown, or a setting has a value the renderer does not accept
+ */
+function renderShape({
+    shape = 'cube',
+    shapeArgs = [],
+    width = 500,
+    height = 400,
+    transform = {},
+    settings = {},
+    focalLength = null,
+    view = null
+} = {}) {
+    if (typeof Shapes[shape] !== 'function') {
+        const available = Object.keys(Shapes).filter(name => typeof Shapes[name] === 'function');
+        throw new Error(`Unknown shape "${shape}". Available: ${available.join(', ')}`);
+    }
+
+    const frame = new FrameBuffer(width, height);
+    const renderer = createRenderer(frame, {
+        ...settings,
+        focalLength: focalLength ?? undefined,
+        view,
+        shape: Shapes[shape](...shapeArgs)
+    });
+    renderer.transform(transform);
+    renderer.render();
+    return frame;
+}
+
+/* ============================================
+ * OUTPUT
+ * ============================================ */
+
+/**
+ * Encodes a frame as image bytes
+ * @param {FrameBuffer} frame - Rendered frame
+ * @param {string} [format='png'] - 'png' | 'ppm'
+ * @param {Object} [options]
+ * @param {string} [options.background='#ffffff'] - PPM color behind transparent pixels
+ * @param {boolean} [options.compress=true] - Deflate PNG data with zlib instead of storing it
+ * @returns {Buffer} Encoded image
+ * @throws {Error} If the format is unknown
+ */
+function encodeImage(frame, format = 'png', { background = '#ffffff', compress = true } = {}) {
+    switch (format) {
+        case 'png':
+            return Buffer.from(ImageEncoder.encodePNG(frame.width, frame.height, frame.data, {
+                deflate: compress ? bytes => zlib.deflateSync(bytes) : null
+            }));
+        case 'ppm':
+            return Buffer.from(ImageEncoder.encodePPM(frame.width, frame.height, frame.data, { background }));
+        default:
+            throw new Error(`Unknown image format "${format}". Available: png, ppm`);
+    }
+}
+
+/**
+ * Writes a frame to an image file, choosing the format from the extension
+ * @param {string} file - Output path ending in .png or .ppm
+ * @param {FrameBuffer} frame - Rendered frame
+ * @param {Object} [options] - Options for encodeImage()
+ */
+function writeImage(file, frame, options = {}) {
+    const format = path.extname(file).slice(1).toLowerCase();
+    fs.writeFileSync(file, encodeImage(frame, format, options));
+}
+
+/* ============================================
+ * EXPORTS
+ * ============================================ */
+
+export { renderShape, encodeImage, writeImage };
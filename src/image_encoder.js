@@ -0,0 +1,202 @@
+/**
+ * @fileoverview Still image encoders for the 3D Renderer
+ * @description Pure JavaScript PPM and PNG writers for RGBA pixel arrays,
+ * such as a FrameBuffer or ImageData. PNG data is zlib-wrapped with stored
+ * (uncompressed) deflate blocks unless a deflate function is supplied.
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+/* ============================================
+ * IMAGE ENCODER
+ * ============================================ */
+
+/**
+ * @namespace ImageEncoder
+ * @description Encodes RGBA pixels, row-major from the top-left, as image files.
+ */
+const ImageEncoder = {
+    /**
+     * Encodes a binary PPM (P6). PPM has no alpha, so pixels are composited
+     * over a background color.
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {Uint8Array|Uint8ClampedArray} rgba - RGBA pixels
+     * @param {Object} [options]
+     * @param {string} [options.background='#ffffff'] - Color behind transparent pixels (#rrggbb)
+     * @returns {Uint8Array} PPM bytes
+     */
+    encodePPM(width, height, rgba, { background = '#ffffff' } = {}) {
+        this._checkSize(width, height, rgba);
+
+        const header = Uint8Array.from(`P6\n${width} ${height}\n255\n`, c => c.charCodeAt(0));
+        const bytes = new Uint8Array(header.length + width * height * 3);
+        bytes.set(header);
+
+        const bg = parseInt(background.slice(1), 16);
+        const back = [(bg >> 16) & 255, (bg >> 8) & 255, bg & 255];
+        let offset = header.length;
+        for (let i = 0; i < width * height * 4; i += 4) {
+            const alpha = rgba[i + 3] / 255;
+            for (let c = 0; c < 3; c++) {
+                bytes[offset++] = Math.round(rgba[i + c] * alpha + back[c] * (1 - alpha));
+            }
+        }
+        return bytes;
+    },
+
+    /**
+     * Encodes a truecolor-with-alpha PNG (8 bits per channel, no filtering)
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {Uint8Array|Uint8ClampedArray} rgba - RGBA pixels
+     * @param {Object} [options]
+     * @param {Function|null} [options.deflate=null] - (bytes) => zlib stream, e.g. Node's
+     *   zlib.deflateSync; null stores the data uncompressed
+     * @returns {Uint8Array} PNG bytes
+     */
+    encodePNG(width, height, rgba, { deflate = null } = {}) {
+        this._checkSize(width, height, rgba);
+
+        // Each scanline starts with its filter type, 0 (None)
+        const stride = width * 4;
+        const raw = new Uint8Array((stride + 1) * height);
+        for (let y = 0; y < height; y++) {
+            raw.set(rgba.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+        }
+
+        const header = new Uint8Array(13);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, width);
+        view.setUint32(4, height);
+        header.set([8, 6, 0, 0, 0], 8);  // Bit depth, RGBA, deflate, adaptive filtering, no interlace
+
+        const chunks = [
+            this._chunk('IHDR', header),
+            this._chunk('IDAT', deflate ? new Uint8Array(deflate(raw)) : this.zlibStore(raw)),
+            this._chunk('IEND', new Uint8Array(0))
+        ];
+        const signature = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+        const png = new Uint8Array(signature.length + chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        png.set(signature);
+        let offset = signature.length;
+        chunks.forEach(chunk => {
+            png.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return png;
+    },
+
+    /**
+     * Wraps bytes in a zlib stream of stored deflate blocks (no compression)
+     * @param {Uint8Array} bytes - Data to wrap
+     * @returns {Uint8Array} zlib stream
+     */
+    zlibStore(bytes) {
+        const BLOCK = 65535;
+        const blocks = Math.max(1, Math.ceil(bytes.length / BLOCK));
+        const out = new Uint8Array(2 + blocks * 5 + bytes.length + 4);
+        out.set([0x78, 0x01]);  // Deflate, 32K window, no preset dictionary
+
+        let offset = 2;
+        for (let b = 0; b < blocks; b++) {
+            const block = bytes.subarray(b * BLOCK, (b + 1) * BLOCK);
+            const length = block.length;
+            out[offset++] = b === blocks - 1 ? 1 : 0;  // BFINAL, BTYPE 00 (stored)
+            out[offset++] = length & 255;
+            out[offset++] = length >> 8;
+            out[offset++] = ~length & 255;
+            out[offset++] = (~length >> 8) & 255;
+            out.set(block, offset);
+            offset += length;
+        }
+
+        new DataView(out.buffer).setUint32(offset, this.adler32(bytes));
+        return out;
+    },
+
+    /**
+     * Adler-32 checksum, as used by zlib
+     * @param {Uint8Array} bytes - Data to sum
+     * @returns {number} Unsigned 32-bit checksum
+     */
+    adler32(bytes) {
+        let a = 1;
+        let b = 0;
+        // 5552 bytes is the longest run whose sums cannot overflow before the modulo
+        for (let start = 0; start < bytes.length; start += 5552) {
+            const end = Math.min(bytes.length, start + 5552);
+            for (let i = start; i < end; i++) {
+                a += bytes[i];
+                b += a;
+            }
+            a %= 65521;
+            b %= 65521;
+        }
+        return ((b << 16) | a) >>> 0;
+    },
+
+    /**
+     * CRC-32 checksum, as used by PNG chunks
+     * @param {Uint8Array} bytes - Data to check
+     * @returns {number} Unsigned 32-bit checksum
+     */
+    crc32(bytes) {
+        const table = this._crcTable();
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = table[(crc ^ bytes[i]) & 255] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    },
+
+    /**
+     * Builds a PNG chunk: length, type, data and CRC of type + data
+     * @private
+     */
+    _chunk(type, data) {
+        const chunk = new Uint8Array(12 + data.length);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+        chunk.set(data, 8);
+        view.setUint32(8 + data.length, this.crc32(chunk.subarray(4, 8 + data.length)));
+        return chunk;
+    },
+
+    /**
+     * Lookup table for crc32(), built on first use
+     * @private
+     */
+    _crcTable() {
+        if (!this._table) {
+            this._table = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this._table[n] = c >>> 0;
+            }
+        }
+        return this._table;
+    },
+
+    /**
+     * Throws if the pixel array does not match the image size
+     * @private
+     */
+    _checkSize(width, height, rgba) {
+        if (!(width >= 1 && height >= 1) || rgba.length !== width * height * 4) {
+            throw new Error(`Image has ${rgba.length} bytes; ${width}x${height} needs ${width * height * 4}`);
+        }
+    }
+};
+
+/* ============================================
+ * EXPORTS
+ * ============================================ */
+
+export { ImageEncoder };
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Public API of the 3D Renderer
+ * @description Entry point of the package. Re-exports the engine and its
+ * helpers as named exports; importing it sets no globals. Pages and scripts
+ * written against the old single-script engine can load legacy.js instead.
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ *
+ * @example
+ * import { createRenderer, Shapes } from './index.js';
+ * const renderer = createRenderer(canvas, { renderMode: 'solid', shading: 'flat' });
+ * renderer.setCustomShape(Shapes.torus(80, 30));
+ * renderer.render();
+ */
+
+/* ============================================
+ * ENGINE
+ * ============================================ */
+
+export { Vector3, Matrix4, Quaternion } from './math.js';
+export { Shapes, ShapeValidator } from './shapes.js';
+export { ColorUtils, Material, Light } from './color.js';
+export { Camera, Viewport, Clipping } from './camera.js';
+export { ScreenGeometry } from './screen_geometry.js';
+export { SceneNode, Mesh, Scene } from './scene.js';
+export { Renderer3D, createRenderer } from './renderer.js';
+export { Rasterizer } from './rasterizer.js';
+export { Texture } from './texture.js';
+
+/* ============================================
+ * INPUT, ANIMATION AND FILE FORMATS
+ * ============================================ */
+
+export { OrbitControls } from './orbit_controls.js';
+export { TranslateGizmo } from './gizmo.js';
+export { EditHistory, ShapeEditor } from './shape_editor.js';
+export { Easing, Timeline } from './timeline.js';
+export { ObjLoader, ObjParseError } from './obj_loader.js';
+export { ShapeExporter } from './exporters.js';
+export { SvgContext, SvgExporter } from './svg_export.js';
+export { ColorQuantizer, GifEncoder } from './gif_encoder.js';
+export { VideoRecorder, GifRecorder } from './recorder.js';
+export { FrameBuffer, FrameBufferContext } from './framebuffer.js';
+export { ImageEncoder } from './image_encoder.js';
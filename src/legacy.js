@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Legacy globals for the 3D Renderer
+ * @description Compatibility shim for code written against the old
+ * single-script engine, such as scripts.js. Installs every export of
+ * index.js, a shared `renderer` and the original Canvas_Define, Rotate,
+ * setFocalLength and main_renderer_function functions as globals. Load it as
+ * a module before the classic scripts that use them, which must be deferred
+ * so they run after it:
+ *
+ *   <script type="module" src="legacy.js"></script>
+ *   <script defer src="scripts.js"></script>
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+import * as engine from './index.js';
+
+/* ============================================
+ * GLOBAL INSTANCE & LEGACY API
+ * ============================================ */
+
+const renderer = engine.createRenderer();
+
+function Canvas_Define(canvasElement) {
+    renderer.canvas = canvasElement;
+}
+
+function setFocalLength(value) {
+    renderer.focalLength = value;
+}
+
+function Rotate(x, y, z, tx, ty, tz) {
+    renderer.transform({
+        rotationX: x,
+        rotationY: y,
+        rotationZ: z,
+        translateX: tx,
+        translateY: ty,
+        translateZ: tz
+    });
+}
+
+function main_renderer_function() {
+    renderer.render();
+}
+
+Object.assign(globalThis, engine, {
+    renderer,
+    Canvas_Define,
+    setFocalLength,
+    Rotate,
+    main_renderer_function
+});
+
+/* ============================================
+ * EXPORTS
+ * ============================================ */
+
+export { renderer, Canvas_Define, setFocalLength, Rotate, main_renderer_function };
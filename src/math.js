@@ -0,0 +1,814 @@
+/**
+ * @fileoverview Math classes for the 3D Renderer
+ * @description Vectors, 4x4 matrices and quaternions used throughout the engine.
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+/* ============================================
+ * VECTOR3 CLASS - 3D Vector Mathematics
+ * ============================================ */
+
+/**
+ * @class Vector3
+ * @description Represents a 3D vector with mathematical operations
+ */
+class Vector3 {
+    /**
+     * @param {number} x - X component
+     * @param {number} y - Y component
+     * @param {number} z - Z component
+     */
+    constructor(x = 0, y = 0, z = 0) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+    }
+
+    /**
+     * Adds another vector to this vector
+     * @param {Vector3} v - Vector to add
+     * @returns {Vector3} New resulting vector
+     */
+    add(v) {
+        return new Vector3(this.x + v.x, this.y + v.y, this.z + v.z);
+    }
+
+    /**
+     * Subtracts another vector from this vector
+     * @param {Vector3} v - Vector to subtract
+     * @returns {Vector3} New resulting vector
+     */
+    subtract(v) {
+        return new Vector3(this.x - v.x, this.y - v.y, this.z - v.z);
+    }
+
+    /**
+     * Multiplies vector by a scalar
+     * @param {number} s - Scalar value
+     * @returns {Vector3} New scaled vector
+     */
+    scale(s) {
+        return new Vector3(this.x * s, this.y * s, this.z * s);
+    }
+
+    /**
+     * Calculates the dot product with another vector
+     * @param {Vector3} v - Other vector
+     * @returns {number} Dot product result
+     */
+    dot(v) {
+        return this.x * v.x + this.y * v.y + this.z * v.z;
+    }
+
+    /**
+     * Calculates the cross product with another vector
+     * @param {Vector3} v - Other vector
+     * @returns {Vector3} Cross product result
+     */
+    cross(v) {
+        return new Vector3(
+            this.y * v.z - this.z * v.y,
+            this.z * v.x - this.x * v.z,
+            this.x * v.y - this.y * v.x
+        );
+    }
+
+    /**
+     * Calculates the magnitude (length) of the vector
+     * @returns {number} Vector magnitude
+     */
+    magnitude() {
+        return Math.sqrt(this.x * this.x + this.y * this.y + this.z * this.z);
+    }
+
+    /**
+     * Returns a normalized (unit) vector
+     * @returns {Vector3} Unit vector
+     */
+    normalize() {
+        const mag = this.magnitude();
+        if (mag === 0) return new Vector3();
+        return this.scale(1 / mag);
+    }
+
+    /**
+     * Calculates distance to another vector
+     * @param {Vector3} v - Other vector
+     * @returns {number} Distance
+     */
+    distanceTo(v) {
+        return this.subtract(v).magnitude();
+    }
+
+    /**
+     * Linear interpolation to another vector
+     * @param {Vector3} v - Target vector
+     * @param {number} t - Interpolation factor (0-1)
+     * @returns {Vector3} Interpolated vector
+     */
+    lerp(v, t) {
+        return new Vector3(
+            this.x + (v.x - this.x) * t,
+            this.y + (v.y - this.y) * t,
+            this.z + (v.z - this.z) * t
+        );
+    }
+
+    /**
+     * Converts to array format
+     * @returns {Array<number>} [x, y, z]
+     */
+    toArray() {
+        return [this.x, this.y, this.z];
+    }
+
+    /**
+     * Creates Vector3 from array
+     * @static
+     * @param {Array<number>} arr - [x, y, z]
+     * @returns {Vector3}
+     */
+    static fromArray(arr) {
+        return new Vector3(arr[0], arr[1], arr[2]);
+    }
+}
+
+/* ============================================
+ * MATRIX4 CLASS - 4x4 Matrix for Transformations
+ * ============================================ */
+
+/**
+ * @class Matrix4
+ * @description 4x4 transformation matrix for 3D operations.
+ *
+ * Conventions (the same as WebGL):
+ * - Elements are stored column-major: elements[column * 4 + row], so the
+ *   translation sits in elements 12, 13 and 14.
+ * - Points are column vectors transformed as p' = M · p.
+ * - a.multiply(b) is the matrix product a · b, which applies b first and
+ *   then a. A node's local matrix is therefore T · R · S.
+ * - Rotations follow the right-hand rule: a positive angle turns
+ *   counter-clockwise when looking down the axis towards the origin.
+ */
+class Matrix4 {
+    constructor() {
+        this.elements = this._identity();
+    }
+
+    /**
+     * Creates identity matrix
+     * @private
+     * @returns {Array<number>} 16 element array
+     */
+    _identity() {
+        return [
+            1, 0, 0, 0,
+            0, 1, 0, 0,
+            0, 0, 1, 0,
+            0, 0, 0, 1
+        ];
+    }
+
+    /**
+     * Resets to identity matrix
+     * @returns {Matrix4} this
+     */
+    identity() {
+        this.elements = this._identity();
+        return this;
+    }
+
+    /**
+     * Creates a copy
+     * @returns {Matrix4} New matrix
+     */
+    clone() {
+        const m = new Matrix4();
+        m.elements = this.elements.slice();
+        return m;
+    }
+
+    /**
+     * Multiplies with another matrix (this · m, so m is applied first)
+     * @param {Matrix4} m - Matrix to multiply
+     * @returns {Matrix4} New result matrix
+     */
+    multiply(m) {
+        const a = this.elements;
+        const b = m.elements;
+        const result = new Matrix4();
+        
+        for (let column = 0; column < 4; column++) {
+            for (let row = 0; row < 4; row++) {
+                result.elements[column * 4 + row] =
+                    a[0 * 4 + row] * b[column * 4 + 0] +
+                    a[1 * 4 + row] * b[column * 4 + 1] +
+                    a[2 * 4 + row] * b[column * 4 + 2] +
+                    a[3 * 4 + row] * b[column * 4 + 3];
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Applies a translation before this matrix (this = this · T)
+     * @param {number} x 
+     * @param {number} y 
+     * @param {number} z 
+     * @returns {Matrix4} this
+     */
+    translate(x, y, z) {
+        this.elements = this.multiply(Matrix4.translation(x, y, z)).elements;
+        return this;
+    }
+
+    /**
+     * Swaps rows and columns
+     * @returns {Matrix4} New matrix
+     */
+    transpose() {
+        const e = this.elements;
+        const m = new Matrix4();
+        for (let column = 0; column < 4; column++) {
+            for (let row = 0; row < 4; row++) {
+                m.elements[column * 4 + row] = e[row * 4 + column];
+            }
+        }
+        return m;
+    }
+
+    /**
+     * Calculates the determinant. Negative values mean the matrix mirrors
+     * space; zero means it flattens it and cannot be inverted.
+     * @returns {number}
+     */
+    determinant() {
+        const b = this._minors();
+        return b[0] * b[11] - b[1] * b[10] + b[2] * b[9] + b[3] * b[8] - b[4] * b[7] + b[5] * b[6];
+    }
+
+    /**
+     * Calculates the inverse matrix
+     * @returns {Matrix4} New matrix
+     * @throws {Error} If the matrix is singular
+     */
+    invert() {
+        const [
+            a00, a01, a02, a03,
+            a10, a11, a12, a13,
+            a20, a21, a22, a23,
+            a30, a31, a32, a33
+        ] = this.elements;
+        const b = this._minors();
+        const det = this.determinant();
+
+        if (det === 0 || !Number.isFinite(det)) {
+            throw new Error('Matrix is not invertible (determinant is 0)');
+        }
+
+        const m = new Matrix4();
+        const inv = 1 / det;
+        m.elements = [
+            (a11 * b[11] - a12 * b[10] + a13 * b[9]) * inv,
+            (a02 * b[10] - a01 * b[11] - a03 * b[9]) * inv,
+            (a31 * b[5] - a32 * b[4] + a33 * b[3]) * inv,
+            (a22 * b[4] - a21 * b[5] - a23 * b[3]) * inv,
+            (a12 * b[8] - a10 * b[11] - a13 * b[7]) * inv,
+            (a00 * b[11] - a02 * b[8] + a03 * b[7]) * inv,
+            (a32 * b[2] - a30 * b[5] - a33 * b[1]) * inv,
+            (a20 * b[5] - a22 * b[2] + a23 * b[1]) * inv,
+            (a10 * b[10] - a11 * b[8] + a13 * b[6]) * inv,
+            (a01 * b[8] - a00 * b[10] - a03 * b[6]) * inv,
+            (a30 * b[4] - a31 * b[2] + a33 * b[0]) * inv,
+            (a21 * b[2] - a20 * b[4] - a23 * b[0]) * inv,
+            (a11 * b[7] - a10 * b[9] - a12 * b[6]) * inv,
+            (a00 * b[9] - a01 * b[7] + a02 * b[6]) * inv,
+            (a31 * b[1] - a30 * b[3] - a32 * b[0]) * inv,
+            (a20 * b[3] - a21 * b[1] + a22 * b[0]) * inv
+        ];
+        return m;
+    }
+
+    /**
+     * 2x2 determinants from the first and last pairs of columns, shared by
+     * determinant() and invert() (Laplace expansion)
+     * @private
+     * @returns {Array<number>} 12 values
+     */
+    _minors() {
+        const [
+            a00, a01, a02, a03,
+            a10, a11, a12, a13,
+            a20, a21, a22, a23,
+            a30, a31, a32, a33
+        ] = this.elements;
+        return [
+            a00 * a11 - a01 * a10,
+            a00 * a12 - a02 * a10,
+            a00 * a13 - a03 * a10,
+            a01 * a12 - a02 * a11,
+            a01 * a13 - a03 * a11,
+            a02 * a13 - a03 * a12,
+            a20 * a31 - a21 * a30,
+            a20 * a32 - a22 * a30,
+            a20 * a33 - a23 * a30,
+            a21 * a32 - a22 * a31,
+            a21 * a33 - a23 * a31,
+            a22 * a33 - a23 * a32
+        ];
+    }
+
+    /**
+     * Creates translation matrix
+     * @static
+     * @param {number} x 
+     * @param {number} y 
+     * @param {number} z 
+     * @returns {Matrix4}
+     */
+    static translation(x, y, z) {
+        const m = new Matrix4();
+        m.elements[12] = x;
+        m.elements[13] = y;
+        m.elements[14] = z;
+        return m;
+    }
+
+    /**
+     * Creates rotation matrix around X axis
+     * @static
+     * @param {number} angle - Angle in radians
+     * @returns {Matrix4}
+     */
+    static rotationX(angle) {
+        const m = new Matrix4();
+        const c = Math.cos(angle);
+        const s = Math.sin(angle);
+        m.elements[5] = c;
+        m.elements[6] = s;
+        m.elements[9] = -s;
+        m.elements[10] = c;
+        return m;
+    }
+
+    /**
+     * Creates rotation matrix around Y axis
+     * @static
+     * @param {number} angle - Angle in radians
+     * @returns {Matrix4}
+     */
+    static rotationY(angle) {
+        const m = new Matrix4();
+        const c = Math.cos(angle);
+        const s = Math.sin(angle);
+        m.elements[0] = c;
+        m.elements[2] = -s;
+        m.elements[8] = s;
+        m.elements[10] = c;
+        return m;
+    }
+
+    /**
+     * Creates rotation matrix around Z axis
+     * @static
+     * @param {number} angle - Angle in radians
+     * @returns {Matrix4}
+     */
+    static rotationZ(angle) {
+        const m = new Matrix4();
+        const c = Math.cos(angle);
+        const s = Math.sin(angle);
+        m.elements[0] = c;
+        m.elements[1] = s;
+        m.elements[4] = -s;
+        m.elements[5] = c;
+        return m;
+    }
+
+    /**
+     * Creates scaling matrix
+     * @static
+     * @param {number} sx - Scale X
+     * @param {number} sy - Scale Y
+     * @param {number} sz - Scale Z
+     * @returns {Matrix4}
+     */
+    static scale(sx, sy, sz) {
+        const m = new Matrix4();
+        m.elements[0] = sx;
+        m.elements[5] = sy;
+        m.elements[10] = sz;
+        return m;
+    }
+
+    /**
+     * Creates a view matrix for a camera at `eye` looking at `target`.
+     * In view space the camera sits at the origin looking down -Z with +Y up.
+     * @static
+     * @param {Vector3} eye - Camera position
+     * @param {Vector3} target - Point to look at
+     * @param {Vector3} up - Approximate up direction
+     * @returns {Matrix4}
+     */
+    static lookAt(eye, target, up) {
+        const zAxis = eye.subtract(target).normalize();
+        const xAxis = up.cross(zAxis).normalize();
+        const yAxis = zAxis.cross(xAxis);
+
+        const m = new Matrix4();
+        const e = m.elements;
+        e[0] = xAxis.x;  e[4] = xAxis.y;  e[8] = xAxis.z;   e[12] = -xAxis.dot(eye);
+        e[1] = yAxis.x;  e[5] = yAxis.y;  e[9] = yAxis.z;   e[13] = -yAxis.dot(eye);
+        e[2] = zAxis.x;  e[6] = zAxis.y;  e[10] = zAxis.z;  e[14] = -zAxis.dot(eye);
+        return m;
+    }
+
+    /**
+     * Creates a perspective projection from view space to clip space
+     * (OpenGL style: the visible depth range maps to -1..1)
+     * @static
+     * @param {number} fov - Vertical field of view in radians
+     * @param {number} aspect - Width / height
+     * @param {number} near - Near plane distance
+     * @param {number} far - Far plane distance
+     * @returns {Matrix4}
+     */
+    static perspective(fov, aspect, near, far) {
+        const f = 1 / Math.tan(fov / 2);
+        const m = new Matrix4();
+        const e = m.elements;
+        e[0] = f / aspect;
+        e[5] = f;
+        e[10] = (far + near) / (near - far);
+        e[11] = -1;
+        e[14] = (2 * far * near) / (near - far);
+        e[15] = 0;
+        return m;
+    }
+
+    /**
+     * Creates an orthographic projection from view space to clip space
+     * @static
+     * @param {number} left - View-space X at the left edge
+     * @param {number} right - View-space X at the right edge
+     * @param {number} bottom - View-space Y at the bottom edge
+     * @param {number} top - View-space Y at the top edge
+     * @param {number} near - Near plane distance
+     * @param {number} far - Far plane distance
+     * @returns {Matrix4}
+     */
+    static orthographic(left, right, bottom, top, near, far) {
+        const m = new Matrix4();
+        const e = m.elements;
+        e[0] = 2 / (right - left);
+        e[5] = 2 / (top - bottom);
+        e[10] = -2 / (far - near);
+        e[12] = -(right + left) / (right - left);
+        e[13] = -(top + bottom) / (top - bottom);
+        e[14] = -(far + near) / (far - near);
+        return m;
+    }
+
+    /**
+     * Builds T · R · S from a translation, rotation and scale
+     * @static
+     * @param {Vector3} position - Translation
+     * @param {Quaternion} quaternion - Rotation
+     * @param {Vector3} scale - Scale factors
+     * @returns {Matrix4}
+     */
+    static compose(position, quaternion, scale) {
+        return Matrix4.translation(position.x, position.y, position.z)
+            .multiply(quaternion.toMatrix4())
+            .multiply(Matrix4.scale(scale.x, scale.y, scale.z));
+    }
+
+    /**
+     * Splits an affine matrix into translation, rotation and scale, the
+     * inverse of compose(). A mirroring matrix gets a negative X scale.
+     * Shear cannot be represented and is lost.
+     * @returns {Object} { position: Vector3, quaternion: Quaternion, scale: Vector3 }
+     */
+    decompose() {
+        const e = this.elements;
+        const column = (i) => new Vector3(e[i * 4], e[i * 4 + 1], e[i * 4 + 2]);
+
+        let sx = column(0).magnitude();
+        const sy = column(1).magnitude();
+        const sz = column(2).magnitude();
+        if (this.determinant() < 0) sx = -sx;
+
+        const rotation = new Matrix4();
+        const r = rotation.elements;
+        [sx, sy, sz].forEach((s, i) => {
+            const inv = s === 0 ? 0 : 1 / s;
+            r[i * 4] = e[i * 4] * inv;
+            r[i * 4 + 1] = e[i * 4 + 1] * inv;
+            r[i * 4 + 2] = e[i * 4 + 2] * inv;
+        });
+
+        return {
+            position: new Vector3(e[12], e[13], e[14]),
+            quaternion: Quaternion.fromMatrix4(rotation),
+            scale: new Vector3(sx, sy, sz)
+        };
+    }
+
+    /**
+     * Transforms a Vector3 as a point by the affine part of the matrix
+     * (no perspective divide); the fast path used for model transforms
+     * @param {Vector3} v - Vector to transform
+     * @returns {Vector3} Transformed vector
+     */
+    transformVector(v) {
+        const e = this.elements;
+        return new Vector3(
+            e[0] * v.x + e[4] * v.y + e[8] * v.z + e[12],
+            e[1] * v.x + e[5] * v.y + e[9] * v.z + e[13],
+            e[2] * v.x + e[6] * v.y + e[10] * v.z + e[14]
+        );
+    }
+
+    /**
+     * Transforms a point (w = 1) and divides by the resulting w, so it also
+     * works with projection matrices
+     * @param {Vector3} v - Point to transform
+     * @returns {Vector3} Transformed point
+     */
+    transformPoint(v) {
+        const e = this.elements;
+        const w = e[3] * v.x + e[7] * v.y + e[11] * v.z + e[15];
+        const inv = w === 0 ? 1 : 1 / w;
+        return new Vector3(
+            (e[0] * v.x + e[4] * v.y + e[8] * v.z + e[12]) * inv,
+            (e[1] * v.x + e[5] * v.y + e[9] * v.z + e[13]) * inv,
+            (e[2] * v.x + e[6] * v.y + e[10] * v.z + e[14]) * inv
+        );
+    }
+
+    /**
+     * Transforms a direction (w = 0): rotation and scale apply, translation
+     * does not. The result is not normalized.
+     * @param {Vector3} v - Direction to transform
+     * @returns {Vector3} Transformed direction
+     */
+    transformDirection(v) {
+        const e = this.elements;
+        return new Vector3(
+            e[0] * v.x + e[4] * v.y + e[8] * v.z,
+            e[1] * v.x + e[5] * v.y + e[9] * v.z,
+            e[2] * v.x + e[6] * v.y + e[10] * v.z
+        );
+    }
+}
+
+/* ============================================
+ * QUATERNION CLASS - Gimbal-free rotations
+ * ============================================ */
+
+/**
+ * @class Quaternion
+ * @description Unit quaternion (x, y, z, w) representing a rotation.
+ *
+ * Quaternions follow the same conventions as Matrix4: fromAxisAngle(axis, a)
+ * turns points the same way as Matrix4.rotationX/Y/Z(a) about that axis, and
+ * a.multiply(b) (the Hamilton product) applies b first, then a, so that
+ * a.multiply(b).toMatrix4() equals a.toMatrix4().multiply(b.toMatrix4()).
+ * Composing rotations this way never loses a degree of freedom, unlike
+ * Euler angles near ±90° pitch (gimbal lock).
+ */
+class Quaternion {
+    /**
+     * @param {number} [x=0] - Vector part X
+     * @param {number} [y=0] - Vector part Y
+     * @param {number} [z=0] - Vector part Z
+     * @param {number} [w=1] - Scalar part
+     */
+    constructor(x = 0, y = 0, z = 0, w = 1) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        this.w = w;
+    }
+
+    /**
+     * Creates a rotation about an axis
+     * @static
+     * @param {Vector3} axis - Rotation axis (need not be normalized)
+     * @param {number} angle - Angle in radians
+     * @returns {Quaternion}
+     */
+    static fromAxisAngle(axis, angle) {
+        const n = axis.normalize();
+        const s = Math.sin(angle / 2);
+        return new Quaternion(n.x * s, n.y * s, n.z * s, Math.cos(angle / 2));
+    }
+
+    /**
+     * Creates a rotation from Euler angles, applied in the same order as
+     * SceneNode#localMatrix(): Z first, then Y, then X
+     * @static
+     * @param {number} x - X angle in radians
+     * @param {number} y - Y angle in radians
+     * @param {number} z - Z angle in radians
+     * @returns {Quaternion}
+     */
+    static fromEuler(x, y, z) {
+        return Quaternion.fromAxisAngle(new Vector3(1, 0, 0), x)
+            .multiply(Quaternion.fromAxisAngle(new Vector3(0, 1, 0), y))
+            .multiply(Quaternion.fromAxisAngle(new Vector3(0, 0, 1), z));
+    }
+
+    /**
+     * Creates the shortest rotation that turns one direction into another
+     * @static
+     * @param {Vector3} from - Start direction (unit length)
+     * @param {Vector3} to - End direction (unit length)
+     * @returns {Quaternion} Rotation with rotateVector(from) ≈ to
+     */
+    static fromUnitVectors(from, to) {
+        const d = from.dot(to);
+
+        // Opposite directions: turn half way round any perpendicular axis
+        if (d < -1 + 1e-6) {
+            let axis = new Vector3(1, 0, 0).cross(from);
+            if (axis.magnitude() < 1e-6) axis = new Vector3(0, 1, 0).cross(from);
+            return Quaternion.fromAxisAngle(axis, Math.PI);
+        }
+
+        const axis = from.cross(to);
+        return new Quaternion(axis.x, axis.y, axis.z, 1 + d).normalize();
+    }
+
+    /**
+     * Extracts the rotation of a pure rotation matrix (no scale)
+     * @static
+     * @param {Matrix4} m - Rotation matrix
+     * @returns {Quaternion}
+     */
+    static fromMatrix4(m) {
+        const e = m.elements;
+        const m00 = e[0], m01 = e[4], m02 = e[8];
+        const m10 = e[1], m11 = e[5], m12 = e[9];
+        const m20 = e[2], m21 = e[6], m22 = e[10];
+        const trace = m00 + m11 + m22;
+
+        // Divide by the largest of w, x, y, z to stay numerically stable
+        if (trace > 0) {
+            const s = 0.5 / Math.sqrt(trace + 1);
+            return new Quaternion((m21 - m12) * s, (m02 - m20) * s, (m10 - m01) * s, 0.25 / s);
+        }
+        if (m00 > m11 && m00 > m22) {
+            const s = 2 * Math.sqrt(1 + m00 - m11 - m22);
+            return new Quaternion(0.25 * s, (m01 + m10) / s, (m02 + m20) / s, (m21 - m12) / s);
+        }
+        if (m11 > m22) {
+            const s = 2 * Math.sqrt(1 + m11 - m00 - m22);
+            return new Quaternion((m01 + m10) / s, 0.25 * s, (m12 + m21) / s, (m02 - m20) / s);
+        }
+        const s = 2 * Math.sqrt(1 + m22 - m00 - m11);
+        return new Quaternion((m02 + m20) / s, (m12 + m21) / s, 0.25 * s, (m10 - m01) / s);
+    }
+
+    /**
+     * Combines two rotations
+     * @param {Quaternion} q - Rotation applied before this one
+     * @returns {Quaternion} New quaternion
+     */
+    multiply(q) {
+        const { x: ax, y: ay, z: az, w: aw } = this;
+        const { x: bx, y: by, z: bz, w: bw } = q;
+        return new Quaternion(
+            aw * bx + ax * bw + ay * bz - az * by,
+            aw * by - ax * bz + ay * bw + az * bx,
+            aw * bz + ax * by - ay * bx + az * bw,
+            aw * bw - ax * bx - ay * by - az * bz
+        );
+    }
+
+    /**
+     * Inverse rotation of a unit quaternion
+     * @returns {Quaternion} New quaternion
+     */
+    conjugate() {
+        return new Quaternion(-this.x, -this.y, -this.z, this.w);
+    }
+
+    /**
+     * Four-component dot product
+     * @param {Quaternion} q - Other quaternion
+     * @returns {number}
+     */
+    dot(q) {
+        return this.x * q.x + this.y * q.y + this.z * q.z + this.w * q.w;
+    }
+
+    /**
+     * Calculates the quaternion length
+     * @returns {number}
+     */
+    length() {
+        return Math.sqrt(this.dot(this));
+    }
+
+    /**
+     * Returns a unit-length copy
+     * @returns {Quaternion} New quaternion (identity if this has zero length)
+     */
+    normalize() {
+        const len = this.length();
+        if (len === 0) return new Quaternion();
+        return new Quaternion(this.x / len, this.y / len, this.z / len, this.w / len);
+    }
+
+    /**
+     * Spherical linear interpolation: constant angular speed along the
+     * shorter arc between two orientations
+     * @param {Quaternion} q - Target orientation
+     * @param {number} t - Interpolation factor (0 = this, 1 = q)
+     * @returns {Quaternion} New quaternion
+     */
+    slerp(q, t) {
+        // q and -q are the same rotation; pick the one on the near side
+        let cos = this.dot(q);
+        let target = q;
+        if (cos < 0) {
+            cos = -cos;
+            target = new Quaternion(-q.x, -q.y, -q.z, -q.w);
+        }
+
+        // Nearly equal: the arc is flat enough to interpolate linearly
+        if (cos > 0.9995) {
+            return new Quaternion(
+                this.x + (target.x - this.x) * t,
+                this.y + (target.y - this.y) * t,
+                this.z + (target.z - this.z) * t,
+                this.w + (target.w - this.w) * t
+            ).normalize();
+        }
+
+        const theta = Math.acos(cos);
+        const sin = Math.sin(theta);
+        const a = Math.sin((1 - t) * theta) / sin;
+        const b = Math.sin(t * theta) / sin;
+        return new Quaternion(
+            this.x * a + target.x * b,
+            this.y * a + target.y * b,
+            this.z * a + target.z * b,
+            this.w * a + target.w * b
+        );
+    }
+
+    /**
+     * Rotates a Vector3
+     * @param {Vector3} v - Vector to rotate
+     * @returns {Vector3} Rotated vector
+     */
+    rotateVector(v) {
+        return this.toMatrix4().transformVector(v);
+    }
+
+    /**
+     * Converts to a rotation matrix
+     * @returns {Matrix4}
+     */
+    toMatrix4() {
+        const { x, y, z, w } = this;
+        const m = new Matrix4();
+        const e = m.elements;
+        e[0] = 1 - 2 * (y * y + z * z);
+        e[1] = 2 * (x * y + w * z);
+        e[2] = 2 * (x * z - w * y);
+        e[4] = 2 * (x * y - w * z);
+        e[5] = 1 - 2 * (x * x + z * z);
+        e[6] = 2 * (y * z + w * x);
+        e[8] = 2 * (x * z + w * y);
+        e[9] = 2 * (y * z - w * x);
+        e[10] = 1 - 2 * (x * x + y * y);
+        return m;
+    }
+
+    /**
+     * Converts to Euler angles in the order fromEuler() uses. At ±90° Y the
+     * X and Z axes line up; Z is then reported as 0 and X carries the turn.
+     * @returns {Vector3} Angles (x, y, z) in radians
+     */
+    toEuler() {
+        const e = this.normalize().toMatrix4().elements;
+        const sinY = Math.min(1, Math.max(-1, e[8]));
+        const y = Math.asin(sinY);
+
+        if (Math.abs(sinY) < 0.9999999) {
+            return new Vector3(Math.atan2(-e[9], e[10]), y, Math.atan2(-e[4], e[0]));
+        }
+        return new Vector3(Math.atan2(e[6], e[5]), y, 0);
+    }
+}
+
+/* ============================================
+ * EXPORTS
+ * ============================================ */
+
+export { Vector3, Matrix4, Quaternion };
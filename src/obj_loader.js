@@ -0,0 +1,288 @@
+/**
+ * @fileoverview Wavefront OBJ loader for the 3D Renderer
+ * @description Parses OBJ text into the { vertices, edges, faces } shape
+ * format used by Shapes and Renderer3D#setCustomShape, including texture
+ * coordinates when the file has them.
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+import { Vector3 } from './math.js';
+
+/* ============================================
+ * PARSE ERROR
+ * ============================================ */
+
+/**
+ * @class ObjParseError
+ * @description Error raised for malformed OBJ input, tagged with its line number
+ */
+class ObjParseError extends Error {
+    /**
+     * @param {string} message - What went wrong
+     * @param {number} line - 1-based line number in the source text
+     */
+    constructor(message, line) {
+        super(`Line ${line}: ${message}`);
+        this.name = 'ObjParseError';
+        this.line = line;
+    }
+}
+
+/* ============================================
+ * OBJ LOADER
+ * ============================================ */
+
+/**
+ * @namespace ObjLoader
+ * @description Wavefront OBJ parsing.
+ * Supports `v`, `vt`, `vn`, `f` (v, v/vt, v//vn and v/vt/vn index forms,
+ * including negative indices), `l` polylines and `o`/`g` groups. Texture
+ * coordinates become `uvs` and `faceUVs`; normals are validated but not
+ * kept. Other statements (materials, smoothing groups, ...) are ignored.
+ */
+const ObjLoader = {
+    /**
+     * Parses OBJ source text into a shape
+     * @param {string} text - OBJ file contents
+     * @param {Object} [options]
+     * @param {string} [options.name='Model'] - Shape name when the file has no `o` statement
+     * @param {boolean} [options.fit=true] - Center the model and scale it to `size`
+     * @param {number} [options.size=100] - Half-extent of the largest axis after fitting
+     * @returns {Object} { vertices, edges, faces, groups, name }, plus
+     *     { uvs, faceUVs } if any face has texture coordinates
+     *     (faces without them get a null faceUVs entry)
+     * @throws {ObjParseError} On malformed statements or out-of-range indices
+     */
+    parse(text, { name = 'Model', fit = true, size = 100 } = {}) {
+        const vertices = [];
+        const uvs = [];
+        let normalCount = 0;
+        const faces = [];
+        const faceUVs = [];
+        const lines = [];
+        const groups = [];
+        let objectName = null;
+        let currentGroup = null;
+
+        const statements = this._statements(text);
+
+        statements.forEach(({ keyword, args, line }) => {
+            switch (keyword) {
+                case 'v': {
+                    if (args.length < 3) {
+                        throw new ObjParseError(`Vertex needs 3 coordinates, got ${args.length}`, line);
+                    }
+                    const [x, y, z] = args.slice(0, 3).map(a => this._number(a, line));
+                    vertices.push(new Vector3(x, y, z));
+                    break;
+                }
+                case 'vt': {
+                    if (args.length < 1) {
+                        throw new ObjParseError('Texture coordinate needs at least 1 value', line);
+                    }
+                    // The optional third (w) coordinate is only validated
+                    const [u, v = 0] = args.map(a => this._number(a, line));
+                    uvs.push([u, v]);
+                    break;
+                }
+                case 'vn':
+                    args.forEach(a => this._number(a, line));
+                    normalCount++;
+                    break;
+                case 'f': {
+                    if (args.length < 3) {
+                        throw new ObjParseError(`Face needs at least 3 vertices, got ${args.length}`, line);
+                    }
+                    const corners = this._dedupe(
+                        args.map(a => this._faceVertex(a, vertices.length, uvs.length, normalCount, line))
+                    );
+                    // Faces that collapse to a line or point carry no surface
+                    if (corners.length < 3) break;
+                    if (currentGroup) currentGroup.faces.push(faces.length);
+                    faces.push(corners.map(c => c.vertex));
+                    faceUVs.push(corners.every(c => c.uv !== null) ? corners.map(c => c.uv) : null);
+                    break;
+                }
+                case 'l': {
+                    if (args.length < 2) {
+                        throw new ObjParseError(`Line needs at least 2 vertices, got ${args.length}`, line);
+                    }
+                    lines.push(args.map(a => this._resolveIndex(a.split('/')[0], vertices.length, 'vertex', line)));
+                    break;
+                }
+                case 'o':
+                case 'g': {
+                    const groupName = args.join(' ') || (keyword === 'o' ? 'object' : 'default');
+                    if (keyword === 'o' && objectName === null) objectName = groupName;
+                    currentGroup = { name: groupName, type: keyword, faces: [] };
+                    groups.push(currentGroup);
+                    break;
+                }
+            }
+        });
+
+        if (vertices.length === 0) {
+            throw new ObjParseError('File contains no vertices', statements.length ? statements[statements.length - 1].line : 1);
+        }
+
+        const shape = {
+            vertices,
+            edges: this._uniqueEdges(faces, lines),
+            faces,
+            groups: groups.filter(g => g.faces.length > 0),
+            name: objectName || name
+        };
+
+        if (faceUVs.some(Boolean)) {
+            shape.uvs = uvs;
+            shape.faceUVs = faceUVs;
+        }
+
+        return fit ? this.fitToSize(shape, size) : shape;
+    },
+
+    /**
+     * Centers a shape on the origin and scales it uniformly so its largest
+     * half-extent equals `size`, matching the scale of the built-in Shapes
+     * @param {Object} shape - Shape to fit (modified in place)
+     * @param {number} [size=100] - Target half-extent
+     * @returns {Object} The same shape
+     */
+    fitToSize(shape, size = 100) {
+        const min = new Vector3(Infinity, Infinity, Infinity);
+        const max = new Vector3(-Infinity, -Infinity, -Infinity);
+
+        shape.vertices.forEach(v => {
+            min.x = Math.min(min.x, v.x); max.x = Math.max(max.x, v.x);
+            min.y = Math.min(min.y, v.y); max.y = Math.max(max.y, v.y);
+            min.z = Math.min(min.z, v.z); max.z = Math.max(max.z, v.z);
+        });
+
+        const center = min.lerp(max, 0.5);
+        const halfExtent = Math.max(max.x - min.x, max.y - min.y, max.z - min.z) / 2;
+        const factor = halfExtent > 0 ? size / halfExtent : 1;
+
+        shape.vertices = shape.vertices.map(v => v.subtract(center).scale(factor));
+        return shape;
+    },
+
+    /**
+     * Splits source text into keyword statements, joining `\` continuations
+     * and dropping comments and blank lines
+     * @private
+     * @returns {Array<Object>} { keyword, args, line }
+     */
+    _statements(text) {
+        const statements = [];
+        const rawLines = text.split(/\r?\n/);
+        let pending = '';
+        let startLine = 1;
+
+        rawLines.forEach((raw, index) => {
+            if (!pending) startLine = index + 1;
+            const content = raw.replace(/#.*$/, '');
+
+            if (content.trimEnd().endsWith('\\')) {
+                pending += content.trimEnd().slice(0, -1) + ' ';
+                return;
+            }
+
+            const full = (pending + content).trim();
+            pending = '';
+            if (!full) return;
+
+            const [keyword, ...args] = full.split(/\s+/);
+            statements.push({ keyword, args, line: startLine });
+        });
+
+        return statements;
+    },
+
+    /**
+     * Parses a finite number
+     * @private
+     */
+    _number(token, line) {
+        const value = Number(token);
+        if (!Number.isFinite(value)) {
+            throw new ObjParseError(`Invalid number "${token}"`, line);
+        }
+        return value;
+    },
+
+    /**
+     * Resolves one `v/vt/vn` face token to 0-based vertex and texture
+     * coordinate indices, validating any normal reference along the way
+     * @private
+     * @returns {Object} { vertex, uv } where uv is null without a `vt` part
+     */
+    _faceVertex(token, vertexCount, uvCount, normalCount, line) {
+        const [v, vt, vn] = token.split('/');
+        const uv = vt ? this._resolveIndex(vt, uvCount, 'texture coordinate', line) : null;
+        if (vn) this._resolveIndex(vn, normalCount, 'normal', line);
+        return { vertex: this._resolveIndex(v, vertexCount, 'vertex', line), uv };
+    },
+
+    /**
+     * Converts a 1-based (or negative, relative) OBJ index to 0-based
+     * @private
+     */
+    _resolveIndex(token, count, kind, line) {
+        const index = Number(token);
+        if (!Number.isInteger(index) || index === 0) {
+            throw new ObjParseError(`Invalid ${kind} index "${token}"`, line);
+        }
+
+        const resolved = index > 0 ? index - 1 : count + index;
+        if (resolved < 0 || resolved >= count) {
+            throw new ObjParseError(`${kind[0].toUpperCase()}${kind.slice(1)} index ${index} out of range (${count} defined)`, line);
+        }
+        return resolved;
+    },
+
+    /**
+     * Removes corners that repeat their neighbour's vertex (including the wrap-around)
+     * @private
+     */
+    _dedupe(corners) {
+        const result = corners.filter((corner, k) =>
+            corner.vertex !== corners[(k + corners.length - 1) % corners.length].vertex
+        );
+        return result.length > 0 ? result : corners.slice(0, 1);
+    },
+
+    /**
+     * Collects each undirected edge of the faces and polylines once
+     * @private
+     */
+    _uniqueEdges(faces, lines) {
+        const seen = new Set();
+        const edges = [];
+        const add = (a, b) => {
+            if (a === b) return;
+            const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            edges.push([a, b]);
+        };
+
+        faces.forEach(face => {
+            face.forEach((a, k) => add(a, face[(k + 1) % face.length]));
+        });
+        lines.forEach(polyline => {
+            for (let k = 0; k < polyline.length - 1; k++) {
+                add(polyline[k], polyline[k + 1]);
+            }
+        });
+
+        return edges;
+    }
+};
+
+/* ============================================
+ * EXPORTS
+ * ============================================ */
+
+export { ObjLoader, ObjParseError };
@@ -0,0 +1,432 @@
+/**
+ * @fileoverview Orbit, pan and zoom controls for the 3D Renderer
+ * @description Turns mouse, wheel and touch input on a canvas into object
+ * rotation, translation and camera zoom, with optional inertia.
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+import { Vector3, Quaternion } from './math.js';
+
+/* ============================================
+ * ORBIT CONTROLS CLASS
+ * ============================================ */
+
+/**
+ * @class OrbitControls
+ * @description Pointer-driven view controls.
+ * - Left-drag orbits (rotation X/Y in degrees), or in 'arcball' rotate mode
+ *   turns the object freely as if grabbing a ball around it (orientation)
+ * - Right-drag or Shift-drag pans (world-space translation X/Y/Z, along the
+ *   camera's screen axes so a top or side view pans the way it looks)
+ * - Wheel or pinch zooms the camera
+ *
+ * With several viewports on one canvas, pickCamera chooses the camera under
+ * the pointer when a drag or wheel starts; the arcball then fills that
+ * camera's viewport.
+ *
+ * The controls own a small state object mirroring the transform sliders.
+ * Call setState() when the sliders change and listen to onChange to write
+ * the controls' result back to them.
+ */
+class OrbitControls {
+    /**
+     * @param {HTMLElement} element - Element receiving pointer input (the canvas)
+     * @param {Object} [options]
+     * @param {Camera} [options.camera=null] - Camera whose zoom is driven by wheel/pinch
+     * @param {Function} [options.pickCamera=null] - (x, y) => Camera|null for a point in
+     *   canvas pixels; when set, each drag or wheel acts on the camera it returns
+     * @param {Function} [options.onChange=null] - Called with the state after every change
+     * @param {Object} [options.limits={}] - Optional [min, max] per state key
+     * @param {number} [options.rotateSpeed=0.5] - Degrees per dragged pixel
+     * @param {number} [options.panSpeed=1] - Multiplier on pan distance; 1 keeps the target plane under the pointer
+     * @param {number} [options.zoomSpeed=0.001] - Zoom change per wheel delta unit
+     * @param {boolean} [options.inertia=true] - Keep moving after release
+     * @param {number} [options.damping=0.9] - Velocity kept per 16ms frame while coasting
+     * @param {string} [options.rotateMode='orbit'] - 'orbit' (Euler X/Y) | 'arcball' (free orientation)
+     */
+    constructor(element, {
+        camera = null,
+        pickCamera = null,
+        onChange = null,
+        limits = {},
+        rotateSpeed = 0.5,
+        panSpeed = 1,
+        zoomSpeed = 0.001,
+        inertia = true,
+        damping = 0.9,
+        rotateMode = 'orbit'
+    } = {}) {
+        /** @private {HTMLElement} */
+        this._element = element;
+
+        this.camera = camera;
+        this.pickCamera = pickCamera;
+        this.onChange = onChange;
+        this.limits = limits;
+        this.rotateSpeed = rotateSpeed;
+        this.panSpeed = panSpeed;
+        this.zoomSpeed = zoomSpeed;
+        this.inertia = inertia;
+        this.damping = damping;
+        this.rotateMode = rotateMode;
+        this.minZoom = 0.1;
+        this.maxZoom = 10;
+
+        /** @private {Object} Transform values driven by the controls */
+        this._state = {
+            rotationX: 0,
+            rotationY: 0,
+            translateX: 0,
+            translateY: 0,
+            translateZ: 0,
+            orientation: new Quaternion()
+        };
+
+        /** @private {Map<number, Object>} Active pointers by id */
+        this._pointers = new Map();
+
+        /** @private {string|null} 'orbit' | 'pan' | 'pinch' */
+        this._mode = null;
+
+        /** @private {string|null} Mode that keeps moving after release */
+        this._coastMode = null;
+
+        /** @private {Object|null} Last pinch midpoint and spread */
+        this._pinch = null;
+
+        /** @private {Object|null} Last pointer position, where arcball drags end */
+        this._lastPointer = null;
+
+        /** @private {Object} Drag velocity in pixels per millisecond */
+        this._velocity = { x: 0, y: 0 };
+
+        /** @private {number} Timestamp of the last pointer move */
+        this._lastMoveTime = 0;
+
+        /** @private {number} Timestamp of the last update() call */
+        this._lastUpdateTime = 0;
+
+        /** @private {Object} Bound listeners, kept for dispose() */
+        this._handlers = {
+            pointerdown: e => this._onPointerDown(e),
+            pointermove: e => this._onPointerMove(e),
+            pointerup: e => this._onPointerUp(e),
+            pointercancel: e => this._onPointerUp(e),
+            wheel: e => this._onWheel(e),
+            contextmenu: e => e.preventDefault()
+        };
+
+        Object.entries(this._handlers).forEach(([type, handler]) => {
+            this._element.addEventListener(type, handler, { passive: false });
+        });
+    }
+
+    /* ----------------------------------------
+     * STATE
+     * ---------------------------------------- */
+
+    get state() { return { ...this._state }; }
+
+    get isDragging() { return this._mode !== null; }
+
+    /**
+     * Overwrites part of the state, e.g. after a slider moved
+     * @param {Object} values - Subset of { rotationX, rotationY, translateX, translateY, translateZ, orientation }
+     */
+    setState(values) {
+        Object.keys(this._state).forEach(key => {
+            if (typeof values[key] === 'number') {
+                this._state[key] = values[key];
+            }
+        });
+        if (values.orientation) {
+            this._state.orientation = values.orientation;
+        }
+    }
+
+    /**
+     * Stops any coasting motion
+     */
+    stop() {
+        this._velocity = { x: 0, y: 0 };
+    }
+
+    /**
+     * Removes all event listeners from the element
+     */
+    dispose() {
+        Object.entries(this._handlers).forEach(([type, handler]) => {
+            this._element.removeEventListener(type, handler);
+        });
+        this._pointers.clear();
+        this._mode = null;
+    }
+
+    /* ----------------------------------------
+     * ANIMATION
+     * ---------------------------------------- */
+
+    /**
+     * Applies inertia; call once per frame
+     * @param {number} [now=Date.now()] - Current time in milliseconds
+     * @returns {boolean} True if the state changed
+     */
+    update(now = Date.now()) {
+        const dt = this._lastUpdateTime ? Math.min(now - this._lastUpdateTime, 100) : 16;
+        this._lastUpdateTime = now;
+
+        if (!this.inertia || this.isDragging || !this._coastMode) return false;
+
+        const speed = Math.abs(this._velocity.x) + Math.abs(this._velocity.y);
+        if (speed < 0.001) {
+            this.stop();
+            this._coastMode = null;
+            return false;
+        }
+
+        this._applyDrag(this._coastMode, this._velocity.x * dt, this._velocity.y * dt);
+
+        const decay = Math.pow(this.damping, dt / 16);
+        this._velocity.x *= decay;
+        this._velocity.y *= decay;
+        return true;
+    }
+
+    /* ----------------------------------------
+     * TRANSFORMS
+     * ---------------------------------------- */
+
+    /**
+     * Applies a drag of (dx, dy) pixels in the given mode
+     * @private
+     */
+    _applyDrag(mode, dx, dy) {
+        if (mode === 'orbit') {
+            // Positive slider angles turn the front of the object right/down,
+            // so dragging right/down adds to follow the pointer
+            this._state.rotationY = this._wrapAngle(this._state.rotationY + dx * this.rotateSpeed);
+            this._state.rotationX = this._wrapAngle(this._state.rotationX + dy * this.rotateSpeed);
+        } else if (mode === 'arcball') {
+            // Turn the ball point under the previous pointer position onto the current one
+            const end = this._lastPointer;
+            if (!end) return;
+            const from = this._arcballVector(end.x - dx, end.y - dy);
+            const to = this._arcballVector(end.x, end.y);
+            const turn = Quaternion.fromUnitVectors(from, to);
+            this._state.orientation = turn.multiply(this._state.orientation).normalize();
+        } else if (mode === 'pan') {
+            // Screen Y grows downwards while the camera's up axis points up.
+            // Pixels per unit at the target are focalLength / distance
+            const unitsPerPixel = this.panSpeed * (this.camera ? this.camera.distance / this.camera.focalLength : 1);
+            const move = this._viewToWorld(new Vector3(dx * unitsPerPixel, -dy * unitsPerPixel, 0));
+            this._state.translateX = this._clamp('translateX', this._state.translateX + move.x);
+            this._state.translateY = this._clamp('translateY', this._state.translateY + move.y);
+            this._state.translateZ = this._clamp('translateZ', this._state.translateZ + move.z);
+        }
+        this._emitChange();
+    }
+
+    /**
+     * Maps a pointer position onto the arcball: a unit sphere filling the
+     * element, blended into a hyperbolic sheet outside it so dragging past
+     * the edge still turns smoothly (Bell's trackball)
+     * @private
+     * @param {number} clientX - Pointer X in client pixels
+     * @param {number} clientY - Pointer Y in client pixels
+     * @returns {Vector3} Unit vector in world space
+     */
+    _arcballVector(clientX, clientY) {
+        const rect = this._viewportRect();
+        const radius = Math.max(1, Math.min(rect.width, rect.height) / 2);
+        const x = (clientX - rect.left - rect.width / 2) / radius;
+        const y = (rect.top + rect.height / 2 - clientY) / radius;
+        const d2 = x * x + y * y;
+        const z = d2 <= 0.5 ? Math.sqrt(1 - d2) : 0.5 / Math.sqrt(d2);
+        return this._viewToWorld(new Vector3(x, y, z).normalize());
+    }
+
+    /**
+     * Client rectangle of the camera's viewport, or of the whole element
+     * @private
+     * @returns {Object} { left, top, width, height } in client pixels
+     */
+    _viewportRect() {
+        const rect = this._element.getBoundingClientRect();
+        const viewport = this.camera?.viewport;
+        if (!viewport || !(this._element.width > 0 && this._element.height > 0)) return rect;
+
+        // Canvas pixels may be scaled by CSS
+        const scaleX = rect.width / this._element.width;
+        const scaleY = rect.height / this._element.height;
+        return {
+            left: rect.left + viewport.x * scaleX,
+            top: rect.top + viewport.y * scaleY,
+            width: viewport.width * scaleX,
+            height: viewport.height * scaleY
+        };
+    }
+
+    /**
+     * Makes the camera under the pointer the one being controlled
+     * @private
+     */
+    _pickCamera(event) {
+        if (!this.pickCamera) return;
+
+        const rect = this._element.getBoundingClientRect();
+        const scaleX = this._element.width > 0 && rect.width > 0 ? this._element.width / rect.width : 1;
+        const scaleY = this._element.height > 0 && rect.height > 0 ? this._element.height / rect.height : 1;
+        const camera = this.pickCamera((event.clientX - rect.left) * scaleX, (event.clientY - rect.top) * scaleY);
+        if (camera) this.camera = camera;
+    }
+
+    /**
+     * Rotates a screen-aligned direction (X right, Y up, Z toward the viewer)
+     * into world space; without a camera the two are the same
+     * @private
+     */
+    _viewToWorld(direction) {
+        return this.camera ? this.camera.viewToWorldDirection(direction) : direction;
+    }
+
+    /**
+     * Multiplies the camera zoom by a factor
+     * @private
+     */
+    _applyZoom(factor) {
+        if (!this.camera) return;
+
+        this.camera.zoom = Math.min(this.maxZoom, Math.max(this.minZoom, this.camera.zoom * factor));
+        this.camera.update();
+        this._emitChange();
+    }
+
+    /**
+     * Wraps an angle into [0, 360) to match the rotation sliders
+     * @private
+     */
+    _wrapAngle(angle) {
+        return ((angle % 360) + 360) % 360;
+    }
+
+    /**
+     * Clamps a state value to its configured limits
+     * @private
+     */
+    _clamp(key, value) {
+        const range = this.limits[key];
+        if (!range) return value;
+        return Math.min(range[1], Math.max(range[0], value));
+    }
+
+    /**
+     * Notifies the onChange listener
+     * @private
+     */
+    _emitChange() {
+        if (this.onChange) {
+            this.onChange({ ...this._state, zoom: this.camera?.zoom ?? 1 });
+        }
+    }
+
+    /* ----------------------------------------
+     * EVENT HANDLERS
+     * ---------------------------------------- */
+
+    _onPointerDown(event) {
+        this._element.setPointerCapture?.(event.pointerId);
+        this._pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        this.stop();
+        this._coastMode = null;
+
+        if (this._pointers.size === 2) {
+            this._mode = 'pinch';
+            this._pinch = this._pinchMetrics();
+        } else if (this._pointers.size === 1) {
+            this._pickCamera(event);
+            const rotate = this.rotateMode === 'arcball' ? 'arcball' : 'orbit';
+            this._mode = (event.button === 2 || event.shiftKey) ? 'pan' : rotate;
+            this._lastPointer = { x: event.clientX, y: event.clientY };
+        }
+
+        this._lastMoveTime = event.timeStamp ?? Date.now();
+        event.preventDefault();
+    }
+
+    _onPointerMove(event) {
+        const pointer = this._pointers.get(event.pointerId);
+        if (!pointer || !this._mode) return;
+
+        const dx = event.clientX - pointer.x;
+        const dy = event.clientY - pointer.y;
+        pointer.x = event.clientX;
+        pointer.y = event.clientY;
+
+        if (this._mode === 'pinch') {
+            if (this._pointers.size < 2) return;
+            const pinch = this._pinchMetrics();
+            if (this._pinch.distance > 0) {
+                this._applyZoom(pinch.distance / this._pinch.distance);
+            }
+            this._applyDrag('pan', pinch.x - this._pinch.x, pinch.y - this._pinch.y);
+            this._pinch = pinch;
+            return;
+        }
+
+        // Track a smoothed velocity for inertia
+        const now = event.timeStamp ?? Date.now();
+        const dt = Math.max(1, now - this._lastMoveTime);
+        this._lastMoveTime = now;
+        this._velocity.x = this._velocity.x * 0.2 + (dx / dt) * 0.8;
+        this._velocity.y = this._velocity.y * 0.2 + (dy / dt) * 0.8;
+
+        this._lastPointer = { x: event.clientX, y: event.clientY };
+        this._applyDrag(this._mode, dx, dy);
+    }
+
+    _onPointerUp(event) {
+        this._element.releasePointerCapture?.(event.pointerId);
+        this._pointers.delete(event.pointerId);
+
+        if (this._mode === 'pinch') {
+            // Lifting one finger of a pinch should not start an orbit
+            this._mode = null;
+            if (this._pointers.size === 0) this.stop();
+            return;
+        }
+
+        if (this._pointers.size === 0) {
+            // A pause before release means the user stopped on purpose
+            const idle = (event.timeStamp ?? Date.now()) - this._lastMoveTime;
+            this._coastMode = idle < 80 ? this._mode : null;
+            this._mode = null;
+        }
+    }
+
+    _onWheel(event) {
+        event.preventDefault();
+        this._pickCamera(event);
+        this._applyZoom(Math.exp(-event.deltaY * this.zoomSpeed));
+    }
+
+    /**
+     * Midpoint and spread of the two active pointers
+     * @private
+     */
+    _pinchMetrics() {
+        const [a, b] = [...this._pointers.values()];
+        return {
+            x: (a.x + b.x) / 2,
+            y: (a.y + b.y) / 2,
+            distance: Math.hypot(b.x - a.x, b.y - a.y)
+        };
+    }
+}
+
+/* ============================================
+ * EXPORTS
+ * ============================================ */
+
+export { OrbitControls };
@@ -0,0 +1,323 @@
+/**
+ * @fileoverview Software z-buffer rasterizer for the 3D Renderer
+ * @description Draws depth-tested triangles, lines and points into an RGBA
+ * pixel buffer with a per-pixel depth buffer, then blits the result to a
+ * canvas with putImageData. Used by Renderer3D when settings.backend is 'zbuffer'.
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+/* ============================================
+ * RASTERIZER CLASS
+ * ============================================ */
+
+/**
+ * @class Rasterizer
+ * @description Pure-JS rasterizer with a depth buffer.
+ *
+ * Every vertex passed in is { x, y, w, depthKey, color } where x/y are canvas
+ * pixels, w is the projective divisor (the distance in front of the camera
+ * for a perspective view) and color is { r, g, b } (0-255). Colors and texture
+ * coordinates are interpolated perspective-correctly through 1/w.
+ * The depth buffer stores depthKey, a depth value that is linear in screen
+ * space so its interpolation is exact; it defaults to 1/w, which is such a
+ * value for a perspective view (see Camera#depthTerms for other projections).
+ * Larger values are nearer; the buffer clears to -Infinity (infinitely far).
+ */
+class Rasterizer {
+    /**
+     * @param {number} width - Buffer width in pixels
+     * @param {number} height - Buffer height in pixels
+     */
+    constructor(width, height) {
+        /** Relative depth bias that keeps lines and points on top of coplanar faces */
+        this.lineDepthBias = 1e-3;
+
+        /** @private {ImageData|null} Cached ImageData used by blit() */
+        this._imageData = null;
+
+        /** @private {Object|null} Scissor rectangle { x, y, width, height }; null draws anywhere */
+        this._scissor = null;
+
+        this.resize(width, height);
+    }
+
+    /**
+     * Reallocates the buffers when the size changes
+     * @param {number} width - Buffer width in pixels
+     * @param {number} height - Buffer height in pixels
+     */
+    resize(width, height) {
+        width = Math.max(1, Math.floor(width));
+        height = Math.max(1, Math.floor(height));
+        if (width === this.width && height === this.height) return;
+
+        this.width = width;
+        this.height = height;
+
+        /** RGBA pixels, in the same layout as ImageData#data */
+        this.color = new Uint8ClampedArray(width * height * 4);
+
+        /** Depth key per pixel; -Infinity means empty */
+        this.depth = new Float32Array(width * height).fill(-Infinity);
+
+        this.setScissor(this._scissor);
+    }
+
+    /**
+     * Limits drawing to a rectangle, like a viewport sharing the buffer
+     * @param {Object|null} rect - { x, y, width, height } in pixels, or null for the whole buffer
+     */
+    setScissor(rect) {
+        this._scissor = rect;
+
+        /** @private Inclusive pixel bounds that drawing is limited to */
+        this._bounds = {
+            minX: Math.max(0, rect ? Math.ceil(rect.x) : 0),
+            minY: Math.max(0, rect ? Math.ceil(rect.y) : 0),
+            maxX: Math.min(this.width, rect ? Math.floor(rect.x + rect.width) : this.width) - 1,
+            maxY: Math.min(this.height, rect ? Math.floor(rect.y + rect.height) : this.height) - 1
+        };
+    }
+
+    /**
+     * Clears the color and depth buffers
+     * @param {Object|null} [background=null] - Fill color { r, g, b }, or null for transparent
+     */
+    clear(background = null) {
+        this.depth.fill(-Infinity);
+
+        if (!background) {
+            this.color.fill(0);
+            return;
+        }
+
+        const { r, g, b } = background;
+        for (let i = 0; i < this.color.length; i += 4) {
+            this.color[i] = r;
+            this.color[i + 1] = g;
+            this.color[i + 2] = b;
+            this.color[i + 3] = 255;
+        }
+    }
+
+    /**
+     * Clears only the depth buffer, so what is drawn next lands on top of
+     * everything drawn so far
+     */
+    clearDepth() {
+        this.depth.fill(-Infinity);
+    }
+
+    /* ----------------------------------------
+     * PRIMITIVES
+     * ---------------------------------------- */
+
+    /**
+     * Fills a triangle with interpolated depth and color. With a texture the
+     * vertices also carry { u, v }, and each pixel is the sampled texel
+     * multiplied by the interpolated color (so white leaves it unchanged).
+     * @param {Object} a - Vertex { x, y, w, depthKey, color }
+     * @param {Object} b - Vertex { x, y, w, depthKey, color }
+     * @param {Object} c - Vertex { x, y, w, depthKey, color }
+     * @param {Texture|null} [texture=null] - Texture to map
+     * @param {string} [filter='nearest'] - Texture filter, 'nearest' | 'bilinear'
+     * @param {number} [alpha=1] - Opacity; translucent triangles blend and do not write depth
+     */
+    drawTriangle(a, b, c, texture = null, filter = 'nearest', alpha = 1) {
+        const area = (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+        if (!Number.isFinite(area) || Math.abs(area) < 1e-9) return;
+
+        const bounds = this._bounds;
+        const minX = Math.max(bounds.minX, Math.floor(Math.min(a.x, b.x, c.x)));
+        const maxX = Math.min(bounds.maxX, Math.ceil(Math.max(a.x, b.x, c.x)));
+        const minY = Math.max(bounds.minY, Math.floor(Math.min(a.y, b.y, c.y)));
+        const maxY = Math.min(bounds.maxY, Math.ceil(Math.max(a.y, b.y, c.y)));
+        if (minX > maxX || minY > maxY) return;
+
+        // Per-vertex 1/w and color/w for perspective-correct interpolation
+        const iwA = 1 / a.w, iwB = 1 / b.w, iwC = 1 / c.w;
+        const keyA = a.depthKey ?? iwA, keyB = b.depthKey ?? iwB, keyC = c.depthKey ?? iwC;
+        const ca = a.color, cb = b.color, cc = c.color;
+
+        for (let y = minY; y <= maxY; y++) {
+            const py = y + 0.5;
+            for (let x = minX; x <= maxX; x++) {
+                const px = x + 0.5;
+
+                // Barycentric weights from edge functions
+                const l0 = ((b.x - px) * (c.y - py) - (b.y - py) * (c.x - px)) / area;
+                const l1 = ((c.x - px) * (a.y - py) - (c.y - py) * (a.x - px)) / area;
+                const l2 = 1 - l0 - l1;
+                if (l0 < 0 || l1 < 0 || l2 < 0) continue;
+
+                const key = l0 * keyA + l1 * keyB + l2 * keyC;
+                const index = y * this.width + x;
+                if (key <= this.depth[index]) continue;
+                if (alpha >= 1) this.depth[index] = key;
+
+                const iw = l0 * iwA + l1 * iwB + l2 * iwC;
+                const k0 = l0 * iwA / iw;
+                const k1 = l1 * iwB / iw;
+                const k2 = l2 * iwC / iw;
+                let red = k0 * ca.r + k1 * cb.r + k2 * cc.r;
+                let green = k0 * ca.g + k1 * cb.g + k2 * cc.g;
+                let blue = k0 * ca.b + k1 * cb.b + k2 * cc.b;
+
+                if (texture) {
+                    const texel = texture.sample(
+                        k0 * a.u + k1 * b.u + k2 * c.u,
+                        k0 * a.v + k1 * b.v + k2 * c.v,
+                        filter
+                    );
+                    red *= texel.r / 255;
+                    green *= texel.g / 255;
+                    blue *= texel.b / 255;
+                }
+
+                this._writePixel(index, red, green, blue, alpha);
+            }
+        }
+    }
+
+    /**
+     * Draws a depth-tested line. Opaque lines write a slightly biased depth
+     * so coplanar faces drawn later do not cover them.
+     * @param {Object} a - Start vertex { x, y, w, depthKey }
+     * @param {Object} b - End vertex { x, y, w, depthKey }
+     * @param {Object} color - Line color { r, g, b }
+     * @param {number} [width=1] - Line width in pixels
+     * @param {number} [alpha=1] - Opacity; translucent lines do not write depth
+     * @param {Array<number>|null} [dash=null] - Dash pattern [on, off] in pixels
+     */
+    drawLine(a, b, color, width = 1, alpha = 1, dash = null) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const steps = Math.ceil(Math.max(Math.abs(dx), Math.abs(dy)));
+        if (!Number.isFinite(steps)) return;
+
+        const keyA = a.depthKey ?? 1 / a.w;
+        const keyB = b.depthKey ?? 1 / b.w;
+        const half = (Math.max(1, Math.round(width)) - 1) / 2;
+        const length = Math.hypot(dx, dy);
+        const period = dash ? dash[0] + dash[1] : 0;
+
+        for (let i = 0; i <= steps; i++) {
+            const t = steps === 0 ? 0 : i / steps;
+            if (period > 0 && (t * length) % period >= dash[0]) continue;
+            const key = keyA + (keyB - keyA) * t;
+            this._stamp(a.x + dx * t, a.y + dy * t, half, key, color, alpha);
+        }
+    }
+
+    /**
+     * Draws a depth-tested filled circle
+     * @param {Object} center - Center { x, y, w, depthKey }
+     * @param {number} radius - Radius in pixels
+     * @param {Object} color - Fill color { r, g, b }
+     * @param {number} [alpha=1] - Opacity; translucent points do not write depth
+     */
+    drawPoint(center, radius, color, alpha = 1) {
+        const key = center.depthKey ?? 1 / center.w;
+        const bounds = this._bounds;
+        const minX = Math.max(bounds.minX, Math.floor(center.x - radius));
+        const maxX = Math.min(bounds.maxX, Math.ceil(center.x + radius));
+        const minY = Math.max(bounds.minY, Math.floor(center.y - radius));
+        const maxY = Math.min(bounds.maxY, Math.ceil(center.y + radius));
+
+        for (let y = minY; y <= maxY; y++) {
+            for (let x = minX; x <= maxX; x++) {
+                const ox = x + 0.5 - center.x;
+                const oy = y + 0.5 - center.y;
+                if (ox * ox + oy * oy > radius * radius) continue;
+                this._plot(x, y, key, color, alpha);
+            }
+        }
+    }
+
+    /* ----------------------------------------
+     * OUTPUT
+     * ---------------------------------------- */
+
+    /**
+     * Copies the color buffer onto a 2D context
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     */
+    blit(ctx) {
+        const image = this._imageData;
+        if (!image || image.width !== this.width || image.height !== this.height) {
+            this._imageData = ctx.createImageData(this.width, this.height);
+        }
+        this._imageData.data.set(this.color);
+        ctx.putImageData(this._imageData, 0, 0);
+    }
+
+    /* ----------------------------------------
+     * HELPERS
+     * ---------------------------------------- */
+
+    /**
+     * Plots a square of pixels around a point
+     * @private
+     */
+    _stamp(cx, cy, half, key, color, alpha) {
+        const minX = Math.round(cx - half - 0.5);
+        const minY = Math.round(cy - half - 0.5);
+        const size = Math.round(half * 2) + 1;
+
+        for (let y = minY; y < minY + size; y++) {
+            for (let x = minX; x < minX + size; x++) {
+                this._plot(x, y, key, color, alpha);
+            }
+        }
+    }
+
+    /**
+     * Depth-tests and writes one line or point pixel
+     * @private
+     */
+    _plot(x, y, key, color, alpha) {
+        const bounds = this._bounds;
+        if (x < bounds.minX || y < bounds.minY || x > bounds.maxX || y > bounds.maxY) return;
+
+        const index = y * this.width + x;
+        const biased = key + Math.abs(key) * this.lineDepthBias;
+        if (biased < this.depth[index]) return;
+
+        if (alpha >= 1) this.depth[index] = biased;
+        this._writePixel(index, color.r, color.g, color.b, alpha);
+    }
+
+    /**
+     * Writes (or alpha-blends) an RGB value into the color buffer
+     * @private
+     */
+    _writePixel(index, r, g, b, alpha) {
+        const i = index * 4;
+        const data = this.color;
+
+        if (alpha >= 1) {
+            data[i] = r;
+            data[i + 1] = g;
+            data[i + 2] = b;
+            data[i + 3] = 255;
+            return;
+        }
+
+        // Source-over onto whatever is already there
+        const dstAlpha = data[i + 3] / 255;
+        const outAlpha = alpha + dstAlpha * (1 - alpha);
+        const mix = (src, dst) => (src * alpha + dst * dstAlpha * (1 - alpha)) / outAlpha;
+        data[i] = mix(r, data[i]);
+        data[i + 1] = mix(g, data[i + 1]);
+        data[i + 2] = mix(b, data[i + 2]);
+        data[i + 3] = outAlpha * 255;
+    }
+}
+
+/* ============================================
+ * EXPORTS
+ * ============================================ */
+
+export { Rasterizer };
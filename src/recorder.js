@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Canvas recording for the 3D Renderer
+ * @description Live WebM capture of the render loop with MediaRecorder, and
+ * deterministic offline GIF rendering at a fixed time step.
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+import { GifEncoder } from './gif_encoder.js';
+
+/* ============================================
+ * VIDEO RECORDER CLASS
+ * ============================================ */
+
+/**
+ * @class VideoRecorder
+ * @description Records whatever is drawn on a canvas, in real time, to a
+ * WebM video using canvas.captureStream() and MediaRecorder.
+ */
+class VideoRecorder {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to capture
+     * @param {Object} [options]
+     * @param {number} [options.fps=30] - Capture frame rate
+     * @param {number} [options.videoBitsPerSecond=5000000] - Target bitrate
+     * @param {string|null} [options.mimeType=null] - Container/codec; null picks the best WebM type
+     */
+    constructor(canvas, { fps = 30, videoBitsPerSecond = 5000000, mimeType = null } = {}) {
+        this.canvas = canvas;
+        this.fps = fps;
+        this.videoBitsPerSecond = videoBitsPerSecond;
+        this.mimeType = mimeType || VideoRecorder.pickMimeType();
+
+        /** @private {MediaRecorder|null} */
+        this._recorder = null;
+
+        /** @private {Array<Blob>} Recorded data so far */
+        this._chunks = [];
+    }
+
+    /**
+     * Whether the browser can record a canvas
+     * @param {HTMLCanvasElement} canvas - Canvas to capture
+     * @returns {boolean}
+     */
+    static isSupported(canvas) {
+        return typeof MediaRecorder !== 'undefined' && typeof canvas?.captureStream === 'function';
+    }
+
+    /**
+     * Best WebM type the browser can record
+     * @returns {string} MIME type, or '' to let MediaRecorder choose
+     */
+    static pickMimeType() {
+        if (typeof MediaRecorder === 'undefined') return '';
+
+        const candidates = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+        return candidates.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    /**
+     * @returns {boolean} True between start() and stop()
+     */
+    get recording() {
+        return this._recorder !== null;
+    }
+
+    /**
+     * Starts capturing
+     * @throws {Error} If recording is not supported or already running
+     */
+    start() {
+        if (!VideoRecorder.isSupported(this.canvas)) {
+            throw new Error('This browser cannot record a canvas (needs MediaRecorder and captureStream)');
+        }
+        if (this._recorder) {
+            throw new Error('Recording is already running');
+        }
+
+        const stream = this.canvas.captureStream(this.fps);
+        const options = { videoBitsPerSecond: this.videoBitsPerSecond };
+        if (this.mimeType) options.mimeType = this.mimeType;
+
+        this._chunks = [];
+        this._recorder = new MediaRecorder(stream, options);
+        this._recorder.addEventListener('dataavailable', (event) => {
+            if (event.data?.size > 0) this._chunks.push(event.data);
+        });
+        this._recorder.start();
+    }
+
+    /**
+     * Stops capturing
+     * @returns {Promise<Blob>} The recorded video
+     * @throws {Error} If no recording is running
+     */
+    stop() {
+        const recorder = this._recorder;
+        if (!recorder) {
+            return Promise.reject(new Error('No recording is running'));
+        }
+        this._recorder = null;
+
+        return new Promise((resolve) => {
+            recorder.addEventListener('stop', () => {
+                recorder.stream.getTracks().forEach(track => track.stop());
+                resolve(new Blob(this._chunks, { type: recorder.mimeType || this.mimeType || 'video/webm' }));
+                this._chunks = [];
+            }, { once: true });
+            recorder.stop();
+        });
+    }
+}
+
+/* ============================================
+ * GIF RECORDER
+ * ============================================ */
+
+/**
+ * @namespace GifRecorder
+ * @description Renders an animation frame by frame at a fixed time step and
+ * encodes it as an animated GIF. The caller moves the scene to each frame's
+ * time, so the result depends only on the frame count and rate, never on how
+ * fast the machine renders.
+ */
+const GifRecorder = {
+    /** Highest GIF frame rate; every frame then lasts at least two hundredths */
+    MAX_FPS: 50,
+
+    /**
+     * Renders and encodes frames
+     * @param {Object} options
+     * @param {number} options.width - Frame width in pixels
+     * @param {number} options.height - Frame height in pixels
+     * @param {number} options.frames - Number of frames
+     * @param {number} [options.fps=20] - Frames per second of animation time
+     * @param {Function} options.renderFrame - (time, index) => void; draws the scene at time seconds
+     * @param {Function} options.capture - () => ImageData (or { data }) of the drawn frame
+     * @param {string} [options.background='#ffffff'] - Color behind transparent pixels
+     * @param {number} [options.repeat=0] - Times to repeat; 0 loops forever
+     * @param {Function} [options.onProgress=null] - (done, total) => void, called after each frame
+     * @returns {Promise<Uint8Array>} GIF bytes
+     * @throws {RangeError} If fps is outside 0-50 (see frameDelay())
+     */
+    async record({
+        width, height, frames, fps = 20,
+        renderFrame, capture,
+        background = '#ffffff', repeat = 0, onProgress = null
+    }) {
+        if (!(frames >= 1)) {
+            throw new Error(`GIF needs at least one frame, got ${frames}`);
+        }
+        this._checkFps(fps);
+
+        const encoder = new GifEncoder(width, height, { background, repeat });
+
+        for (let i = 0; i < frames; i++) {
+            renderFrame(i / fps, i);
+            encoder.addFrame(capture().data, this.frameDelay(i, fps));
+            onProgress?.(i + 1, frames);
+
+            // Let the page repaint between frames
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        return encoder.finish();
+    },
+
+    /**
+     * Delay of one frame in milliseconds. GIF delays are whole hundredths
+     * of a second, so frame ends are rounded on the timeline rather than per
+     * frame; this keeps the total length exact at rates like 30 FPS.
+     * Browsers play delays under two hundredths as a tenth of a second, so
+     * rates above MAX_FPS are rejected rather than played unevenly.
+     * @param {number} index - Frame number
+     * @param {number} fps - Frames per second
+     * @returns {number} Delay in milliseconds (a multiple of 10, at least 20)
+     * @throws {RangeError} If fps is not above 0 and at most MAX_FPS
+     */
+    frameDelay(index, fps) {
+        this._checkFps(fps);
+        const end = Math.round((index + 1) * 100 / fps);
+        const start = Math.round(index * 100 / fps);
+        return (end - start) * 10;
+    },
+
+    /**
+     * Throws unless a frame rate gives every frame a delay browsers honor
+     * @private
+     */
+    _checkFps(fps) {
+        if (!(fps > 0 && fps <= this.MAX_FPS)) {
+            throw new RangeError(`GIF frame rate must be above 0 and at most ${this.MAX_FPS} FPS, got ${fps}`);
+        }
+    }
+};
+
+/* ============================================
+ * EXPORTS
+ * ============================================ */
+
+export { VideoRecorder, GifRecorder };
@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Command-line renderer for the 3D Renderer
+ * @description Renders a built-in shape with the given transform to a PNG
+ * or PPM file, headlessly in Node.
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ *
+ * @example
+ * node src/render_cli.js torus --rotate 60,30,0 --mode solid --shading flat -o torus.png
+ */
+
+import { realpathSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { Shapes } from './shapes.js';
+import { Renderer3D } from './renderer.js';
+import { renderShape, writeImage } from './headless.js';
+
+/* ============================================
+ * OPTIONS
+ * ============================================ */
+
+const USAGE = `Usage: node render_cli.js <shape> [options]
+
+Renders a Shapes entry (cube, tetrahedron, octahedron, pyramid, prism,
+dodecahedron, torus, sphere, ...) to an image file.
+
+Options:
+  -o, --output <file>       Output file, .png or .ppm (default: <shape>.png)
+  --args <a,b,...>          Arguments for the shape generator, e.g. --args 80,30 for a torus
+  --rotate <x,y,z>          Rotation in degrees (default: 0,0,0)
+  --translate <x,y,z>       Translation in world units (default: 0,0,0)
+  --scale <x,y,z>           Scale factors; one number scales uniformly (default: 1)
+  --size <width>x<height>   Image size in pixels (default: 500x400)
+  --mode <mode>             wireframe | hidden-line | solid | solid-wireframe (default: wireframe)
+  --shading <model>         none | flat | gouraud (default: none)
+  --projection <type>       perspective | orthographic (default: perspective)
+  --view <name>             front | back | top | bottom | left | right | isometric | dimetric
+  --focal <length>          Focal length in pixels (default: 3000)
+  --line-width <pixels>     Edge width (default: 2)
+  --background <#rrggbb>    Background color (default: #ffffff)
+  --transparent             Keep the background transparent (PNG only)
+  --no-depth-coloring       Draw edges in the wireframe color instead of by depth
+  --axes                    Draw the coordinate axes
+  --grid                    Draw the reference grid
+  --vertices                Draw the vertices
+  --list                    List the available shapes
+  -h, --help                Show this help`;
+
+/**
+ * Parses a comma-separated list of numbers
+ * @param {string} text - e.g. "30,45,0"
+ * @param {string} name - Option name, for the error message
+ * @returns {Array<number>}
+ * @throws {Error} If any entry is not a number
+ */
+function parseNumbers(text, name) {
+    const values = String(text).split(',').map(Number);
+    if (values.some(value => !Number.isFinite(value))) {
+        throw new Error(`${name} expects comma-separated numbers, got "${text}"`);
+    }
+    return values;
+}
+
+/**
+ * Turns command-line arguments into renderShape() options
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { help, list, output, options }
+ * @throws {Error} On unknown or malformed options
+ */
+function parseArgs(argv) {
+    const result = {
+        help: false,
+        list: false,
+        output: null,
+        options: {
+            shape: null,
+            transform: {},
+            settings: { backgroundColor: '#ffffff' }
+        }
+    };
+    const { options } = result;
+    const { settings, transform } = options;
+
+    const args = [...argv];
+    const next = (name) => {
+        if (args.length === 0) throw new Error(`${name} needs a value`);
+        return args.shift();
+    };
+    const choice = (name, setting) => {
+        const value = next(name);
+        const allowed = Renderer3D.SETTING_VALUES[setting];
+        if (!allowed.includes(value)) {
+            throw new Error(`${name} expects one of ${allowed.join(', ')}, got "${value}"`);
+        }
+        return value;
+    };
+    const vector = (name, count = 3) => {
+        const values = parseNumbers(next(name), name);
+        if (values.length === 1) return Array(count).fill(values[0]);
+        if (values.length !== count) throw new Error(`${name} expects ${count} numbers`);
+        return values;
+    };
+
+    while (args.length > 0) {
+        const arg = args.shift();
+        switch (arg) {
+            case '-h':
+            case '--help':
+                result.help = true;
+                break;
+            case '--list':
+                result.list = true;
+                break;
+            case '-o':
+            case '--output':
+                result.output = next(arg);
+                break;
+            case '--args':
+                options.shapeArgs = parseNumbers(next(arg), arg);
+                break;
+            case '--rotate': {
+                const [x, y, z] = vector(arg);
+                Object.assign(transform, { rotationX: x, rotationY: y, rotationZ: z });
+                break;
+            }
+            case '--translate': {
+                const [x, y, z] = vector(arg);
+                Object.assign(transform, { translateX: x, translateY: y, translateZ: z });
+                break;
+            }
+            case '--scale': {
+                const [x, y, z] = vector(arg);
+                Object.assign(transform, { scaleX: x, scaleY: y, scaleZ: z });
+                break;
+            }
+            case '--size': {
+                const match = /^(\d+)x(\d+)$/.exec(next(arg));
+                if (!match) throw new Error('--size expects <width>x<height>, e.g. 800x600');
+                options.width = parseInt(match[1], 10);
+                options.height = parseInt(match[2], 10);
+                if (options.width === 0 || options.height === 0) {
+                    throw new Error(`--size needs a width and height of at least 1, got ${match[0]}`);
+                }
+                break;
+            }
+            case '--mode':
+                settings.renderMode = choice(arg, 'renderMode');
+                break;
+            case '--shading':
+                settings.shading = choice(arg, 'shading');
+                break;
+            case '--projection':
+                settings.projection = choice(arg, 'projection');
+                break;
+            case '--view':
+                options.view = next(arg);
+                break;
+            case '--focal':
+                [options.focalLength] = parseNumbers(next(arg), arg);
+                break;
+            case '--line-width':
+                [settings.lineWidth] = parseNumbers(next(arg), arg);
+                break;
+            case '--background': {
+                const color = next(arg);
+                if (!/^#[0-9a-f]{6}$/i.test(color)) {
+                    throw new Error(`${arg} expects a #rrggbb color, got "${color}"`);
+                }
+                settings.backgroundColor = color;
+                break;
+            }
+            case '--transparent':
+                settings.backgroundColor = null;
+                break;
+            case '--no-depth-coloring':
+                settings.depthColoring = false;
+                break;
+            case '--axes':
+                settings.showAxes = true;
+                break;
+            case '--grid':
+                settings.showGrid = true;
+                break;
+            case '--vertices':
+                settings.showVertices = true;
+                break;
+            default:
+                if (arg.startsWith('-')) throw new Error(`Unknown option ${arg}`);
+                if (options.shape) throw new Error(`Only one shape can be rendered, got "${options.shape}" and "${arg}"`);
+                options.shape = arg;
+        }
+    }
+
+    return result;
+}
+
+/* ============================================
+ * MAIN
+ * ============================================ */
+
+/**
+ * Runs the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {number} Exit code
+ */
+function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs(argv);
+    } catch (error) {
+        console.error(`render_cli: ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (parsed.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (parsed.list) {
+        console.log(Object.keys(Shapes).filter(name => typeof Shapes[name] === 'function').join('\n'));
+        return 0;
+    }
+    if (!parsed.options.shape) {
+        console.error(`render_cli: no shape given\n\n${USAGE}`);
+        return 2;
+    }
+
+    const output = parsed.output || `${parsed.options.shape}.png`;
+    let frame;
+    try {
+        frame = renderShape(parsed.options);
+        writeImage(output, frame, { background: parsed.options.settings.backgroundColor || '#ffffff' });
+    } catch (error) {
+        console.error(`render_cli: ${error.message}`);
+        return 1;
+    }
+
+    console.log(`Wrote ${output} (${frame.width}x${frame.height})`);
+    return 0;
+}
+
+// Run when executed directly, including through an npm bin link, but not when imported
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+/* ============================================
+ * EXPORTS
+ * ============================================ */
+
+export { parseArgs, main };
@@ -0,0 +1,2112 @@
+/**
+ * @fileoverview Pure JavaScript 3D Renderer Engine - Enhanced Edition
+ * @description A feature-rich 3D rendering engine with multiple shapes,
+ * depth-based coloring, scaling, and advanced mathematical transformations.
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+import { Vector3 } from './math.js';
+import { Shapes } from './shapes.js';
+import { ColorUtils, Material, Light } from './color.js';
+import { Camera, Viewport, Clipping } from './camera.js';
+import { Mesh, Scene } from './scene.js';
+import { Rasterizer } from './rasterizer.js';
+import { ScreenGeometry } from './screen_geometry.js';
+
+/* ============================================
+ * ENHANCED 3D RENDERER CLASS
+ * ============================================ */
+
+/**
+ * @class Renderer3D
+ * @description Advanced 3D rendering engine with multiple features
+ */
+class Renderer3D {
+    /**
+     * Values accepted by the settings that take one of a fixed set of names
+     * @type {Object<string, Array<string>>}
+     */
+    static SETTING_VALUES = Object.freeze({
+        renderMode: Object.freeze(['wireframe', 'hidden-line', 'solid', 'solid-wireframe']),
+        shading: Object.freeze(['none', 'flat', 'gouraud']),
+        projection: Object.freeze(['perspective', 'orthographic']),
+        hiddenLineStyle: Object.freeze(['hide', 'dashed', 'faded'])
+    });
+
+    /**
+     * Checks settings that take one of a fixed set of names against
+     * SETTING_VALUES. Other settings are not checked.
+     * @param {Object} settings - Settings about to be applied
+     * @throws {Error} If a setting has a value the renderer does not know
+     */
+    static checkSettings(settings) {
+        Object.entries(Renderer3D.SETTING_VALUES).forEach(([key, allowed]) => {
+            if (key in settings && !allowed.includes(settings[key])) {
+                throw new Error(`Renderer setting ${key} expects one of ${allowed.join(', ')}, got "${settings[key]}"`);
+            }
+        });
+    }
+
+    /**
+     * Creates a new 3D Renderer instance
+     * @param {HTMLCanvasElement} canvas - The canvas element to render to
+     */
+    constructor(canvas = null) {
+        /** @private {HTMLCanvasElement} */
+        this._canvas = canvas;
+        
+        /** @private {CanvasRenderingContext2D} */
+        this._ctx = canvas?.getContext('2d') || null;
+        
+        /** @private {number} Focal length for perspective */
+        this._focalLength = 3000;
+
+        /** @private {Camera} Camera the scene is viewed through */
+        this._camera = new Camera();
+        if (canvas) this._camera.setViewport(canvas.width, canvas.height);
+        this._camera.setFocalLength(this._focalLength);
+
+        /** @private {Array<Viewport>} Views drawn by render(); none draws the camera over the whole canvas */
+        this._viewports = [];
+
+        /** @private {Viewport|null} Viewport the pointer interacts with */
+        this._activeViewport = null;
+        
+        /** @private {Scene} Root of everything that gets drawn */
+        this._scene = new Scene();
+
+        /** @private {Mesh|null} Mesh edited by setShape() and transform() */
+        this._activeMesh = this._scene.add(new Mesh(Shapes.cube(100)));
+        
+        /** @private {Object} Render settings */
+        this._settings = {
+            showVertices: false,
+            showAxes: false,
+            showGrid: false,
+            depthColoring: true,
+            wireframeColor: '#4f46e5',
+            vertexColor: '#ef4444',
+            vertexSize: 4,
+            lineWidth: 2,
+            renderMode: 'wireframe',  // 'wireframe' | 'hidden-line' | 'solid' | 'solid-wireframe'
+            backfaceCulling: true,
+            faceColor: '#818cf8',
+            shading: 'none',  // 'none' | 'flat' | 'gouraud'
+            hiddenLineStyle: 'dashed',  // 'hide' | 'dashed' | 'faded', for renderMode 'hidden-line'
+            hiddenLineAlpha: 0.35,
+            hiddenLineDash: [6, 4],
+            silhouetteWidth: 2,  // Silhouette edges are drawn this many times lineWidth
+            gouraudSubdivisions: 2,
+            texture: null,  // Texture mapped onto faces with uvs in the solid modes
+            textureFilter: 'bilinear',  // 'nearest' | 'bilinear'
+            textureSubdivisions: 2,  // Canvas2D backend only; more levels follow perspective more closely
+            clipToFrustum: false,  // Clip to the whole view frustum, not just the near plane
+            projection: 'perspective',  // 'perspective' | 'orthographic'
+            projectionBlend: null,  // 0 (perspective) to 1 (orthographic) overrides projection when set
+            backend: 'canvas',  // 'canvas' (Canvas2D, painter's algorithm) | 'zbuffer' (Rasterizer; always used for a FrameBuffer)
+            backgroundColor: null,
+            viewportBorderColor: '#94a3b8',  // Frame and label of each viewport when several share the canvas
+            activeViewportColor: '#4f46e5',
+            hoverColor: '#f59e0b',  // Highlight of the hovered element (see pick())
+            selectionColor: '#10b981',
+            highlightAlpha: 0.35,  // Opacity of a highlighted face's fill
+            scale: { x: 1, y: 1, z: 1 }
+        };
+
+        /** @private {Array<Light>} Lights used by flat and Gouraud shading */
+        this._lights = [
+            Light.ambient('#ffffff', 0.3),
+            Light.directional(new Vector3(0.5, -1, -1), '#ffffff', 0.8)
+        ];
+
+        /** @private {Rasterizer|null} Software rasterizer, created on first use */
+        this._rasterizer = null;
+
+        /** @private {Rasterizer|null} Rasterizer drawn into during the current frame */
+        this._raster = null;
+
+        /** @private {Object|null} Last Canvas2D texture pattern { ctx, texture, pattern } */
+        this._patternCache = null;
+
+        /** @private {Array<Object>} View-space clipping planes for the current frame */
+        this._clipPlanes = this._camera.clipPlanes();
+
+        /** @private {Object|null} Hit from pick() highlighted as hovered */
+        this._hovered = null;
+
+        /** @private {Object|Array<Object>|null} Hit(s) from pick() highlighted as selected */
+        this._selected = null;
+
+        /** @private {TranslateGizmo|null} Gizmo drawn on top of the scene */
+        this._gizmo = null;
+
+        this._scene.updateWorldMatrix();
+    }
+
+    /* ----------------------------------------
+     * GETTERS AND SETTERS
+     * ---------------------------------------- */
+
+    get canvas() { return this._canvas; }
+    set canvas(canvas) {
+        this._canvas = canvas;
+        this._ctx = canvas?.getContext('2d') || null;
+        if (canvas) {
+            this._camera.setViewport(canvas.width, canvas.height);
+            this._camera.setFocalLength(this._focalLength);
+        }
+    }
+
+    get focalLength() { return this._focalLength; }
+    set focalLength(value) {
+        this._focalLength = Math.max(1, value);
+        // Relative to the whole canvas, so smaller viewports show a smaller view
+        this._camera.setFocalLength(this._focalLength, this._canvas?.height);
+    }
+
+    /**
+     * Main camera: drawn over the whole canvas without viewports, and
+     * followed by viewports with a preset view
+     * @type {Camera}
+     */
+    get camera() { return this._camera; }
+    set camera(camera) {
+        this._viewports.forEach(viewport => {
+            if (viewport.camera === this._camera) viewport.camera = camera;
+        });
+        this._camera = camera;
+    }
+
+    get settings() { return this._settings; }
+
+    get lights() { return this._lights; }
+
+    get scene() { return this._scene; }
+
+    /**
+     * Mesh that setShape(), setCustomShape() and transform() act on
+     * @type {Mesh|null}
+     */
+    get activeMesh() { return this._activeMesh; }
+    set activeMesh(mesh) {
+        if (mesh && !this._scene.contains(mesh)) {
+            console.warn(`Renderer3D: "${mesh.name}" is not part of the scene`);
+            return;
+        }
+        this._activeMesh = mesh;
+    }
+
+    /* ----------------------------------------
+     * SHAPE MANAGEMENT
+     * ---------------------------------------- */
+
+    /**
+     * Sets the current shape to render
+     * @param {string} shapeName - Name of the shape
+     * @param {...any} args - Arguments for shape creation
+     */
+    setShape(shapeName, ...args) {
+        const shapeCreator = Shapes[shapeName.toLowerCase()];
+        if (shapeCreator) {
+            this.setCustomShape(shapeCreator(...args));
+        } else {
+            console.warn(`Shape "${shapeName}" not found. Available: ${Object.keys(Shapes).join(', ')}`);
+        }
+    }
+
+    /**
+     * Sets a custom shape on the active mesh, adding a mesh if there is none
+     * @param {Object} shape - Shape object with vertices and edges
+     */
+    setCustomShape(shape) {
+        if (this._activeMesh) {
+            this._activeMesh.shape = shape;
+            this._activeMesh.name = shape.name || this._activeMesh.name;
+        } else {
+            this._activeMesh = this._scene.add(new Mesh(shape));
+        }
+        this._scene.updateWorldMatrix();
+    }
+
+    /**
+     * The active mesh's shape in model space
+     * @type {Object|null}
+     */
+    get shape() { return this._activeMesh?.shape || null; }
+
+    /**
+     * Returns a copy of the active mesh's shape with its world transform
+     * (including parent transforms) baked into the vertices. Edges and faces
+     * are shared with the original.
+     * @returns {Object|null} Shape in world space
+     */
+    getTransformedShape() {
+        if (!this._activeMesh) return null;
+        this._scene.updateWorldMatrix();
+        return {
+            ...this._activeMesh.shape,
+            vertices: this._activeMesh.worldVertices.map(v => new Vector3(v.x, v.y, v.z))
+        };
+    }
+
+    /* ----------------------------------------
+     * SCENE MANAGEMENT
+     * ---------------------------------------- */
+
+    /**
+     * Adds a mesh to the scene
+     * @param {Object} shape - Shape in model space
+     * @param {Object} [options]
+     * @param {SceneNode} [options.parent] - Parent node, defaults to the scene root
+     * @param {string} [options.name] - Display name, defaults to the shape name
+     * @returns {Mesh} The new mesh
+     */
+    addMesh(shape, { parent = this._scene, name } = {}) {
+        const mesh = parent.add(new Mesh(shape, name));
+        this._scene.updateWorldMatrix();
+        return mesh;
+    }
+
+    /**
+     * Removes a node and its subtree from the scene. If the active mesh goes
+     * with it, the first remaining mesh becomes active.
+     * @param {SceneNode} node - Node to remove
+     * @returns {boolean} True if the node was in the scene
+     */
+    removeMesh(node) {
+        if (node === this._scene || !node.parent || !this._scene.contains(node)) return false;
+
+        node.parent.remove(node);
+        if (this._activeMesh && node.contains(this._activeMesh)) {
+            this._activeMesh = this._scene.meshes[0] || null;
+        }
+        return true;
+    }
+
+    /**
+     * Replaces the scene with a single default cube
+     */
+    resetScene() {
+        this._scene = new Scene();
+        this._activeMesh = this._scene.add(new Mesh(Shapes.cube(100)));
+        this._scene.updateWorldMatrix();
+    }
+
+    /* ----------------------------------------
+     * LIGHT MANAGEMENT
+     * ---------------------------------------- */
+
+    /**
+     * Adds a light to the scene
+     * @param {Light} light - Light to add
+     * @returns {Light} The added light
+     */
+    addLight(light) {
+        this._lights.push(light);
+        return light;
+    }
+
+    /**
+     * Removes a light from the scene
+     * @param {Light} light - Light to remove
+     * @returns {boolean} True if the light was present
+     */
+    removeLight(light) {
+        const index = this._lights.indexOf(light);
+        if (index === -1) return false;
+        this._lights.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Removes all lights
+     */
+    clearLights() {
+        this._lights = [];
+    }
+
+    /* ----------------------------------------
+     * TRANSFORMATION METHODS
+     * ---------------------------------------- */
+
+    /**
+     * Sets the active mesh's local transform.
+     * Translation places the object relative to its parent (the world for
+     * top-level meshes); the camera decides where that lands on the canvas.
+     * A quaternion, if given, sets the orientation instead of the Euler angles.
+     * @param {Object} params - Transformation parameters
+     */
+    transform({ 
+        quaternion = null,
+        rotationX = 0, rotationY = 0, rotationZ = 0, 
+        translateX = 0, translateY = 0, translateZ = 0,
+        scaleX = 1, scaleY = 1, scaleZ = 1 
+    }) {
+        if (!this._activeMesh) return;
+
+        const rotation = quaternion ? { quaternion } : { rotationX, rotationY, rotationZ };
+        this._activeMesh.setTransform({
+            ...rotation,
+            translateX, translateY, translateZ,
+            scaleX, scaleY, scaleZ
+        });
+        this._scene.updateWorldMatrix();
+    }
+
+    /* ----------------------------------------
+     * VIEWPORT METHODS
+     * ---------------------------------------- */
+
+    /**
+     * Viewports drawn by render(), in drawing order
+     * @type {Array<Viewport>}
+     */
+    get viewports() { return [...this._viewports]; }
+
+    /**
+     * Viewport the pointer interacts with; null without viewports
+     * @type {Viewport|null}
+     */
+    get activeViewport() { return this._activeViewport; }
+    set activeViewport(viewport) {
+        if (viewport && !this._viewports.includes(viewport)) {
+            console.warn(`Renderer3D: viewport "${viewport.name}" is not part of the renderer`);
+            return;
+        }
+        this._activeViewport = viewport;
+    }
+
+    /**
+     * Camera of the active viewport, or the main camera without viewports
+     * @type {Camera}
+     */
+    get activeCamera() {
+        return this._activeViewport?.camera || this._camera;
+    }
+
+    /**
+     * Adds a viewport; the first one added becomes active
+     * @param {Viewport|Object} viewport - Viewport, or options for a new one
+     * @returns {Viewport} The added viewport
+     */
+    addViewport(viewport) {
+        if (!(viewport instanceof Viewport)) viewport = new Viewport(viewport);
+        this._viewports.push(viewport);
+        if (!this._activeViewport) this._activeViewport = viewport;
+        return viewport;
+    }
+
+    /**
+     * Removes a viewport
+     * @param {Viewport} viewport - Viewport to remove
+     */
+    removeViewport(viewport) {
+        const index = this._viewports.indexOf(viewport);
+        if (index === -1) return;
+
+        this._viewports.splice(index, 1);
+        if (this._activeViewport === viewport) {
+            this._activeViewport = this._viewports[0] || null;
+        }
+    }
+
+    /**
+     * Removes every viewport, so render() draws the main camera over the whole canvas
+     */
+    clearViewports() {
+        this._viewports = [];
+        this._activeViewport = null;
+    }
+
+    /**
+     * Replaces the viewports with a preset layout. 'single' draws the main
+     * camera over the whole canvas; 'quad' splits it CAD-style into
+     * orthographic top, front and right views around the main camera's view,
+     * which becomes active.
+     * @param {string} layout - 'single' | 'quad'
+     * @returns {Array<Viewport>} The new viewports
+     * @throws {Error} If the layout is unknown
+     */
+    setLayout(layout) {
+        const half = (x, y) => ({ x, y, width: 0.5, height: 0.5 });
+        const layouts = {
+            single: [],
+            quad: [
+                { name: 'Top', view: 'top', projection: 'orthographic', rect: half(0, 0) },
+                { name: 'Perspective', camera: this._camera, rect: half(0.5, 0) },
+                { name: 'Front', view: 'front', projection: 'orthographic', rect: half(0, 0.5) },
+                { name: 'Right', view: 'right', projection: 'orthographic', rect: half(0.5, 0.5) }
+            ]
+        };
+        if (!layouts[layout]) {
+            throw new Error(`Unknown layout "${layout}". Available: ${Object.keys(layouts).join(', ')}`);
+        }
+
+        this.clearViewports();
+        layouts[layout].forEach(options => this.addViewport(options));
+        this._activeViewport = this._viewports.find(viewport => viewport.camera === this._camera) || this._viewports[0] || null;
+        return this.viewports;
+    }
+
+    /**
+     * Finds the viewport under a point of the renderer's canvas
+     * @param {number} x - Canvas X in pixels
+     * @param {number} y - Canvas Y in pixels
+     * @returns {Viewport|null} Topmost viewport there, or null
+     */
+    viewportAt(x, y) {
+        if (!this._canvas) return null;
+
+        const { width, height } = this._canvas;
+        for (let i = this._viewports.length - 1; i >= 0; i--) {
+            const viewport = this._viewports[i];
+            if (viewport.canvas) continue;
+            const rect = viewport.pixelRect(width, height);
+            if (x >= rect.x && x < rect.x + rect.width && y >= rect.y && y < rect.y + rect.height) {
+                return viewport;
+            }
+        }
+        return null;
+    }
+
+    /* ----------------------------------------
+     * PICKING METHODS
+     * ---------------------------------------- */
+
+    /**
+     * Element highlighted as hovered: a hit from pick(), or null
+     * @type {Object|null}
+     */
+    get hovered() { return this._hovered; }
+    set hovered(hit) { this._hovered = hit || null; }
+
+    /**
+     * Elements highlighted as selected: a hit from pick(), an array of them, or null
+     * @type {Object|Array<Object>|null}
+     */
+    get selected() { return this._selected; }
+    set selected(hit) { this._selected = hit || null; }
+
+    /**
+     * Gizmo drawn over the scene in every viewport (see TranslateGizmo), or null
+     * @type {TranslateGizmo|null}
+     */
+    get gizmo() { return this._gizmo; }
+    set gizmo(gizmo) { this._gizmo = gizmo || null; }
+
+    /**
+     * Finds the mesh element drawn under a point of the renderer's canvas:
+     * the nearest vertex within a pixel radius, else the nearest edge within
+     * it, else the frontmost face there. Outside the wireframe mode,
+     * vertices and edges hidden behind faces cannot be picked.
+     * @param {number} x - Canvas X in pixels
+     * @param {number} y - Canvas Y in pixels
+     * @param {Object} [options]
+     * @param {Array<string>} [options.types=['vertex', 'edge', 'face']] - Element types to look for
+     * @param {number} [options.radius=6] - Pick radius for vertices and edges, in pixels
+     * @returns {Object|null} Hit { type, mesh, index, vertices, point, distance, viewport }
+     *   with the element's index in mesh.shape, the vertex indices it spans,
+     *   the world-space point hit, its distance from (x, y) in pixels and the
+     *   viewport it was found in; null if nothing is there
+     */
+    pick(x, y, { types = ['vertex', 'edge', 'face'], radius = 6 } = {}) {
+        return this._throughViewportAt(x, y, viewport => {
+            const hit = this._pickScene(x, y, types, radius);
+            return hit && { ...hit, viewport };
+        });
+    }
+
+    /**
+     * Finds the gizmo handle under a point of the renderer's canvas
+     * @param {number} x - Canvas X in pixels
+     * @param {number} y - Canvas Y in pixels
+     * @returns {Object|null} { handle, camera, viewport } with the camera to
+     *   drag it in (see TranslateGizmo#dragPoint), or null
+     */
+    pickGizmo(x, y) {
+        if (!this._gizmo) return null;
+
+        return this._throughViewportAt(x, y, viewport => {
+            const handle = this._gizmo.pick(this._camera, x, y);
+            return handle && { handle, camera: this._camera, viewport };
+        });
+    }
+
+    /**
+     * Runs a callback with the camera and clipping planes of the viewport
+     * under a canvas point set up as for drawing
+     * @private
+     * @param {number} x - Canvas X in pixels
+     * @param {number} y - Canvas Y in pixels
+     * @param {Function} callback - (viewport) => result; viewport is null for the main camera
+     * @returns {*} The callback's result, or null outside every viewport
+     */
+    _throughViewportAt(x, y, callback) {
+        if (!this._canvas) return null;
+
+        // Viewports with a canvas of their own cannot be pointed at here
+        const { width, height } = this._canvas;
+        const viewport = this.viewportAt(x, y);
+        if (!viewport && this._viewports.some(other => !other.canvas)) return null;
+        const rect = viewport ? viewport.pixelRect(width, height) : { x: 0, y: 0, width, height };
+
+        const main = this._camera;
+        try {
+            this._camera = this._viewportCamera(viewport, rect, main);
+            this._clipPlanes = this._camera.clipPlanes(this._settings.clipToFrustum);
+            return callback(viewport);
+        } finally {
+            this._camera = main;
+        }
+    }
+
+    /**
+     * Picks through the current camera
+     * @private
+     * @param {number} x - Canvas X in pixels
+     * @param {number} y - Canvas Y in pixels
+     * @param {Array<string>} types - Element types to look for
+     * @param {number} radius - Pick radius in pixels
+     * @returns {Object|null} Hit without its viewport
+     */
+    _pickScene(x, y, types, radius) {
+        this._scene.updateWorldMatrix();
+
+        const meshes = this._scene.visibleMeshes();
+        const viewMeshes = meshes.map(mesh => mesh.worldVertices.map(v => this._camera.worldToView(v)));
+        const hidden = this._settings.renderMode === 'wireframe'
+            ? () => false
+            : view => this._isOccluded(view, meshes, viewMeshes);
+
+        const vertex = types.includes('vertex') && this._pickVertex(x, y, radius, meshes, viewMeshes, hidden);
+        if (vertex) return vertex;
+
+        const edge = types.includes('edge') && this._pickEdge(x, y, radius, meshes, viewMeshes, hidden);
+        if (edge) return edge;
+
+        const face = types.includes('face') && this._faceAt(x, y, meshes, viewMeshes);
+        if (!face) return null;
+
+        const { view, ...hit } = face;
+        return { type: 'face', ...hit, point: this._camera.viewToWorld(view), distance: 0 };
+    }
+
+    /**
+     * Finds the nearest unhidden vertex within a radius
+     * @private
+     * @param {number} x - Canvas X in pixels
+     * @param {number} y - Canvas Y in pixels
+     * @param {number} radius - Pick radius in pixels
+     * @param {Array<Mesh>} meshes - Visible meshes
+     * @param {Array<Array<Vector3>>} viewMeshes - View-space vertices of each mesh
+     * @param {Function} hidden - (view) => whether a view-space point is hidden
+     * @returns {Object|null} Vertex hit
+     */
+    _pickVertex(x, y, radius, meshes, viewMeshes, hidden) {
+        const candidates = [];
+        meshes.forEach((mesh, m) => viewMeshes[m].forEach((view, i) => {
+            if (!Clipping.contains(view, this._clipPlanes)) return;
+            const p = this._camera.projectView(view);
+            const distance = Math.hypot(p.x - x, p.y - y);
+            if (distance <= radius) candidates.push({ mesh, index: i, view, distance });
+        }));
+
+        const hit = this._nearestUnhidden(candidates, hidden);
+        if (!hit) return null;
+
+        const { x: px, y: py, z: pz } = hit.mesh.worldVertices[hit.index];
+        return {
+            type: 'vertex',
+            mesh: hit.mesh,
+            index: hit.index,
+            vertices: [hit.index],
+            point: new Vector3(px, py, pz),
+            distance: hit.distance
+        };
+    }
+
+    /**
+     * Finds the nearest unhidden edge within a radius, measured to its
+     * projected (and clipped) segment
+     * @private
+     * @param {number} x - Canvas X in pixels
+     * @param {number} y - Canvas Y in pixels
+     * @param {number} radius - Pick radius in pixels
+     * @param {Array<Mesh>} meshes - Visible meshes
+     * @param {Array<Array<Vector3>>} viewMeshes - View-space vertices of each mesh
+     * @param {Function} hidden - (view) => whether a view-space point is hidden
+     * @returns {Object|null} Edge hit at the point of the edge nearest to (x, y)
+     */
+    _pickEdge(x, y, radius, meshes, viewMeshes, hidden) {
+        const candidates = [];
+        meshes.forEach((mesh, m) => mesh.shape.edges.forEach(([i, j], e) => {
+            const clipped = Clipping.clipSegment(viewMeshes[m][i], viewMeshes[m][j], this._clipPlanes);
+            if (!clipped) return;
+
+            const p1 = this._camera.projectView(clipped.a);
+            const p2 = this._camera.projectView(clipped.b);
+            const { t: s, distance } = ScreenGeometry.closestOnSegment(p1, p2, x, y);
+            if (distance > radius) return;
+
+            // 1 / w, not view-space position, is linear along the projected segment
+            const t = (s / p2.w) / ((1 - s) / p1.w + s / p2.w);
+            candidates.push({ mesh, index: e, vertices: [i, j], view: clipped.a.lerp(clipped.b, t), distance });
+        }));
+
+        const hit = this._nearestUnhidden(candidates, hidden);
+        if (!hit) return null;
+
+        const { view, ...rest } = hit;
+        return { type: 'edge', ...rest, point: this._camera.viewToWorld(view) };
+    }
+
+    /**
+     * Picks the nearest candidate that is not hidden. Distances within the
+     * same pixel count as equal and the frontmost wins, so an element drawn
+     * over another is picked first.
+     * @private
+     * @param {Array<Object>} candidates - Candidates with a distance and a view-space point
+     * @param {Function} hidden - (view) => whether a view-space point is hidden
+     * @returns {Object|null} The candidate picked
+     */
+    _nearestUnhidden(candidates, hidden) {
+        const rank = candidate => Math.round(candidate.distance);
+        return candidates
+            .sort((a, b) => rank(a) - rank(b) || b.view.z - a.view.z)
+            .find(candidate => !hidden(candidate.view)) || null;
+    }
+
+    /**
+     * Casts the camera ray through a pixel and finds the frontmost face it
+     * hits inside the clipping planes. Back faces are skipped when culled.
+     * @private
+     * @param {number} x - Canvas X in pixels
+     * @param {number} y - Canvas Y in pixels
+     * @param {Array<Mesh>} meshes - Visible meshes
+     * @param {Array<Array<Vector3>>} viewMeshes - View-space vertices of each mesh
+     * @returns {Object|null} { mesh, index, vertices, view } with the
+     *   view-space point hit, or null
+     */
+    _faceAt(x, y, meshes, viewMeshes) {
+        const { origin, direction } = this._camera.viewRay(x, y);
+        const backfaceCulling = this._settings.backfaceCulling;
+        let front = null;
+
+        meshes.forEach((mesh, m) => (mesh.shape.faces || []).forEach((face, f) => {
+            const viewVertices = viewMeshes[m];
+            const normal = this._faceNormal(viewVertices, face);
+            const facing = normal.dot(direction);
+            if (facing === 0 || (backfaceCulling && facing > 0)) return;
+
+            const points = this._projectFace(viewVertices, face);
+            if (!ScreenGeometry.containsPoint(points, x, y)) return;
+
+            const t = normal.dot(viewVertices[face[0]].subtract(origin)) / facing;
+            const view = origin.add(direction.scale(t));
+            if (!front || view.z > front.view.z) {
+                front = { mesh, index: f, vertices: [...face], view };
+            }
+        }));
+
+        return front;
+    }
+
+    /**
+     * Checks whether a face is drawn in front of a view-space point
+     * @private
+     * @param {Vector3} view - View-space point
+     * @param {Array<Mesh>} meshes - Visible meshes
+     * @param {Array<Array<Vector3>>} viewMeshes - View-space vertices of each mesh
+     * @returns {boolean}
+     */
+    _isOccluded(view, meshes, viewMeshes) {
+        const p = this._camera.projectView(view);
+        const front = this._faceAt(p.x, p.y, meshes, viewMeshes);
+        // Points on the face itself come back at their own depth
+        return Boolean(front) && front.view.z - view.z > 1e-6 * Math.abs(view.z);
+    }
+
+    /**
+     * Clips a face to the clipping planes and projects its corners
+     * @private
+     * @param {Array<Vector3>} viewVertices - View-space vertices
+     * @param {Array<number>} face - Vertex indices
+     * @returns {Array<Object>} Projected points, or [] if the face is clipped away
+     */
+    _projectFace(viewVertices, face) {
+        const corners = Clipping.clipPolygon(
+            face.map(i => ({ position: viewVertices[i] })),
+            this._clipPlanes,
+            (from, to, t) => ({ position: from.position.lerp(to.position, t) })
+        );
+        return corners.map(corner => this._camera.projectView(corner.position));
+    }
+
+    /* ----------------------------------------
+     * PROJECTION METHODS
+     * ---------------------------------------- */
+
+    /**
+     * Looks at the scene from a preset direction, keeping the camera's
+     * distance (see Camera#setView). Isometric and dimetric views are
+     * parallel projections, so pair them with settings.projection 'orthographic'.
+     * @param {string} name - 'front' | 'back' | 'top' | 'bottom' | 'left' |
+     *   'right' | 'isometric' | 'dimetric'
+     */
+    setView(name) {
+        this._camera.setView(name);
+    }
+
+    /**
+     * Clips a view-space segment against the current clipping planes and
+     * projects what is left
+     * @private
+     * @param {Vector3} a - View-space start point
+     * @param {Vector3} b - View-space end point
+     * @returns {Array<Object>|null} Projected [start, end], or null if fully clipped
+     */
+    _clipSegment(a, b) {
+        const clipped = Clipping.clipSegment(a, b, this._clipPlanes);
+        if (!clipped) return null;
+        return [this._camera.projectView(clipped.a), this._camera.projectView(clipped.b)];
+    }
+
+    /**
+     * Builds the corner where a polygon edge crosses a clipping plane,
+     * interpolating its Gouraud color and texture coordinate if it has them
+     * @private
+     * @param {Object} from - Corner { position, color, uv }
+     * @param {Object} to - Corner { position, color, uv }
+     * @param {number} t - Parameter along the edge
+     * @returns {Object} New corner
+     */
+    _interpolateCorner(from, to, t) {
+        const color = from.color && {
+            r: from.color.r + (to.color.r - from.color.r) * t,
+            g: from.color.g + (to.color.g - from.color.g) * t,
+            b: from.color.b + (to.color.b - from.color.b) * t
+        };
+        // View-space positions are interpolated linearly, so uvs can be too
+        const uv = from.uv && [
+            from.uv[0] + (to.uv[0] - from.uv[0]) * t,
+            from.uv[1] + (to.uv[1] - from.uv[1]) * t
+        ];
+        return { position: from.position.lerp(to.position, t), color, uv };
+    }
+
+    /* ----------------------------------------
+     * FACE METHODS
+     * ---------------------------------------- */
+
+    /**
+     * Computes the (unnormalized) normal of a transformed face
+     * @private
+     * @param {Array<Vector3>} vertices - World-space vertices
+     * @param {Array<number>} face - Vertex indices, counter-clockwise from outside
+     * @returns {Vector3} Face normal
+     */
+    _faceNormal(vertices, face) {
+        const v0 = vertices[face[0]];
+        const v1 = vertices[face[1]];
+        const v2 = vertices[face[2]];
+        return v1.subtract(v0).cross(v2.subtract(v0));
+    }
+
+    /**
+     * Computes the centroid of a transformed face
+     * @private
+     * @param {Array<Vector3>} vertices - World-space vertices
+     * @param {Array<number>} face - Vertex indices
+     * @returns {Vector3} Face centroid
+     */
+    _faceCentroid(vertices, face) {
+        const sum = face.reduce(
+            (acc, i) => acc.add(vertices[i]),
+            new Vector3()
+        );
+        return sum.scale(1 / face.length);
+    }
+
+    /**
+     * Checks whether a face points towards the viewer
+     * @private
+     * @param {Vector3} normal - Face normal
+     * @param {Vector3} centroid - Face centroid
+     * @returns {boolean} True if the face is visible
+     */
+    _isFrontFacing(normal, centroid) {
+        return normal.dot(this._camera.toViewer(centroid)) > 0;
+    }
+
+    /**
+     * Averages adjacent face normals into per-vertex normals
+     * @private
+     * @param {Object} shape - Shape the faces belong to
+     * @param {Array<Vector3>} faceNormals - Unnormalized normal of each face
+     * @returns {Array<Vector3>} Unit normal for each vertex
+     */
+    _computeVertexNormals(shape, faceNormals) {
+        const normals = shape.vertices.map(() => new Vector3());
+
+        shape.faces.forEach((face, f) => {
+            face.forEach(i => {
+                normals[i] = normals[i].add(faceNormals[f]);
+            });
+        });
+
+        return normals.map(n => n.normalize());
+    }
+
+    /* ----------------------------------------
+     * LIGHTING METHODS
+     * ---------------------------------------- */
+
+    /**
+     * Applies every light to a base color
+     * @private
+     * @param {Object} base - Base color { r, g, b }
+     * @param {Vector3} point - Surface point
+     * @param {Vector3} normal - Surface normal
+     * @param {Object|null} [emissive=null] - Color { r, g, b } added after lighting
+     * @returns {Object} Lit color { r, g, b }
+     */
+    _shade(base, point, normal, emissive = null) {
+        const n = normal.normalize();
+        let r = 0, g = 0, b = 0;
+
+        this._lights.forEach(light => {
+            const energy = light.illuminate(point, n);
+            r += energy.r;
+            g += energy.g;
+            b += energy.b;
+        });
+
+        const glow = emissive || { r: 0, g: 0, b: 0 };
+        return { r: base.r * r + glow.r, g: base.g * g + glow.g, b: base.b * b + glow.b };
+    }
+
+    /* ----------------------------------------
+     * MATERIAL METHODS
+     * ---------------------------------------- */
+
+    /**
+     * Effective material of a face: its own, then the shape's
+     * @private
+     * @param {Object} shape - Shape the face belongs to
+     * @param {number} f - Face index
+     * @returns {Material} Resolved material; unset fields are null
+     */
+    _faceMaterial(shape, f) {
+        return Material.resolve(shape.faceMaterials?.[f], shape.material);
+    }
+
+    /**
+     * Effective material of an edge: its own, then the shape's
+     * @private
+     * @param {Object} shape - Shape the edge belongs to
+     * @param {number} e - Edge index
+     * @returns {Material} Resolved material; unset fields are null
+     */
+    _edgeMaterial(shape, e) {
+        return Material.resolve(shape.edgeMaterials?.[e], shape.material);
+    }
+
+    /* ----------------------------------------
+     * RENDERING METHODS
+     * ---------------------------------------- */
+
+    /**
+     * Clears the canvas
+     * @private
+     */
+    _clearCanvas() {
+        if (!this._ctx || !this._canvas) return;
+
+        if (this._raster) {
+            const background = this._settings.backgroundColor;
+            this._raster.clear(background ? ColorUtils.hexToRgb(background) : null);
+            return;
+        }
+        
+        if (this._settings.backgroundColor) {
+            this._ctx.fillStyle = this._settings.backgroundColor;
+            this._ctx.fillRect(0, 0, this._canvas.width, this._canvas.height);
+        } else {
+            this._ctx.clearRect(0, 0, this._canvas.width, this._canvas.height);
+        }
+    }
+
+    /**
+     * Draws a line with optional depth-based coloring
+     * @private
+     * @param {Object} [style] - Optional stroke overrides
+     * @param {number} [style.width] - Line width, defaults to settings.lineWidth
+     * @param {Array<number>|null} [style.dash] - Dash pattern [on, off] in pixels
+     */
+    _drawLine(x1, y1, x2, y2, z1, z2, color = null, { width = this._settings.lineWidth, dash = null } = {}) {
+        if (!this._ctx) return;
+
+        let strokeColor = color || this._settings.wireframeColor;
+        
+        if (this._settings.depthColoring && !color) {
+            const avgZ = (z1 + z2) / 2;
+            strokeColor = ColorUtils.depthColor(avgZ);
+        }
+
+        if (this._raster) {
+            // z is relative to the target; the depth buffer needs projective depth
+            this._raster.drawLine(
+                { x: x1, y: y1, ...this._camera.depthTerms(z1) },
+                { x: x2, y: y2, ...this._camera.depthTerms(z2) },
+                ColorUtils.hexToRgb(strokeColor),
+                width,
+                this._ctx.globalAlpha ?? 1,
+                dash
+            );
+            return;
+        }
+
+        this._ctx.beginPath();
+        this._ctx.moveTo(x1, y1);
+        this._ctx.lineTo(x2, y2);
+        this._ctx.strokeStyle = strokeColor;
+        this._ctx.lineWidth = width;
+        this._ctx.lineCap = dash ? 'butt' : 'round';
+        if (dash) this._ctx.setLineDash(dash);
+        this._ctx.stroke();
+        if (dash) this._ctx.setLineDash([]);
+    }
+
+    /**
+     * Fills a projected polygon, optionally outlining it
+     * @private
+     * @param {Array<Object>} points - Projected points ({ x, y })
+     * @param {string} fillColor - Fill color
+     * @param {string|null} strokeColor - Outline color, or null for none
+     */
+    _drawPolygon(points, fillColor, strokeColor = null) {
+        if (!this._ctx || points.length < 3) return;
+
+        if (this._raster) {
+            const color = ColorUtils.hexToRgb(fillColor);
+            this._rasterizePolygon(points, points.map(() => color), strokeColor);
+            return;
+        }
+
+        this._tracePolygon(points);
+        this._ctx.fillStyle = fillColor;
+        this._ctx.fill();
+
+        if (strokeColor) {
+            this._strokePath(strokeColor);
+        }
+    }
+
+    /**
+     * Fills a projected polygon with per-vertex colors (Gouraud shading).
+     * The polygon is fanned into triangles, each subdivided and filled with
+     * the color interpolated at its center, since Canvas2D has no native
+     * barycentric gradients.
+     * @private
+     * @param {Array<Object>} points - Projected points ({ x, y })
+     * @param {Array<Object>} colors - Color { r, g, b } for each point
+     * @param {string|null} strokeColor - Outline color, or null for none
+     */
+    _drawGouraudPolygon(points, colors, strokeColor = null) {
+        if (!this._ctx || points.length < 3) return;
+
+        if (this._raster) {
+            this._rasterizePolygon(points, colors, strokeColor);
+            return;
+        }
+
+        const corners = points.map((p, k) => ({ x: p.x, y: p.y, color: colors[k] }));
+        const levels = this._settings.gouraudSubdivisions;
+
+        for (let k = 1; k < corners.length - 1; k++) {
+            this._drawGouraudTriangle(corners[0], corners[k], corners[k + 1], levels);
+        }
+
+        if (strokeColor) {
+            this._tracePolygon(points);
+            this._strokePath(strokeColor);
+        }
+    }
+
+    /**
+     * Recursively subdivides and fills a color-interpolated triangle
+     * @private
+     * @param {Object} a - Corner { x, y, color }
+     * @param {Object} b - Corner { x, y, color }
+     * @param {Object} c - Corner { x, y, color }
+     * @param {number} level - Remaining subdivision levels
+     */
+    _drawGouraudTriangle(a, b, c, level) {
+        if (level <= 0) {
+            const color = ColorUtils.rgbToHex(
+                (a.color.r + b.color.r + c.color.r) / 3,
+                (a.color.g + b.color.g + c.color.g) / 3,
+                (a.color.b + b.color.b + c.color.b) / 3
+            );
+            this._tracePolygon([a, b, c]);
+            this._ctx.fillStyle = color;
+            this._ctx.fill();
+            // A hairline in the same color hides anti-aliasing seams
+            this._ctx.strokeStyle = color;
+            this._ctx.lineWidth = 0.5;
+            this._ctx.stroke();
+            return;
+        }
+
+        const mid = (p, q) => ({
+            x: (p.x + q.x) / 2,
+            y: (p.y + q.y) / 2,
+            color: {
+                r: (p.color.r + q.color.r) / 2,
+                g: (p.color.g + q.color.g) / 2,
+                b: (p.color.b + q.color.b) / 2
+            }
+        });
+        const ab = mid(a, b), bc = mid(b, c), ca = mid(c, a);
+
+        this._drawGouraudTriangle(a, ab, ca, level - 1);
+        this._drawGouraudTriangle(ab, b, bc, level - 1);
+        this._drawGouraudTriangle(ca, bc, c, level - 1);
+        this._drawGouraudTriangle(ab, bc, ca, level - 1);
+    }
+
+    /**
+     * Fills a projected polygon with settings.texture, multiplied by the
+     * light. The z-buffer maps and lights every pixel perspective-correctly.
+     * Canvas2D fans the polygon into triangles, subdivides them with
+     * perspective-correct corner uvs, fills each piece with an affine-mapped
+     * pattern and multiplies the face by its mean light; targets without
+     * patterns (SVG) get the texture's average color instead.
+     * @private
+     * @param {Array<Object>} points - Projected points ({ x, y, w })
+     * @param {Array<Array<number>>} uvs - Texture coordinate [u, v] for each point
+     * @param {Array<Object>} colors - Light color { r, g, b } for each point
+     * @param {string|null} strokeColor - Outline color, or null for none
+     */
+    _drawTexturedPolygon(points, uvs, colors, strokeColor = null) {
+        if (!this._ctx || points.length < 3) return;
+
+        if (this._raster) {
+            this._rasterizePolygon(points, colors, strokeColor, uvs);
+            return;
+        }
+
+        const texture = this._settings.texture;
+        const pattern = this._texturePattern(texture);
+        const mean = key => colors.reduce((sum, c) => sum + c[key], 0) / colors.length;
+        const light = { r: mean('r'), g: mean('g'), b: mean('b') };
+
+        if (!pattern) {
+            const average = texture.averageColor();
+            const fill = ColorUtils.rgbToHex(
+                average.r * light.r / 255,
+                average.g * light.g / 255,
+                average.b * light.b / 255
+            );
+            this._drawPolygon(points, fill, strokeColor);
+            return;
+        }
+
+        const corners = points.map((p, k) => ({ x: p.x, y: p.y, iw: 1 / p.w, u: uvs[k][0], v: uvs[k][1] }));
+        const levels = this._settings.textureSubdivisions;
+
+        this._ctx.imageSmoothingEnabled = this._settings.textureFilter === 'bilinear';
+        for (let k = 1; k < corners.length - 1; k++) {
+            this._drawTexturedTriangle(corners[0], corners[k], corners[k + 1], pattern, levels);
+        }
+
+        // Light the whole face in one pass; per-piece passes would leave seams
+        if (light.r < 255 || light.g < 255 || light.b < 255) {
+            this._ctx.save();
+            this._ctx.globalCompositeOperation = 'multiply';
+            this._tracePolygon(points);
+            this._ctx.fillStyle = ColorUtils.rgbToHex(light.r, light.g, light.b);
+            this._ctx.fill();
+            // Like the Gouraud hairline, this covers the anti-aliased border
+            this._ctx.strokeStyle = this._ctx.fillStyle;
+            this._ctx.lineWidth = 0.5;
+            this._ctx.stroke();
+            this._ctx.restore();
+        }
+
+        if (strokeColor) {
+            this._tracePolygon(points);
+            this._strokePath(strokeColor);
+        }
+    }
+
+    /**
+     * Recursively subdivides a textured triangle, then fills each piece with
+     * the pattern under the affine map that takes its texture corners to its
+     * screen corners. Midpoints interpolate u/w, v/w and 1/w, so the pieces
+     * follow the perspective even though each one is mapped affinely.
+     * @private
+     * @param {Object} a - Corner { x, y, iw, u, v }
+     * @param {Object} b - Corner { x, y, iw, u, v }
+     * @param {Object} c - Corner { x, y, iw, u, v }
+     * @param {CanvasPattern} pattern - Repeating texture pattern
+     * @param {number} level - Remaining subdivision levels
+     */
+    _drawTexturedTriangle(a, b, c, pattern, level) {
+        if (level > 0) {
+            const mid = (p, q) => {
+                const iw = (p.iw + q.iw) / 2;
+                return {
+                    x: (p.x + q.x) / 2,
+                    y: (p.y + q.y) / 2,
+                    iw,
+                    u: (p.u * p.iw + q.u * q.iw) / 2 / iw,
+                    v: (p.v * p.iw + q.v * q.iw) / 2 / iw
+                };
+            };
+            const ab = mid(a, b), bc = mid(b, c), ca = mid(c, a);
+
+            this._drawTexturedTriangle(a, ab, ca, pattern, level - 1);
+            this._drawTexturedTriangle(ab, b, bc, pattern, level - 1);
+            this._drawTexturedTriangle(ca, bc, c, pattern, level - 1);
+            this._drawTexturedTriangle(ab, bc, ca, pattern, level - 1);
+            return;
+        }
+
+        const texture = this._settings.texture;
+        const ctx = this._ctx;
+        const screen = [a, b, c];
+
+        // Corners in texture pixels (image rows run top to bottom)
+        const tex = screen.map(p => ({ x: p.u * texture.width, y: (1 - p.v) * texture.height }));
+        const ds1 = { x: tex[1].x - tex[0].x, y: tex[1].y - tex[0].y };
+        const ds2 = { x: tex[2].x - tex[0].x, y: tex[2].y - tex[0].y };
+        const dp1 = { x: b.x - a.x, y: b.y - a.y };
+        const dp2 = { x: c.x - a.x, y: c.y - a.y };
+        const det = ds1.x * ds2.y - ds2.x * ds1.y;
+
+        // Grow each piece by half a pixel so anti-aliased edges do not leave seams
+        const center = { x: (a.x + b.x + c.x) / 3, y: (a.y + b.y + c.y) / 3 };
+        const texCenter = { x: (tex[0].x + tex[1].x + tex[2].x) / 3, y: (tex[0].y + tex[1].y + tex[2].y) / 3 };
+        const grow = screen.map(p => {
+            const length = Math.hypot(p.x - center.x, p.y - center.y);
+            return length > 0 ? 0.5 / length : 0;
+        });
+        const expand = (points, origin) => points.map((p, k) => ({
+            x: p.x + (p.x - origin.x) * grow[k],
+            y: p.y + (p.y - origin.y) * grow[k]
+        }));
+
+        if (Math.abs(det) < 1e-9) {
+            // The uvs collapse to a line or point; fill with the texel at the center
+            const texel = texture.sample((a.u + b.u + c.u) / 3, (a.v + b.v + c.v) / 3, this._settings.textureFilter);
+            this._tracePolygon(expand(screen, center));
+            ctx.fillStyle = ColorUtils.rgbToHex(texel.r, texel.g, texel.b);
+            ctx.fill();
+            return;
+        }
+
+        // Affine map from texture pixels to screen: x' = ma*x + mc*y + me, y' = mb*x + md*y + mf
+        const ma = (dp1.x * ds2.y - dp2.x * ds1.y) / det;
+        const mc = (dp2.x * ds1.x - dp1.x * ds2.x) / det;
+        const mb = (dp1.y * ds2.y - dp2.y * ds1.y) / det;
+        const md = (dp2.y * ds1.x - dp1.y * ds2.x) / det;
+        const me = a.x - ma * tex[0].x - mc * tex[0].y;
+        const mf = a.y - mb * tex[0].x - md * tex[0].y;
+
+        ctx.save();
+        ctx.transform(ma, mb, mc, md, me, mf);
+        this._tracePolygon(expand(tex, texCenter));
+        ctx.fillStyle = pattern;
+        ctx.fill();
+        ctx.restore();
+    }
+
+    /**
+     * Returns a repeating pattern of a texture for the current context,
+     * reusing the last one while neither changes
+     * @private
+     * @param {Texture} texture - Texture to wrap
+     * @returns {CanvasPattern|null} Pattern, or null if the target cannot draw one
+     */
+    _texturePattern(texture) {
+        if (typeof this._ctx.createPattern !== 'function') return null;
+
+        const cache = this._patternCache;
+        if (cache && cache.ctx === this._ctx && cache.texture === texture) return cache.pattern;
+
+        const source = texture.toCanvas();
+        const pattern = source ? this._ctx.createPattern(source, 'repeat') : null;
+        this._patternCache = { ctx: this._ctx, texture, pattern };
+        return pattern;
+    }
+
+    /**
+     * Fan-triangulates a projected polygon into the z-buffer, with an
+     * optional depth-tested outline
+     * @private
+     * @param {Array<Object>} points - Projected points ({ x, y, w, depthKey })
+     * @param {Array<Object>} colors - Color { r, g, b } for each point
+     * @param {string|null} strokeColor - Outline color, or null for none
+     * @param {Array<Array<number>>|null} [uvs=null] - Texture coordinates that map settings.texture
+     */
+    _rasterizePolygon(points, colors, strokeColor, uvs = null) {
+        const corners = points.map((p, k) => ({
+            x: p.x,
+            y: p.y,
+            w: p.w,
+            depthKey: p.depthKey,
+            color: colors[k],
+            u: uvs ? uvs[k][0] : 0,
+            v: uvs ? uvs[k][1] : 0
+        }));
+        const texture = uvs ? this._settings.texture : null;
+        const alpha = this._ctx.globalAlpha ?? 1;
+
+        for (let k = 1; k < corners.length - 1; k++) {
+            this._raster.drawTriangle(corners[0], corners[k], corners[k + 1], texture, this._settings.textureFilter, alpha);
+        }
+
+        if (strokeColor) {
+            const stroke = ColorUtils.hexToRgb(strokeColor);
+            corners.forEach((corner, k) => {
+                const next = corners[(k + 1) % corners.length];
+                this._raster.drawLine(corner, next, stroke, this._settings.lineWidth, alpha);
+            });
+        }
+    }
+
+    /**
+     * Builds a closed path through projected points
+     * @private
+     * @param {Array<Object>} points - Projected points ({ x, y })
+     */
+    _tracePolygon(points) {
+        this._ctx.beginPath();
+        this._ctx.moveTo(points[0].x, points[0].y);
+        for (let k = 1; k < points.length; k++) {
+            this._ctx.lineTo(points[k].x, points[k].y);
+        }
+        this._ctx.closePath();
+    }
+
+    /**
+     * Strokes the current path as a wireframe outline
+     * @private
+     * @param {string} strokeColor - Outline color
+     */
+    _strokePath(strokeColor) {
+        this._ctx.strokeStyle = strokeColor;
+        this._ctx.lineWidth = this._settings.lineWidth;
+        this._ctx.lineJoin = 'round';
+        this._ctx.stroke();
+    }
+
+    /**
+     * Draws a vertex point
+     * @private
+     */
+    _drawVertex(x, y, size = null, z = 0, color = null) {
+        if (!this._ctx) return;
+        
+        const radius = size || this._settings.vertexSize;
+        const fillColor = color || this._settings.vertexColor;
+
+        if (this._raster) {
+            this._raster.drawPoint(
+                { x, y, ...this._camera.depthTerms(z) },
+                radius,
+                ColorUtils.hexToRgb(fillColor),
+                this._ctx.globalAlpha ?? 1
+            );
+            return;
+        }
+
+        this._ctx.beginPath();
+        this._ctx.arc(x, y, radius, 0, Math.PI * 2);
+        this._ctx.fillStyle = fillColor;
+        this._ctx.fill();
+    }
+
+    /**
+     * Renders the grid
+     * @private
+     */
+    _renderGrid() {
+        if (!this._settings.showGrid) return;
+        
+        const grid = Shapes.grid(300, 10);
+        grid.vertices = grid.vertices.map(v => new Vector3(v.x, v.y - 100, v.z));
+        this._renderGuide(grid);
+    }
+
+    /**
+     * Renders the coordinate axes
+     * @private
+     */
+    _renderAxes() {
+        if (!this._settings.showAxes) return;
+        this._renderGuide(Shapes.axes(150));
+    }
+
+    /**
+     * Draws a world-space line shape (grid, axes) straight away, using its
+     * edge materials
+     * @private
+     * @param {Object} shape - Shape with vertices and edges
+     */
+    _renderGuide(shape) {
+        const viewVertices = shape.vertices.map(v => this._camera.worldToView(v));
+
+        shape.edges.forEach(([i, j], e) => {
+            const segment = this._clipSegment(viewVertices[i], viewVertices[j]);
+            if (!segment) return;
+            const [p1, p2] = segment;
+            this._drawItem({ type: 'edge', p1, p2, material: this._edgeMaterial(shape, e) });
+        });
+    }
+
+    /**
+     * Collects a mesh's edges as draw items, cut at the clipping planes
+     * @private
+     * @param {Mesh} mesh - Mesh to draw
+     * @param {Array<Vector3>} viewVertices - View-space vertices of the mesh
+     * @param {Array<Object>} items - Draw items to append to
+     */
+    _collectEdges(mesh, viewVertices, items) {
+        mesh.shape.edges.forEach(([i, j], e) => {
+            const segment = this._clipSegment(viewVertices[i], viewVertices[j]);
+            if (!segment) return;
+            const [p1, p2] = segment;
+            items.push({
+                type: 'edge',
+                depth: (p1.z + p2.z) / 2,
+                p1,
+                p2,
+                material: this._edgeMaterial(mesh.shape, e)
+            });
+        });
+    }
+
+    /**
+     * Collects a mesh's visible faces as shaded draw items, clipped to the
+     * clipping planes
+     * @private
+     * @param {Mesh} mesh - Mesh to draw
+     * @param {Array<Vector3>} viewVertices - View-space vertices of the mesh
+     * @param {boolean} outline - Whether to stroke face outlines on top
+     * @param {Array<Object>} items - Draw items to append to
+     */
+    _collectFaces(mesh, viewVertices, outline, items) {
+        const { backfaceCulling, depthColoring, texture } = this._settings;
+        const { shape, worldVertices: vertices } = mesh;
+        const white = { r: 255, g: 255, b: 255 };
+        const faceNormals = shape.faces.map(face => this._faceNormal(vertices, face));
+        const materials = shape.faces.map((face, f) => this._faceMaterial(shape, f));
+        const shadingOf = material => material.shading ?? this._settings.shading;
+        const vertexNormals = materials.some(m => shadingOf(m) === 'gouraud')
+            ? this._computeVertexNormals(shape, faceNormals)
+            : null;
+
+        shape.faces.forEach((face, f) => {
+            const normal = faceNormals[f];
+            const centroid = this._faceCentroid(vertices, face);
+            const frontFacing = this._isFrontFacing(normal, centroid);
+            if (backfaceCulling && !frontFacing) return;
+
+            const material = materials[f];
+            const shading = shadingOf(material);
+            const emissive = material.emissive ? ColorUtils.hexToRgb(material.emissive) : null;
+            const depth = this._camera.depthOf(centroid);
+            // Textured faces carry the light as a per-corner color that
+            // multiplies the texels, tinted by an explicit material color
+            const faceUVs = texture && shape.uvs && shape.faceUVs?.[f];
+            const baseColor = material.color ?? (depthColoring
+                ? ColorUtils.depthColor(depth)
+                : this._settings.faceColor);
+            const base = faceUVs && !material.color ? white : ColorUtils.hexToRgb(baseColor);
+            let fill = baseColor;
+            let colors = null;
+            // Light back faces from the side the viewer actually sees
+            const side = frontFacing ? 1 : -1;
+
+            if (shading === 'gouraud') {
+                colors = face.map(i => this._shade(
+                    base, vertices[i], vertexNormals[i].scale(side), emissive
+                ));
+            } else if (shading === 'flat') {
+                const lit = this._shade(base, centroid, normal.scale(side), emissive);
+                fill = ColorUtils.rgbToHex(lit.r, lit.g, lit.b);
+                if (faceUVs) colors = face.map(() => lit);
+            } else if (faceUVs) {
+                colors = face.map(() => base);
+            }
+
+            const corners = Clipping.clipPolygon(
+                face.map((i, k) => ({
+                    position: viewVertices[i],
+                    color: colors?.[k],
+                    uv: faceUVs ? shape.uvs[faceUVs[k]] : undefined
+                })),
+                this._clipPlanes,
+                (from, to, t) => this._interpolateCorner(from, to, t)
+            );
+            if (corners.length === 0) return;
+
+            items.push({
+                type: 'face',
+                depth,
+                points: corners.map(c => this._camera.projectView(c.position)),
+                fill,
+                colors: colors && corners.map(c => c.color),
+                uvs: faceUVs ? corners.map(c => c.uv) : null,
+                stroke: outline ? material.edgeColor ?? this._settings.wireframeColor : null,
+                material
+            });
+        });
+    }
+
+    /**
+     * Collects every mesh's edges split into visible and occluded segments,
+     * using the faces of all meshes as occluders. Silhouette edges (between a
+     * front- and a back-facing face, or on an open boundary) are flagged.
+     * @private
+     * @param {Array<Mesh>} meshes - Visible meshes
+     * @param {Array<Array<Vector3>>} viewMeshes - View-space vertices of each mesh
+     * @param {Array<Object>} items - Draw items to append to
+     */
+    _collectHiddenLines(meshes, viewMeshes, items) {
+        const style = this._settings.hiddenLineStyle;
+        const occluders = [];
+        const facing = meshes.map((mesh, m) => this._collectOccluders(mesh, m, viewMeshes[m], occluders));
+
+        meshes.forEach((mesh, m) => {
+            const edgeFaces = this._edgeFaces(mesh.shape);
+
+            mesh.shape.edges.forEach(([i, j], e) => {
+                const segment = this._clipSegment(viewMeshes[m][i], viewMeshes[m][j]);
+                if (!segment) return;
+                const material = this._edgeMaterial(mesh.shape, e);
+
+                const faces = edgeFaces.get(i < j ? `${i}-${j}` : `${j}-${i}`) || [];
+                const silhouette = faces.length === 1 ||
+                    (faces.length === 2 && facing[m][faces[0]] !== facing[m][faces[1]]);
+
+                const [p1, p2] = segment;
+                const hidden = this._occludedIntervals(p1, p2, occluders, m, i, j);
+                let t = 0;
+                const push = (t0, t1, isHidden) => {
+                    if (isHidden && style === 'hide') return;
+                    const a = this._lerpProjected(p1, p2, t0);
+                    const b = this._lerpProjected(p1, p2, t1);
+                    // Skip slivers left where an edge meets its occluder at a shared vertex
+                    if (Math.hypot(b.x - a.x, b.y - a.y) < 0.5) return;
+                    items.push({
+                        type: 'edge',
+                        depth: (a.z + b.z) / 2,
+                        p1: a,
+                        p2: b,
+                        material,
+                        hidden: isHidden,
+                        silhouette
+                    });
+                };
+
+                hidden.forEach(([t0, t1]) => {
+                    push(t, t0, false);
+                    push(t0, t1, true);
+                    t = t1;
+                });
+                push(t, 1, false);
+            });
+        });
+    }
+
+    /**
+     * Adds a mesh's faces to the occluder list as projected triangles
+     * @private
+     * @param {Mesh} mesh - Mesh whose faces occlude
+     * @param {number} meshIndex - Index used to recognise a mesh's own faces
+     * @param {Array<Vector3>} viewVertices - View-space vertices of the mesh
+     * @param {Array<Object>} occluders - Triangles to append to
+     * @returns {Array<boolean>} Whether each face is front-facing
+     */
+    _collectOccluders(mesh, meshIndex, viewVertices, occluders) {
+        const { shape, worldVertices } = mesh;
+        const faces = shape.faces || [];
+
+        return faces.map(face => {
+            const frontFacing = this._isFrontFacing(
+                this._faceNormal(worldVertices, face),
+                this._faceCentroid(worldVertices, face)
+            );
+            if (this._settings.backfaceCulling && !frontFacing) return frontFacing;
+
+            const corners = Clipping.clipPolygon(
+                face.map(i => ({ position: viewVertices[i] })),
+                this._clipPlanes,
+                (from, to, t) => ({ position: from.position.lerp(to.position, t) })
+            );
+            const points = corners.map(c => this._camera.projectView(c.position));
+
+            for (let k = 1; k < points.length - 1; k++) {
+                const a = points[0], b = points[k], c = points[k + 1];
+                occluders.push({
+                    a, b, c,
+                    meshIndex,
+                    face,
+                    minX: Math.min(a.x, b.x, c.x), maxX: Math.max(a.x, b.x, c.x),
+                    minY: Math.min(a.y, b.y, c.y), maxY: Math.max(a.y, b.y, c.y)
+                });
+            }
+            return frontFacing;
+        });
+    }
+
+    /**
+     * Maps each undirected edge key ("low-high") to the faces using it
+     * @private
+     * @param {Object} shape - Shape with faces
+     * @returns {Map<string, Array<number>>} Face indices per edge
+     */
+    _edgeFaces(shape) {
+        const map = new Map();
+        (shape.faces || []).forEach((face, f) => {
+            face.forEach((a, k) => {
+                const b = face[(k + 1) % face.length];
+                const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+                if (!map.has(key)) map.set(key, []);
+                map.get(key).push(f);
+            });
+        });
+        return map;
+    }
+
+    /**
+     * Finds the parts of a projected segment that lie behind any occluder.
+     * The depth key (1/w in perspective) is linear in screen space along both
+     * the segment and each triangle, so each triangle hides at most one
+     * interval, found exactly.
+     * @private
+     * @param {Object} p1 - Projected start { x, y, depthKey }
+     * @param {Object} p2 - Projected end { x, y, depthKey }
+     * @param {Array<Object>} occluders - Triangles from _collectOccluders()
+     * @param {number} meshIndex - Mesh the segment belongs to
+     * @param {number} i - Start vertex index in that mesh
+     * @param {number} j - End vertex index in that mesh
+     * @returns {Array<Array<number>>} Sorted, merged [t0, t1] intervals along the segment
+     */
+    _occludedIntervals(p1, p2, occluders, meshIndex, i, j) {
+        const intervals = [];
+        const minX = Math.min(p1.x, p2.x), maxX = Math.max(p1.x, p2.x);
+        const minY = Math.min(p1.y, p2.y), maxY = Math.max(p1.y, p2.y);
+        const dx = p2.x - p1.x, dy = p2.y - p1.y;
+        const k1 = p1.depthKey, k2 = p2.depthKey;
+
+        occluders.forEach(tri => {
+            if (tri.maxX < minX || tri.minX > maxX || tri.maxY < minY || tri.minY > maxY) return;
+            // An edge of a face never hides behind that face
+            if (tri.meshIndex === meshIndex && tri.face.includes(i) && tri.face.includes(j)) return;
+
+            const { a, b, c } = tri;
+            const area = (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+            if (Math.abs(area) < 1e-9) return;
+            const sign = Math.sign(area);
+
+            // Clip the segment's parameter range to the triangle (2D Cyrus-Beck)
+            let t0 = 0, t1 = 1;
+            for (const [e0, e1] of [[a, b], [b, c], [c, a]]) {
+                const f = (x, y) => sign * ((e1.x - e0.x) * (y - e0.y) - (e1.y - e0.y) * (x - e0.x));
+                const f0 = f(p1.x, p1.y);
+                const f1 = f(p2.x, p2.y);
+                if (f0 < 0 && f1 < 0) return;
+                if (f0 < 0) t0 = Math.max(t0, f0 / (f0 - f1));
+                else if (f1 < 0) t1 = Math.min(t1, f0 / (f0 - f1));
+                if (t0 >= t1) return;
+            }
+
+            // Occluded where the triangle is nearer (larger key) than the segment
+            const triangleDepth = (t) => {
+                const x = p1.x + dx * t, y = p1.y + dy * t;
+                const l0 = ((b.x - x) * (c.y - y) - (b.y - y) * (c.x - x)) / area;
+                const l1 = ((c.x - x) * (a.y - y) - (c.y - y) * (a.x - x)) / area;
+                return l0 * a.depthKey + l1 * b.depthKey + (1 - l0 - l1) * c.depthKey;
+            };
+            const gap = (t) => {
+                const segmentDepth = k1 + (k2 - k1) * t;
+                return triangleDepth(t) - segmentDepth - Math.abs(segmentDepth) * 1e-4;
+            };
+            const g0 = gap(t0);
+            const g1 = gap(t1);
+            if (g0 <= 0 && g1 <= 0) return;
+
+            if (g0 <= 0) t0 += (t1 - t0) * (g0 / (g0 - g1));
+            else if (g1 <= 0) t1 = t0 + (t1 - t0) * (g0 / (g0 - g1));
+            intervals.push([t0, t1]);
+        });
+
+        intervals.sort((u, v) => u[0] - v[0]);
+        const merged = [];
+        intervals.forEach(([t0, t1]) => {
+            const last = merged[merged.length - 1];
+            if (last && t0 <= last[1] + 1e-6) {
+                last[1] = Math.max(last[1], t1);
+            } else {
+                merged.push([t0, t1]);
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * Interpolates between two projected points, keeping 1/w, z/w and the
+     * depth key linear
+     * @private
+     * @param {Object} p1 - Projected point { x, y, z, w, scale, depthKey }
+     * @param {Object} p2 - Projected point { x, y, z, w, scale, depthKey }
+     * @param {number} t - Screen-space parameter
+     * @returns {Object} Projected point
+     */
+    _lerpProjected(p1, p2, t) {
+        if (t <= 0) return p1;
+        if (t >= 1) return p2;
+
+        const w = 1 / (1 / p1.w + (1 / p2.w - 1 / p1.w) * t);
+        return {
+            x: p1.x + (p2.x - p1.x) * t,
+            y: p1.y + (p2.y - p1.y) * t,
+            scale: this._camera.focalLength / w,
+            z: (p1.z / p1.w + (p2.z / p2.w - p1.z / p1.w) * t) * w,
+            w,
+            depthKey: p1.depthKey + (p2.depthKey - p1.depthKey) * t
+        };
+    }
+
+    /**
+     * Draws one collected edge or face with its material's opacity
+     * @private
+     * @param {Object} item - Draw item from _collectEdges() or _collectFaces()
+     */
+    _drawItem(item) {
+        const opacity = item.material?.opacity ?? 1;
+
+        if (item.type === 'edge') {
+            const { p1, p2 } = item;
+            const { lineWidth, silhouetteWidth, hiddenLineStyle, hiddenLineAlpha, hiddenLineDash } = this._settings;
+            const width = item.silhouette ? lineWidth * silhouetteWidth : lineWidth;
+            const color = item.material?.edgeColor ?? null;
+
+            this._ctx.globalAlpha = item.hidden ? opacity * hiddenLineAlpha : opacity;
+            this._drawLine(p1.x, p1.y, p2.x, p2.y, p1.z, p2.z, color, {
+                width,
+                dash: item.hidden && hiddenLineStyle === 'dashed' ? hiddenLineDash : null
+            });
+            this._ctx.globalAlpha = 1;
+            return;
+        }
+
+        this._ctx.globalAlpha = opacity;
+        if (item.uvs) {
+            this._drawTexturedPolygon(item.points, item.uvs, item.colors, item.stroke);
+        } else if (item.colors) {
+            this._drawGouraudPolygon(item.points, item.colors, item.stroke);
+        } else {
+            this._drawPolygon(item.points, item.fill, item.stroke);
+        }
+        this._ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Renders one frame into another 2D drawing target, such as an
+     * SvgContext, using the same pipeline as render(). Only the views on the
+     * main canvas are drawn; viewports with a canvas of their own are left
+     * alone. Targets without putImageData always get the Canvas2D path, even
+     * with the z-buffer backend.
+     * @param {Object} ctx - Object implementing the Canvas2D calls render() makes
+     */
+    renderTo(ctx) {
+        const previous = this._ctx;
+        this._ctx = ctx;
+        try {
+            this._renderCanvas(this._viewports.filter(viewport => !viewport.canvas));
+        } finally {
+            this._ctx = previous;
+        }
+    }
+
+    /**
+     * Main render function. Draws every viewport, or the main camera over
+     * the whole canvas when there are none.
+     * @public
+     */
+    render() {
+        if (!this._ctx || !this._canvas) {
+            console.warn('Renderer3D: No canvas context available');
+            return;
+        }
+
+        this._renderCanvas(this._viewports.filter(viewport => !viewport.canvas));
+
+        // Viewports with a canvas of their own draw there
+        this._viewports.filter(viewport => viewport.canvas).forEach(viewport => {
+            const canvas = this._canvas;
+            const ctx = this._ctx;
+            this._canvas = viewport.canvas;
+            this._ctx = viewport.canvas.getContext('2d');
+            try {
+                this._renderCanvas([viewport]);
+            } finally {
+                this._canvas = canvas;
+                this._ctx = ctx;
+            }
+        });
+    }
+
+    /**
+     * Clears the current canvas and draws viewports into it, or the main
+     * camera over all of it when there are none
+     * @private
+     * @param {Array<Viewport>} viewports - Viewports drawn on this canvas
+     */
+    _renderCanvas(viewports) {
+        const { width, height } = this._canvas;
+        const views = viewports.length > 0
+            ? viewports.map(viewport => ({ viewport, rect: viewport.pixelRect(width, height) }))
+            : [{ viewport: null, rect: { x: 0, y: 0, width, height } }];
+
+        const main = this._camera;
+        this._raster = this._beginRaster();
+        try {
+            this._clearCanvas();
+            views.forEach(({ viewport, rect }) => this._renderViewport(viewport, rect, main));
+            if (this._raster) this._raster.blit(this._ctx);
+        } finally {
+            this._raster = null;
+            this._camera = main;
+        }
+
+        if (viewports.length > 1) {
+            views.forEach(({ viewport, rect }) => this._drawViewportFrame(viewport, rect));
+        }
+    }
+
+    /**
+     * Draws the scene through one viewport's camera, clipped to its rectangle
+     * @private
+     * @param {Viewport|null} viewport - Viewport to draw, or null for the main camera
+     * @param {Object} rect - Canvas rectangle { x, y, width, height } in pixels
+     * @param {Camera} main - Main camera, followed by preset views
+     */
+    _renderViewport(viewport, rect, main) {
+        const camera = this._viewportCamera(viewport, rect, main);
+        this._camera = camera;
+        this._clipPlanes = camera.clipPlanes(this._settings.clipToFrustum);
+
+        const fillsCanvas = rect.x === 0 && rect.y === 0 &&
+            rect.width === this._canvas.width && rect.height === this._canvas.height;
+        if (fillsCanvas) {
+            this._renderScene();
+            return;
+        }
+
+        this._ctx.save();
+        this._ctx.beginPath();
+        this._ctx.rect(rect.x, rect.y, rect.width, rect.height);
+        this._ctx.clip();
+        this._raster?.setScissor(rect);
+        try {
+            this._renderScene();
+        } finally {
+            this._ctx.restore();
+            this._raster?.setScissor(null);
+        }
+    }
+
+    /**
+     * Prepares the camera a viewport is seen through: follows the main
+     * camera for preset views, fits the rectangle and applies the projection
+     * @private
+     * @param {Viewport|null} viewport - Viewport, or null for the main camera
+     * @param {Object} rect - Canvas rectangle { x, y, width, height } in pixels
+     * @param {Camera} main - Main camera, followed by preset views
+     * @returns {Camera} The updated camera
+     */
+    _viewportCamera(viewport, rect, main) {
+        const camera = viewport?.camera || main;
+        if (viewport?.view) {
+            camera.target = main.target;
+            camera.eye = main.eye;
+            camera.fov = main.fov;
+            camera.near = main.near;
+            camera.far = main.far;
+            camera.setView(viewport.view);
+        }
+
+        // Keep the principal point at the viewport center
+        const current = camera.viewport;
+        if (current.x !== rect.x || current.y !== rect.y ||
+            current.width !== rect.width || current.height !== rect.height) {
+            camera.setViewport(rect.width, rect.height, rect.x, rect.y);
+        }
+        const { projection, projectionBlend } = this._settings;
+        camera.orthoBlend = viewport?.projection
+            ? Number(viewport.projection === 'orthographic')
+            : projectionBlend ?? (projection === 'orthographic' ? 1 : 0);
+        camera.update();
+        return camera;
+    }
+
+    /**
+     * Outlines a viewport and labels it with its name, highlighting the active one
+     * @private
+     * @param {Viewport} viewport - Viewport to frame
+     * @param {Object} rect - Canvas rectangle { x, y, width, height } in pixels
+     */
+    _drawViewportFrame(viewport, rect) {
+        const ctx = this._ctx;
+        const active = viewport === this._activeViewport;
+        const color = active ? this._settings.activeViewportColor : this._settings.viewportBorderColor;
+        const inset = active ? 1 : 0.5;
+
+        ctx.save();
+        ctx.globalAlpha = 1;
+        ctx.setLineDash([]);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = inset * 2;
+        ctx.beginPath();
+        ctx.moveTo(rect.x + inset, rect.y + inset);
+        ctx.lineTo(rect.x + rect.width - inset, rect.y + inset);
+        ctx.lineTo(rect.x + rect.width - inset, rect.y + rect.height - inset);
+        ctx.lineTo(rect.x + inset, rect.y + rect.height - inset);
+        ctx.closePath();
+        ctx.stroke();
+
+        if (viewport.name) {
+            ctx.fillStyle = color;
+            ctx.font = '12px sans-serif';
+            ctx.textBaseline = 'top';
+            ctx.fillText(viewport.name, rect.x + 6, rect.y + 5);
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Returns the rasterizer to draw this frame into, or null for Canvas2D
+     * @private
+     * @returns {Rasterizer|null}
+     */
+    _beginRaster() {
+        // Pixel-only targets such as a FrameBuffer cannot paint Canvas2D paths
+        if (this._settings.backend !== 'zbuffer' && !this._ctx.rasterOnly) return null;
+        if (typeof this._ctx.putImageData !== 'function') return null;
+
+        if (this._rasterizer) {
+            this._rasterizer.resize(this._canvas.width, this._canvas.height);
+        } else {
+            this._rasterizer = new Rasterizer(this._canvas.width, this._canvas.height);
+        }
+        return this._rasterizer;
+    }
+
+    /**
+     * Draws grid, axes and every visible mesh with the active backend,
+     * through the current camera
+     * @private
+     */
+    _renderScene() {
+        // Render helpers
+        this._renderGrid();
+        this._renderAxes();
+
+        this._scene.updateWorldMatrix();
+
+        // Gather edges and faces from every visible mesh, so overlapping
+        // objects share one depth sort (painter's algorithm)
+        const mode = this._settings.renderMode;
+        const items = [];
+        const meshes = this._scene.visibleMeshes();
+        const viewMeshes = meshes.map(mesh => mesh.worldVertices.map(v => this._camera.worldToView(v)));
+
+        if (mode === 'hidden-line') {
+            this._collectHiddenLines(meshes, viewMeshes, items);
+        } else {
+            meshes.forEach((mesh, m) => {
+                // Shapes without face data fall back to the wireframe
+                const hasFaces = mesh.shape.faces && mesh.shape.faces.length > 0;
+                if (mode !== 'wireframe' && hasFaces) {
+                    this._collectFaces(mesh, viewMeshes[m], mode === 'solid-wireframe', items);
+                } else {
+                    this._collectEdges(mesh, viewMeshes[m], items);
+                }
+            });
+        }
+
+        // Farthest first so nearer items paint over them; the z-buffer
+        // backend resolves visibility per pixel, but draws translucent items
+        // after opaque ones so there is something to blend with.
+        // Hidden lines go underneath everything else.
+        const translucent = item => Number(Boolean(this._raster) && (item.material?.opacity ?? 1) < 1);
+        items.sort((a, b) =>
+            Number(Boolean(b.hidden)) - Number(Boolean(a.hidden)) ||
+            translucent(a) - translucent(b) ||
+            b.depth - a.depth
+        );
+        items.forEach(item => this._drawItem(item));
+
+        // Draw vertices that survive clipping
+        if (this._settings.showVertices) {
+            viewMeshes.forEach((viewVertices, m) => {
+                const material = meshes[m].shape.material;
+                this._ctx.globalAlpha = material?.opacity ?? 1;
+                viewVertices.forEach(v => {
+                    if (!Clipping.contains(v, this._clipPlanes)) return;
+                    const p = this._camera.projectView(v);
+                    const size = this._settings.vertexSize * p.scale;
+                    this._drawVertex(p.x, p.y, Math.max(2, size), p.z, material?.vertexColor);
+                });
+                this._ctx.globalAlpha = 1;
+            });
+        }
+
+        this._renderHighlights(meshes);
+        this._renderGizmo();
+    }
+
+    /**
+     * Draws the hovered and selected elements on top of the scene; the
+     * selection goes last, so it shows when both are the same element
+     * @private
+     * @param {Array<Mesh>} meshes - Visible meshes
+     */
+    _renderHighlights(meshes) {
+        const selected = [].concat(this._selected || []);
+        const highlights = [
+            { hit: this._hovered, color: this._settings.hoverColor },
+            ...selected.map(hit => ({ hit, color: this._settings.selectionColor }))
+        ].filter(({ hit }) => hit && meshes.includes(hit.mesh) &&
+            hit.vertices.every(i => i < hit.mesh.worldVertices.length));
+        if (highlights.length === 0) return;
+
+        // Nothing drawn so far may cover them
+        this._raster?.clearDepth();
+        highlights.forEach(({ hit, color }) => this._drawHighlight(hit, color));
+    }
+
+    /**
+     * Draws the gizmo's handles on top of everything else
+     * @private
+     */
+    _renderGizmo() {
+        if (!this._gizmo) return;
+
+        this._raster?.clearDepth();
+        const { lineWidth, highlightAlpha } = this._settings;
+        this._gizmo.handles(this._camera).forEach(({ type, points, color }) => {
+            const view = points.map(p => this._camera.worldToView(p));
+            if (!view.every(v => Clipping.contains(v, this._clipPlanes))) return;
+            const projected = view.map(v => this._camera.projectView(v));
+
+            if (type === 'plane') {
+                this._ctx.globalAlpha = highlightAlpha;
+                this._drawPolygon(projected, color);
+                this._ctx.globalAlpha = 1;
+                return;
+            }
+            const [p1, p2] = projected;
+            this._drawLine(p1.x, p1.y, p2.x, p2.y, p1.z, p2.z, color, { width: lineWidth * 1.5 });
+            this._drawVertex(p2.x, p2.y, lineWidth * 2.5, p2.z, color);
+        });
+    }
+
+    /**
+     * Draws one highlighted vertex, edge or face through the current camera
+     * @private
+     * @param {Object} hit - Hit from pick()
+     * @param {string} color - Highlight color
+     */
+    _drawHighlight(hit, color) {
+        const { lineWidth, vertexSize, highlightAlpha } = this._settings;
+        const view = hit.vertices.map(i => this._camera.worldToView(hit.mesh.worldVertices[i]));
+        const outline = { width: lineWidth * 2 };
+
+        if (hit.type === 'vertex') {
+            if (!Clipping.contains(view[0], this._clipPlanes)) return;
+            const p = this._camera.projectView(view[0]);
+            this._drawVertex(p.x, p.y, Math.max(2, vertexSize * p.scale) + 2, p.z, color);
+        } else if (hit.type === 'edge') {
+            const segment = this._clipSegment(view[0], view[1]);
+            if (!segment) return;
+            const [p1, p2] = segment;
+            this._drawLine(p1.x, p1.y, p2.x, p2.y, p1.z, p2.z, color, outline);
+        } else {
+            const points = this._projectFace(view, view.map((v, k) => k));
+            if (points.length === 0) return;
+            this._ctx.globalAlpha = highlightAlpha;
+            this._drawPolygon(points, color);
+            this._ctx.globalAlpha = 1;
+            points.forEach((p1, k) => {
+                const p2 = points[(k + 1) % points.length];
+                this._drawLine(p1.x, p1.y, p2.x, p2.y, p1.z, p2.z, color, outline);
+            });
+        }
+    }
+}
+
+/* ============================================
+ * RENDERER FACTORY
+ * ============================================ */
+
+/**
+ * Creates a renderer with its settings, view and shape in one call
+ * @param {HTMLCanvasElement|FrameBuffer|null} [canvas=null] - Render target; can be set later
+ * @param {Object} [options] - Renderer3D settings to override (see Renderer3D#settings), plus:
+ * @param {number} [options.focalLength] - Focal length in pixels
+ * @param {string} [options.view] - Preset view (see Camera#setView)
+ * @param {string} [options.layout] - Viewport layout, 'single' | 'quad'
+ * @param {string|Object} [options.shape] - Shapes entry name, or a shape object
+ * @param {Array<Light>} [options.lights] - Lights replacing the default ambient and directional pair
+ * @returns {Renderer3D} The configured renderer
+ * @throws {Error} If an option is not a known setting, or has a value the setting does not accept
+ *
+ * @example
+ * const renderer = createRenderer(canvas, { shape: 'torus', renderMode: 'solid', shading: 'flat' });
+ * renderer.transform({ rotationX: 30 });
+ * renderer.render();
+ */
+function createRenderer(canvas = null, options = {}) {
+    const { focalLength, view, layout, shape, lights, ...settings } = options;
+    const renderer = new Renderer3D(canvas);
+
+    Object.keys(settings).forEach(key => {
+        if (!(key in renderer.settings)) {
+            throw new Error(`Unknown renderer option "${key}"`);
+        }
+    });
+    Renderer3D.checkSettings(settings);
+    Object.assign(renderer.settings, settings);
+
+    if (focalLength !== undefined) renderer.focalLength = focalLength;
+    if (view) renderer.setView(view);
+    if (layout) renderer.setLayout(layout);
+    if (typeof shape === 'string') {
+        if (typeof Shapes[shape] !== 'function') {
+            throw new Error(`Unknown shape "${shape}". Available: ${Object.keys(Shapes).join(', ')}`);
+        }
+        renderer.setCustomShape(Shapes[shape]());
+    } else if (shape) {
+        renderer.setCustomShape(shape);
+    }
+    if (lights) {
+        renderer.clearLights();
+        lights.forEach(light => renderer.addLight(light));
+    }
+    return renderer;
+}
+
+/* ============================================
+ * EXPORTS
+ * ============================================ */
+
+export { Renderer3D, createRenderer };
@@ -0,0 +1,253 @@
+/**
+ * @fileoverview Scene graph for the 3D Renderer
+ * @description Nodes with local transforms, meshes that carry shapes, and the
+ * scene root.
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+import { Vector3, Matrix4 } from './math.js';
+
+/* ============================================
+ * SCENE GRAPH - Nodes, Meshes and Scene
+ * ============================================ */
+
+/**
+ * @class SceneNode
+ * @description Element of the scene graph with a local transform and children.
+ * The local transform is applied in the same order as the original renderer:
+ * Scale -> RotZ -> RotY -> RotX -> Translate. A child's world matrix is its
+ * parent's world matrix times its local matrix (the local part applies first).
+ */
+class SceneNode {
+    /**
+     * @param {string} [name='Node'] - Display name
+     */
+    constructor(name = 'Node') {
+        this.name = name;
+
+        /** Local translation in parent space */
+        this.position = new Vector3(0, 0, 0);
+
+        /** Local Euler rotation in degrees */
+        this.rotation = new Vector3(0, 0, 0);
+
+        /** @type {Quaternion|null} Local orientation; when set it is used instead of rotation */
+        this.quaternion = null;
+
+        /** Local scale factors */
+        this.scale = new Vector3(1, 1, 1);
+
+        /** Hidden nodes hide their whole subtree */
+        this.visible = true;
+
+        /** @type {SceneNode|null} */
+        this.parent = null;
+
+        /** @type {Array<SceneNode>} */
+        this.children = [];
+
+        /** World matrix, refreshed by updateWorldMatrix() */
+        this.worldMatrix = new Matrix4();
+    }
+
+    /* ----------------------------------------
+     * HIERARCHY
+     * ---------------------------------------- */
+
+    /**
+     * Attaches a child, detaching it from any previous parent
+     * @param {SceneNode} child - Node to attach
+     * @returns {SceneNode} The child
+     */
+    add(child) {
+        if (child === this || child.contains(this)) {
+            throw new Error(`Cannot add "${child.name}" to its own subtree`);
+        }
+        if (child.parent) child.parent.remove(child);
+        child.parent = this;
+        this.children.push(child);
+        return child;
+    }
+
+    /**
+     * Detaches a direct child
+     * @param {SceneNode} child - Node to detach
+     * @returns {boolean} True if the node was a child
+     */
+    remove(child) {
+        const index = this.children.indexOf(child);
+        if (index === -1) return false;
+        this.children.splice(index, 1);
+        child.parent = null;
+        return true;
+    }
+
+    /**
+     * Checks whether a node is this node or one of its descendants
+     * @param {SceneNode} node - Node to look for
+     * @returns {boolean}
+     */
+    contains(node) {
+        for (let current = node; current; current = current.parent) {
+            if (current === this) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Calls back for this node and every descendant, depth first
+     * @param {Function} callback - Receives (node, depth)
+     * @param {number} [depth=0] - Depth of this node
+     */
+    traverse(callback, depth = 0) {
+        callback(this, depth);
+        this.children.forEach(child => child.traverse(callback, depth + 1));
+    }
+
+    /* ----------------------------------------
+     * TRANSFORMS
+     * ---------------------------------------- */
+
+    /**
+     * Sets the local transform from Renderer3D#transform() style parameters.
+     * Omitted values are left unchanged. A quaternion sets the orientation
+     * directly (and rotation to matching Euler angles); Euler angles clear it.
+     * @param {Object} params - quaternion or rotationX/Y/Z, translateX/Y/Z, scaleX/Y/Z
+     * @returns {SceneNode} this
+     */
+    setTransform({
+        quaternion = null,
+        rotationX, rotationY, rotationZ,
+        translateX = this.position.x, translateY = this.position.y, translateZ = this.position.z,
+        scaleX = this.scale.x, scaleY = this.scale.y, scaleZ = this.scale.z
+    } = {}) {
+        const RAD_TO_DEG = 180 / Math.PI;
+
+        if (quaternion) {
+            this.quaternion = quaternion.normalize();
+            this.rotation = this.quaternion.toEuler().scale(RAD_TO_DEG);
+        } else if ([rotationX, rotationY, rotationZ].some(angle => angle !== undefined)) {
+            this.quaternion = null;
+            this.rotation = new Vector3(
+                rotationX ?? this.rotation.x,
+                rotationY ?? this.rotation.y,
+                rotationZ ?? this.rotation.z
+            );
+        }
+        this.position = new Vector3(translateX, translateY, translateZ);
+        this.scale = new Vector3(scaleX, scaleY, scaleZ);
+        return this;
+    }
+
+    /**
+     * Builds the local transform matrix T · Rx · Ry · Rz · S, which applies
+     * scale, then RotZ, RotY and RotX (or the quaternion), then translation
+     * @returns {Matrix4}
+     */
+    localMatrix() {
+        const DEG_TO_RAD = Math.PI / 180;
+        const { rotation, position, scale: s } = this;
+
+        const rotationMatrix = this.quaternion
+            ? this.quaternion.toMatrix4()
+            : Matrix4.rotationX(rotation.x * DEG_TO_RAD)
+                .multiply(Matrix4.rotationY(rotation.y * DEG_TO_RAD))
+                .multiply(Matrix4.rotationZ(rotation.z * DEG_TO_RAD));
+
+        return Matrix4.translation(position.x, position.y, position.z)
+            .multiply(rotationMatrix)
+            .multiply(Matrix4.scale(s.x, s.y, s.z));
+    }
+
+    /**
+     * Recomputes the world matrix of this node and its subtree
+     * @param {Matrix4|null} [parentWorld=null] - Parent's world matrix
+     */
+    updateWorldMatrix(parentWorld = null) {
+        const local = this.localMatrix();
+        this.worldMatrix = parentWorld ? parentWorld.multiply(local) : local;
+        this.children.forEach(child => child.updateWorldMatrix(this.worldMatrix));
+    }
+
+    /**
+     * World-space position of the node's origin
+     * @type {Vector3}
+     */
+    get worldPosition() {
+        return this.worldMatrix.transformVector(new Vector3());
+    }
+}
+
+/**
+ * @class Mesh
+ * @extends SceneNode
+ * @description Scene node that draws a shape ({ vertices, edges, faces })
+ */
+class Mesh extends SceneNode {
+    /**
+     * @param {Object} shape - Shape in model space
+     * @param {string} [name] - Display name, defaults to the shape name
+     */
+    constructor(shape, name = shape.name || 'Mesh') {
+        super(name);
+        this.shape = shape;
+
+        /** World-space vertices, refreshed by updateWorldMatrix() */
+        this.worldVertices = [];
+    }
+
+    /**
+     * Recomputes the world matrix and world-space vertices
+     * @param {Matrix4|null} [parentWorld=null] - Parent's world matrix
+     */
+    updateWorldMatrix(parentWorld = null) {
+        super.updateWorldMatrix(parentWorld);
+        this.worldVertices = this.shape.vertices.map(v => this.worldMatrix.transformVector(v));
+    }
+}
+
+/**
+ * @class Scene
+ * @extends SceneNode
+ * @description Root of the scene graph
+ */
+class Scene extends SceneNode {
+    constructor() {
+        super('Scene');
+    }
+
+    /**
+     * Every mesh in the scene, depth first
+     * @type {Array<Mesh>}
+     */
+    get meshes() {
+        const meshes = [];
+        this.traverse(node => {
+            if (node instanceof Mesh) meshes.push(node);
+        });
+        return meshes;
+    }
+
+    /**
+     * Meshes whose node and ancestors are all visible
+     * @returns {Array<Mesh>}
+     */
+    visibleMeshes() {
+        const meshes = [];
+        const visit = node => {
+            if (!node.visible) return;
+            if (node instanceof Mesh) meshes.push(node);
+            node.children.forEach(visit);
+        };
+        visit(this);
+        return meshes;
+    }
+}
+
+/* ============================================
+ * EXPORTS
+ * ============================================ */
+
+export { SceneNode, Mesh, Scene };
@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Screen-space hit tests for the 3D Renderer
+ * @description Point-to-segment and point-in-polygon tests on projected
+ * canvas points, shared by Renderer3D picking and the translate gizmo so
+ * both hit-test the same way.
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+/* ============================================
+ * SCREEN GEOMETRY
+ * ============================================ */
+
+/**
+ * @namespace ScreenGeometry
+ * @description Hit tests on canvas points ({ x, y } in pixels)
+ */
+const ScreenGeometry = {
+    /**
+     * Finds the point of a segment nearest to a canvas point
+     * @param {Object} a - Segment start ({ x, y })
+     * @param {Object} b - Segment end ({ x, y })
+     * @param {number} x - Canvas X in pixels
+     * @param {number} y - Canvas Y in pixels
+     * @returns {Object} { t, distance }: position along the segment (0 at a,
+     *   1 at b) and distance to it in pixels
+     */
+    closestOnSegment(a, b, x, y) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq > 0
+            ? Math.min(1, Math.max(0, ((x - a.x) * dx + (y - a.y) * dy) / lengthSq))
+            : 0;
+        return { t, distance: Math.hypot(a.x + dx * t - x, a.y + dy * t - y) };
+    },
+
+    /**
+     * Checks whether a canvas point is inside a polygon (even-odd rule)
+     * @param {Array<Object>} points - Polygon corners ({ x, y })
+     * @param {number} x - Canvas X in pixels
+     * @param {number} y - Canvas Y in pixels
+     * @returns {boolean}
+     */
+    containsPoint(points, x, y) {
+        let inside = false;
+        points.forEach((a, k) => {
+            const b = points[(k + points.length - 1) % points.length];
+            if ((a.y > y) !== (b.y > y) && x < a.x + (y - a.y) * (b.x - a.x) / (b.y - a.y)) {
+                inside = !inside;
+            }
+        });
+        return inside;
+    }
+};
+
+/* ============================================
+ * EXPORTS
+ * ============================================ */
+
+export { ScreenGeometry };
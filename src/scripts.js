@@ -14,27 +14,69 @@
 
 const APP_CONFIG = Object.freeze({
     FRAME_INTERVAL: 16,  // ~60fps
-    AUTO_ROTATE_SPEED: 0.5,
+    AUTO_ROTATE_SPEED: 30,  // degrees per second
+    PROJECTION_TRANSITION: 600,  // ms to blend between perspective and orthographic
+
+    // Timeline tracks recorded by the Keyframe button, and the sliders they drive
+    TIMELINE_TRACKS: Object.freeze({
+        rotationX: 'xid',
+        rotationY: 'yid',
+        rotationZ: 'zid',
+        translateX: 'tx',
+        translateY: 'ty',
+        translateZ: 'tz',
+        scaleX: 'sx',
+        scaleY: 'sy',
+        scaleZ: 'sz'
+    }),
+    BEZIER_EASING: Object.freeze([0.25, 0.1, 0.25, 1]),  // CSS 'ease'
+    GIF_BACKGROUND: '#ffffff',  // Matches --canvas-bg behind the transparent canvas
+    CLICK_TOLERANCE: 4,  // px the pointer may move between press and release and still select
     
     DEFAULTS: Object.freeze({
         shape: 'cube',
         xid: 30,
         yid: 45,
         zid: 0,
-        tx: 250,
-        ty: 200,
+        tx: 0,
+        ty: 0,
         tz: 0,
         sx: 100,
         sy: 100,
         sz: 100,
         fid: 3000,
+        projection: 'perspective',
+        'ortho-blend': 0,
+        smoothProjection: true,
+        view: 'front',
+        layout: 'single',
+        pickMode: 'any',
+        editMode: false,
         lineWidth: 2,
+        renderMode: 'wireframe',
+        hiddenLineStyle: 'dashed',
+        backend: 'canvas',
+        texture: 'none',
+        textureFilter: 'bilinear',
+        backfaceCulling: true,
+        shading: 'none',
+        ambient: 30,
+        'light-intensity': 80,
+        lightColor: '#ffffff',
+        pointLight: false,
+        inertia: true,
+        dragMode: 'orbit',
         autoRotate: false,
         uniformScale: true,
         depthColoring: true,
         showVertices: false,
         showAxes: false,
-        showGrid: false
+        showGrid: false,
+        'timeline-length': 4,
+        timelineEasing: 'cubic',
+        timelineMode: 'loop',
+        recordFps: 20,
+        'gif-frames': 60
     })
 });
 
@@ -49,11 +91,24 @@ class UIController {
             sliders: {},
             displays: {},
             checkboxes: {},
+            selects: {},
             buttons: {},
             shapeButtons: [],
+            exportButtons: [],
             canvas: null,
             shapeName: null,
-            fpsCounter: null
+            objectList: null,
+            lightColor: null,
+            importFile: null,
+            textureFile: null,
+            timelineScrub: null,
+            timelineTime: null,
+            timelineInfo: null,
+            statusMessage: null,
+            fpsCounter: null,
+            inspectorHovered: null,
+            inspectorSelected: null,
+            editInfo: null
         };
 
         // State
@@ -61,8 +116,25 @@ class UIController {
         this._isRunning = false;
         this._autoRotate = false;
         this._autoRotateAngle = { x: 0, y: 0 };
+        this._orientation = null;
+        this._projectionTween = null;
+        this._lastTickTime = null;
         this._uniformScale = true;
+        this._lights = null;
+        this._controls = null;
         this._currentShape = 'cube';
+        this._objectCount = 1;
+        this._textures = { checkerboard: null, image: null };
+        this._videoRecorder = null;
+        this._isRecordingGif = false;
+        this._pointerDownAt = null;
+        this._editMode = APP_CONFIG.DEFAULTS.editMode;
+        this._editor = null;
+        this._gizmoDrag = null;
+        this._timeline = new Timeline({
+            mode: APP_CONFIG.DEFAULTS.timelineMode,
+            duration: APP_CONFIG.DEFAULTS['timeline-length']
+        });
         
         // FPS tracking
         this._frameCount = 0;
@@ -80,27 +152,71 @@ class UIController {
 
     _cacheElements() {
         // Sliders
-        const sliderIds = ['xid', 'yid', 'zid', 'tx', 'ty', 'tz', 'sx', 'sy', 'sz', 'fid', 'line-width'];
+        const sliderIds = ['xid', 'yid', 'zid', 'tx', 'ty', 'tz', 'sx', 'sy', 'sz', 'fid', 'ortho-blend', 'line-width', 'ambient', 'light-intensity', 'timeline-length', 'gif-frames'];
         sliderIds.forEach(id => {
             this._elements.sliders[id] = document.getElementById(id);
             this._elements.displays[id] = document.getElementById(`${id}-value`);
         });
 
         // Checkboxes
-        const checkboxIds = ['auto-rotate', 'uniform-scale', 'depth-coloring', 'show-vertices', 'show-axes', 'show-grid'];
+        const checkboxIds = ['auto-rotate', 'inertia', 'uniform-scale', 'depth-coloring', 'backface-culling', 'show-vertices', 'show-axes', 'show-grid', 'point-light', 'bake-transform', 'smooth-projection', 'edit-mode'];
         checkboxIds.forEach(id => {
             this._elements.checkboxes[id] = document.getElementById(id);
         });
 
+        // Selects
+        this._elements.selects['render-mode'] = document.getElementById('render-mode');
+        this._elements.selects['shading'] = document.getElementById('shading');
+        this._elements.selects['hidden-line-style'] = document.getElementById('hidden-line-style');
+        this._elements.selects['backend'] = document.getElementById('backend');
+        this._elements.selects['drag-mode'] = document.getElementById('drag-mode');
+        this._elements.selects['projection'] = document.getElementById('projection');
+        this._elements.selects['view-preset'] = document.getElementById('view-preset');
+        this._elements.selects['layout'] = document.getElementById('layout');
+        this._elements.selects['texture'] = document.getElementById('texture');
+        this._elements.selects['texture-filter'] = document.getElementById('texture-filter');
+        this._elements.selects['timeline-easing'] = document.getElementById('timeline-easing');
+        this._elements.selects['timeline-mode'] = document.getElementById('timeline-mode');
+        this._elements.selects['record-fps'] = document.getElementById('record-fps');
+        this._elements.selects['pick-mode'] = document.getElementById('pick-mode');
+
         // Buttons
         this._elements.buttons.reset = document.getElementById('reset-btn');
         this._elements.buttons.screenshot = document.getElementById('screenshot-btn');
+        this._elements.buttons.svg = document.getElementById('svg-btn');
+        this._elements.buttons.recordVideo = document.getElementById('record-video-btn');
+        this._elements.buttons.recordGif = document.getElementById('record-gif-btn');
+        this._elements.buttons.import = document.getElementById('import-btn');
+        this._elements.buttons.loadTexture = document.getElementById('load-texture-btn');
+        this._elements.buttons.addObject = document.getElementById('add-object-btn');
+        this._elements.buttons.addChild = document.getElementById('add-child-btn');
+        this._elements.buttons.removeObject = document.getElementById('remove-object-btn');
+        this._elements.buttons.timelinePlay = document.getElementById('timeline-play-btn');
+        this._elements.buttons.timelinePause = document.getElementById('timeline-pause-btn');
+        this._elements.buttons.timelineKey = document.getElementById('timeline-key-btn');
+        this._elements.buttons.timelineClear = document.getElementById('timeline-clear-btn');
+        this._elements.buttons.connect = document.getElementById('connect-btn');
+        this._elements.buttons.disconnect = document.getElementById('disconnect-btn');
+        this._elements.buttons.undo = document.getElementById('undo-btn');
+        this._elements.buttons.redo = document.getElementById('redo-btn');
+        this._elements.exportButtons = document.querySelectorAll('.export-btn');
+        this._elements.importFile = document.getElementById('import-file');
+        this._elements.textureFile = document.getElementById('texture-file');
         this._elements.shapeButtons = document.querySelectorAll('.shape-btn');
 
         // Other elements
         this._elements.canvas = document.getElementById('myCanvas');
         this._elements.shapeName = document.getElementById('shape-name');
+        this._elements.objectList = document.getElementById('object-list');
+        this._elements.lightColor = document.getElementById('light-color');
+        this._elements.timelineScrub = document.getElementById('timeline-scrub');
+        this._elements.timelineTime = document.getElementById('timeline-time');
+        this._elements.timelineInfo = document.getElementById('timeline-info');
+        this._elements.statusMessage = document.getElementById('status-message');
         this._elements.fpsCounter = document.getElementById('fps-counter');
+        this._elements.inspectorHovered = document.getElementById('inspector-hovered');
+        this._elements.inspectorSelected = document.getElementById('inspector-selected');
+        this._elements.editInfo = document.getElementById('edit-info');
     }
 
     _bindEvents() {
@@ -108,6 +224,21 @@ class UIController {
         Object.entries(this._elements.sliders).forEach(([id, slider]) => {
             slider?.addEventListener('input', () => {
                 this._updateDisplay(id);
+
+                // Euler sliders take over from an arcball orientation
+                if (['xid', 'yid', 'zid'].includes(id)) {
+                    this._orientation = null;
+                }
+
+                // Dragging the blend cancels a running projection switch
+                if (id === 'ortho-blend') {
+                    this._projectionTween = null;
+                }
+                
+                // Keep mouse controls in sync with the sliders
+                if (['xid', 'yid', 'zid', 'tx', 'ty', 'tz'].includes(id)) {
+                    this._syncControls();
+                }
                 
                 // Handle uniform scaling
                 if (this._uniformScale && ['sx', 'sy', 'sz'].includes(id)) {
@@ -127,6 +258,33 @@ class UIController {
             this._autoRotate = e.target.checked;
         });
 
+        this._elements.checkboxes['inertia']?.addEventListener('change', (e) => {
+            if (this._controls) {
+                this._controls.inertia = e.target.checked;
+                this._controls.stop();
+            }
+        });
+
+        this._elements.selects['drag-mode']?.addEventListener('change', (e) => {
+            if (this._controls) {
+                this._controls.rotateMode = e.target.value;
+                this._controls.stop();
+                this._syncControls();
+            }
+        });
+
+        this._elements.selects['projection']?.addEventListener('change', (e) => {
+            this._setProjection(e.target.value);
+        });
+
+        this._elements.selects['view-preset']?.addEventListener('change', (e) => {
+            this._setView(e.target.value);
+        });
+
+        this._elements.selects['layout']?.addEventListener('change', (e) => {
+            this._setLayout(e.target.value);
+        });
+
         this._elements.checkboxes['uniform-scale']?.addEventListener('change', (e) => {
             this._uniformScale = e.target.checked;
         });
@@ -135,10 +293,18 @@ class UIController {
             renderer.settings.depthColoring = e.target.checked;
         });
 
+        this._elements.checkboxes['backface-culling']?.addEventListener('change', (e) => {
+            renderer.settings.backfaceCulling = e.target.checked;
+        });
+
         this._elements.checkboxes['show-vertices']?.addEventListener('change', (e) => {
             renderer.settings.showVertices = e.target.checked;
         });
 
+        this._elements.checkboxes['point-light']?.addEventListener('change', (e) => {
+            this._setPointLight(e.target.checked);
+        });
+
         this._elements.checkboxes['show-axes']?.addEventListener('change', (e) => {
             renderer.settings.showAxes = e.target.checked;
         });
@@ -147,6 +313,62 @@ class UIController {
             renderer.settings.showGrid = e.target.checked;
         });
 
+        // Select handlers
+        this._elements.selects['render-mode']?.addEventListener('change', (e) => {
+            renderer.settings.renderMode = e.target.value;
+        });
+
+        this._elements.selects['shading']?.addEventListener('change', (e) => {
+            renderer.settings.shading = e.target.value;
+        });
+
+        this._elements.selects['hidden-line-style']?.addEventListener('change', (e) => {
+            renderer.settings.hiddenLineStyle = e.target.value;
+        });
+
+        this._elements.selects['backend']?.addEventListener('change', (e) => {
+            renderer.settings.backend = e.target.value;
+        });
+
+        this._elements.selects['texture']?.addEventListener('change', (e) => {
+            this._setTexture(e.target.value);
+        });
+
+        this._elements.selects['texture-filter']?.addEventListener('change', (e) => {
+            renderer.settings.textureFilter = e.target.value;
+        });
+
+        // Texture image via file picker
+        this._elements.buttons.loadTexture?.addEventListener('click', () => this._elements.textureFile?.click());
+        this._elements.textureFile?.addEventListener('change', (e) => {
+            const file = e.target.files?.[0];
+            if (file) this._loadTextureImage(file);
+            e.target.value = '';
+        });
+        // Dismissing the picker leaves the select on whatever is applied
+        this._elements.textureFile?.addEventListener('cancel', () => this._syncTextureSelect());
+
+        // Timeline handlers
+        this._elements.sliders['timeline-length']?.addEventListener('input', (e) => {
+            this._timeline.duration = parseFloat(e.target.value);
+            this._updateTimelineDisplay();
+        });
+        this._elements.timelineScrub?.addEventListener('input', (e) => {
+            this._timeline.seek(parseFloat(e.target.value));
+            this._applyTimeline();
+        });
+        this._elements.selects['timeline-mode']?.addEventListener('change', (e) => {
+            this._timeline.mode = e.target.value;
+        });
+        this._elements.buttons.timelinePlay?.addEventListener('click', () => this._playTimeline());
+        this._elements.buttons.timelinePause?.addEventListener('click', () => this._pauseTimeline());
+        this._elements.buttons.timelineKey?.addEventListener('click', () => this._addKeyframe());
+        this._elements.buttons.timelineClear?.addEventListener('click', () => this._clearTimeline());
+
+        this._elements.lightColor?.addEventListener('input', (e) => {
+            if (this._lights) this._lights.key.color = e.target.value;
+        });
+
         // Shape button handlers
         this._elements.shapeButtons.forEach(btn => {
             btn.addEventListener('click', () => {
@@ -156,19 +378,99 @@ class UIController {
                 const shape = btn.dataset.shape;
                 this._currentShape = shape;
                 renderer.setShape(shape);
+                this._clearPicks();
+                this._resetEditor();
                 
                 if (this._elements.shapeName) {
                     this._elements.shapeName.textContent = btn.textContent;
                 }
+                this._refreshObjectList();
             });
         });
 
+        // Scene object handlers
+        this._elements.objectList?.addEventListener('change', (e) => {
+            const mesh = renderer.scene.meshes[parseInt(e.target.value, 10)];
+            if (mesh) this._selectMesh(mesh);
+        });
+        this._elements.buttons.addObject?.addEventListener('click', () => this._addObject(false));
+        this._elements.buttons.addChild?.addEventListener('click', () => this._addObject(true));
+        this._elements.buttons.removeObject?.addEventListener('click', () => this._removeObject());
+
         // Reset button
         this._elements.buttons.reset?.addEventListener('click', () => this.resetControls());
 
         // Screenshot button
         this._elements.buttons.screenshot?.addEventListener('click', () => this._takeScreenshot());
 
+        // SVG export button
+        this._elements.buttons.svg?.addEventListener('click', () => this._exportSVG());
+
+        // Recording buttons
+        this._elements.buttons.recordVideo?.addEventListener('click', () => this._toggleVideoRecording());
+        this._elements.buttons.recordGif?.addEventListener('click', () => this._recordGif());
+
+        // Export buttons
+        this._elements.exportButtons.forEach(btn => {
+            btn.addEventListener('click', () => this._exportShape(btn.dataset.format));
+        });
+
+        // OBJ import via file picker
+        this._elements.buttons.import?.addEventListener('click', () => this._elements.importFile?.click());
+        this._elements.importFile?.addEventListener('change', (e) => {
+            const file = e.target.files?.[0];
+            if (file) this._importFile(file);
+            e.target.value = '';
+        });
+
+        // OBJ import via drag-and-drop onto the canvas
+        const canvas = this._elements.canvas;
+        canvas?.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            canvas.classList.add('drag-over');
+        });
+        canvas?.addEventListener('dragleave', () => canvas.classList.remove('drag-over'));
+        canvas?.addEventListener('drop', (e) => {
+            e.preventDefault();
+            canvas.classList.remove('drag-over');
+            const file = e.dataTransfer?.files?.[0];
+            if (file) this._importFile(file);
+        });
+
+        // Picking: hovering highlights, a click that did not drag selects.
+        // Registered before the mouse controls so a gizmo drag can keep them from orbiting.
+        canvas?.addEventListener('pointermove', (e) => {
+            if (this._gizmoDrag) {
+                this._dragGizmo(e);
+            } else if (e.buttons === 0) {
+                this._hoverAt(e);
+            }
+        });
+        canvas?.addEventListener('pointerleave', () => this._setHovered(null));
+        canvas?.addEventListener('pointerdown', (e) => {
+            this._pointerDownAt = { x: e.clientX, y: e.clientY };
+            if (this._startGizmoDrag(e)) e.stopImmediatePropagation();
+        });
+        canvas?.addEventListener('pointerup', () => this._endGizmoDrag());
+        canvas?.addEventListener('pointercancel', () => this._endGizmoDrag());
+        canvas?.addEventListener('click', (e) => {
+            const down = this._pointerDownAt;
+            if (!down || Math.hypot(e.clientX - down.x, e.clientY - down.y) > APP_CONFIG.CLICK_TOLERANCE) return;
+            if (this._editMode) {
+                this._selectVertexAt(e);
+            } else {
+                this._setSelected(this._pickAt(e));
+            }
+        });
+        this._elements.selects['pick-mode']?.addEventListener('change', () => this._clearPicks());
+
+        // Vertex editing
+        this._elements.checkboxes['edit-mode']?.addEventListener('change', (e) => this._setEditMode(e.target.checked));
+        this._elements.buttons.connect?.addEventListener('click', () => this._connectSelection(true));
+        this._elements.buttons.disconnect?.addEventListener('click', () => this._connectSelection(false));
+        this._elements.buttons.undo?.addEventListener('click', () => this._undo());
+        this._elements.buttons.redo?.addEventListener('click', () => this._redo());
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => this._handleKeyboard(e));
     }
@@ -203,12 +505,41 @@ class UIController {
                     this._elements.checkboxes['show-grid'].checked = renderer.settings.showGrid;
                 }
                 break;
+            case 'k':
+                this._addKeyframe();
+                break;
+            case 'o':
+                this._setProjection(this._projectionMode() === 'orthographic' ? 'perspective' : 'orthographic');
+                break;
+            case 'q':
+                this._setLayout(renderer.viewports.length > 0 ? 'single' : 'quad');
+                break;
             case 'x':
                 renderer.settings.showAxes = !renderer.settings.showAxes;
                 if (this._elements.checkboxes['show-axes']) {
                     this._elements.checkboxes['show-axes'].checked = renderer.settings.showAxes;
                 }
                 break;
+            case 'e':
+                this._setEditMode(!this._editMode);
+                break;
+            case 'z':
+                if (!event.ctrlKey && !event.metaKey) break;
+                event.preventDefault();
+                event.shiftKey ? this._redo() : this._undo();
+                break;
+            case 'y':
+                if (!event.ctrlKey && !event.metaKey) break;
+                event.preventDefault();
+                this._redo();
+                break;
+            case 'escape':
+                if (this._editMode) {
+                    this._editor?.clearSelection();
+                } else {
+                    this._setSelected(null);
+                }
+                break;
         }
     }
 
@@ -226,13 +557,26 @@ class UIController {
         
         if (['xid', 'yid', 'zid'].includes(id)) {
             display.textContent = `${Math.round(value)}°`;
-        } else if (['sx', 'sy', 'sz'].includes(id)) {
+        } else if (['sx', 'sy', 'sz', 'ambient', 'light-intensity'].includes(id)) {
             display.textContent = (value / 100).toFixed(1);
+        } else if (id === 'ortho-blend') {
+            display.textContent = `${Math.round(value)}%`;
+        } else if (id === 'timeline-length') {
+            display.textContent = `${value.toFixed(1)}s`;
         } else {
             display.textContent = Math.round(value);
         }
     }
 
+    _showStatus(message, isError = false) {
+        const status = this._elements.statusMessage;
+        if (!status) return;
+
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+        status.hidden = !message;
+    }
+
     _updateAllDisplays() {
         Object.keys(this._elements.sliders).forEach(id => this._updateDisplay(id));
     }
@@ -271,6 +615,43 @@ class UIController {
             this._elements.checkboxes['auto-rotate'].checked = APP_CONFIG.DEFAULTS.autoRotate;
             this._autoRotate = APP_CONFIG.DEFAULTS.autoRotate;
         }
+        if (this._elements.checkboxes['inertia']) {
+            this._elements.checkboxes['inertia'].checked = APP_CONFIG.DEFAULTS.inertia;
+        }
+        if (this._elements.selects['drag-mode']) {
+            this._elements.selects['drag-mode'].value = APP_CONFIG.DEFAULTS.dragMode;
+        }
+        if (this._controls) {
+            this._controls.inertia = APP_CONFIG.DEFAULTS.inertia;
+            this._controls.rotateMode = APP_CONFIG.DEFAULTS.dragMode;
+            this._controls.stop();
+        }
+        this._orientation = null;
+        renderer.camera.zoom = 1;
+        this._syncControls();
+
+        // Reset projection and view
+        this._projectionTween = null;
+        if (this._elements.selects['projection']) {
+            this._elements.selects['projection'].value = APP_CONFIG.DEFAULTS.projection;
+        }
+        if (this._elements.checkboxes['smooth-projection']) {
+            this._elements.checkboxes['smooth-projection'].checked = APP_CONFIG.DEFAULTS.smoothProjection;
+        }
+        if (this._elements.selects['view-preset']) {
+            this._elements.selects['view-preset'].value = APP_CONFIG.DEFAULTS.view;
+        }
+        renderer.setView(APP_CONFIG.DEFAULTS.view);
+        if (this._elements.selects['layout']) {
+            this._elements.selects['layout'].value = APP_CONFIG.DEFAULTS.layout;
+        }
+        renderer.setLayout(APP_CONFIG.DEFAULTS.layout);
+        if (this._controls) this._controls.camera = renderer.activeCamera;
+        if (this._elements.selects['pick-mode']) {
+            this._elements.selects['pick-mode'].value = APP_CONFIG.DEFAULTS.pickMode;
+        }
+        this._setEditMode(APP_CONFIG.DEFAULTS.editMode);
+
         if (this._elements.checkboxes['uniform-scale']) {
             this._elements.checkboxes['uniform-scale'].checked = APP_CONFIG.DEFAULTS.uniformScale;
             this._uniformScale = APP_CONFIG.DEFAULTS.uniformScale;
@@ -279,6 +660,10 @@ class UIController {
             this._elements.checkboxes['depth-coloring'].checked = APP_CONFIG.DEFAULTS.depthColoring;
             renderer.settings.depthColoring = APP_CONFIG.DEFAULTS.depthColoring;
         }
+        if (this._elements.checkboxes['backface-culling']) {
+            this._elements.checkboxes['backface-culling'].checked = APP_CONFIG.DEFAULTS.backfaceCulling;
+            renderer.settings.backfaceCulling = APP_CONFIG.DEFAULTS.backfaceCulling;
+        }
         if (this._elements.checkboxes['show-vertices']) {
             this._elements.checkboxes['show-vertices'].checked = APP_CONFIG.DEFAULTS.showVertices;
             renderer.settings.showVertices = APP_CONFIG.DEFAULTS.showVertices;
@@ -292,18 +677,67 @@ class UIController {
             renderer.settings.showGrid = APP_CONFIG.DEFAULTS.showGrid;
         }
 
-        // Reset shape
+        if (this._elements.checkboxes['point-light']) {
+            this._elements.checkboxes['point-light'].checked = APP_CONFIG.DEFAULTS.pointLight;
+        }
+        this._setPointLight(APP_CONFIG.DEFAULTS.pointLight);
+
+        // Reset selects
+        if (this._elements.selects['render-mode']) {
+            this._elements.selects['render-mode'].value = APP_CONFIG.DEFAULTS.renderMode;
+            renderer.settings.renderMode = APP_CONFIG.DEFAULTS.renderMode;
+        }
+        if (this._elements.selects['shading']) {
+            this._elements.selects['shading'].value = APP_CONFIG.DEFAULTS.shading;
+            renderer.settings.shading = APP_CONFIG.DEFAULTS.shading;
+        }
+        if (this._elements.selects['hidden-line-style']) {
+            this._elements.selects['hidden-line-style'].value = APP_CONFIG.DEFAULTS.hiddenLineStyle;
+            renderer.settings.hiddenLineStyle = APP_CONFIG.DEFAULTS.hiddenLineStyle;
+        }
+        if (this._elements.selects['backend']) {
+            this._elements.selects['backend'].value = APP_CONFIG.DEFAULTS.backend;
+            renderer.settings.backend = APP_CONFIG.DEFAULTS.backend;
+        }
+        if (this._elements.selects['texture-filter']) {
+            this._elements.selects['texture-filter'].value = APP_CONFIG.DEFAULTS.textureFilter;
+            renderer.settings.textureFilter = APP_CONFIG.DEFAULTS.textureFilter;
+        }
+        this._setTexture(APP_CONFIG.DEFAULTS.texture);
+        if (this._elements.selects['timeline-easing']) {
+            this._elements.selects['timeline-easing'].value = APP_CONFIG.DEFAULTS.timelineEasing;
+        }
+        if (this._elements.selects['timeline-mode']) {
+            this._elements.selects['timeline-mode'].value = APP_CONFIG.DEFAULTS.timelineMode;
+        }
+        if (this._elements.selects['record-fps']) {
+            this._elements.selects['record-fps'].value = APP_CONFIG.DEFAULTS.recordFps;
+        }
+        this._timeline.mode = APP_CONFIG.DEFAULTS.timelineMode;
+        this._timeline.duration = APP_CONFIG.DEFAULTS['timeline-length'];
+        this._timeline.pause();
+        this._timeline.clear();
+        this._updateTimelineDisplay();
+        if (this._elements.lightColor) {
+            this._elements.lightColor.value = APP_CONFIG.DEFAULTS.lightColor;
+        }
+        if (this._lights) this._lights.key.color = APP_CONFIG.DEFAULTS.lightColor;
+
+        // Reset scene to a single cube
         this._elements.shapeButtons.forEach(btn => {
             btn.classList.remove('active');
             if (btn.dataset.shape === 'cube') {
                 btn.classList.add('active');
             }
         });
-        renderer.setShape('cube');
+        renderer.resetScene();
         this._currentShape = 'cube';
+        this._objectCount = 1;
         if (this._elements.shapeName) {
             this._elements.shapeName.textContent = 'Cube';
         }
+        this._refreshObjectList();
+        this._showStatus('');
 
         // Reset auto-rotate angle
         this._autoRotateAngle = { x: 0, y: 0 };
@@ -326,10 +760,614 @@ class UIController {
             scaleY: getValue('sy') / 100,
             scaleZ: getValue('sz') / 100,
             focalLength: getValue('fid'),
-            lineWidth: getValue('line-width')
+            orthoBlend: getValue('ortho-blend') / 100,
+            lineWidth: getValue('line-width'),
+            ambient: getValue('ambient') / 100,
+            lightIntensity: getValue('light-intensity') / 100
+        };
+    }
+
+    _exportSVG() {
+        if (!this._elements.canvas) return;
+
+        const svg = SvgExporter.fromRenderer(renderer);
+        this._downloadFile(svg, `3d-render-${this._currentShape}-${Date.now()}.svg`, 'image/svg+xml');
+    }
+
+    /* ----------------------------------------
+     * SCENE OBJECTS
+     * ---------------------------------------- */
+
+    _refreshObjectList() {
+        const list = this._elements.objectList;
+        if (!list) return;
+
+        const active = renderer.activeMesh;
+        const options = [];
+        renderer.scene.traverse((node, depth) => {
+            if (!(node instanceof Mesh)) return;
+
+            const option = document.createElement('option');
+            option.value = String(options.length);
+            // Depth 1 is a top-level object; indent children under their parent
+            option.textContent = `${'\u00a0\u00a0'.repeat(depth - 1)}${depth > 1 ? '↳ ' : ''}${node.name}`;
+            option.selected = node === active;
+            options.push(option);
+        });
+        list.replaceChildren(...options);
+    }
+
+    _selectMesh(mesh) {
+        renderer.activeMesh = mesh;
+
+        // Fold any auto-rotation into the sliders so the object does not jump
+        this._autoRotateAngle = { x: 0, y: 0 };
+        this._orientation = mesh.quaternion;
+        const wrap = (angle) => ((angle % 360) + 360) % 360;
+        const sliderValues = {
+            xid: wrap(mesh.rotation.x),
+            yid: wrap(mesh.rotation.y),
+            zid: wrap(mesh.rotation.z),
+            tx: mesh.position.x,
+            ty: mesh.position.y,
+            tz: mesh.position.z,
+            sx: mesh.scale.x * 100,
+            sy: mesh.scale.y * 100,
+            sz: mesh.scale.z * 100
+        };
+        Object.entries(sliderValues).forEach(([id, value]) => {
+            const slider = this._elements.sliders[id];
+            if (slider) slider.value = value;
+        });
+        this._updateAllDisplays();
+        this._syncControls();
+
+        // Reflect the object's shape in the shape buttons
+        const shapeKey = mesh.shape.name?.toLowerCase();
+        const isBuiltIn = Boolean(Shapes[shapeKey]);
+        this._currentShape = isBuiltIn ? shapeKey : mesh.name;
+        this._elements.shapeButtons.forEach(btn => {
+            btn.classList.toggle('active', isBuiltIn && btn.dataset.shape === shapeKey);
+        });
+        if (this._elements.shapeName) {
+            this._elements.shapeName.textContent = mesh.shape.name || mesh.name;
+        }
+
+        this._resetEditor();
+        this._refreshObjectList();
+    }
+
+    _addObject(asChild) {
+        const parent = asChild ? renderer.activeMesh : renderer.scene;
+        if (!parent) return;
+
+        const shapeKey = Shapes[this._currentShape] ? this._currentShape : 'cube';
+        const shape = Shapes[shapeKey]();
+        this._objectCount++;
+        const mesh = renderer.addMesh(shape, { parent, name: `${shape.name} ${this._objectCount}` });
+
+        // Place new objects beside their parent, or alternately left and right of the origin
+        const offset = asChild ? 150 : (this._objectCount % 2 === 0 ? 150 : -150);
+        mesh.setTransform({ translateX: offset, scaleX: 0.5, scaleY: 0.5, scaleZ: 0.5 });
+
+        this._selectMesh(mesh);
+    }
+
+    _removeObject() {
+        const mesh = renderer.activeMesh;
+        if (!mesh) return;
+
+        // Removing an object also removes its children
+        if (renderer.scene.meshes.every(other => mesh.contains(other))) {
+            this._showStatus('The scene needs at least one object', true);
+            return;
+        }
+
+        renderer.removeMesh(mesh);
+        this._clearPicks();
+        this._timeline.targets
+            .filter(target => target !== renderer && !renderer.scene.meshes.includes(target))
+            .forEach(target => this._timeline.removeTarget(target));
+        this._updateTimelineDisplay();
+        this._showStatus('');
+        if (renderer.activeMesh) this._selectMesh(renderer.activeMesh);
+    }
+
+    /* ----------------------------------------
+     * PROJECTION
+     * ---------------------------------------- */
+
+    _projectionMode() {
+        return this._elements.selects['projection']?.value || APP_CONFIG.DEFAULTS.projection;
+    }
+
+    _setProjection(mode) {
+        const select = this._elements.selects['projection'];
+        if (select) select.value = mode;
+
+        // The blend slider carries the projection; the switch animates it to an end
+        const slider = this._elements.sliders['ortho-blend'];
+        const to = mode === 'orthographic' ? 100 : 0;
+        const smooth = this._elements.checkboxes['smooth-projection']?.checked ?? APP_CONFIG.DEFAULTS.smoothProjection;
+        if (slider && smooth && this._isRunning) {
+            this._projectionTween = { from: parseFloat(slider.value), to, start: Date.now() };
+            return;
+        }
+
+        this._projectionTween = null;
+        if (slider) {
+            slider.value = to;
+            this._updateDisplay('ortho-blend');
+        }
+        this._renderFrame();
+    }
+
+    _updateProjectionTween(now) {
+        const tween = this._projectionTween;
+        const slider = this._elements.sliders['ortho-blend'];
+        if (!tween || !slider) return;
+
+        const t = Math.min(1, (now - tween.start) / APP_CONFIG.PROJECTION_TRANSITION);
+        slider.value = tween.from + (tween.to - tween.from) * Easing.cubic(t);
+        this._updateDisplay('ortho-blend');
+        if (t >= 1) this._projectionTween = null;
+    }
+
+    _setView(name) {
+        const select = this._elements.selects['view-preset'];
+        if (select) select.value = name;
+
+        renderer.setView(name);
+
+        // Axonometric views are only true to scale without perspective
+        if (['isometric', 'dimetric'].includes(name) && this._projectionMode() !== 'orthographic') {
+            this._setProjection('orthographic');
+        } else {
+            this._renderFrame();
+        }
+    }
+
+    _setLayout(layout) {
+        const select = this._elements.selects['layout'];
+        if (select) select.value = layout;
+
+        renderer.setLayout(layout);
+        if (this._controls) {
+            this._controls.stop();
+            this._controls.camera = renderer.activeCamera;
+        }
+        this._renderFrame();
+    }
+
+    /* ----------------------------------------
+     * MOUSE CONTROLS
+     * ---------------------------------------- */
+
+    _setupControls() {
+        const range = (id) => {
+            const slider = this._elements.sliders[id];
+            return slider ? [parseFloat(slider.min), parseFloat(slider.max)] : null;
+        };
+
+        this._controls = new OrbitControls(this._elements.canvas, {
+            camera: renderer.camera,
+            // In a multi-view layout the pointer picks the view it works on
+            pickCamera: (x, y) => {
+                const viewport = renderer.viewportAt(x, y);
+                if (viewport) renderer.activeViewport = viewport;
+                return renderer.activeCamera;
+            },
+            inertia: APP_CONFIG.DEFAULTS.inertia,
+            rotateMode: APP_CONFIG.DEFAULTS.dragMode,
+            limits: { translateX: range('tx'), translateY: range('ty'), translateZ: range('tz') },
+            onChange: (state) => this._applyControlState(state)
+        });
+        this._syncControls();
+    }
+
+    _syncControls() {
+        if (!this._controls) return;
+
+        const values = this._getSliderValues();
+        this._controls.setState({
+            rotationX: values.rotationX,
+            rotationY: values.rotationY,
+            translateX: values.translateX,
+            translateY: values.translateY,
+            translateZ: values.translateZ,
+            orientation: this._currentOrientation(values)
+        });
+    }
+
+    _currentOrientation(values = this._getSliderValues()) {
+        if (this._orientation) return this._orientation;
+
+        const DEG_TO_RAD = Math.PI / 180;
+        return Quaternion.fromEuler(
+            values.rotationX * DEG_TO_RAD,
+            values.rotationY * DEG_TO_RAD,
+            values.rotationZ * DEG_TO_RAD
+        );
+    }
+
+    _applyControlState(state) {
+        const sliderValues = {
+            tx: state.translateX,
+            ty: state.translateY,
+            tz: state.translateZ
+        };
+
+        if (this._controls.rotateMode === 'arcball') {
+            // The arcball owns the orientation; the sliders show it as Euler angles
+            const RAD_TO_DEG = 180 / Math.PI;
+            const wrap = (angle) => ((angle % 360) + 360) % 360;
+            const euler = state.orientation.toEuler();
+            this._orientation = state.orientation;
+            sliderValues.xid = wrap(euler.x * RAD_TO_DEG);
+            sliderValues.yid = wrap(euler.y * RAD_TO_DEG);
+            sliderValues.zid = wrap(euler.z * RAD_TO_DEG);
+        } else {
+            sliderValues.xid = state.rotationX;
+            sliderValues.yid = state.rotationY;
+        }
+
+        Object.entries(sliderValues).forEach(([id, value]) => {
+            const slider = this._elements.sliders[id];
+            if (slider) {
+                slider.value = value;
+                this._updateDisplay(id);
+            }
+        });
+    }
+
+    /* ----------------------------------------
+     * PICKING
+     * ---------------------------------------- */
+
+    _canvasPoint(event) {
+        const canvas = this._elements.canvas;
+        const rect = canvas.getBoundingClientRect();
+        // Canvas pixels may be scaled by CSS
+        const scaleX = rect.width > 0 ? canvas.width / rect.width : 1;
+        const scaleY = rect.height > 0 ? canvas.height / rect.height : 1;
+        return { x: (event.clientX - rect.left) * scaleX, y: (event.clientY - rect.top) * scaleY };
+    }
+
+    _pickAt(event) {
+        // Edit mode works on vertices only
+        const mode = this._editMode ? 'vertex' : (this._elements.selects['pick-mode']?.value || APP_CONFIG.DEFAULTS.pickMode);
+        const types = mode === 'any' ? ['vertex', 'edge', 'face'] : [mode];
+        const { x, y } = this._canvasPoint(event);
+        return renderer.pick(x, y, { types });
+    }
+
+    _hoverAt(event) {
+        const gizmo = renderer.gizmo;
+        if (gizmo) {
+            const { x, y } = this._canvasPoint(event);
+            const handle = renderer.pickGizmo(x, y)?.handle ?? null;
+            if (handle !== gizmo.hovered) {
+                gizmo.hovered = handle;
+                if (!this._isRunning) this._renderFrame();
+            }
+            // The gizmo covers what is behind it
+            if (handle) {
+                this._setHovered(null);
+                return;
+            }
+        }
+        this._setHovered(this._pickAt(event));
+    }
+
+    _setHovered(hit) {
+        if (!hit && !renderer.hovered) return;
+
+        renderer.hovered = hit;
+        this._updateInspector();
+        if (!this._isRunning) this._renderFrame();
+    }
+
+    _setSelected(hit) {
+        renderer.selected = hit;
+        this._updateInspector();
+        if (!this._isRunning) this._renderFrame();
+    }
+
+    _clearPicks() {
+        renderer.hovered = null;
+        renderer.selected = null;
+        this._editor?.clearSelection();
+        this._updateInspector();
+    }
+
+    _updateInspector() {
+        const format = (value) => value.toFixed(2);
+        const describe = (hit) => {
+            // Edit mode selects several vertices at once
+            if (Array.isArray(hit)) {
+                if (hit.length <= 1) return describe(hit[0]);
+                const center = this._editor?.selectionCenter();
+                const lines = [`${hit.length} vertices of ${hit[0].mesh.name}`, `Vertices ${hit.map(h => h.index).join(', ')}`];
+                if (center) lines.push(`Center (${format(center.x)}, ${format(center.y)}, ${format(center.z)})`);
+                return lines.join('\n');
+            }
+            if (!hit) return '—';
+
+            const { x, y, z } = hit.point;
+            const label = hit.type.charAt(0).toUpperCase() + hit.type.slice(1);
+            const lines = [`${label} ${hit.index} of ${hit.mesh.name}`];
+            if (hit.type !== 'vertex') lines.push(`Vertices ${hit.vertices.join(', ')}`);
+            lines.push(`${hit.type === 'vertex' ? 'Position' : 'Hit'} (${format(x)}, ${format(y)}, ${format(z)})`);
+            return lines.join('\n');
+        };
+
+        if (this._elements.inspectorHovered) {
+            this._elements.inspectorHovered.textContent = describe(renderer.hovered);
+        }
+        if (this._elements.inspectorSelected) {
+            this._elements.inspectorSelected.textContent = describe(renderer.selected);
+        }
+    }
+
+    /* ----------------------------------------
+     * VERTEX EDITING
+     * ---------------------------------------- */
+
+    _setEditMode(enabled) {
+        this._editMode = enabled;
+        if (this._elements.checkboxes['edit-mode']) {
+            this._elements.checkboxes['edit-mode'].checked = enabled;
+        }
+        this._endGizmoDrag();
+        this._clearPicks();
+        this._syncEditor();
+    }
+
+    _resetEditor() {
+        // Edits belong to one object's shape; switching either starts a new history
+        const mesh = renderer.activeMesh;
+        this._gizmoDrag = null;
+        this._editor = mesh ? new ShapeEditor(mesh, { onChange: () => this._syncEditor() }) : null;
+        this._syncEditor();
+    }
+
+    _syncEditor() {
+        const editor = this._editor;
+        const indices = this._editMode && editor ? editor.selection : [];
+
+        if (this._editMode) {
+            const mesh = editor?.mesh;
+            renderer.selected = indices.length > 0
+                ? indices.map(index => ({ type: 'vertex', mesh, index, vertices: [index], point: mesh.worldVertices[index], distance: 0, viewport: null }))
+                : null;
+        }
+
+        const center = indices.length > 0 ? editor.selectionCenter() : null;
+        if (!center) {
+            renderer.gizmo = null;
+        } else if (renderer.gizmo) {
+            renderer.gizmo.position = center;
+        } else {
+            renderer.gizmo = new TranslateGizmo({ position: center });
+        }
+
+        const buttons = this._elements.buttons;
+        if (buttons.connect) buttons.connect.disabled = indices.length < 2;
+        if (buttons.disconnect) buttons.disconnect.disabled = indices.length < 2;
+        if (buttons.undo) {
+            buttons.undo.disabled = !editor?.canUndo;
+            buttons.undo.title = editor?.history.undoLabel ? `Undo: ${editor.history.undoLabel}` : 'Undo (Ctrl+Z)';
+        }
+        if (buttons.redo) {
+            buttons.redo.disabled = !editor?.canRedo;
+            buttons.redo.title = editor?.history.redoLabel ? `Redo: ${editor.history.redoLabel}` : 'Redo (Ctrl+Shift+Z)';
+        }
+        if (this._elements.editInfo) {
+            this._elements.editInfo.textContent = !this._editMode
+                ? 'Off'
+                : `${indices.length} ${indices.length === 1 ? 'vertex' : 'vertices'} selected`;
+        }
+
+        this._updateInspector();
+        if (!this._isRunning) this._renderFrame();
+    }
+
+    _selectVertexAt(event) {
+        if (!this._editor) return;
+
+        // Shift-click adds or removes vertices; a click on nothing deselects
+        const hit = this._pickAt(event);
+        if (!hit) {
+            if (!event.shiftKey) this._editor.clearSelection();
+            return;
+        }
+        if (hit.mesh !== this._editor.mesh) this._selectMesh(hit.mesh);
+        this._editor.select([hit.index], { toggle: event.shiftKey });
+    }
+
+    _startGizmoDrag(event) {
+        const gizmo = renderer.gizmo;
+        if (!this._editMode || !this._editor || !gizmo || event.button !== 0) return false;
+
+        const { x, y } = this._canvasPoint(event);
+        const grab = renderer.pickGizmo(x, y);
+        const start = grab && gizmo.dragPoint(grab.camera, grab.handle, x, y);
+        if (!start) return false;
+
+        // The constraint stays where the drag began while the gizmo follows the vertices
+        this._gizmoDrag = { ...grab, origin: gizmo.position, start };
+        gizmo.active = grab.handle;
+        this._editor.beginMove();
+        this._elements.canvas.setPointerCapture?.(event.pointerId);
+        return true;
+    }
+
+    _dragGizmo(event) {
+        const drag = this._gizmoDrag;
+        const { x, y } = this._canvasPoint(event);
+        const point = renderer.gizmo?.dragPoint(drag.camera, drag.handle, x, y, drag.origin);
+        if (point) this._editor.moveTo(point.subtract(drag.start));
+    }
+
+    _endGizmoDrag() {
+        if (!this._gizmoDrag) return;
+
+        this._gizmoDrag = null;
+        if (renderer.gizmo) renderer.gizmo.active = null;
+        // The click that ends a drag does not select
+        this._pointerDownAt = null;
+        if (!this._editor.endMove()) this._syncEditor();
+    }
+
+    _connectSelection(connect) {
+        if (!this._editor) return;
+
+        const count = connect ? this._editor.connectSelection() : this._editor.disconnectSelection();
+        if (count > 0) {
+            this._showStatus(`${connect ? 'Added' : 'Removed'} ${count} ${count === 1 ? 'edge' : 'edges'}`);
+        } else {
+            this._showStatus(connect ? 'The selected vertices are already connected' : 'No edges between the selected vertices', true);
+        }
+    }
+
+    _undo() {
+        const label = this._editor?.history.undoLabel;
+        if (this._editor?.undo()) this._showStatus(`Undone: ${label}`);
+    }
+
+    _redo() {
+        const label = this._editor?.history.redoLabel;
+        if (this._editor?.redo()) this._showStatus(`Redone: ${label}`);
+    }
+
+    /* ----------------------------------------
+     * LIGHTING
+     * ---------------------------------------- */
+
+    _setupLights() {
+        renderer.clearLights();
+        this._lights = {
+            ambient: renderer.addLight(Light.ambient('#ffffff', APP_CONFIG.DEFAULTS.ambient / 100)),
+            key: renderer.addLight(Light.directional(
+                new Vector3(0.5, -1, -1),
+                APP_CONFIG.DEFAULTS.lightColor,
+                APP_CONFIG.DEFAULTS['light-intensity'] / 100
+            )),
+            // Warm fill light up and in front of the default object position
+            point: Light.point(new Vector3(-100, 150, 250), '#ffd7a8', 1, 400)
         };
     }
 
+    _setPointLight(enabled) {
+        if (!this._lights) return;
+
+        renderer.removeLight(this._lights.point);
+        if (enabled) {
+            renderer.addLight(this._lights.point);
+        }
+    }
+
+    async _importFile(file) {
+        try {
+            const text = await file.text();
+            const baseName = file.name.replace(/\.[^.]+$/, '');
+            const shape = ObjLoader.parse(text, { name: baseName });
+
+            renderer.setCustomShape(shape);
+            this._clearPicks();
+            this._resetEditor();
+            this._refreshObjectList();
+            this._currentShape = baseName;
+            this._elements.shapeButtons.forEach(b => b.classList.remove('active'));
+            if (this._elements.shapeName) {
+                this._elements.shapeName.textContent = shape.name;
+            }
+            this._showStatus(`Imported ${file.name}: ${shape.vertices.length} vertices, ${shape.faces.length} faces`);
+        } catch (error) {
+            this._showStatus(`Could not import ${file.name}: ${error.message}`, true);
+            console.error('UIController: OBJ import failed', error);
+        }
+    }
+
+    /* ----------------------------------------
+     * TEXTURES
+     * ---------------------------------------- */
+
+    _setTexture(kind) {
+        if (kind === 'checkerboard' && !this._textures.checkerboard) {
+            this._textures.checkerboard = Texture.checkerboard();
+        }
+        // Nothing loaded yet: ask for an image, which applies it once loaded
+        if (kind === 'image' && !this._textures.image) {
+            this._elements.textureFile?.click();
+            return;
+        }
+
+        renderer.settings.texture = this._textures[kind] || null;
+        this._syncTextureSelect();
+    }
+
+    _syncTextureSelect() {
+        const select = this._elements.selects['texture'];
+        if (!select) return;
+
+        const current = renderer.settings.texture;
+        const kind = Object.keys(this._textures).find(key => current && this._textures[key] === current);
+        select.value = kind || 'none';
+    }
+
+    async _loadTextureImage(file) {
+        const url = URL.createObjectURL(file);
+        try {
+            const image = new Image();
+            await new Promise((resolve, reject) => {
+                image.onload = resolve;
+                image.onerror = () => reject(new Error('not a readable image'));
+                image.src = url;
+            });
+
+            this._textures.image = Texture.fromImage(image);
+            this._setTexture('image');
+            this._showStatus(`Loaded texture ${file.name} (${image.naturalWidth}x${image.naturalHeight})`);
+        } catch (error) {
+            this._syncTextureSelect();
+            this._showStatus(`Could not load ${file.name}: ${error.message}`, true);
+            console.error('UIController: texture load failed', error);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    _exportShape(format) {
+        const bake = this._elements.checkboxes['bake-transform']?.checked;
+        const shape = bake ? renderer.getTransformedShape() : renderer.shape;
+        const baseName = `3d-model-${this._currentShape}${bake ? '-transformed' : ''}`;
+
+        const formats = {
+            'obj': () => [ShapeExporter.toOBJ(shape), 'obj', 'model/obj'],
+            'stl': () => [ShapeExporter.toSTL(shape), 'stl', 'model/stl'],
+            'stl-binary': () => [ShapeExporter.toBinarySTL(shape), 'stl', 'model/stl'],
+            'ply': () => [ShapeExporter.toPLY(shape), 'ply', 'application/octet-stream']
+        };
+        if (!formats[format]) return;
+
+        try {
+            const [data, extension, mimeType] = formats[format]();
+            this._downloadFile(data, `${baseName}.${extension}`, mimeType);
+        } catch (error) {
+            this._showStatus(`Could not export ${format.toUpperCase()}: ${error.message}`, true);
+        }
+    }
+
+    _downloadFile(data, filename, mimeType) {
+        const url = URL.createObjectURL(new Blob([data], { type: mimeType }));
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = url;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
     _takeScreenshot() {
         if (!this._elements.canvas) return;
         
@@ -339,6 +1377,214 @@ class UIController {
         link.click();
     }
 
+    /* ----------------------------------------
+     * RECORDING
+     * ---------------------------------------- */
+
+    _recordFps() {
+        return parseInt(this._elements.selects['record-fps']?.value, 10) || APP_CONFIG.DEFAULTS.recordFps;
+    }
+
+    async _toggleVideoRecording() {
+        const button = this._elements.buttons.recordVideo;
+
+        if (this._videoRecorder) {
+            const recorder = this._videoRecorder;
+            this._videoRecorder = null;
+            if (button) button.textContent = '⏺️ Record WebM';
+
+            try {
+                const video = await recorder.stop();
+                this._downloadFile(video, `3d-render-${this._currentShape}-${Date.now()}.webm`, video.type);
+                this._showStatus(`Saved WebM video (${Math.round(video.size / 1024)} KB)`);
+            } catch (error) {
+                this._showStatus(`Could not save the video: ${error.message}`, true);
+                console.error('UIController: video recording failed', error);
+            }
+            return;
+        }
+
+        try {
+            const recorder = new VideoRecorder(this._elements.canvas, { fps: this._recordFps() });
+            recorder.start();
+            this._videoRecorder = recorder;
+            if (button) button.textContent = '⏹️ Stop';
+            this._showStatus('Recording the canvas; press Stop to save');
+
+            // Only a running render loop produces new frames
+            this.start();
+        } catch (error) {
+            this._showStatus(`Could not record: ${error.message}`, true);
+        }
+    }
+
+    async _recordGif() {
+        const canvas = this._elements.canvas;
+        if (!canvas || this._isRecordingGif) return;
+
+        const fps = this._recordFps();
+        const frames = parseInt(this._elements.sliders['gif-frames']?.value, 10) || APP_CONFIG.DEFAULTS['gif-frames'];
+        const timeline = this._timeline;
+        const animated = timeline.keyframeTimes.length > 0;
+        const wasRunning = this._isRunning;
+        const wasPlaying = timeline.playing;
+        const startAngle = { ...this._autoRotateAngle };
+
+        // Pause the live loop and step the animation on a fixed clock instead
+        this.stop();
+        this._isRecordingGif = true;
+        if (this._elements.buttons.recordGif) this._elements.buttons.recordGif.disabled = true;
+        if (animated) {
+            timeline.seek(0);
+            timeline.play();
+            timeline.update(0);
+        }
+
+        try {
+            const gif = await GifRecorder.record({
+                width: canvas.width,
+                height: canvas.height,
+                frames,
+                fps,
+                background: APP_CONFIG.GIF_BACKGROUND,
+                renderFrame: (time) => {
+                    if (animated) {
+                        timeline.update(time * 1000);
+                        this._applyTimeline();
+                    }
+                    if (this._autoRotate) {
+                        this._autoRotateAngle = {
+                            x: startAngle.x + APP_CONFIG.AUTO_ROTATE_SPEED * 0.3 * time,
+                            y: startAngle.y + APP_CONFIG.AUTO_ROTATE_SPEED * time
+                        };
+                    }
+                    this._renderFrame();
+                },
+                capture: () => canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height),
+                onProgress: (done, total) => this._showStatus(`Rendering GIF: frame ${done} of ${total}`)
+            });
+
+            this._downloadFile(gif, `3d-render-${this._currentShape}-${Date.now()}.gif`, 'image/gif');
+            this._showStatus(`Saved ${frames}-frame GIF (${Math.round(gif.length / 1024)} KB)`);
+        } catch (error) {
+            this._showStatus(`Could not render the GIF: ${error.message}`, true);
+            console.error('UIController: GIF recording failed', error);
+        } finally {
+            if (wasPlaying) timeline.play();
+            else timeline.pause();
+            this._updateTimelineDisplay();
+
+            this._isRecordingGif = false;
+            if (this._elements.buttons.recordGif) this._elements.buttons.recordGif.disabled = false;
+            if (wasRunning) this.start();
+        }
+    }
+
+    /* ----------------------------------------
+     * TIMELINE
+     * ---------------------------------------- */
+
+    _addKeyframe() {
+        const mesh = renderer.activeMesh;
+        if (!mesh) return;
+
+        const values = this._getSliderValues();
+        const time = this._timeline.time;
+        const easing = this._selectedEasing();
+        Object.keys(APP_CONFIG.TIMELINE_TRACKS).forEach(property => {
+            this._timeline.addKeyframe(mesh, property, time, values[property], easing);
+        });
+        this._timeline.addKeyframe(renderer, 'focalLength', time, values.focalLength, easing);
+
+        this._updateTimelineDisplay();
+        this._showStatus(`Keyframe at ${time.toFixed(2)}s for ${mesh.name}`);
+    }
+
+    _selectedEasing() {
+        const easing = this._elements.selects['timeline-easing']?.value || APP_CONFIG.DEFAULTS.timelineEasing;
+        return easing === 'bezier' ? [...APP_CONFIG.BEZIER_EASING] : easing;
+    }
+
+    _playTimeline() {
+        if (this._timeline.keyframeTimes.length === 0) {
+            this._showStatus('Add a keyframe before playing the timeline', true);
+            return;
+        }
+        this._timeline.play();
+        this._updateTimelineDisplay();
+    }
+
+    _pauseTimeline() {
+        this._timeline.pause();
+        this._updateTimelineDisplay();
+    }
+
+    _clearTimeline() {
+        this._timeline.pause();
+        this._timeline.clear();
+        this._updateTimelineDisplay();
+        this._showStatus('');
+    }
+
+    _applyTimeline() {
+        const sliderValues = {};
+        const wrap = (angle) => ((angle % 360) + 360) % 360;
+
+        this._timeline.evaluate().forEach((values, target) => {
+            if (target === renderer) {
+                sliderValues.fid = values.focalLength;
+            } else if (target === renderer.activeMesh) {
+                // The selected object is driven through its sliders
+                if (['rotationX', 'rotationY', 'rotationZ'].some(property => property in values)) {
+                    this._orientation = null;
+                }
+                Object.entries(APP_CONFIG.TIMELINE_TRACKS).forEach(([property, id]) => {
+                    if (!(property in values)) return;
+                    const value = values[property];
+                    if (property.startsWith('rotation')) sliderValues[id] = wrap(value);
+                    else if (property.startsWith('scale')) sliderValues[id] = value * 100;
+                    else sliderValues[id] = value;
+                });
+            } else {
+                target.setTransform(values);
+            }
+        });
+
+        Object.entries(sliderValues).forEach(([id, value]) => {
+            const slider = this._elements.sliders[id];
+            if (slider) {
+                slider.value = value;
+                this._updateDisplay(id);
+            }
+        });
+        this._syncControls();
+        this._updateTimelineDisplay();
+    }
+
+    _updateTimelineDisplay() {
+        const timeline = this._timeline;
+        const scrub = this._elements.timelineScrub;
+        if (scrub) {
+            scrub.max = timeline.duration;
+            scrub.value = timeline.time;
+        }
+        if (this._elements.timelineTime) {
+            this._elements.timelineTime.textContent = `${timeline.time.toFixed(2)}s`;
+        }
+        if (this._elements.timelineInfo) {
+            const count = timeline.keyframeTimes.length;
+            this._elements.timelineInfo.textContent = count === 0
+                ? 'Pose the object, pick a time and press Keyframe'
+                : `${count} keyframe${count === 1 ? '' : 's'}`;
+        }
+        if (this._elements.buttons.timelinePlay) {
+            this._elements.buttons.timelinePlay.disabled = timeline.playing;
+        }
+        if (this._elements.buttons.timelinePause) {
+            this._elements.buttons.timelinePause.disabled = !timeline.playing;
+        }
+    }
+
     /* ----------------------------------------
      * ANIMATION
      * ---------------------------------------- */
@@ -346,25 +1592,30 @@ class UIController {
     _renderFrame() {
         const values = this._getSliderValues();
         
-        // Handle auto-rotation
-        let rotX = values.rotationX;
-        let rotY = values.rotationY;
-        
+        // Auto-rotation spins about the world Y and X axes on top of the current orientation
+        let quaternion = this._orientation;
         if (this._autoRotate) {
-            this._autoRotateAngle.y += APP_CONFIG.AUTO_ROTATE_SPEED;
-            this._autoRotateAngle.x += APP_CONFIG.AUTO_ROTATE_SPEED * 0.3;
-            rotX += this._autoRotateAngle.x;
-            rotY += this._autoRotateAngle.y;
+            const DEG_TO_RAD = Math.PI / 180;
+            quaternion = Quaternion.fromAxisAngle(new Vector3(1, 0, 0), this._autoRotateAngle.x * DEG_TO_RAD)
+                .multiply(Quaternion.fromAxisAngle(new Vector3(0, 1, 0), this._autoRotateAngle.y * DEG_TO_RAD))
+                .multiply(this._currentOrientation(values));
         }
 
         // Update renderer settings
         renderer.focalLength = values.focalLength;
+        renderer.settings.projection = this._projectionMode();
+        renderer.settings.projectionBlend = values.orthoBlend;
         renderer.settings.lineWidth = values.lineWidth;
+        if (this._lights) {
+            this._lights.ambient.intensity = values.ambient;
+            this._lights.key.intensity = values.lightIntensity;
+        }
         
         // Apply transformations
         renderer.transform({
-            rotationX: rotX,
-            rotationY: rotY,
+            quaternion,
+            rotationX: values.rotationX,
+            rotationY: values.rotationY,
             rotationZ: values.rotationZ,
             translateX: values.translateX,
             translateY: values.translateY,
@@ -373,6 +1624,10 @@ class UIController {
             scaleY: values.scaleY,
             scaleZ: values.scaleZ
         });
+
+        // Keep the gizmo on the selected vertices as the object moves
+        const center = renderer.gizmo && this._editor?.selectionCenter();
+        if (center) renderer.gizmo.position = center;
         
         // Render
         renderer.render();
@@ -382,13 +1637,35 @@ class UIController {
     }
 
     _tick() {
+        // Advance by real elapsed time so speed does not depend on the frame rate
+        const now = Date.now();
+        const seconds = this._lastTickTime === null ? 0 : Math.min(now - this._lastTickTime, 100) / 1000;
+        this._lastTickTime = now;
+
+        this._controls?.update(now);
+        this._updateProjectionTween(now);
+
+        const wasPlaying = this._timeline.playing;
+        if (this._timeline.update(now) || wasPlaying !== this._timeline.playing) {
+            this._applyTimeline();
+        }
+
+        if (this._autoRotate) {
+            this._autoRotateAngle.y += APP_CONFIG.AUTO_ROTATE_SPEED * seconds;
+            this._autoRotateAngle.x += APP_CONFIG.AUTO_ROTATE_SPEED * 0.3 * seconds;
+        }
+
         this._renderFrame();
     }
 
     start() {
-        if (this._isRunning) return;
+        // Offline GIF rendering drives the frames itself
+        if (this._isRunning || this._isRecordingGif) return;
         
         this._isRunning = true;
+        this._lastTickTime = null;
+        // Resume the timeline from where the pause left it
+        if (this._timeline.playing) this._timeline.play();
         this._animationId = setInterval(() => this._tick(), APP_CONFIG.FRAME_INTERVAL);
         console.info('🎬 Animation started');
     }
@@ -415,15 +1692,31 @@ class UIController {
 
         // Set initial shape
         renderer.setShape('cube');
+        this._resetEditor();
+        this._refreshObjectList();
 
         // Apply default settings
         renderer.settings.depthColoring = APP_CONFIG.DEFAULTS.depthColoring;
+        renderer.settings.renderMode = APP_CONFIG.DEFAULTS.renderMode;
+        renderer.settings.hiddenLineStyle = APP_CONFIG.DEFAULTS.hiddenLineStyle;
+        renderer.settings.backend = APP_CONFIG.DEFAULTS.backend;
+        renderer.settings.textureFilter = APP_CONFIG.DEFAULTS.textureFilter;
+        this._setTexture(APP_CONFIG.DEFAULTS.texture);
+        renderer.settings.backfaceCulling = APP_CONFIG.DEFAULTS.backfaceCulling;
+        renderer.settings.shading = APP_CONFIG.DEFAULTS.shading;
         renderer.settings.showVertices = APP_CONFIG.DEFAULTS.showVertices;
         renderer.settings.showAxes = APP_CONFIG.DEFAULTS.showAxes;
         renderer.settings.showGrid = APP_CONFIG.DEFAULTS.showGrid;
 
+        // Scene lights
+        this._setupLights();
+
+        // Mouse, wheel and touch controls
+        this._setupControls();
+
         // Update displays
         this._updateAllDisplays();
+        this._updateTimelineDisplay();
         
         // Initial render
         this._renderFrame();
@@ -433,7 +1726,8 @@ class UIController {
         
         console.info('✅ 3D Renderer v3.0 initialized');
         console.info('📚 Available shapes:', Object.keys(Shapes).join(', '));
-        console.info('⌨️ Keyboard: Space=pause, R=reset, A=auto-rotate, V=vertices, G=grid, X=axes');
+        console.info('⌨️ Keyboard: Space=pause, R=reset, A=auto-rotate, K=keyframe, O=projection, Q=quad view, V=vertices, G=grid, X=axes, E=edit vertices, Ctrl+Z/Ctrl+Shift+Z=undo/redo');
+        console.info('🖱️ Mouse: drag=orbit, right/shift-drag=pan, wheel/pinch=zoom');
     }
 }
 
@@ -444,11 +1738,12 @@ class UIController {
 let app;
 
 document.addEventListener('DOMContentLoaded', () => {
+    if (app) return;
     app = new UIController();
     app.init();
 });
 
-// Fallback
+// Fallback; deferred scripts run once the document is already interactive
 if (document.readyState === 'complete' || document.readyState === 'interactive') {
     setTimeout(() => {
         if (!app) {
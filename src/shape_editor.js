@@ -0,0 +1,518 @@
+/**
+ * @fileoverview Vertex and edge editing for the 3D Renderer
+ * @description Edits a mesh's shape in place: moves selected vertices and
+ * adds or removes edges between them, with undo and redo. Because the shape
+ * itself changes, every render mode and exporter sees the edits.
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+import { Vector3 } from './math.js';
+
+/* ============================================
+ * EDIT HISTORY CLASS
+ * ============================================ */
+
+/**
+ * @class EditHistory
+ * @description Undo and redo stacks of edits. An edit is any object with
+ * undo() and redo() methods and a label; recording a new edit drops
+ * everything that was undone.
+ */
+class EditHistory {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.limit=100] - Edits kept; the oldest are forgotten first
+     */
+    constructor({ limit = 100 } = {}) {
+        /** Edits kept before the oldest are forgotten */
+        this.limit = limit;
+
+        /** @private {Array<Object>} Edits that can be undone, oldest first */
+        this._done = [];
+
+        /** @private {Array<Object>} Edits that can be redone, most recently undone last */
+        this._undone = [];
+    }
+
+    /** @type {boolean} */
+    get canUndo() { return this._done.length > 0; }
+
+    /** @type {boolean} */
+    get canRedo() { return this._undone.length > 0; }
+
+    /**
+     * Label of the edit undo() would revert, or null
+     * @type {string|null}
+     */
+    get undoLabel() { return this._done[this._done.length - 1]?.label ?? null; }
+
+    /**
+     * Label of the edit redo() would apply again, or null
+     * @type {string|null}
+     */
+    get redoLabel() { return this._undone[this._undone.length - 1]?.label ?? null; }
+
+    /**
+     * Records an edit that has already been applied
+     * @param {Object} edit - { label, undo(), redo() }
+     */
+    record(edit) {
+        this._done.push(edit);
+        this._undone = [];
+        if (this._done.length > this.limit) this._done.shift();
+    }
+
+    /**
+     * Reverts the latest edit
+     * @returns {Object|null} The edit reverted, or null if there was none
+     */
+    undo() {
+        const edit = this._done.pop();
+        if (!edit) return null;
+        edit.undo();
+        this._undone.push(edit);
+        return edit;
+    }
+
+    /**
+     * Applies the latest undone edit again
+     * @returns {Object|null} The edit applied, or null if there was none
+     */
+    redo() {
+        const edit = this._undone.pop();
+        if (!edit) return null;
+        edit.redo();
+        this._done.push(edit);
+        return edit;
+    }
+
+    /**
+     * Forgets every edit
+     */
+    clear() {
+        this._done = [];
+        this._undone = [];
+    }
+}
+
+/* ============================================
+ * SHAPE EDITOR CLASS
+ * ============================================ */
+
+/** Shape arrays indexed by edge or face; they are spliced together with them */
+const EDGE_ARRAYS = ['edges', 'edgeMaterials'];
+const FACE_ARRAYS = ['faces', 'faceMaterials', 'faceUVs'];
+
+/**
+ * @class ShapeEditor
+ * @description Selects vertices of a mesh and edits its shape. Moves are
+ * given in world space (as a gizmo produces them) and applied to the
+ * model-space vertices through the inverse of the mesh's world matrix.
+ * Removing an edge also removes the faces it bounds, so the shape stays
+ * consistent for the solid and hidden-line modes. Vertices are never added
+ * or removed, so vertex indices and the selection stay valid across undo.
+ *
+ * @example
+ * const editor = new ShapeEditor(renderer.activeMesh);
+ * editor.select([0, 1]);
+ * editor.translate(new Vector3(0, 20, 0));
+ * editor.disconnect(0, 1);
+ * editor.undo();
+ */
+class ShapeEditor {
+    /**
+     * @param {Mesh} mesh - Mesh whose shape is edited in place
+     * @param {Object} [options]
+     * @param {number} [options.historyLimit=100] - Undo steps kept
+     * @param {Function} [options.onChange=null] - Called with the editor after
+     *   every change to the shape or the selection
+     */
+    constructor(mesh, { historyLimit = 100, onChange = null } = {}) {
+        /** @private {Mesh} */
+        this._mesh = mesh;
+
+        /** @private {Set<number>} Selected vertex indices */
+        this._selection = new Set();
+
+        /** @private {Object|null} Drag in progress: { indices, from } */
+        this._move = null;
+
+        /** Undo and redo stacks */
+        this.history = new EditHistory({ limit: historyLimit });
+
+        /** @type {Function|null} */
+        this.onChange = onChange;
+    }
+
+    /* ----------------------------------------
+     * GETTERS
+     * ---------------------------------------- */
+
+    /** @type {Mesh} */
+    get mesh() { return this._mesh; }
+
+    /**
+     * The shape being edited
+     * @type {Object}
+     */
+    get shape() { return this._mesh.shape; }
+
+    /**
+     * Selected vertex indices in ascending order
+     * @type {Array<number>}
+     */
+    get selection() { return [...this._selection].sort((a, b) => a - b); }
+
+    /** @type {boolean} */
+    get canUndo() { return this.history.canUndo; }
+
+    /** @type {boolean} */
+    get canRedo() { return this.history.canRedo; }
+
+    /* ----------------------------------------
+     * SELECTION
+     * ---------------------------------------- */
+
+    /**
+     * Selects vertices
+     * @param {Array<number>} indices - Vertex indices
+     * @param {Object} [options]
+     * @param {boolean} [options.add=false] - Add to the selection instead of replacing it
+     * @param {boolean} [options.toggle=false] - Flip each vertex in or out of the selection
+     * @throws {RangeError} If an index is not a vertex of the shape
+     */
+    select(indices, { add = false, toggle = false } = {}) {
+        indices.forEach(index => this._checkVertex(index));
+        if (!add && !toggle) this._selection.clear();
+
+        indices.forEach(index => {
+            if (toggle && this._selection.has(index)) {
+                this._selection.delete(index);
+            } else {
+                this._selection.add(index);
+            }
+        });
+        this._changed();
+    }
+
+    /**
+     * Deselects every vertex
+     */
+    clearSelection() {
+        if (this._selection.size === 0) return;
+        this._selection.clear();
+        this._changed();
+    }
+
+    /**
+     * World-space centroid of the selected vertices, where a gizmo goes
+     * @returns {Vector3|null} Centroid, or null without a selection
+     */
+    selectionCenter() {
+        const indices = this.selection;
+        if (indices.length === 0) return null;
+
+        // The mesh may have been transformed since the last edit
+        this._mesh.updateWorldMatrix(this._mesh.parent?.worldMatrix ?? null);
+        const world = this._mesh.worldMatrix;
+        const sum = indices.reduce(
+            (total, i) => total.add(world.transformVector(this.shape.vertices[i])),
+            new Vector3()
+        );
+        return sum.scale(1 / indices.length);
+    }
+
+    /* ----------------------------------------
+     * MOVING VERTICES
+     * ---------------------------------------- */
+
+    /**
+     * Starts moving the selected vertices; moveTo() previews positions and
+     * endMove() records the whole drag as one undo step. A mesh flattened
+     * to (almost) nothing along an axis has no usable model-space offsets,
+     * so its moves leave it unchanged.
+     */
+    beginMove() {
+        const indices = this.selection;
+        this._move = {
+            indices,
+            from: indices.map(i => this.shape.vertices[i]),
+            toModel: this._modelInverse()
+        };
+    }
+
+    /**
+     * Places the vertices of the current move at their start positions plus
+     * a world-space offset
+     * @param {Vector3} offset - World-space offset from where the move began
+     */
+    moveTo(offset) {
+        if (!this._move?.toModel) return;
+
+        const delta = this._move.toModel.transformDirection(offset);
+        const vertices = this.shape.vertices;
+        this._move.indices.forEach((index, k) => {
+            vertices[index] = this._move.from[k].add(delta);
+        });
+        this._changed();
+    }
+
+    /**
+     * Finishes the current move and records it, unless nothing moved
+     * @returns {boolean} Whether an edit was recorded
+     */
+    endMove() {
+        const move = this._move;
+        this._move = null;
+        if (!move) return false;
+
+        const to = move.indices.map(i => this.shape.vertices[i]);
+        const moved = to.some((v, k) => v.distanceTo(move.from[k]) > 0);
+        if (!moved) return false;
+
+        const count = move.indices.length;
+        this._record(`Move ${count} ${count === 1 ? 'vertex' : 'vertices'}`,
+            () => this._setVertices(move.indices, move.from),
+            () => this._setVertices(move.indices, to));
+        return true;
+    }
+
+    /**
+     * Moves the selected vertices by a world-space offset in one undo step
+     * @param {Vector3} offset - World-space offset
+     * @returns {boolean} Whether anything moved
+     */
+    translate(offset) {
+        this.beginMove();
+        this.moveTo(offset);
+        return this.endMove();
+    }
+
+    /* ----------------------------------------
+     * EDGES
+     * ---------------------------------------- */
+
+    /**
+     * Index of the edge between two vertices, in either direction
+     * @param {number} a - Vertex index
+     * @param {number} b - Vertex index
+     * @returns {number} Edge index, or -1
+     */
+    edgeIndex(a, b) {
+        return this.shape.edges.findIndex(([i, j]) => (i === a && j === b) || (i === b && j === a));
+    }
+
+    /**
+     * Adds an edge between two vertices
+     * @param {number} a - Vertex index
+     * @param {number} b - Vertex index
+     * @returns {boolean} Whether an edge was added (false if one exists)
+     * @throws {RangeError} If an index is not a vertex, or both are the same
+     */
+    connect(a, b) {
+        this._checkVertex(a);
+        this._checkVertex(b);
+        if (a === b) throw new RangeError('An edge needs two different vertices');
+        if (this.edgeIndex(a, b) !== -1) return false;
+
+        this._editArrays(`Connect ${a}–${b}`, EDGE_ARRAYS, shape => {
+            shape.edges.push([a, b]);
+            if (shape.edgeMaterials) shape.edgeMaterials.push(null);
+        });
+        return true;
+    }
+
+    /**
+     * Removes the edge between two vertices and the faces it bounds
+     * @param {number} a - Vertex index
+     * @param {number} b - Vertex index
+     * @returns {boolean} Whether an edge was removed (false if none exists)
+     */
+    disconnect(a, b) {
+        const edge = this.edgeIndex(a, b);
+        if (edge === -1) return false;
+
+        const bounds = face => face.some((i, k) => {
+            const j = face[(k + 1) % face.length];
+            return (i === a && j === b) || (i === b && j === a);
+        });
+        const faces = (this.shape.faces || []).map((face, f) => bounds(face) ? f : -1).filter(f => f !== -1);
+
+        this._editArrays(`Disconnect ${a}–${b}`, [...EDGE_ARRAYS, ...FACE_ARRAYS], shape => {
+            EDGE_ARRAYS.forEach(key => shape[key]?.splice(edge, 1));
+            // Remove from the back so the remaining indices stay put
+            faces.reverse().forEach(f => FACE_ARRAYS.forEach(key => shape[key]?.splice(f, 1)));
+        });
+        return true;
+    }
+
+    /**
+     * Connects every pair of selected vertices that has no edge yet, in one undo step
+     * @returns {number} Edges added
+     */
+    connectSelection() {
+        return this._pairsEdit('Connect', (a, b) => this.edgeIndex(a, b) === -1, (shape, a, b) => {
+            shape.edges.push([a, b]);
+            if (shape.edgeMaterials) shape.edgeMaterials.push(null);
+        });
+    }
+
+    /**
+     * Removes every edge between two selected vertices, and the faces they
+     * bound, in one undo step
+     * @returns {number} Edges removed
+     */
+    disconnectSelection() {
+        const selected = this._selection;
+        const keep = this.shape.edges.map(([i, j]) => !(selected.has(i) && selected.has(j)));
+        const removed = keep.filter(kept => !kept).length;
+        if (removed === 0) return 0;
+
+        const keepFace = (this.shape.faces || []).map(face => face.every((i, k) => {
+            const j = face[(k + 1) % face.length];
+            return !(selected.has(i) && selected.has(j));
+        }));
+
+        this._editArrays(`Disconnect ${removed} ${removed === 1 ? 'edge' : 'edges'}`, [...EDGE_ARRAYS, ...FACE_ARRAYS], shape => {
+            EDGE_ARRAYS.forEach(key => {
+                if (shape[key]) shape[key] = shape[key].filter((item, e) => keep[e]);
+            });
+            FACE_ARRAYS.forEach(key => {
+                if (shape[key]) shape[key] = shape[key].filter((item, f) => keepFace[f]);
+            });
+        });
+        return removed;
+    }
+
+    /* ----------------------------------------
+     * UNDO AND REDO
+     * ---------------------------------------- */
+
+    /**
+     * Reverts the latest edit
+     * @returns {boolean} Whether there was one
+     */
+    undo() {
+        return this.history.undo() !== null;
+    }
+
+    /**
+     * Applies the latest undone edit again
+     * @returns {boolean} Whether there was one
+     */
+    redo() {
+        return this.history.redo() !== null;
+    }
+
+    /* ----------------------------------------
+     * HELPERS
+     * ---------------------------------------- */
+
+    /**
+     * Throws unless an index is a vertex of the shape
+     * @private
+     */
+    _checkVertex(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.shape.vertices.length) {
+            throw new RangeError(`Vertex ${index} is out of range (0-${this.shape.vertices.length - 1})`);
+        }
+    }
+
+    /**
+     * Inverse of the mesh's world matrix, taking world-space offsets into
+     * model space. An axis scaled to almost nothing next to the others
+     * would blow offsets up into huge model-space moves, so such matrices
+     * count as singular: the determinant is the product of the axis scales,
+     * compared with the cube of the largest.
+     * @returns {Matrix4|null} Null when the matrix is (nearly) singular
+     * @private
+     */
+    _modelInverse() {
+        const matrix = this._mesh.worldMatrix;
+        const scale = Math.max(...matrix.decompose().scale.toArray().map(Math.abs));
+        const det = matrix.determinant();
+        if (!Number.isFinite(det) || Math.abs(det) <= 1e-12 * scale ** 3) return null;
+        return matrix.invert();
+    }
+
+    /**
+     * Writes vertex positions and notifies
+     * @private
+     */
+    _setVertices(indices, positions) {
+        indices.forEach((index, k) => {
+            this.shape.vertices[index] = positions[k];
+        });
+        this._changed();
+    }
+
+    /**
+     * Adds an edge for each pair of selected vertices that passes a test, as one edit
+     * @private
+     */
+    _pairsEdit(verb, test, apply) {
+        const indices = this.selection;
+        const pairs = [];
+        indices.forEach((a, k) => indices.slice(k + 1).forEach(b => {
+            if (test(a, b)) pairs.push([a, b]);
+        }));
+        if (pairs.length === 0) return 0;
+
+        const label = pairs.length === 1
+            ? `${verb} ${pairs[0][0]}–${pairs[0][1]}`
+            : `${verb} ${pairs.length} edges`;
+        this._editArrays(label, EDGE_ARRAYS, shape => pairs.forEach(([a, b]) => apply(shape, a, b)));
+        return pairs.length;
+    }
+
+    /**
+     * Applies a change to some of the shape's arrays and records it, keeping
+     * copies of the arrays from before and after for undo and redo
+     * @private
+     * @param {string} label - Edit description
+     * @param {Array<string>} keys - Shape arrays the change may touch
+     * @param {Function} change - (shape) => void; may mutate or replace the arrays
+     */
+    _editArrays(label, keys, change) {
+        const snapshot = () => Object.fromEntries(keys
+            .filter(key => this.shape[key])
+            .map(key => [key, [...this.shape[key]]]));
+        const restore = state => {
+            Object.entries(state).forEach(([key, items]) => {
+                this.shape[key] = [...items];
+            });
+            this._changed();
+        };
+
+        const before = snapshot();
+        change(this.shape);
+        const after = snapshot();
+        this._record(label, () => restore(before), () => restore(after));
+    }
+
+    /**
+     * Records an edit that has just been applied
+     * @private
+     */
+    _record(label, undo, redo) {
+        this.history.record({ label, undo, redo });
+        this._changed();
+    }
+
+    /**
+     * Refreshes the mesh's world vertices and notifies the listener
+     * @private
+     */
+    _changed() {
+        this._mesh.updateWorldMatrix(this._mesh.parent?.worldMatrix ?? null);
+        if (this.onChange) this.onChange(this);
+    }
+}
+
+/* ============================================
+ * EXPORTS
+ * ============================================ */
+
+export { EditHistory, ShapeEditor };
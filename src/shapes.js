@@ -0,0 +1,589 @@
+/**
+ * @fileoverview Shape generators for the 3D Renderer
+ * @description Built-in shapes (cube, Platonic solids, torus, sphere, axes, grid)
+ * and topology validation for shape data.
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+import { Vector3 } from './math.js';
+import { Material } from './color.js';
+
+/* ============================================
+ * SHAPE GENERATORS
+ * ============================================ */
+
+/**
+ * Throws unless a segment count can make a closed surface
+ * @private
+ * @param {string} shape - Shape name, for the error message
+ * @param {number} segments - Segment count
+ * @throws {RangeError} If segments is not an integer of at least 3
+ */
+function checkSegments(shape, segments) {
+    if (!Number.isInteger(segments) || segments < 3) {
+        throw new RangeError(`${shape} needs at least 3 segments, got ${segments}`);
+    }
+}
+
+/**
+ * @namespace Shapes
+ * @description Factory functions for creating 3D shapes.
+ * Faces are wound counter-clockwise when viewed from outside the solid,
+ * so the cross product of their first two edges points outward.
+ *
+ * Texture coordinates are optional and indexed per face corner, as in OBJ:
+ * `uvs` lists [u, v] pairs (v pointing up the image) and `faceUVs[f][k]` is
+ * the uv index for corner k of face f. A null `faceUVs` entry means the face
+ * is untextured.
+ *
+ * Appearance is optional too: `material`, `faceMaterials` and `edgeMaterials`
+ * hold Material instances (see Material).
+ */
+const Shapes = {
+    /**
+     * Creates a cube with the whole texture upright on every face
+     * @param {number} size - Half-width of cube
+     * @returns {Object} { vertices: Vector3[], edges: Array, faces: Array, uvs: Array, faceUVs: Array }
+     */
+    cube(size = 100) {
+        const s = size;
+        const vertices = [
+            new Vector3( s,  s,  s),  // 0: Front top-right
+            new Vector3(-s,  s,  s),  // 1: Front top-left
+            new Vector3(-s, -s,  s),  // 2: Front bottom-left
+            new Vector3( s, -s,  s),  // 3: Front bottom-right
+            new Vector3( s,  s, -s),  // 4: Back top-right
+            new Vector3(-s,  s, -s),  // 5: Back top-left
+            new Vector3(-s, -s, -s),  // 6: Back bottom-left
+            new Vector3( s, -s, -s)   // 7: Back bottom-right
+        ];
+        const edges = [
+            [0, 1], [1, 2], [2, 3], [3, 0],  // Front face
+            [4, 5], [5, 6], [6, 7], [7, 4],  // Back face
+            [0, 4], [1, 5], [2, 6], [3, 7]   // Connecting edges
+        ];
+        const faces = [
+            [0, 1, 2, 3],  // Front
+            [4, 7, 6, 5],  // Back
+            [0, 3, 7, 4],  // Right
+            [1, 5, 6, 2],  // Left
+            [0, 4, 5, 1],  // Top
+            [3, 2, 6, 7]   // Bottom
+        ];
+        const uvs = [[0, 0], [1, 0], [1, 1], [0, 1]];
+        const faceUVs = [
+            [2, 3, 0, 1],  // Front
+            [3, 0, 1, 2],  // Back
+            [3, 0, 1, 2],  // Right
+            [2, 3, 0, 1],  // Left
+            [1, 2, 3, 0],  // Top
+            [2, 3, 0, 1]   // Bottom
+        ];
+        return { vertices, edges, faces, uvs, faceUVs, name: 'Cube' };
+    },
+
+    /**
+     * Creates a tetrahedron (4-faced pyramid)
+     * @param {number} size - Size factor
+     * @returns {Object} { vertices: Vector3[], edges: Array }
+     */
+    tetrahedron(size = 100) {
+        const s = size;
+        const vertices = [
+            new Vector3(s, s, s),
+            new Vector3(s, -s, -s),
+            new Vector3(-s, s, -s),
+            new Vector3(-s, -s, s)
+        ];
+        const edges = [
+            [0, 1], [0, 2], [0, 3],
+            [1, 2], [2, 3], [3, 1]
+        ];
+        const faces = [
+            [0, 1, 2],
+            [0, 2, 3],
+            [0, 3, 1],
+            [1, 3, 2]
+        ];
+        return { vertices, edges, faces, name: 'Tetrahedron' };
+    },
+
+    /**
+     * Creates an octahedron (8-faced diamond shape)
+     * @param {number} size - Size factor
+     * @returns {Object} { vertices: Vector3[], edges: Array }
+     */
+    octahedron(size = 100) {
+        const s = size;
+        const vertices = [
+            new Vector3(0, s, 0),   // Top
+            new Vector3(0, -s, 0),  // Bottom
+            new Vector3(s, 0, 0),   // Right
+            new Vector3(-s, 0, 0),  // Left
+            new Vector3(0, 0, s),   // Front
+            new Vector3(0, 0, -s)   // Back
+        ];
+        const edges = [
+            [0, 2], [0, 3], [0, 4], [0, 5],  // Top to middle
+            [1, 2], [1, 3], [1, 4], [1, 5],  // Bottom to middle
+            [2, 4], [4, 3], [3, 5], [5, 2]   // Middle ring
+        ];
+        const faces = [
+            [0, 4, 2], [0, 2, 5], [0, 5, 3], [0, 3, 4],
+            [1, 2, 4], [1, 5, 2], [1, 3, 5], [1, 4, 3]
+        ];
+        return { vertices, edges, faces, name: 'Octahedron' };
+    },
+
+    /**
+     * Creates a pyramid (square base)
+     * @param {number} size - Base half-width
+     * @param {number} height - Pyramid height
+     * @returns {Object} { vertices: Vector3[], edges: Array }
+     */
+    pyramid(size = 100, height = 150) {
+        const s = size;
+        const h = height;
+        const vertices = [
+            new Vector3(0, h, 0),     // Apex
+            new Vector3(s, 0, s),     // Base corners
+            new Vector3(-s, 0, s),
+            new Vector3(-s, 0, -s),
+            new Vector3(s, 0, -s)
+        ];
+        const edges = [
+            [0, 1], [0, 2], [0, 3], [0, 4],  // Apex to base
+            [1, 2], [2, 3], [3, 4], [4, 1]   // Base
+        ];
+        const faces = [
+            [0, 2, 1], [0, 3, 2], [0, 4, 3], [0, 1, 4],
+            [1, 2, 3, 4]  // Base
+        ];
+        return { vertices, edges, faces, name: 'Pyramid' };
+    },
+
+    /**
+     * Creates a prism (triangular)
+     * @param {number} size - Size factor
+     * @param {number} length - Prism length
+     * @returns {Object} { vertices: Vector3[], edges: Array }
+     */
+    prism(size = 80, length = 150) {
+        const s = size;
+        const l = length / 2;
+        const h = s * Math.sqrt(3) / 2;
+        const vertices = [
+            // Front triangle
+            new Vector3(0, h, l),
+            new Vector3(-s, -h/2, l),
+            new Vector3(s, -h/2, l),
+            // Back triangle
+            new Vector3(0, h, -l),
+            new Vector3(-s, -h/2, -l),
+            new Vector3(s, -h/2, -l)
+        ];
+        const edges = [
+            [0, 1], [1, 2], [2, 0],  // Front triangle
+            [3, 4], [4, 5], [5, 3],  // Back triangle
+            [0, 3], [1, 4], [2, 5]   // Connecting
+        ];
+        const faces = [
+            [0, 1, 2],
+            [3, 5, 4],
+            [0, 3, 4, 1],
+            [1, 4, 5, 2],
+            [2, 5, 3, 0]
+        ];
+        return { vertices, edges, faces, name: 'Prism' };
+    },
+
+    /**
+     * Creates a dodecahedron (12-faced)
+     * Uses golden ratio for vertex positions
+     * @param {number} size - Size factor
+     * @returns {Object} { vertices: Vector3[], edges: Array }
+     */
+    dodecahedron(size = 60) {
+        const phi = (1 + Math.sqrt(5)) / 2;
+        // Golden ratio ≈ 1.618 
+        const s = size; const a = s; 
+        const b = s / phi; 
+        const c = s * phi; 
+        const vertices = [ 
+            // Cube vertices
+            new Vector3(a, a, a), new Vector3(a, a, -a),
+            new Vector3(a, -a, a), new Vector3(a, -a, -a), 
+            new Vector3(-a, a, a), new Vector3(-a, a, -a), 
+            new Vector3(-a, -a, a), new Vector3(-a, -a, -a), 
+            // Rectangle vertices (XY plane) 
+            new Vector3(0, b, c), new Vector3(0, b, -c), 
+            new Vector3(0, -b, c), new Vector3(0, -b, -c), 
+            // Rectangle vertices (XZ plane) 
+            new Vector3(c, 0, b), new Vector3(c, 0, -b), 
+            new Vector3(-c, 0, b), new Vector3(-c, 0, -b), 
+            // Rectangle vertices (YZ plane) 
+            new Vector3(b, c, 0), new Vector3(b, -c, 0), 
+            new Vector3(-b, c, 0), new Vector3(-b, -c, 0) 
+        ]; 
+        
+        const edges = [ 
+            [0, 8], [0, 12], [0, 16], [1, 9], [1, 13], 
+            [1, 16], [2, 10], [2, 12], [2, 17], [3, 11], 
+            [3, 13], [3, 17], [4, 8], [4, 14], [4, 18], 
+            [5, 9], [5, 15], [5, 18], [6, 10], [6, 14], 
+            [6, 19], [7, 11], [7, 15], [7, 19], [11, 9], 
+            [10, 8], [15, 14], [13, 12], [16, 18], [17, 19] 
+        ];
+
+        // 12 pentagons, one around each icosahedron-dual axis
+        const faces = [
+            [0, 8, 10, 2, 12], [0, 12, 13, 1, 16], [0, 16, 18, 4, 8],
+            [1, 9, 5, 18, 16], [1, 13, 3, 11, 9], [2, 10, 6, 19, 17],
+            [2, 17, 3, 13, 12], [3, 17, 19, 7, 11], [4, 14, 6, 10, 8],
+            [4, 18, 5, 15, 14], [5, 9, 11, 7, 15], [6, 14, 15, 7, 19]
+        ];
+        
+        return { vertices, edges, faces, name: 'Dodecahedron' };
+    },
+
+    /**
+     * Creates a torus (donut shape) - approximation with vertices
+     * @param {number} majorRadius - Distance from center to tube center
+     * @param {number} minorRadius - Tube radius
+     * @param {number} majorSegments - Segments around the ring
+     * @param {number} minorSegments - Segments around the tube
+     * @returns {Object} { vertices: Vector3[], edges: Array, faces: Array, uvs: Array, faceUVs: Array }
+     * @throws {RangeError} If either segment count is below 3, which cannot make a closed surface
+     */
+    torus(majorRadius = 80, minorRadius = 30, majorSegments = 16, minorSegments = 8) {
+        checkSegments('Torus', majorSegments);
+        checkSegments('Torus', minorSegments);
+
+        const vertices = [];
+        const edges = [];
+        const faces = [];
+        const uvs = [];
+        const faceUVs = [];
+
+        // u runs around the ring, v around the tube; the seams get their own
+        // row and column so the texture wraps without smearing
+        for (let i = 0; i <= majorSegments; i++) {
+            for (let j = 0; j <= minorSegments; j++) {
+                uvs.push([1 - i / majorSegments, j / minorSegments]);
+            }
+        }
+        const uvIndex = (i, j) => i * (minorSegments + 1) + j;
+
+        for (let i = 0; i < majorSegments; i++) {
+            const theta = (i / majorSegments) * Math.PI * 2;
+            const cosTheta = Math.cos(theta);
+            const sinTheta = Math.sin(theta);
+
+            for (let j = 0; j < minorSegments; j++) {
+                const phi = (j / minorSegments) * Math.PI * 2;
+                const cosPhi = Math.cos(phi);
+                const sinPhi = Math.sin(phi);
+
+                const x = (majorRadius + minorRadius * cosPhi) * cosTheta;
+                const y = minorRadius * sinPhi;
+                const z = (majorRadius + minorRadius * cosPhi) * sinTheta;
+
+                vertices.push(new Vector3(x, y, z));
+
+                const current = i * minorSegments + j;
+                const nextJ = i * minorSegments + ((j + 1) % minorSegments);
+                const nextI = ((i + 1) % majorSegments) * minorSegments + j;
+                const nextIJ = ((i + 1) % majorSegments) * minorSegments + ((j + 1) % minorSegments);
+
+                edges.push([current, nextJ]);
+                edges.push([current, nextI]);
+                faces.push([current, nextJ, nextIJ, nextI]);
+                faceUVs.push([uvIndex(i, j), uvIndex(i, j + 1), uvIndex(i + 1, j + 1), uvIndex(i + 1, j)]);
+            }
+        }
+
+        return { vertices, edges, faces, uvs, faceUVs, name: 'Torus' };
+    },
+
+    /**
+     * Creates a sphere approximation using latitude/longitude
+     * A single vertex sits at each pole; vertex 0 is the top pole and the
+     * last vertex is the bottom pole, with `segments - 1` rings in between.
+     * @param {number} radius - Sphere radius
+     * @param {number} segments - Number of segments
+     * @returns {Object} { vertices: Vector3[], edges: Array, faces: Array, uvs: Array, faceUVs: Array }
+     * @throws {RangeError} If segments is below 3, which cannot make a closed surface
+     */
+    sphere(radius = 100, segments = 12) {
+        checkSegments('Sphere', segments);
+
+        const vertices = [new Vector3(0, radius, 0)];
+        const edges = [];
+        const faces = [];
+
+        // Create ring vertices
+        for (let lat = 1; lat < segments; lat++) {
+            const theta = (lat / segments) * Math.PI;
+            const sinTheta = Math.sin(theta);
+            const cosTheta = Math.cos(theta);
+
+            for (let lon = 0; lon < segments; lon++) {
+                const phi = (lon / segments) * Math.PI * 2;
+                const sinPhi = Math.sin(phi);
+                const cosPhi = Math.cos(phi);
+
+                const x = radius * sinTheta * cosPhi;
+                const y = radius * cosTheta;
+                const z = radius * sinTheta * sinPhi;
+
+                vertices.push(new Vector3(x, y, z));
+            }
+        }
+
+        const top = 0;
+        const bottom = vertices.length;
+        vertices.push(new Vector3(0, -radius, 0));
+
+        const ringIndex = (lat, lon) => 1 + (lat - 1) * segments + (lon % segments);
+
+        // Equirectangular uvs with a duplicated seam column. Each pole
+        // triangle gets its own pole uv, centered above (or below) its base.
+        const uvs = [];
+        const faceUVs = [];
+        for (let lat = 0; lat <= segments; lat++) {
+            const pole = lat === 0 || lat === segments;
+            for (let lon = 0; lon <= segments; lon++) {
+                uvs.push([1 - (lon + (pole ? 0.5 : 0)) / segments, 1 - lat / segments]);
+            }
+        }
+        const uvIndex = (lat, lon) => lat * (segments + 1) + lon;
+
+        // Create edges and faces
+        for (let lon = 0; lon < segments; lon++) {
+            // Top cap triangle
+            edges.push([top, ringIndex(1, lon)]);
+            faces.push([top, ringIndex(1, lon + 1), ringIndex(1, lon)]);
+            faceUVs.push([uvIndex(0, lon), uvIndex(1, lon + 1), uvIndex(1, lon)]);
+
+            for (let lat = 1; lat < segments; lat++) {
+                const current = ringIndex(lat, lon);
+                const next = ringIndex(lat, lon + 1);
+
+                edges.push([current, next]);
+
+                if (lat < segments - 1) {
+                    const below = ringIndex(lat + 1, lon);
+                    const belowNext = ringIndex(lat + 1, lon + 1);
+                    edges.push([current, below]);
+                    faces.push([current, next, belowNext, below]);
+                    faceUVs.push([uvIndex(lat, lon), uvIndex(lat, lon + 1), uvIndex(lat + 1, lon + 1), uvIndex(lat + 1, lon)]);
+                }
+            }
+
+            // Bottom cap triangle
+            const last = ringIndex(segments - 1, lon);
+            edges.push([last, bottom]);
+            faces.push([last, ringIndex(segments - 1, lon + 1), bottom]);
+            faceUVs.push([uvIndex(segments - 1, lon), uvIndex(segments - 1, lon + 1), uvIndex(segments, lon)]);
+        }
+
+        return { vertices, edges, faces, uvs, faceUVs, name: 'Sphere' };
+    },
+
+    /**
+     * Creates coordinate axes, colored red, green and blue for X, Y and Z
+     * @param {number} length - Axis length
+     * @returns {Object} { vertices: Vector3[], edges: Array, edgeMaterials: Material[] }
+     */
+    axes(length = 200) {
+        const vertices = [
+            new Vector3(0, 0, 0),
+            new Vector3(length, 0, 0),  // X axis
+            new Vector3(0, length, 0),  // Y axis
+            new Vector3(0, 0, length)   // Z axis
+        ];
+        const edges = [
+            [0, 1],  // X
+            [0, 2],  // Y
+            [0, 3]   // Z
+        ];
+        const edgeMaterials = ['#ff4444', '#44ff44', '#4444ff'].map(edgeColor => new Material({ edgeColor }));
+        return { vertices, edges, faces: [], edgeMaterials, name: 'Axes' };
+    },
+
+    /**
+     * Creates a grid on the XZ plane
+     * @param {number} size - Grid size
+     * @param {number} divisions - Number of divisions
+     * @returns {Object} { vertices: Vector3[], edges: Array, material: Material }
+     */
+    grid(size = 200, divisions = 10) {
+        const vertices = [];
+        const edges = [];
+        const step = size / divisions;
+        const half = size / 2;
+        let idx = 0;
+
+        for (let i = 0; i <= divisions; i++) {
+            const pos = -half + i * step;
+            // Lines along Z
+            vertices.push(new Vector3(pos, 0, -half));
+            vertices.push(new Vector3(pos, 0, half));
+            edges.push([idx, idx + 1]);
+            idx += 2;
+            // Lines along X
+            vertices.push(new Vector3(-half, 0, pos));
+            vertices.push(new Vector3(half, 0, pos));
+            edges.push([idx, idx + 1]);
+            idx += 2;
+        }
+
+        const material = new Material({ edgeColor: '#666666', opacity: 0.3 });
+        return { vertices, edges, faces: [], material, name: 'Grid' };
+    }
+};
+
+/* ============================================
+ * SHAPE VALIDATION
+ * ============================================ */
+
+/**
+ * @namespace ShapeValidator
+ * @description Topology checks for shape data. Shapes with faces must form a
+ * closed, consistently oriented manifold whose faces point outward; shapes
+ * without faces (axes, grid) are line sets and only need valid indices.
+ */
+const ShapeValidator = {
+    /**
+     * Validates a single shape
+     * @param {Object} shape - Shape object with vertices, edges and faces
+     * @returns {Object} { valid: boolean, errors: string[], eulerCharacteristic: number|null }
+     */
+    validate(shape) {
+        const errors = [];
+        const vertexCount = shape.vertices.length;
+        const faces = shape.faces || [];
+        const inRange = i => Number.isInteger(i) && i >= 0 && i < vertexCount;
+        const edgeKey = (a, b) => a < b ? `${a}-${b}` : `${b}-${a}`;
+
+        const edgeSet = new Set();
+        shape.edges.forEach(([a, b], e) => {
+            if (!inRange(a) || !inRange(b)) {
+                errors.push(`Edge ${e} references a vertex out of range`);
+            } else if (a === b) {
+                errors.push(`Edge ${e} is degenerate`);
+            } else if (edgeSet.has(edgeKey(a, b))) {
+                errors.push(`Edge ${e} is duplicated`);
+            } else {
+                edgeSet.add(edgeKey(a, b));
+            }
+        });
+
+        if (shape.faceMaterials && shape.faceMaterials.length !== faces.length) {
+            errors.push(`faceMaterials has ${shape.faceMaterials.length} entries for ${faces.length} faces`);
+        }
+        if (shape.edgeMaterials && shape.edgeMaterials.length !== shape.edges.length) {
+            errors.push(`edgeMaterials has ${shape.edgeMaterials.length} entries for ${shape.edges.length} edges`);
+        }
+
+        if (faces.length === 0) {
+            return { valid: errors.length === 0, errors, eulerCharacteristic: null };
+        }
+
+        // Each directed half-edge may appear once; its twin must appear once too
+        const halfEdges = new Map();
+        faces.forEach((face, f) => {
+            if (face.length < 3 || new Set(face).size !== face.length) {
+                errors.push(`Face ${f} is degenerate`);
+                return;
+            }
+            if (!face.every(inRange)) {
+                errors.push(`Face ${f} references a vertex out of range`);
+                return;
+            }
+            face.forEach((a, k) => {
+                const b = face[(k + 1) % face.length];
+                const key = `${a}>${b}`;
+                if (halfEdges.has(key)) {
+                    errors.push(`Faces ${halfEdges.get(key)} and ${f} share edge ${a}-${b} with the same winding`);
+                }
+                halfEdges.set(key, f);
+                if (!edgeSet.has(edgeKey(a, b))) {
+                    errors.push(`Face ${f} edge ${a}-${b} is missing from edges`);
+                }
+            });
+        });
+
+        halfEdges.forEach((f, key) => {
+            const [a, b] = key.split('>');
+            if (!halfEdges.has(`${b}>${a}`)) {
+                errors.push(`Face ${f} edge ${a}-${b} is a boundary (shape is not closed)`);
+            }
+        });
+
+        if (shape.faceUVs) {
+            const uvCount = (shape.uvs || []).length;
+            if (shape.faceUVs.length !== faces.length) {
+                errors.push(`faceUVs has ${shape.faceUVs.length} entries for ${faces.length} faces`);
+            }
+            shape.faceUVs.forEach((corners, f) => {
+                if (!corners || !faces[f]) return;
+                if (corners.length !== faces[f].length ||
+                    !corners.every(i => Number.isInteger(i) && i >= 0 && i < uvCount)) {
+                    errors.push(`Face ${f} has invalid texture coordinates`);
+                }
+            });
+        }
+
+        // Outward-facing winding encloses a positive signed volume
+        if (errors.length === 0 && this.signedVolume(shape) <= 0) {
+            errors.push('Faces are wound inward');
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors,
+            eulerCharacteristic: vertexCount - edgeSet.size + faces.length
+        };
+    },
+
+    /**
+     * Computes the signed volume enclosed by a shape's faces
+     * Positive when faces are wound counter-clockwise from outside.
+     * @param {Object} shape - Shape object with vertices and faces
+     * @returns {number} Signed volume
+     */
+    signedVolume(shape) {
+        let volume = 0;
+        shape.faces.forEach(face => {
+            const v0 = shape.vertices[face[0]];
+            for (let k = 1; k < face.length - 1; k++) {
+                const v1 = shape.vertices[face[k]];
+                const v2 = shape.vertices[face[k + 1]];
+                volume += v0.dot(v1.cross(v2)) / 6;
+            }
+        });
+        return volume;
+    },
+
+    /**
+     * Validates every generator in a shape namespace using its default arguments
+     * @param {Object} [generators=Shapes] - Map of shape factory functions
+     * @returns {Object} Validation result keyed by generator name
+     */
+    validateAll(generators = Shapes) {
+        const results = {};
+        Object.entries(generators).forEach(([name, create]) => {
+            results[name] = this.validate(create());
+        });
+        return results;
+    }
+};
+
+/* ============================================
+ * EXPORTS
+ * ============================================ */
+
+export { Shapes, ShapeValidator };
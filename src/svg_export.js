@@ -0,0 +1,316 @@
+/**
+ * @fileoverview SVG vector export for the 3D Renderer
+ * @description Records the Canvas2D calls made by Renderer3D#render() and
+ * replays them as an SVG document, so the export matches the canvas exactly.
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+/* ============================================
+ * SVG CONTEXT CLASS
+ * ============================================ */
+
+/**
+ * @class SvgContext
+ * @description Minimal stand-in for CanvasRenderingContext2D that turns
+ * path, stroke, fill, rect and text calls into SVG elements, and clip() into
+ * clip paths. Supports the subset of the Canvas2D API the renderer uses.
+ */
+class SvgContext {
+    /**
+     * @param {number} width - Document width in pixels
+     * @param {number} height - Document height in pixels
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+
+        // Canvas2D drawing state
+        this.strokeStyle = '#000000';
+        this.fillStyle = '#000000';
+        this.lineWidth = 1;
+        this.lineCap = 'butt';
+        this.lineJoin = 'miter';
+        this.globalAlpha = 1;
+        this.font = '10px sans-serif';
+        this.textBaseline = 'alphabetic';
+
+        /** @private {Array<number>} Dash pattern from setLineDash() */
+        this._lineDash = [];
+
+        /** @private {Array<string>} Emitted SVG elements */
+        this._elements = [];
+
+        /** @private {Array<Object>} Path commands since beginPath() */
+        this._path = [];
+
+        /** @private {Array<Object>} State stack for save()/restore() */
+        this._stack = [];
+
+        /** @private {number} Clip groups currently open, closed again by restore() */
+        this._openGroups = 0;
+
+        /** @private {number} Clip paths emitted so far, for unique ids */
+        this._clipCount = 0;
+    }
+
+    /* ----------------------------------------
+     * STATE
+     * ---------------------------------------- */
+
+    save() {
+        this._stack.push({
+            strokeStyle: this.strokeStyle,
+            fillStyle: this.fillStyle,
+            lineWidth: this.lineWidth,
+            lineCap: this.lineCap,
+            lineJoin: this.lineJoin,
+            globalAlpha: this.globalAlpha,
+            font: this.font,
+            textBaseline: this.textBaseline,
+            _lineDash: this._lineDash,
+            _openGroups: this._openGroups
+        });
+    }
+
+    restore() {
+        const state = this._stack.pop();
+        if (!state) return;
+
+        // Clipping ends with the save() it was made under
+        for (; this._openGroups > state._openGroups; this._openGroups--) {
+            this._elements.push('</g>');
+        }
+        Object.assign(this, state);
+    }
+
+    setLineDash(segments) {
+        this._lineDash = [...segments];
+    }
+
+    getLineDash() {
+        return [...this._lineDash];
+    }
+
+    /* ----------------------------------------
+     * PATHS
+     * ---------------------------------------- */
+
+    beginPath() {
+        this._path = [];
+    }
+
+    moveTo(x, y) {
+        this._path.push({ type: 'M', x, y });
+    }
+
+    lineTo(x, y) {
+        this._path.push({ type: 'L', x, y });
+    }
+
+    closePath() {
+        this._path.push({ type: 'Z' });
+    }
+
+    rect(x, y, width, height) {
+        this.moveTo(x, y);
+        this.lineTo(x + width, y);
+        this.lineTo(x + width, y + height);
+        this.lineTo(x, y + height);
+        this.closePath();
+    }
+
+    arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+        const sweep = counterclockwise ? startAngle - endAngle : endAngle - startAngle;
+        if (Math.abs(sweep) >= Math.PI * 2 - 1e-9) {
+            this._path.push({ type: 'circle', x, y, radius });
+            return;
+        }
+
+        const start = { x: x + radius * Math.cos(startAngle), y: y + radius * Math.sin(startAngle) };
+        const end = { x: x + radius * Math.cos(endAngle), y: y + radius * Math.sin(endAngle) };
+        const hasPoint = this._path.some(cmd => cmd.type !== 'Z');
+        this._path.push({ type: hasPoint ? 'L' : 'M', x: start.x, y: start.y });
+        this._path.push({
+            type: 'A',
+            radius,
+            largeArc: Math.abs(sweep) > Math.PI ? 1 : 0,
+            sweepFlag: counterclockwise ? 0 : 1,
+            x: end.x,
+            y: end.y
+        });
+    }
+
+    /* ----------------------------------------
+     * DRAWING
+     * ---------------------------------------- */
+
+    stroke() {
+        const paint = [
+            'fill="none"',
+            `stroke="${this.strokeStyle}"`,
+            `stroke-width="${this._num(this.lineWidth)}"`,
+            `stroke-linecap="${this.lineCap}"`,
+            `stroke-linejoin="${this.lineJoin}"`,
+            this._lineDash.length ? `stroke-dasharray="${this._lineDash.map(v => this._num(v)).join(' ')}"` : '',
+            this._opacity('stroke-opacity')
+        ];
+        this._emitPath(paint);
+    }
+
+    fill() {
+        this._emitPath([`fill="${this.fillStyle}"`, this._opacity('fill-opacity')]);
+    }
+
+    fillRect(x, y, width, height) {
+        this._elements.push(
+            `<rect x="${this._num(x)}" y="${this._num(y)}" width="${this._num(width)}" height="${this._num(height)}" ` +
+            `fill="${this.fillStyle}"${this._opacity('fill-opacity')}/>`
+        );
+    }
+
+    clip() {
+        const id = `clip${++this._clipCount}`;
+        this._elements.push(`<clipPath id="${id}"><path d="${this._pathData()}"/></clipPath>`);
+        this._elements.push(`<g clip-path="url(#${id})">`);
+        this._openGroups++;
+    }
+
+    fillText(text, x, y) {
+        const baselines = { top: 'text-before-edge', hanging: 'hanging', middle: 'central', bottom: 'text-after-edge' };
+        const baseline = baselines[this.textBaseline];
+        const escaped = String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        this._elements.push(
+            `<text x="${this._num(x)}" y="${this._num(y)}" fill="${this.fillStyle}" style="font: ${this.font}"` +
+            `${baseline ? ` dominant-baseline="${baseline}"` : ''}${this._opacity('fill-opacity')}>${escaped}</text>`
+        );
+    }
+
+    clearRect(x, y, width, height) {
+        // Clearing the whole surface drops everything drawn so far
+        if (x <= 0 && y <= 0 && x + width >= this.width && y + height >= this.height) {
+            this._elements = [];
+        }
+    }
+
+    /* ----------------------------------------
+     * OUTPUT
+     * ---------------------------------------- */
+
+    /**
+     * Serializes everything drawn so far as a standalone SVG document
+     * @returns {string} SVG markup
+     */
+    toString() {
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" ` +
+                `viewBox="0 0 ${this.width} ${this.height}">`,
+            ...this._elements.map(el => `  ${el}`),
+            ...Array(this._openGroups).fill('  </g>'),
+            '</svg>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Emits the current path, using <line> and <circle> where possible
+     * @private
+     * @param {Array<string>} paint - Paint attributes
+     */
+    _emitPath(paint) {
+        const path = this._path;
+        const attrs = paint.filter(Boolean).join(' ').replace(/ +/g, ' ');
+        if (path.length === 0) return;
+
+        if (path.length === 2 && path[0].type === 'M' && path[1].type === 'L') {
+            const [a, b] = path;
+            this._elements.push(
+                `<line x1="${this._num(a.x)}" y1="${this._num(a.y)}" x2="${this._num(b.x)}" y2="${this._num(b.y)}" ${attrs}/>`
+            );
+            return;
+        }
+
+        if (path.length === 1 && path[0].type === 'circle') {
+            const c = path[0];
+            this._elements.push(
+                `<circle cx="${this._num(c.x)}" cy="${this._num(c.y)}" r="${this._num(c.radius)}" ${attrs}/>`
+            );
+            return;
+        }
+
+        this._elements.push(`<path d="${this._pathData()}" ${attrs}/>`);
+    }
+
+    /**
+     * SVG path data for the current path
+     * @private
+     * @returns {string}
+     */
+    _pathData() {
+        return this._path.map(cmd => {
+            switch (cmd.type) {
+                case 'Z':
+                    return 'Z';
+                case 'A':
+                    return `A${this._num(cmd.radius)} ${this._num(cmd.radius)} 0 ${cmd.largeArc} ${cmd.sweepFlag} ` +
+                        `${this._num(cmd.x)} ${this._num(cmd.y)}`;
+                case 'circle': {
+                    const { x, y, radius: r } = cmd;
+                    return `M${this._num(x + r)} ${this._num(y)}` +
+                        `A${this._num(r)} ${this._num(r)} 0 1 1 ${this._num(x - r)} ${this._num(y)}` +
+                        `A${this._num(r)} ${this._num(r)} 0 1 1 ${this._num(x + r)} ${this._num(y)}Z`;
+                }
+                default:
+                    return `${cmd.type}${this._num(cmd.x)} ${this._num(cmd.y)}`;
+            }
+        }).join('');
+    }
+
+    /**
+     * Opacity attribute for the current globalAlpha, or '' when opaque
+     * @private
+     */
+    _opacity(attribute) {
+        return this.globalAlpha < 1 ? ` ${attribute}="${this._num(this.globalAlpha)}"` : '';
+    }
+
+    /**
+     * Formats a coordinate with at most two decimals
+     * @private
+     */
+    _num(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+}
+
+/* ============================================
+ * SVG EXPORTER
+ * ============================================ */
+
+/**
+ * @namespace SvgExporter
+ * @description Renders a Renderer3D frame into SVG markup
+ */
+const SvgExporter = {
+    /**
+     * Renders the renderer's current frame as an SVG document.
+     * Uses the same projection, depth sorting and colors as the canvas,
+     * including depth coloring, line width, vertices, axes and grid.
+     * @param {Renderer3D} renderer - Renderer with a canvas and a transformed shape
+     * @returns {string} SVG markup
+     */
+    fromRenderer(renderer) {
+        const { width, height } = renderer.canvas;
+        const ctx = new SvgContext(width, height);
+        renderer.renderTo(ctx);
+        return ctx.toString();
+    }
+};
+
+/* ============================================
+ * EXPORTS
+ * ============================================ */
+
+export { SvgContext, SvgExporter };
@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Textures for the 3D Renderer
+ * @description RGBA images sampled by texture coordinates, with nearest and
+ * bilinear filtering. Built from ImageData, a loaded Image, or procedurally.
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+import { ColorUtils } from './color.js';
+
+/* ============================================
+ * TEXTURE CLASS
+ * ============================================ */
+
+/**
+ * @class Texture
+ * @description Image data that faces can be mapped with.
+ *
+ * Texture coordinates follow the OBJ convention: u runs left to right and
+ * v runs bottom to top, both from 0 to 1. Coordinates outside that range
+ * wrap around (repeat).
+ */
+class Texture {
+    /**
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @param {Uint8ClampedArray|null} [data=null] - RGBA pixels, row-major from the top-left
+     */
+    constructor(width, height, data = null) {
+        this.width = Math.max(1, Math.floor(width));
+        this.height = Math.max(1, Math.floor(height));
+
+        /** RGBA pixels, in the same layout as ImageData#data */
+        this.data = data || new Uint8ClampedArray(this.width * this.height * 4);
+
+        if (this.data.length !== this.width * this.height * 4) {
+            throw new Error(`Texture data has ${this.data.length} bytes; ${this.width}x${this.height} needs ${this.width * this.height * 4}`);
+        }
+
+        /** @private {HTMLCanvasElement|null} Canvas copy used for Canvas2D patterns */
+        this._canvas = null;
+
+        /** @private {Object|null} Cached mean color */
+        this._average = null;
+    }
+
+    /* ----------------------------------------
+     * FACTORIES
+     * ---------------------------------------- */
+
+    /**
+     * Creates a texture from ImageData (or any { width, height, data } object)
+     * @param {ImageData} imageData - Source pixels; copied
+     * @returns {Texture}
+     */
+    static fromImageData(imageData) {
+        return new Texture(imageData.width, imageData.height, new Uint8ClampedArray(imageData.data));
+    }
+
+    /**
+     * Creates a texture from a loaded image by drawing it onto a canvas
+     * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} image - Loaded image
+     * @returns {Texture}
+     * @throws {Error} If the image has not finished loading or there is no DOM
+     */
+    static fromImage(image) {
+        const width = image.naturalWidth || image.width;
+        const height = image.naturalHeight || image.height;
+        if (!width || !height) {
+            throw new Error('Image has no pixels; wait for it to load before creating a texture');
+        }
+        if (typeof document === 'undefined') {
+            throw new Error('Texture.fromImage needs a DOM; use Texture.fromImageData instead');
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0, width, height);
+        return Texture.fromImageData(ctx.getImageData(0, 0, width, height));
+    }
+
+    /**
+     * Creates a procedural checkerboard
+     * @param {Object} [options]
+     * @param {number} [options.size=256] - Width and height in pixels
+     * @param {number} [options.squares=8] - Squares along each side
+     * @param {Array<string>} [options.colors] - Two hex colors, bottom-left square first
+     * @returns {Texture}
+     */
+    static checkerboard({ size = 256, squares = 8, colors = ['#f8fafc', '#4f46e5'] } = {}) {
+        const texture = new Texture(size, size);
+        const [even, odd] = colors.map(c => ColorUtils.hexToRgb(c));
+        const cell = texture.width / squares;
+
+        for (let y = 0; y < texture.height; y++) {
+            // Count rows from the bottom so square (0, 0) sits at uv (0, 0)
+            const row = Math.floor((texture.height - 1 - y) / cell);
+            for (let x = 0; x < texture.width; x++) {
+                const color = (Math.floor(x / cell) + row) % 2 === 0 ? even : odd;
+                const i = (y * texture.width + x) * 4;
+                texture.data[i] = color.r;
+                texture.data[i + 1] = color.g;
+                texture.data[i + 2] = color.b;
+                texture.data[i + 3] = 255;
+            }
+        }
+
+        return texture;
+    }
+
+    /* ----------------------------------------
+     * SAMPLING
+     * ---------------------------------------- */
+
+    /**
+     * Samples the texture color at a texture coordinate
+     * @param {number} u - Horizontal coordinate (0 = left edge)
+     * @param {number} v - Vertical coordinate (0 = bottom edge)
+     * @param {string} [filter='nearest'] - 'nearest' | 'bilinear'
+     * @returns {Object} Color { r, g, b } (0-255)
+     */
+    sample(u, v, filter = 'nearest') {
+        // Pixel-space position, wrapped into the image
+        const x = this._wrap(u) * this.width;
+        const y = this._wrap(1 - v) * this.height;
+
+        if (filter !== 'bilinear') {
+            return this._texel(Math.floor(x), Math.floor(y));
+        }
+
+        // Blend the four texels around the sample point, whose centers sit at +0.5
+        const fx = x - 0.5;
+        const fy = y - 0.5;
+        const x0 = Math.floor(fx);
+        const y0 = Math.floor(fy);
+        const tx = fx - x0;
+        const ty = fy - y0;
+
+        const c00 = this._texel(x0, y0);
+        const c10 = this._texel(x0 + 1, y0);
+        const c01 = this._texel(x0, y0 + 1);
+        const c11 = this._texel(x0 + 1, y0 + 1);
+        const mix = key =>
+            (c00[key] * (1 - tx) + c10[key] * tx) * (1 - ty) +
+            (c01[key] * (1 - tx) + c11[key] * tx) * ty;
+
+        return { r: mix('r'), g: mix('g'), b: mix('b') };
+    }
+
+    /**
+     * Mean color of the whole texture, used where per-pixel mapping is not
+     * possible (such as SVG export)
+     * @returns {Object} Color { r, g, b } (0-255)
+     */
+    averageColor() {
+        if (!this._average) {
+            let r = 0, g = 0, b = 0;
+            for (let i = 0; i < this.data.length; i += 4) {
+                r += this.data[i];
+                g += this.data[i + 1];
+                b += this.data[i + 2];
+            }
+            const count = this.width * this.height;
+            this._average = { r: r / count, g: g / count, b: b / count };
+        }
+        return this._average;
+    }
+
+    /**
+     * Canvas holding the texture pixels, for Canvas2D patterns
+     * @returns {HTMLCanvasElement|null} Canvas, or null without a DOM
+     */
+    toCanvas() {
+        if (!this._canvas && typeof document !== 'undefined') {
+            const canvas = document.createElement('canvas');
+            canvas.width = this.width;
+            canvas.height = this.height;
+            const ctx = canvas.getContext('2d');
+            const image = ctx.createImageData(this.width, this.height);
+            image.data.set(this.data);
+            ctx.putImageData(image, 0, 0);
+            this._canvas = canvas;
+        }
+        return this._canvas;
+    }
+
+    /* ----------------------------------------
+     * HELPERS
+     * ---------------------------------------- */
+
+    /**
+     * Reads one texel, wrapping out-of-range pixel indices
+     * @private
+     */
+    _texel(x, y) {
+        const px = ((x % this.width) + this.width) % this.width;
+        const py = ((y % this.height) + this.height) % this.height;
+        const i = (py * this.width + px) * 4;
+        return { r: this.data[i], g: this.data[i + 1], b: this.data[i + 2] };
+    }
+
+    /**
+     * Wraps a texture coordinate into [0, 1)
+     * @private
+     */
+    _wrap(t) {
+        return t - Math.floor(t);
+    }
+}
+
+/* ============================================
+ * EXPORTS
+ * ============================================ */
+
+export { Texture };
@@ -0,0 +1,436 @@
+/**
+ * @fileoverview Keyframe timeline for the 3D Renderer
+ * @description Keyframed numeric properties (transforms, focal length) with
+ * easing curves, once/loop/ping-pong playback and scrubbing. Playback is
+ * driven by elapsed wall-clock time, so speed does not depend on frame rate.
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+/* ============================================
+ * EASING FUNCTIONS
+ * ============================================ */
+
+/**
+ * @namespace Easing
+ * @description Easing curves mapping progress t in [0, 1] to eased progress.
+ * All curves start at 0 and end at 1; elastic overshoots in between.
+ */
+const Easing = {
+    /**
+     * Constant speed
+     * @param {number} t - Progress (0-1)
+     * @returns {number} Eased progress
+     */
+    linear(t) {
+        return t;
+    },
+
+    /**
+     * Cubic ease-in-out: slow start, fast middle, slow end
+     * @param {number} t - Progress (0-1)
+     * @returns {number} Eased progress
+     */
+    cubic(t) {
+        return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+    },
+
+    /**
+     * Elastic ease-out: overshoots the target and springs back
+     * @param {number} t - Progress (0-1)
+     * @returns {number} Eased progress
+     */
+    elastic(t) {
+        if (t <= 0) return 0;
+        if (t >= 1) return 1;
+        return Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * (2 * Math.PI / 3)) + 1;
+    },
+
+    /**
+     * Creates a cubic Bézier curve through (0, 0), (x1, y1), (x2, y2), (1, 1),
+     * like CSS cubic-bezier(). x1 and x2 are clamped to [0, 1] so the curve
+     * stays a function of time.
+     * @param {number} x1 - First control point x
+     * @param {number} y1 - First control point y
+     * @param {number} x2 - Second control point x
+     * @param {number} y2 - Second control point y
+     * @returns {Function} Easing function
+     */
+    bezier(x1, y1, x2, y2) {
+        x1 = Math.min(1, Math.max(0, x1));
+        x2 = Math.min(1, Math.max(0, x2));
+
+        // Polynomial coefficients of one Bézier coordinate, in the curve parameter s
+        const coefficients = (p1, p2) => {
+            const c = 3 * p1;
+            const b = 3 * (p2 - p1) - c;
+            return { a: 1 - c - b, b, c };
+        };
+        const cx = coefficients(x1, x2);
+        const cy = coefficients(y1, y2);
+        const at = ({ a, b, c }, s) => ((a * s + b) * s + c) * s;
+        const slope = ({ a, b, c }, s) => (3 * a * s + 2 * b) * s + c;
+
+        // Solve x(s) = t: Newton's method, falling back to bisection
+        const solve = (t) => {
+            let s = t;
+            for (let i = 0; i < 8; i++) {
+                const error = at(cx, s) - t;
+                if (Math.abs(error) < 1e-6) return s;
+                const d = slope(cx, s);
+                if (Math.abs(d) < 1e-6) break;
+                s -= error / d;
+            }
+
+            let lo = 0, hi = 1;
+            s = t;
+            for (let i = 0; i < 30; i++) {
+                const x = at(cx, s);
+                if (Math.abs(x - t) < 1e-6) break;
+                if (x < t) lo = s; else hi = s;
+                s = (lo + hi) / 2;
+            }
+            return s;
+        };
+
+        return (t) => {
+            if (t <= 0) return 0;
+            if (t >= 1) return 1;
+            return at(cy, solve(t));
+        };
+    },
+
+    /**
+     * Turns an easing description into a function
+     * @param {string|Array<number>|Function} easing - Curve name ('linear',
+     *   'cubic', 'elastic'), Bézier control points [x1, y1, x2, y2], or a function
+     * @returns {Function} Easing function
+     * @throws {Error} If the easing is not recognized
+     */
+    resolve(easing) {
+        if (typeof easing === 'function') return easing;
+        if (Array.isArray(easing) && easing.length === 4) return Easing.bezier(...easing);
+        if (['linear', 'cubic', 'elastic'].includes(easing)) return Easing[easing];
+        throw new Error(`Unknown easing: ${JSON.stringify(easing)}`);
+    }
+};
+
+/* ============================================
+ * TIMELINE CLASS
+ * ============================================ */
+
+/**
+ * @class Timeline
+ * @description Keyframe tracks plus a playhead.
+ *
+ * A track animates one property of one target object, such as a mesh's
+ * 'rotationY' or the renderer's 'focalLength'. Values are numbers, or
+ * Quaternions, which are slerped so orientations turn along the shortest
+ * arc without gimbal lock. Keyframes are
+ * { time, value, easing } with time in seconds; the easing shapes the
+ * segment from that keyframe to the next. Before the first keyframe and
+ * after the last, a track holds the nearest value.
+ *
+ * Call update() once per frame to advance a playing timeline by the real
+ * time elapsed since the previous call, then evaluate() to read the values.
+ */
+class Timeline {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.mode='loop'] - 'once' | 'loop' | 'ping-pong'
+     * @param {number|null} [options.duration=null] - Length in seconds; null uses the last keyframe
+     * @param {number} [options.speed=1] - Playback rate (2 = twice as fast)
+     */
+    constructor({ mode = 'loop', duration = null, speed = 1 } = {}) {
+        this.mode = mode;
+        this.speed = speed;
+
+        /** @private {number|null} Explicit length in seconds */
+        this._duration = duration;
+
+        /** @private {Map<Object, Map<string, Array<Object>>>} Keyframes by target and property */
+        this._tracks = new Map();
+
+        /** @private {number} Playhead before wrapping by the play mode, in seconds */
+        this._elapsed = 0;
+
+        /** @private {boolean} */
+        this._playing = false;
+
+        /** @private {number|null} Timestamp of the last update() call while playing */
+        this._lastUpdateTime = null;
+    }
+
+    /* ----------------------------------------
+     * KEYFRAMES
+     * ---------------------------------------- */
+
+    /**
+     * Adds a keyframe, replacing any keyframe at the same time
+     * @param {Object} target - Object being animated
+     * @param {string} property - Property name, e.g. 'rotationY'
+     * @param {number} time - Time in seconds
+     * @param {number|Quaternion} value - Property value at that time
+     * @param {string|Array<number>|Function} [easing='linear'] - Curve towards the next keyframe (see Easing.resolve)
+     * @returns {Object} The keyframe { time, value, easing }
+     */
+    addKeyframe(target, property, time, value, easing = 'linear') {
+        Easing.resolve(easing);
+
+        if (!this._tracks.has(target)) this._tracks.set(target, new Map());
+        const properties = this._tracks.get(target);
+        if (!properties.has(property)) properties.set(property, []);
+        const keyframes = properties.get(property);
+
+        const keyframe = { time: Math.max(0, time), value, easing };
+        const index = keyframes.findIndex(k => Math.abs(k.time - keyframe.time) < 1e-6);
+        if (index >= 0) {
+            keyframes[index] = keyframe;
+        } else {
+            keyframes.push(keyframe);
+            keyframes.sort((a, b) => a.time - b.time);
+        }
+        return keyframe;
+    }
+
+    /**
+     * Removes the keyframe at a time
+     * @param {Object} target - Animated object
+     * @param {string} property - Property name
+     * @param {number} time - Time in seconds
+     * @returns {boolean} True if a keyframe was removed
+     */
+    removeKeyframe(target, property, time) {
+        const properties = this._tracks.get(target);
+        const keyframes = properties?.get(property);
+        if (!keyframes) return false;
+
+        const index = keyframes.findIndex(k => Math.abs(k.time - time) < 1e-6);
+        if (index < 0) return false;
+
+        keyframes.splice(index, 1);
+        if (keyframes.length === 0) properties.delete(property);
+        if (properties.size === 0) this._tracks.delete(target);
+        return true;
+    }
+
+    /**
+     * Removes every track of a target
+     * @param {Object} target - Animated object
+     */
+    removeTarget(target) {
+        this._tracks.delete(target);
+    }
+
+    /**
+     * Removes all keyframes and rewinds
+     */
+    clear() {
+        this._tracks.clear();
+        this.seek(0);
+    }
+
+    /**
+     * Keyframes of one track, in time order
+     * @param {Object} target - Animated object
+     * @param {string} property - Property name
+     * @returns {Array<Object>} Copies of the keyframes
+     */
+    getKeyframes(target, property) {
+        const keyframes = this._tracks.get(target)?.get(property) || [];
+        return keyframes.map(k => ({ ...k }));
+    }
+
+    /**
+     * Objects with at least one track
+     * @returns {Array<Object>}
+     */
+    get targets() {
+        return [...this._tracks.keys()];
+    }
+
+    /**
+     * Distinct keyframe times over all tracks, in order
+     * @returns {Array<number>}
+     */
+    get keyframeTimes() {
+        const times = [];
+        this._tracks.forEach(properties => {
+            properties.forEach(keyframes => {
+                keyframes.forEach(k => {
+                    if (!times.some(t => Math.abs(t - k.time) < 1e-6)) times.push(k.time);
+                });
+            });
+        });
+        return times.sort((a, b) => a - b);
+    }
+
+    /* ----------------------------------------
+     * PLAYBACK
+     * ---------------------------------------- */
+
+    /**
+     * Length in seconds: the explicit duration, or else the last keyframe time
+     * @returns {number}
+     */
+    get duration() {
+        if (this._duration !== null) return this._duration;
+
+        let last = 0;
+        this._tracks.forEach(properties => {
+            properties.forEach(keyframes => {
+                last = Math.max(last, keyframes[keyframes.length - 1].time);
+            });
+        });
+        return last;
+    }
+
+    /**
+     * @param {number|null} seconds - Length in seconds, or null to follow the last keyframe
+     */
+    set duration(seconds) {
+        this._duration = seconds === null ? null : Math.max(0, seconds);
+    }
+
+    /**
+     * Playhead time in [0, duration], after applying the play mode
+     * @returns {number}
+     */
+    get time() {
+        const duration = this.duration;
+        if (duration <= 0) return 0;
+
+        const t = Math.max(0, this._elapsed);
+        switch (this.mode) {
+            case 'loop':
+                // Land exactly on the end rather than wrapping to 0 when stopped there
+                return t > 0 && t % duration === 0 ? duration : t % duration;
+            case 'ping-pong': {
+                const phase = t % (2 * duration);
+                return phase <= duration ? phase : 2 * duration - phase;
+            }
+            default:
+                return Math.min(t, duration);
+        }
+    }
+
+    /**
+     * @returns {boolean} True while playing
+     */
+    get playing() {
+        return this._playing;
+    }
+
+    /**
+     * Starts playback. A 'once' timeline sitting at its end restarts from 0.
+     */
+    play() {
+        if (this.mode === 'once' && this._elapsed >= this.duration) {
+            this._elapsed = 0;
+        }
+        this._playing = true;
+        this._lastUpdateTime = null;
+    }
+
+    /**
+     * Stops playback, keeping the playhead where it is
+     */
+    pause() {
+        this._playing = false;
+        this._lastUpdateTime = null;
+    }
+
+    /**
+     * Moves the playhead (scrubbing). Playback, if running, continues from there.
+     * @param {number} time - Time in seconds, clamped to [0, duration]
+     */
+    seek(time) {
+        this._elapsed = Math.min(Math.max(0, time), this.duration);
+        this._lastUpdateTime = null;
+    }
+
+    /**
+     * Advances a playing timeline by the real time since the previous call.
+     * The first call after play() or seek() only records the timestamp.
+     * @param {number} [now=Date.now()] - Current time in milliseconds
+     * @returns {boolean} True if the playhead moved
+     */
+    update(now = Date.now()) {
+        if (!this._playing) return false;
+
+        const last = this._lastUpdateTime;
+        this._lastUpdateTime = now;
+        if (last === null) return false;
+
+        this._elapsed += (now - last) / 1000 * this.speed;
+
+        if (this.mode === 'once' && this._elapsed >= this.duration) {
+            this._elapsed = this.duration;
+            this._playing = false;
+        }
+        return now !== last;
+    }
+
+    /* ----------------------------------------
+     * EVALUATION
+     * ---------------------------------------- */
+
+    /**
+     * Value of one track at a time
+     * @param {Object} target - Animated object
+     * @param {string} property - Property name
+     * @param {number} [time=this.time] - Time in seconds
+     * @returns {number|Quaternion|undefined} Value, or undefined if the track does not exist
+     */
+    valueAt(target, property, time = this.time) {
+        const keyframes = this._tracks.get(target)?.get(property);
+        return keyframes ? this._interpolate(keyframes, time) : undefined;
+    }
+
+    /**
+     * Values of every track at a time
+     * @param {number} [time=this.time] - Time in seconds
+     * @returns {Map<Object, Object>} For each target, { property: value }
+     */
+    evaluate(time = this.time) {
+        const result = new Map();
+        this._tracks.forEach((properties, target) => {
+            const values = {};
+            properties.forEach((keyframes, property) => {
+                values[property] = this._interpolate(keyframes, time);
+            });
+            result.set(target, values);
+        });
+        return result;
+    }
+
+    /**
+     * Interpolates a sorted keyframe list
+     * @private
+     */
+    _interpolate(keyframes, time) {
+        const first = keyframes[0];
+        const last = keyframes[keyframes.length - 1];
+        if (time <= first.time) return first.value;
+        if (time >= last.time) return last.value;
+
+        let i = 0;
+        while (keyframes[i + 1].time < time) i++;
+        const from = keyframes[i];
+        const to = keyframes[i + 1];
+
+        const t = (time - from.time) / (to.time - from.time);
+        const eased = Easing.resolve(from.easing)(t);
+        if (typeof from.value !== 'number') {
+            return from.value.slerp(to.value, eased);
+        }
+        return from.value + (to.value - from.value) * eased;
+    }
+}
+
+/* ============================================
+ * EXPORTS
+ * ============================================ */
+
+export { Easing, Timeline };
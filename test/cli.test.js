@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Tests for the command-line renderer's argument parsing
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseArgs, main } from '../src/render_cli.js';
+import { Renderer3D } from '../src/renderer.js';
+
+describe('render_cli', () => {
+    it('turns options into renderShape() settings', () => {
+        const { options } = parseArgs([
+            'torus', '--mode', 'solid', '--shading', 'gouraud',
+            '--projection', 'orthographic', '--size', '64x48', '--rotate', '60,30,0'
+        ]);
+
+        assert.equal(options.shape, 'torus');
+        assert.equal(options.width, 64);
+        assert.equal(options.height, 48);
+        assert.deepEqual(options.transform, { rotationX: 60, rotationY: 30, rotationZ: 0 });
+        assert.equal(options.settings.renderMode, 'solid');
+        assert.equal(options.settings.shading, 'gouraud');
+        assert.equal(options.settings.projection, 'orthographic');
+    });
+
+    it('accepts every render mode, shading model and projection the renderer knows', () => {
+        const { renderMode, shading, projection } = Renderer3D.SETTING_VALUES;
+        renderMode.forEach(mode => assert.equal(parseArgs(['cube', '--mode', mode]).options.settings.renderMode, mode));
+        shading.forEach(model => assert.equal(parseArgs(['cube', '--shading', model]).options.settings.shading, model));
+        projection.forEach(type => assert.equal(parseArgs(['cube', '--projection', type]).options.settings.projection, type));
+    });
+
+    it('rejects unknown modes, shading models and projections', () => {
+        assert.throws(() => parseArgs(['cube', '--mode', 'bogus']), /--mode expects one of wireframe, .*got "bogus"/);
+        assert.throws(() => parseArgs(['cube', '--shading', 'phong']), /--shading expects one of none, flat, gouraud/);
+        assert.throws(() => parseArgs(['cube', '--projection', 'ortho']), /--projection expects one of perspective, orthographic/);
+    });
+
+    it('accepts only #rrggbb background colors', () => {
+        assert.equal(parseArgs(['cube', '--background', '#1E293B']).options.settings.backgroundColor, '#1E293B');
+        assert.throws(() => parseArgs(['cube', '--background', 'nope']), /--background expects a #rrggbb color, got "nope"/);
+        assert.throws(() => parseArgs(['cube', '--background', '#fff']), /--background expects a #rrggbb color/);
+    });
+
+    it('rejects empty or malformed image sizes', () => {
+        assert.throws(() => parseArgs(['cube', '--size', '0x0']), /at least 1, got 0x0/);
+        assert.throws(() => parseArgs(['cube', '--size', '100x0']), /at least 1/);
+        assert.throws(() => parseArgs(['cube', '--size', '100']), /--size expects <width>x<height>/);
+    });
+
+    it('exits with a usage error before rendering anything', (t) => {
+        const errors = t.mock.method(console, 'error', () => {});
+        assert.equal(main(['cube', '--mode', 'bogus', '-o', 'never-written.png']), 2);
+        assert.equal(main(['cube', '--size', '0x0', '-o', 'never-written.png']), 2);
+        assert.equal(main(['cube', '--background', 'nope', '-o', 'never-written.png']), 2);
+        assert.equal(errors.mock.calls.length, 3);
+        assert.match(errors.mock.calls[1].arguments[0], /Usage: node render_cli\.js/);
+    });
+});
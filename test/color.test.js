@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Tests for ColorUtils conversions
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ColorUtils } from '../src/color.js';
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/;
+
+describe('ColorUtils', () => {
+    it('round-trips hex colors through RGB', () => {
+        ['#000000', '#ffffff', '#4f46e5', '#ef4444', '#0a0b0c', '#123456'].forEach(hex => {
+            const { r, g, b } = ColorUtils.hexToRgb(hex);
+            assert.equal(ColorUtils.rgbToHex(r, g, b), hex);
+        });
+    });
+
+    it('round-trips every channel value through hex', () => {
+        for (let v = 0; v < 256; v++) {
+            assert.deepEqual(ColorUtils.hexToRgb(ColorUtils.rgbToHex(v, 255 - v, v >> 1)), { r: v, g: 255 - v, b: v >> 1 });
+        }
+    });
+
+    it('rejects anything but #rrggbb', () => {
+        assert.deepEqual(ColorUtils.hexToRgb('#4F46E5'), ColorUtils.hexToRgb('#4f46e5'));
+        ['nope', '#fff', '#12345g', '4f46e5', '#4f46e5ff', '', null].forEach(color => {
+            assert.throws(() => ColorUtils.hexToRgb(color), /Expected a #rrggbb color/);
+        });
+    });
+
+    it('rounds and clamps RGB channels', () => {
+        assert.equal(ColorUtils.rgbToHex(-20, 300, 127.6), '#00ff80');
+    });
+
+    it('converts the HSL primaries and greys', () => {
+        assert.equal(ColorUtils.hslToHex(0, 100, 50), '#ff0000');
+        assert.equal(ColorUtils.hslToHex(120, 100, 50), '#00ff00');
+        assert.equal(ColorUtils.hslToHex(240, 100, 50), '#0000ff');
+        assert.equal(ColorUtils.hslToHex(60, 100, 50), '#ffff00');
+        assert.equal(ColorUtils.hslToHex(0, 0, 0), '#000000');
+        assert.equal(ColorUtils.hslToHex(0, 0, 100), '#ffffff');
+        assert.equal(ColorUtils.hslToHex(200, 0, 50), '#808080');
+    });
+
+    it('treats hue as periodic', () => {
+        assert.equal(ColorUtils.hslToHex(30, 80, 40), ColorUtils.hslToHex(390, 80, 40));
+    });
+
+    it('interpolates between endpoints', () => {
+        assert.equal(ColorUtils.lerp('#102030', '#f0e0d0', 0), '#102030');
+        assert.equal(ColorUtils.lerp('#102030', '#f0e0d0', 1), '#f0e0d0');
+        assert.equal(ColorUtils.lerp('#000000', '#ffffff', 0.5), '#808080');
+    });
+
+    it('colors depth from dark blue (far) to light cyan (near)', () => {
+        const far = ColorUtils.hexToRgb(ColorUtils.depthColor(-200));
+        const near = ColorUtils.hexToRgb(ColorUtils.depthColor(200));
+        const brightness = c => c.r + c.g + c.b;
+
+        assert.ok(brightness(near) > brightness(far));
+        assert.ok(far.b > far.r && far.b > far.g);
+        for (let z = -200; z <= 200; z += 25) {
+            assert.match(ColorUtils.depthColor(z), HEX_COLOR);
+        }
+    });
+});
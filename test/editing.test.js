@@ -0,0 +1,280 @@
+/**
+ * @fileoverview Tests for the translate gizmo and vertex editing
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Vector3 } from '../src/math.js';
+import { Shapes, ShapeValidator } from '../src/shapes.js';
+import { TranslateGizmo } from '../src/gizmo.js';
+import { EditHistory, ShapeEditor } from '../src/shape_editor.js';
+import { ShapeExporter } from '../src/exporters.js';
+import { expectGolden } from './helpers/golden.js';
+import { cubeRenderer, assertNear } from './helpers/scene.js';
+
+/** A turned cube, drawn once, with an editor on it */
+function cubeEditor(options) {
+    const { renderer, frame } = cubeRenderer(options);
+    return { renderer, frame, editor: new ShapeEditor(renderer.activeMesh) };
+}
+
+/** Validator errors other than the open boundaries edge removal leaves */
+function consistencyErrors(shape) {
+    return ShapeValidator.validate(shape).errors.filter(error => !error.includes('boundary'));
+}
+
+/* ============================================
+ * TRANSLATE GIZMO
+ * ============================================ */
+
+describe('TranslateGizmo', () => {
+    it('keeps a constant size on screen and hides handles seen end-on', () => {
+        const { renderer } = cubeEditor();
+        const gizmo = new TranslateGizmo({ position: new Vector3(20, 10, 0), size: 50 });
+        const handles = gizmo.handles(renderer.camera);
+
+        // The front view looks along Z: its arrow and the planes holding it are left out
+        assert.deepEqual(handles.map(handle => handle.name), ['x', 'y', 'xy']);
+        const [a, b] = handles[0].points.map(p => renderer.camera.project(p));
+        assert.ok(Math.abs(Math.hypot(b.x - a.x, b.y - a.y) - 50) < 1e-6);
+    });
+
+    it('drags along an axis and within a plane', () => {
+        const { renderer } = cubeEditor();
+        const camera = renderer.camera;
+        const gizmo = new TranslateGizmo({ position: new Vector3(20, 10, 30) });
+        const p = camera.project(gizmo.position);
+
+        // Dragging the X arrow diagonally only moves along X
+        const start = gizmo.dragPoint(camera, 'x', p.x, p.y);
+        const end = gizmo.dragPoint(camera, 'x', p.x + 25, p.y - 15);
+        assertNear(start, gizmo.position);
+        const delta = end.subtract(start);
+        assert.ok(delta.x > 0 && Math.abs(delta.y) < 1e-9 && Math.abs(delta.z) < 1e-9);
+
+        // The XY plane follows the pointer exactly, at the gizmo's depth
+        const moved = gizmo.dragPoint(camera, 'xy', p.x + 25, p.y - 15);
+        assert.ok(Math.abs(moved.z - 30) < 1e-9);
+        const q = camera.project(moved);
+        assert.ok(Math.abs(q.x - (p.x + 25)) < 1e-6 && Math.abs(q.y - (p.y - 15)) < 1e-6);
+    });
+
+    it('rejects unknown handles and rays parallel to a plane', () => {
+        const { renderer } = cubeEditor({ projection: 'orthographic' });
+        const gizmo = new TranslateGizmo();
+        // Orthographic rays run along -Z, within the XZ plane
+        assert.equal(gizmo.dragPoint(renderer.camera, 'xz', 100, 80), null);
+        assert.throws(() => gizmo.dragPoint(renderer.camera, 'w', 100, 80), /Unknown gizmo handle "w"/);
+    });
+
+    it('is picked through the renderer, plane squares first', () => {
+        const { renderer } = cubeEditor();
+        const gizmo = new TranslateGizmo({ position: new Vector3(0, 0, 0) });
+        renderer.gizmo = gizmo;
+        const handles = gizmo.handles(renderer.camera);
+
+        const tip = renderer.camera.project(handles.find(handle => handle.name === 'y').points[1]);
+        const grab = renderer.pickGizmo(tip.x + 2, tip.y);
+        assert.equal(grab.handle, 'y');
+        assert.equal(grab.camera, renderer.camera);
+
+        const square = handles.find(handle => handle.name === 'xy').points.map(q => renderer.camera.project(q));
+        const center = square.reduce((sum, q) => ({ x: sum.x + q.x / 4, y: sum.y + q.y / 4 }), { x: 0, y: 0 });
+        assert.equal(renderer.pickGizmo(center.x, center.y).handle, 'xy');
+        assert.equal(renderer.pickGizmo(5, 5), null);
+    });
+
+    it('draws on top of the scene', () => {
+        const { renderer, frame, editor } = cubeEditor({ renderMode: 'solid', shading: 'flat' });
+        editor.select([0, 1]);
+        renderer.selected = editor.selection.map(index => ({ type: 'vertex', mesh: editor.mesh, index, vertices: [index] }));
+        renderer.gizmo = new TranslateGizmo({ position: editor.selectionCenter(), size: 40 });
+        renderer.gizmo.hovered = 'x';
+        renderer.render();
+        expectGolden('cube-gizmo', frame);
+    });
+});
+
+/* ============================================
+ * MOVING VERTICES
+ * ============================================ */
+
+describe('ShapeEditor moves', () => {
+    it('moves the selection by a world-space offset through the mesh transform', () => {
+        const { renderer, editor } = cubeEditor();
+        const mesh = renderer.activeMesh;
+        const before = mesh.worldVertices.map(v => new Vector3(v.x, v.y, v.z));
+
+        editor.select([0, 6]);
+        assert.equal(editor.translate(new Vector3(0, 30, 0)), true);
+        mesh.worldVertices.forEach((v, i) => {
+            const offset = [0, 6].includes(i) ? new Vector3(0, 30, 0) : new Vector3();
+            assertNear(v, before[i].add(offset));
+        });
+        // The shape itself changed, so the renderer's shape and exports see it
+        assert.equal(renderer.shape, editor.shape);
+        const line = ShapeExporter.toOBJ(renderer.getTransformedShape()).split('\n').find(l => l.startsWith('v '));
+        const [x, y, z] = line.split(' ').slice(1).map(Number);
+        assertNear(new Vector3(x, y, z), mesh.worldVertices[0], 1e-3);
+    });
+
+    it('records a drag as a single undo step', () => {
+        const { editor } = cubeEditor();
+        const start = editor.shape.vertices[2];
+        editor.select([2]);
+
+        editor.beginMove();
+        editor.moveTo(new Vector3(10, 0, 0));
+        editor.moveTo(new Vector3(25, 0, 0));
+        assert.equal(editor.endMove(), true);
+        const end = editor.shape.vertices[2];
+
+        assert.equal(editor.history.undoLabel, 'Move 1 vertex');
+        assert.equal(editor.undo(), true);
+        assert.equal(editor.shape.vertices[2], start);
+        assert.equal(editor.canUndo, false);
+        assert.equal(editor.redo(), true);
+        assert.equal(editor.shape.vertices[2], end);
+    });
+
+    it('records nothing for a drag that ends where it began', () => {
+        const { editor } = cubeEditor();
+        editor.select([2]);
+        editor.beginMove();
+        editor.moveTo(new Vector3(10, 0, 0));
+        editor.moveTo(new Vector3());
+        assert.equal(editor.endMove(), false);
+        assert.equal(editor.canUndo, false);
+    });
+
+    it('leaves a mesh scaled to nothing unchanged', () => {
+        const { renderer, editor } = cubeEditor();
+        renderer.transform({ scaleY: 0 });
+        renderer.render();
+        const before = [...editor.shape.vertices];
+        editor.select([2]);
+
+        editor.beginMove();
+        assert.doesNotThrow(() => editor.moveTo(new Vector3(10, 0, 0)));
+        assert.equal(editor.endMove(), false);
+        assert.equal(editor.translate(new Vector3(0, 10, 0)), false);
+        assert.deepEqual(editor.shape.vertices, before);
+        assert.equal(editor.canUndo, false);
+    });
+
+    it('leaves a mesh scaled to almost nothing unchanged', () => {
+        const { renderer, editor } = cubeEditor();
+        renderer.transform({ scaleY: 1e-20 });
+        renderer.render();
+        const before = [...editor.shape.vertices];
+        editor.select([2, 5]);
+
+        assert.equal(editor.translate(new Vector3(10, 10, 0)), false);
+        assert.deepEqual(editor.shape.vertices, before);
+        assert.equal(editor.canUndo, false);
+
+        // Small but reasonable scales still move
+        renderer.transform({ scaleY: 1e-3 });
+        renderer.render();
+        assert.equal(editor.translate(new Vector3(0, 1e-3, 0)), true);
+        assert.ok(editor.shape.vertices.every(v => v.magnitude() < 200));
+    });
+
+    it('selects, toggles and centers vertices', () => {
+        const { renderer, editor } = cubeEditor();
+        const changes = [];
+        editor.onChange = () => changes.push(editor.selection);
+
+        editor.select([3, 1]);
+        editor.select([1, 5], { toggle: true });
+        assert.deepEqual(editor.selection, [3, 5]);
+        const [a, b] = [3, 5].map(i => renderer.activeMesh.worldVertices[i]);
+        assertNear(editor.selectionCenter(), a.add(b).scale(0.5));
+
+        editor.clearSelection();
+        assert.equal(editor.selectionCenter(), null);
+        assert.equal(changes.length, 3);
+        assert.throws(() => editor.select([8]), RangeError);
+    });
+});
+
+/* ============================================
+ * EDGES
+ * ============================================ */
+
+describe('ShapeEditor edges', () => {
+    it('connects vertices and keeps per-edge materials aligned', () => {
+        const shape = Shapes.cube();
+        shape.edgeMaterials = shape.edges.map(() => null);
+        const { renderer } = cubeEditor();
+        renderer.setCustomShape(shape);
+        const editor = new ShapeEditor(renderer.activeMesh);
+
+        assert.equal(editor.connect(0, 6), true);
+        assert.equal(editor.connect(6, 0), false);
+        assert.equal(shape.edges.length, 13);
+        assert.deepEqual(consistencyErrors(shape), []);
+        assert.throws(() => editor.connect(2, 2), RangeError);
+
+        editor.undo();
+        assert.equal(shape.edges.length, 12);
+        assert.equal(shape.edgeMaterials.length, 12);
+    });
+
+    it('removes an edge with the faces it bounds, and restores them on undo', () => {
+        const { editor } = cubeEditor();
+        const shape = editor.shape;
+        const faces = shape.faces.map(face => [...face]);
+
+        assert.equal(editor.disconnect(1, 0), true);
+        assert.equal(editor.edgeIndex(0, 1), -1);
+        assert.equal(shape.edges.length, 11);
+        assert.equal(shape.faces.length, 4);
+        assert.deepEqual(consistencyErrors(shape), []);
+        assert.equal(editor.disconnect(0, 1), false);
+
+        editor.undo();
+        assert.deepEqual(shape.faces, faces);
+        assert.deepEqual(ShapeValidator.validate(shape).errors, []);
+    });
+
+    it('connects and disconnects every selected pair in one step', () => {
+        const { editor } = cubeEditor({ renderMode: 'solid' });
+        editor.select([0, 1, 2]);
+        // 0-1 and 1-2 exist; 0-2 is a face diagonal
+        assert.equal(editor.connectSelection(), 1);
+        assert.equal(editor.disconnectSelection(), 3);
+        assert.deepEqual(consistencyErrors(editor.shape), []);
+
+        editor.undo();
+        assert.equal(editor.shape.edges.length, 13);
+        editor.undo();
+        assert.deepEqual(ShapeValidator.validate(editor.shape).errors, []);
+    });
+});
+
+/* ============================================
+ * EDIT HISTORY
+ * ============================================ */
+
+describe('EditHistory', () => {
+    it('drops redo steps on a new edit and forgets beyond its limit', () => {
+        const log = [];
+        const edit = (label) => ({ label, undo: () => log.push(`undo ${label}`), redo: () => log.push(`redo ${label}`) });
+        const history = new EditHistory({ limit: 2 });
+
+        ['a', 'b', 'c'].forEach(label => history.record(edit(label)));
+        history.undo();
+        history.undo();
+        assert.equal(history.undo(), null);
+        assert.deepEqual(log, ['undo c', 'undo b']);
+
+        history.record(edit('d'));
+        assert.equal(history.canRedo, false);
+        assert.equal(history.undoLabel, 'd');
+    });
+});
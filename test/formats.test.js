@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Tests for OBJ import and the mesh exporters
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Shapes } from '../src/shapes.js';
+import { ObjLoader, ObjParseError } from '../src/obj_loader.js';
+import { ShapeExporter } from '../src/exporters.js';
+
+/** Undirected edges as a sorted list of "a-b" keys */
+function edgeKeys(edges) {
+    return edges.map(([a, b]) => a < b ? `${a}-${b}` : `${b}-${a}`).sort();
+}
+
+/** Parses OBJ text that should be rejected and returns the ObjParseError */
+function parseError(text) {
+    try {
+        ObjLoader.parse(text);
+    } catch (error) {
+        assert.ok(error instanceof ObjParseError, `expected an ObjParseError, got ${error}`);
+        return error;
+    }
+    assert.fail('expected the OBJ text to be rejected');
+}
+
+/* ============================================
+ * OBJ ROUND TRIPS
+ * ============================================ */
+
+describe('ShapeExporter.toOBJ and ObjLoader.parse', () => {
+    ['cube', 'dodecahedron', 'torus', 'sphere'].forEach(name => {
+        it(`round-trips the ${name}`, () => {
+            const shape = Shapes[name]();
+            const parsed = ObjLoader.parse(ShapeExporter.toOBJ(shape), { fit: false });
+
+            assert.equal(parsed.name, shape.name);
+            assert.equal(parsed.vertices.length, shape.vertices.length);
+            parsed.vertices.forEach((v, i) => {
+                assert.ok(v.distanceTo(shape.vertices[i]) < 1e-5, `vertex ${i} moved`);
+            });
+            assert.deepEqual(parsed.faces, shape.faces);
+            assert.deepEqual(edgeKeys(parsed.edges), edgeKeys(shape.edges));
+
+            if (shape.uvs) {
+                assert.deepEqual(parsed.faceUVs, shape.faceUVs);
+                parsed.uvs.forEach(([u, v], i) => {
+                    assert.ok(Math.abs(u - shape.uvs[i][0]) < 1e-6 && Math.abs(v - shape.uvs[i][1]) < 1e-6);
+                });
+            } else {
+                assert.equal(parsed.uvs, undefined);
+            }
+        });
+    });
+
+    it('writes edges outside every face as polylines', () => {
+        const shape = Shapes.axes();
+        const obj = ShapeExporter.toOBJ(shape);
+        assert.equal(obj.split('\n').filter(line => line.startsWith('l ')).length, shape.edges.length);
+
+        const parsed = ObjLoader.parse(obj, { fit: false });
+        assert.deepEqual(parsed.faces, []);
+        assert.deepEqual(edgeKeys(parsed.edges), edgeKeys(shape.edges));
+    });
+
+    it('keeps multi-word names in one token', () => {
+        const shape = { ...Shapes.tetrahedron(), name: 'My Model' };
+        assert.match(ShapeExporter.toOBJ(shape), /^o My_Model$/m);
+        assert.equal(ObjLoader.parse(ShapeExporter.toOBJ(shape)).name, 'My_Model');
+    });
+});
+
+/* ============================================
+ * PARSE ERRORS
+ * ============================================ */
+
+describe('ObjParseError', () => {
+    it('reports the line of a malformed statement', () => {
+        const error = parseError('# header\nv 0 0 0\nv 1 0 0\n\nv 0 oops 0\n');
+        assert.equal(error.line, 5);
+        assert.equal(error.message, 'Line 5: Invalid number "oops"');
+    });
+
+    it('reports out-of-range and negative face indices on their line', () => {
+        const text = 'v 0 0 0\nv 1 0 0\nv 0 1 0\nf 1 2 3\nf 1 2 -4\n';
+        const error = parseError(text);
+        assert.equal(error.line, 5);
+        assert.match(error.message, /Vertex index -4 out of range \(3 defined\)/);
+    });
+
+    it('counts continued statements from their first line', () => {
+        const error = parseError('v 0 0 0\nv 1 0 0\nf 1 \\\n  2\n');
+        assert.equal(error.line, 3);
+        assert.match(error.message, /Face needs at least 3 vertices, got 2/);
+    });
+
+    it('rejects files without vertices', () => {
+        const error = parseError('# nothing\no Empty\n');
+        assert.equal(error.line, 2);
+        assert.match(error.message, /no vertices/);
+    });
+});
+
+/* ============================================
+ * STL AND PLY
+ * ============================================ */
+
+describe('ShapeExporter STL and PLY', () => {
+    it('triangulates faces for ASCII and binary STL', () => {
+        const shape = Shapes.cube();
+        const facets = ShapeExporter.toSTL(shape).split('\n').filter(line => line.includes('facet normal'));
+        assert.equal(facets.length, 12);
+
+        const binary = new DataView(ShapeExporter.toBinarySTL(shape));
+        assert.equal(binary.getUint32(80, true), 12);
+        assert.equal(binary.byteLength, 84 + 12 * 50);
+        assert.throws(() => ShapeExporter.toSTL(Shapes.axes()), /needs a shape with faces; "Axes" has none/);
+    });
+
+    it('declares the PLY element counts it writes', () => {
+        const shape = Shapes.pyramid();
+        const lines = ShapeExporter.toPLY(shape).trim().split('\n');
+        const header = lines.indexOf('end_header');
+
+        assert.ok(lines.includes(`element vertex ${shape.vertices.length}`));
+        assert.ok(lines.includes(`element face ${shape.faces.length}`));
+        assert.ok(lines.includes(`element edge ${shape.edges.length}`));
+        assert.equal(lines.length - header - 1, shape.vertices.length + shape.faces.length + shape.edges.length);
+    });
+});
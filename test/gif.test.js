@@ -0,0 +1,258 @@
+/**
+ * @fileoverview Tests for the GIF encoder and offline GIF recording
+ * @description Records a few frames at a fixed rate and reads the file
+ * back: header, frame delays and the LZW-compressed pixels.
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRenderer } from '../src/renderer.js';
+import { FrameBuffer } from '../src/framebuffer.js';
+import { ColorQuantizer, GifEncoder } from '../src/gif_encoder.js';
+import { GifRecorder } from '../src/recorder.js';
+
+const WIDTH = 80;
+const HEIGHT = 60;
+
+/* ============================================
+ * GIF DECODING
+ * ============================================ */
+
+/**
+ * Reads the blocks of a GIF89a file as GifEncoder writes them (local color
+ * tables only) and decompresses each frame
+ * @param {Uint8Array} gif - GIF bytes
+ * @returns {Object} { signature, width, height, repeat, frames } with frames
+ *   of { delay, width, height, palette, indices }
+ */
+function decodeGIF(gif) {
+    let offset = 0;
+    const byte = () => gif[offset++];
+    const word = () => byte() | (byte() << 8);
+    const subBlocks = () => {
+        const bytes = [];
+        for (let size = byte(); size > 0; size = byte()) {
+            bytes.push(...gif.subarray(offset, offset + size));
+            offset += size;
+        }
+        return bytes;
+    };
+
+    const signature = String.fromCharCode(...gif.subarray(0, 6));
+    offset = 6;
+    const width = word();
+    const height = word();
+    assert.equal(byte() & 0x80, 0, 'unexpected global color table');
+    offset += 2;
+
+    let repeat = null;
+    let delay = null;
+    const frames = [];
+    for (let block = byte(); block !== 0x3B; block = byte()) {
+        if (block === 0x21) {
+            const label = byte();
+            const data = subBlocks();
+            if (label === 0xF9) delay = (data[1] | (data[2] << 8)) * 10;
+            if (label === 0xFF) repeat = data[12] | (data[13] << 8);
+            continue;
+        }
+        assert.equal(block, 0x2C, `unexpected block 0x${block.toString(16)}`);
+
+        offset += 4;
+        const frameWidth = word();
+        const frameHeight = word();
+        const tableSize = 2 << (byte() & 0x07);
+        const table = gif.subarray(offset, offset + tableSize * 3);
+        offset += tableSize * 3;
+        const minCodeSize = byte();
+        const indices = decodeLZW(subBlocks(), minCodeSize);
+
+        const palette = [];
+        for (let i = 0; i < tableSize; i++) palette.push([...table.subarray(i * 3, i * 3 + 3)]);
+        frames.push({ delay, width: frameWidth, height: frameHeight, palette, indices });
+    }
+    return { signature, width, height, repeat, frames };
+}
+
+/**
+ * Decompresses a GIF LZW code stream
+ * @param {Array<number>} data - Packed codes, least significant bit first
+ * @param {number} minCodeSize - Bits per uncompressed index
+ * @returns {Array<number>} Palette indices
+ */
+function decodeLZW(data, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const out = [];
+    let table;
+    let codeSize;
+    let previous;
+    const reset = () => {
+        table = Array.from({ length: endCode + 1 }, (_, i) => [i]);
+        codeSize = minCodeSize + 1;
+        previous = null;
+    };
+    reset();
+
+    for (let bit = 0; bit + codeSize <= data.length * 8;) {
+        let code = 0;
+        for (let i = 0; i < codeSize; i++, bit++) {
+            code |= ((data[bit >> 3] >> (bit & 7)) & 1) << i;
+        }
+        if (code === clearCode) {
+            reset();
+            continue;
+        }
+        if (code === endCode) return out;
+
+        let entry = table[code];
+        if (!entry) {
+            assert.ok(previous && code === table.length, `code ${code} is not in the table`);
+            entry = [...previous, previous[0]];
+        }
+        out.push(...entry);
+        if (previous && table.length < 4096) {
+            table.push([...previous, entry[0]]);
+            if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+        }
+        previous = entry;
+    }
+    assert.fail('code stream has no end code');
+}
+
+/** Opaque RGBA pixels as packed RGB */
+function toRGB(rgba) {
+    const rgb = new Uint8Array((rgba.length / 4) * 3);
+    for (let i = 0, j = 0; i < rgba.length; i += 4, j += 3) {
+        assert.equal(rgba[i + 3], 255);
+        rgb.set(rgba.subarray(i, i + 3), j);
+    }
+    return rgb;
+}
+
+/* ============================================
+ * GIF RECORDER
+ * ============================================ */
+
+describe('GifRecorder', () => {
+    /** Records a cube turning 90° a second, keeping a copy of each frame's pixels */
+    async function recordCube({ frames, fps }) {
+        const frame = new FrameBuffer(WIDTH, HEIGHT);
+        const renderer = createRenderer(frame, { shape: 'cube', renderMode: 'solid', shading: 'flat', backgroundColor: '#ffffff' });
+        const captured = [];
+        const times = [];
+
+        const gif = await GifRecorder.record({
+            width: WIDTH,
+            height: HEIGHT,
+            frames,
+            fps,
+            renderFrame: (time) => {
+                times.push(time);
+                renderer.transform({ scaleX: 0.2, scaleY: 0.2, scaleZ: 0.2, rotationX: 30, rotationY: 90 * time });
+                renderer.render();
+            },
+            capture: () => {
+                captured.push(Uint8ClampedArray.from(frame.data));
+                return frame;
+            }
+        });
+        return { gif, captured, times };
+    }
+
+    it('writes a looping GIF89a with one frame per time step', async () => {
+        const { gif, times } = await recordCube({ frames: 4, fps: 30 });
+        const decoded = decodeGIF(gif);
+
+        assert.equal(decoded.signature, 'GIF89a');
+        assert.equal(decoded.width, WIDTH);
+        assert.equal(decoded.height, HEIGHT);
+        assert.equal(decoded.repeat, 0);
+        assert.equal(decoded.frames.length, 4);
+        assert.deepEqual(times, [0, 1 / 30, 2 / 30, 3 / 30]);
+        decoded.frames.forEach(({ width, height }) => assert.deepEqual([width, height], [WIDTH, HEIGHT]));
+    });
+
+    it('rounds frame delays on the timeline so the total stays exact', async () => {
+        const { gif } = await recordCube({ frames: 4, fps: 30 });
+        const delays = decodeGIF(gif).frames.map(frame => frame.delay);
+
+        // 1/30 s is 3.33 hundredths; frame ends fall at 3, 7, 10 and 13
+        assert.deepEqual(delays, [30, 40, 30, 30]);
+        assert.deepEqual([0, 1, 2, 3].map(i => GifRecorder.frameDelay(i, 30)), delays);
+        assert.equal(GifRecorder.frameDelay(0, 20), 50);
+    });
+
+    it('compresses the quantized pixels losslessly', async () => {
+        const { gif, captured } = await recordCube({ frames: 2, fps: 10 });
+        const { frames } = decodeGIF(gif);
+
+        captured.forEach((rgba, f) => {
+            const rgb = toRGB(rgba);
+            const palette = ColorQuantizer.buildPalette(rgb);
+            assert.deepEqual(frames[f].indices, Array.from(ColorQuantizer.indexPixels(rgb, palette)));
+            assert.deepEqual(frames[f].palette.slice(0, palette.length), palette);
+        });
+    });
+
+    it('rejects frame rates GIF delays cannot keep', async () => {
+        // Above 50 FPS some frames would last one hundredth, which browsers stretch to ten
+        [0, -10, NaN, 60, 101].forEach(fps => {
+            assert.throws(() => GifRecorder.frameDelay(0, fps), RangeError);
+        });
+        assert.equal(GifRecorder.frameDelay(0, GifRecorder.MAX_FPS), 20);
+
+        let rendered = 0;
+        await assert.rejects(
+            GifRecorder.record({ width: 4, height: 4, frames: 3, fps: 60, renderFrame: () => rendered++, capture: () => null }),
+            /at most 50 FPS, got 60/
+        );
+        assert.equal(rendered, 0);
+    });
+
+    it('rejects an empty recording', async () => {
+        await assert.rejects(
+            GifRecorder.record({ width: 4, height: 4, frames: 0, renderFrame: () => {}, capture: () => null }),
+            /at least one frame/
+        );
+    });
+});
+
+/* ============================================
+ * GIF ENCODER
+ * ============================================ */
+
+describe('GifEncoder', () => {
+    it('resets the LZW table once it is full', () => {
+        // Noise leaves few repeated strings, so the 4096-entry table fills up
+        const width = 128;
+        const height = 96;
+        const rgba = new Uint8Array(width * height * 4);
+        let seed = 1;
+        for (let i = 0; i < rgba.length; i += 4) {
+            seed = (seed * 1103515245 + 12345) % 2147483648;
+            rgba.set([seed & 0xE0, (seed >> 8) & 0xE0, (seed >> 16) & 0xC0, 255], i);
+        }
+
+        const encoder = new GifEncoder(width, height, { repeat: -1 });
+        encoder.addFrame(rgba, 100);
+        const decoded = decodeGIF(encoder.finish());
+
+        assert.equal(decoded.repeat, null);
+        assert.equal(decoded.frames[0].delay, 100);
+        const { palette, indices } = decoded.frames[0];
+        indices.forEach((index, i) => {
+            assert.deepEqual(palette[index], [...rgba.subarray(i * 4, i * 4 + 3)]);
+        });
+    });
+
+    it('checks frame sizes and refuses to finish without frames', () => {
+        const encoder = new GifEncoder(2, 2);
+        assert.throws(() => encoder.addFrame(new Uint8Array(4)), /Frame has 4 bytes; 2x2 needs 16/);
+        assert.throws(() => encoder.finish(), /no frames/);
+    });
+});
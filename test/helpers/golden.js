@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Golden-image helpers for the render tests
+ * @description Compares rendered FrameBuffers with reference PNGs in
+ * test/golden. Run with UPDATE_GOLDEN=1 to write the references from the
+ * current output; on a mismatch the actual frame is saved beside the
+ * reference as <name>.actual.png.
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+
+import { encodeImage } from '../../src/headless.js';
+
+const GOLDEN_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'golden');
+
+/* ============================================
+ * PNG DECODING
+ * ============================================ */
+
+/**
+ * Decodes an 8-bit RGBA, non-interlaced PNG (what ImageEncoder writes)
+ * @param {Buffer} png - PNG bytes
+ * @returns {Object} { width, height, data } with RGBA pixels
+ * @throws {Error} For other PNG flavors
+ */
+function decodePNG(png) {
+    let width = 0;
+    let height = 0;
+    const idat = [];
+
+    for (let offset = 8; offset < png.length;) {
+        const length = png.readUInt32BE(offset);
+        const type = png.toString('ascii', offset + 4, offset + 8);
+        const data = png.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IHDR') {
+            width = data.readUInt32BE(0);
+            height = data.readUInt32BE(4);
+            if (data[8] !== 8 || data[9] !== 6 || data[12] !== 0) {
+                throw new Error('Only 8-bit RGBA, non-interlaced PNGs are supported');
+            }
+        } else if (type === 'IDAT') {
+            idat.push(data);
+        }
+        offset += 12 + length;
+    }
+
+    const raw = zlib.inflateSync(Buffer.concat(idat));
+    const stride = width * 4;
+    const data = new Uint8ClampedArray(stride * height);
+
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        const row = y * stride;
+        for (let x = 0; x < stride; x++) {
+            const left = x >= 4 ? data[row + x - 4] : 0;
+            const up = y > 0 ? data[row - stride + x] : 0;
+            const upLeft = x >= 4 && y > 0 ? data[row - stride + x - 4] : 0;
+            let predictor = 0;
+            switch (filter) {
+                case 0: predictor = 0; break;
+                case 1: predictor = left; break;
+                case 2: predictor = up; break;
+                case 3: predictor = (left + up) >> 1; break;
+                case 4: {
+                    const p = left + up - upLeft;
+                    const pa = Math.abs(p - left);
+                    const pb = Math.abs(p - up);
+                    const pc = Math.abs(p - upLeft);
+                    predictor = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+                    break;
+                }
+                default: throw new Error(`Unknown PNG filter ${filter}`);
+            }
+            data[row + x] = (line[x] + predictor) & 255;
+        }
+    }
+
+    return { width, height, data };
+}
+
+/* ============================================
+ * COMPARISON
+ * ============================================ */
+
+/**
+ * Counts pixels whose channels differ by more than a tolerance
+ * @param {Uint8ClampedArray} actual - RGBA pixels
+ * @param {Uint8ClampedArray} expected - RGBA pixels of the same size
+ * @param {number} tolerance - Largest channel difference still counted as equal
+ * @returns {number} Mismatched pixels
+ */
+function countMismatches(actual, expected, tolerance) {
+    let mismatches = 0;
+    for (let i = 0; i < actual.length; i += 4) {
+        for (let c = 0; c < 4; c++) {
+            if (Math.abs(actual[i + c] - expected[i + c]) > tolerance) {
+                mismatches++;
+                break;
+            }
+        }
+    }
+    return mismatches;
+}
+
+/**
+ * Checks a frame against test/golden/<name>.png, or writes it there when
+ * UPDATE_GOLDEN is set
+ * @param {string} name - Reference image name, without extension
+ * @param {FrameBuffer} frame - Rendered frame
+ * @param {Object} [options]
+ * @param {number} [options.tolerance=2] - Largest channel difference still counted as equal
+ * @param {number} [options.maxMismatch=0.001] - Fraction of pixels allowed to differ
+ * @throws {Error} If the frame does not match
+ */
+function expectGolden(name, frame, { tolerance = 2, maxMismatch = 0.001 } = {}) {
+    const goldenPath = path.join(GOLDEN_DIR, `${name}.png`);
+    const actualPath = path.join(GOLDEN_DIR, `${name}.actual.png`);
+
+    if (process.env.UPDATE_GOLDEN) {
+        fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+        fs.writeFileSync(goldenPath, encodeImage(frame, 'png'));
+        fs.rmSync(actualPath, { force: true });
+        return;
+    }
+    if (!fs.existsSync(goldenPath)) {
+        throw new Error(`No golden image ${goldenPath}; run UPDATE_GOLDEN=1 npm test to create it`);
+    }
+
+    const expected = decodePNG(fs.readFileSync(goldenPath));
+    const sameSize = expected.width === frame.width && expected.height === frame.height;
+    const mismatches = sameSize ? countMismatches(frame.data, expected.data, tolerance) : Infinity;
+    const allowed = Math.floor(frame.width * frame.height * maxMismatch);
+
+    if (mismatches > allowed) {
+        fs.writeFileSync(actualPath, encodeImage(frame, 'png'));
+        const reason = sameSize
+            ? `${mismatches} pixels differ (${allowed} allowed)`
+            : `size is ${frame.width}x${frame.height}, expected ${expected.width}x${expected.height}`;
+        throw new Error(`Render "${name}" does not match its golden image: ${reason}. Actual frame: ${actualPath}`);
+    }
+    fs.rmSync(actualPath, { force: true });
+}
+
+/* ============================================
+ * EXPORTS
+ * ============================================ */
+
+export { decodePNG, countMismatches, expectGolden };
@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Shared scene fixtures for the render, picking and editing tests
+ * @description The frame size every golden image is drawn at, the scale
+ * that fits the built-in shapes into it, and a turned cube drawn once.
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+import assert from 'node:assert/strict';
+
+import { createRenderer } from '../../src/renderer.js';
+import { FrameBuffer } from '../../src/framebuffer.js';
+
+/* ============================================
+ * FRAME SIZE
+ * ============================================ */
+
+const WIDTH = 200;
+const HEIGHT = 160;
+
+/** Shapes are about a pixel per unit across; this fits them into the small frames */
+const FIT = { scaleX: 0.4, scaleY: 0.4, scaleZ: 0.4 };
+
+/* ============================================
+ * FIXTURES
+ * ============================================ */
+
+/**
+ * Draws a cube turned so one corner points at the viewer, on white
+ * @param {Object} [options] - createRenderer() settings, overriding the defaults
+ * @returns {Object} { renderer, frame }
+ */
+function cubeRenderer(options = {}) {
+    const frame = new FrameBuffer(WIDTH, HEIGHT);
+    const renderer = createRenderer(frame, { shape: 'cube', backgroundColor: '#ffffff', ...options });
+    renderer.transform({ ...FIT, rotationX: 30, rotationY: 45 });
+    renderer.render();
+    return { renderer, frame };
+}
+
+/* ============================================
+ * ASSERTIONS
+ * ============================================ */
+
+/**
+ * Asserts two points agree to within a small distance
+ * @param {Vector3} actual
+ * @param {Vector3} expected
+ * @param {number} [tolerance=1e-6] - Largest distance still counted as equal
+ */
+function assertNear(actual, expected, tolerance = 1e-6) {
+    assert.ok(actual.distanceTo(expected) < tolerance, `(${actual.x}, ${actual.y}, ${actual.z}) is not near (${expected.x}, ${expected.y}, ${expected.z})`);
+}
+
+/* ============================================
+ * EXPORTS
+ * ============================================ */
+
+export { WIDTH, HEIGHT, FIT, cubeRenderer, assertNear };
@@ -0,0 +1,262 @@
+/**
+ * @fileoverview Tests for Vector3, Matrix4 and Quaternion
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Vector3, Matrix4, Quaternion } from '../src/math.js';
+import { SceneNode } from '../src/scene.js';
+
+const EPSILON = 1e-9;
+
+function assertClose(actual, expected, message = '') {
+    assert.ok(Math.abs(actual - expected) < EPSILON, `${message} expected ${expected}, got ${actual}`);
+}
+
+function assertVectorClose(actual, expected) {
+    assertClose(actual.x, expected.x, 'x:');
+    assertClose(actual.y, expected.y, 'y:');
+    assertClose(actual.z, expected.z, 'z:');
+}
+
+function assertMatrixClose(actual, expected) {
+    actual.elements.forEach((value, i) => assertClose(value, expected.elements[i], `element ${i}:`));
+}
+
+/** A rotation, scale and translation with no special symmetry */
+function sampleMatrix() {
+    return Matrix4.translation(10, -20, 30)
+        .multiply(Matrix4.rotationX(0.3))
+        .multiply(Matrix4.rotationY(-1.1))
+        .multiply(Matrix4.rotationZ(2.0))
+        .multiply(Matrix4.scale(2, 3, 0.5));
+}
+
+/* ============================================
+ * VECTOR3
+ * ============================================ */
+
+describe('Vector3', () => {
+    const a = new Vector3(1, -2, 3);
+    const b = new Vector3(-4, 5, 0.5);
+
+    it('adds, subtracts and scales component-wise', () => {
+        assertVectorClose(a.add(b), new Vector3(-3, 3, 3.5));
+        assertVectorClose(a.subtract(b), new Vector3(5, -7, 2.5));
+        assertVectorClose(a.scale(-2), new Vector3(-2, 4, -6));
+        assertVectorClose(a.add(b).subtract(b), a);
+    });
+
+    it('has a cross product perpendicular to both inputs', () => {
+        const c = a.cross(b);
+        assertClose(c.dot(a), 0);
+        assertClose(c.dot(b), 0);
+        assertVectorClose(b.cross(a), c.scale(-1));
+    });
+
+    it('follows the right-hand rule: x × y = z', () => {
+        assertVectorClose(new Vector3(1, 0, 0).cross(new Vector3(0, 1, 0)), new Vector3(0, 0, 1));
+    });
+
+    it('satisfies |a × b|² + (a · b)² = |a|²|b|²', () => {
+        const lhs = a.cross(b).magnitude() ** 2 + a.dot(b) ** 2;
+        assertClose(lhs, a.magnitude() ** 2 * b.magnitude() ** 2);
+    });
+
+    it('normalizes to unit length and leaves the zero vector alone', () => {
+        assertClose(a.normalize().magnitude(), 1);
+        assertVectorClose(new Vector3().normalize(), new Vector3());
+    });
+
+    it('interpolates between endpoints and measures distance', () => {
+        assertVectorClose(a.lerp(b, 0), a);
+        assertVectorClose(a.lerp(b, 1), b);
+        assertClose(a.distanceTo(b), a.subtract(b).magnitude());
+    });
+
+    it('round-trips through arrays', () => {
+        assertVectorClose(Vector3.fromArray(a.toArray()), a);
+    });
+});
+
+/* ============================================
+ * MATRIX4
+ * ============================================ */
+
+describe('Matrix4', () => {
+    it('stores translation in elements 12, 13 and 14 (column-major)', () => {
+        const e = Matrix4.translation(1, 2, 3).elements;
+        assert.deepEqual([e[12], e[13], e[14], e[15]], [1, 2, 3, 1]);
+        assertVectorClose(Matrix4.translation(1, 2, 3).transformVector(new Vector3()), new Vector3(1, 2, 3));
+    });
+
+    it('is unchanged by multiplying with the identity', () => {
+        const m = sampleMatrix();
+        assertMatrixClose(m.multiply(new Matrix4()), m);
+        assertMatrixClose(new Matrix4().multiply(m), m);
+    });
+
+    it('applies the right-hand factor first', () => {
+        // Scale then translate: (1, 0, 0) -> (2, 0, 0) -> (12, 0, 0)
+        const m = Matrix4.translation(10, 0, 0).multiply(Matrix4.scale(2, 2, 2));
+        assertVectorClose(m.transformVector(new Vector3(1, 0, 0)), new Vector3(12, 0, 0));
+
+        const p = new Vector3(3, -1, 2);
+        const a = Matrix4.rotationX(0.7);
+        const b = Matrix4.rotationY(-0.4);
+        assertVectorClose(a.multiply(b).transformVector(p), a.transformVector(b.transformVector(p)));
+    });
+
+    it('is associative', () => {
+        const a = Matrix4.rotationX(0.3);
+        const b = Matrix4.translation(1, 2, 3);
+        const c = Matrix4.scale(2, -1, 4);
+        assertMatrixClose(a.multiply(b).multiply(c), a.multiply(b.multiply(c)));
+    });
+
+    it('rotates counter-clockwise by the right-hand rule', () => {
+        const quarter = Math.PI / 2;
+        assertVectorClose(Matrix4.rotationX(quarter).transformVector(new Vector3(0, 1, 0)), new Vector3(0, 0, 1));
+        assertVectorClose(Matrix4.rotationY(quarter).transformVector(new Vector3(0, 0, 1)), new Vector3(1, 0, 0));
+        assertVectorClose(Matrix4.rotationZ(quarter).transformVector(new Vector3(1, 0, 0)), new Vector3(0, 1, 0));
+    });
+
+    it('has orthonormal rotations: Rᵀ = R⁻¹ and det R = 1', () => {
+        const r = Matrix4.rotationX(0.3).multiply(Matrix4.rotationY(-1.1)).multiply(Matrix4.rotationZ(2));
+        assertMatrixClose(r.transpose(), r.invert());
+        assertClose(r.determinant(), 1);
+    });
+
+    it('inverts: M · M⁻¹ = M⁻¹ · M = I', () => {
+        const m = sampleMatrix();
+        assertMatrixClose(m.multiply(m.invert()), new Matrix4());
+        assertMatrixClose(m.invert().multiply(m), new Matrix4());
+    });
+
+    it('multiplies determinants and detects mirroring', () => {
+        const a = sampleMatrix();
+        const b = Matrix4.rotationY(0.5).multiply(Matrix4.scale(-1, 2, 2));
+        assertClose(a.multiply(b).determinant(), a.determinant() * b.determinant());
+        assertClose(Matrix4.scale(2, 3, 0.5).determinant(), 3);
+        assert.ok(b.determinant() < 0);
+    });
+
+    it('refuses to invert a singular matrix', () => {
+        assert.throws(() => Matrix4.scale(1, 0, 1).invert(), /not invertible/);
+    });
+
+    it('transposes twice to the original', () => {
+        const m = sampleMatrix();
+        assertMatrixClose(m.transpose().transpose(), m);
+    });
+
+    it('ignores translation for directions', () => {
+        const m = Matrix4.translation(5, 5, 5).multiply(Matrix4.rotationZ(Math.PI / 2));
+        assertVectorClose(m.transformDirection(new Vector3(1, 0, 0)), new Vector3(0, 1, 0));
+    });
+
+    it('decomposes what compose() builds', () => {
+        const position = new Vector3(10, -20, 30);
+        const quaternion = Quaternion.fromEuler(0.3, -1.1, 2.0);
+        const scale = new Vector3(2, 3, 0.5);
+        const parts = Matrix4.compose(position, quaternion, scale).decompose();
+
+        assertVectorClose(parts.position, position);
+        assertVectorClose(parts.scale, scale);
+        assertClose(Math.abs(parts.quaternion.dot(quaternion)), 1);
+    });
+
+    it('looks from the eye down -Z at the target', () => {
+        const eye = new Vector3(0, 0, 500);
+        const view = Matrix4.lookAt(eye, new Vector3(0, 0, 0), new Vector3(0, 1, 0));
+        assertVectorClose(view.transformVector(new Vector3(0, 0, 0)), new Vector3(0, 0, -500));
+        assertVectorClose(view.transformVector(eye), new Vector3(0, 0, 0));
+    });
+
+    it('projects the near and far planes to -1 and +1', () => {
+        const perspective = Matrix4.perspective(Math.PI / 3, 1.5, 10, 1000);
+        assertClose(perspective.transformPoint(new Vector3(0, 0, -10)).z, -1);
+        assertClose(perspective.transformPoint(new Vector3(0, 0, -1000)).z, 1);
+
+        const ortho = Matrix4.orthographic(-100, 100, -50, 50, 10, 1000);
+        assertVectorClose(ortho.transformPoint(new Vector3(100, 50, -10)), new Vector3(1, 1, -1));
+        assertVectorClose(ortho.transformPoint(new Vector3(-100, -50, -1000)), new Vector3(-1, -1, 1));
+    });
+});
+
+/* ============================================
+ * QUATERNION
+ * ============================================ */
+
+describe('Quaternion', () => {
+    it('turns points the same way as the matching Matrix4 rotation', () => {
+        const p = new Vector3(3, -1, 2);
+        const axes = [
+            [new Vector3(1, 0, 0), Matrix4.rotationX],
+            [new Vector3(0, 1, 0), Matrix4.rotationY],
+            [new Vector3(0, 0, 1), Matrix4.rotationZ]
+        ];
+        axes.forEach(([axis, rotation]) => {
+            assertVectorClose(Quaternion.fromAxisAngle(axis, 0.8).rotateVector(p), rotation(0.8).transformVector(p));
+        });
+    });
+
+    it('multiplies like the matrices it converts to', () => {
+        const a = Quaternion.fromAxisAngle(new Vector3(1, 2, 3), 0.9);
+        const b = Quaternion.fromAxisAngle(new Vector3(-2, 0, 1), -1.4);
+        assertMatrixClose(a.multiply(b).toMatrix4(), a.toMatrix4().multiply(b.toMatrix4()));
+    });
+
+    it('round-trips through Matrix4 and Euler angles', () => {
+        const q = Quaternion.fromEuler(0.3, -1.1, 2.0);
+        assertClose(Math.abs(Quaternion.fromMatrix4(q.toMatrix4()).dot(q)), 1);
+        assertVectorClose(q.toEuler(), new Vector3(0.3, -1.1, 2.0));
+    });
+
+    it('has the conjugate as its inverse', () => {
+        const q = Quaternion.fromAxisAngle(new Vector3(1, 1, 0), 1.2);
+        const p = new Vector3(3, -1, 2);
+        assertVectorClose(q.conjugate().rotateVector(q.rotateVector(p)), p);
+    });
+
+    it('turns one direction onto another', () => {
+        const from = new Vector3(1, 2, -1).normalize();
+        const to = new Vector3(-3, 0, 2).normalize();
+        assertVectorClose(Quaternion.fromUnitVectors(from, to).rotateVector(from), to);
+        assertVectorClose(Quaternion.fromUnitVectors(from, from.scale(-1)).rotateVector(from), from.scale(-1));
+    });
+
+    it('slerps between its endpoints at constant speed', () => {
+        const a = new Quaternion();
+        const b = Quaternion.fromAxisAngle(new Vector3(0, 1, 0), 1.2);
+        assertClose(Math.abs(a.slerp(b, 0).dot(a)), 1);
+        assertClose(Math.abs(a.slerp(b, 1).dot(b)), 1);
+        assertClose(Math.abs(a.slerp(b, 0.5).dot(Quaternion.fromAxisAngle(new Vector3(0, 1, 0), 0.6))), 1);
+    });
+});
+
+/* ============================================
+ * SCENE NODE TRANSFORM ORDER
+ * ============================================ */
+
+describe('SceneNode#localMatrix', () => {
+    it('scales, then rotates Z, Y, X, then translates', () => {
+        const node = new SceneNode();
+        node.setTransform({
+            rotationX: 20, rotationY: -35, rotationZ: 50,
+            translateX: 5, translateY: 6, translateZ: 7,
+            scaleX: 2, scaleY: 1, scaleZ: 3
+        });
+        const toRadians = Math.PI / 180;
+        const expected = Matrix4.translation(5, 6, 7)
+            .multiply(Matrix4.rotationX(20 * toRadians))
+            .multiply(Matrix4.rotationY(-35 * toRadians))
+            .multiply(Matrix4.rotationZ(50 * toRadians))
+            .multiply(Matrix4.scale(2, 1, 3));
+        assertMatrixClose(node.localMatrix(), expected);
+    });
+});
@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Tests for Renderer3D picking and selection highlights
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRenderer } from '../src/renderer.js';
+import { FrameBuffer } from '../src/framebuffer.js';
+import { expectGolden } from './helpers/golden.js';
+import { WIDTH, HEIGHT, FIT, cubeRenderer, assertNear } from './helpers/scene.js';
+
+/** Canvas position of a mesh vertex through the main camera */
+function projected(renderer, index) {
+    return renderer.camera.project(renderer.activeMesh.worldVertices[index]);
+}
+
+/** Whether a world point lies on the plane of a mesh face */
+function onFacePlane(mesh, face, point) {
+    const [a, b, c] = face.map(i => mesh.worldVertices[i]);
+    const normal = b.subtract(a).cross(c.subtract(a)).normalize();
+    return Math.abs(normal.dot(point.subtract(a))) < 1e-6;
+}
+
+/* ============================================
+ * VERTICES AND EDGES
+ * ============================================ */
+
+describe('Renderer3D#pick vertices and edges', () => {
+    it('picks a vertex at its projection, with its world position', () => {
+        const { renderer } = cubeRenderer();
+        const p = projected(renderer, 0);
+        const hit = renderer.pick(p.x + 3, p.y - 2);
+
+        assert.equal(hit.type, 'vertex');
+        assert.equal(hit.index, 0);
+        assert.deepEqual(hit.vertices, [0]);
+        assert.equal(hit.mesh, renderer.activeMesh);
+        assertNear(hit.point, renderer.activeMesh.worldVertices[0]);
+        assert.ok(Math.abs(hit.distance - Math.hypot(3, 2)) < 1e-9);
+    });
+
+    it('ignores vertices outside the pick radius', () => {
+        const { renderer } = cubeRenderer();
+        const p = projected(renderer, 0);
+        assert.notEqual(renderer.pick(p.x + 10, p.y, { radius: 4 })?.type, 'vertex');
+        assert.equal(renderer.pick(p.x + 10, p.y, { radius: 12 }).type, 'vertex');
+    });
+
+    it('picks an edge at the point nearest to the pointer', () => {
+        const { renderer } = cubeRenderer();
+        const mesh = renderer.activeMesh;
+        const [i, j] = mesh.shape.edges[0];
+        const a = projected(renderer, i);
+        const b = projected(renderer, j);
+        const hit = renderer.pick((a.x + b.x) / 2, (a.y + b.y) / 2, { types: ['edge'] });
+
+        assert.equal(hit.type, 'edge');
+        assert.equal(hit.index, 0);
+        assert.deepEqual(hit.vertices, [i, j]);
+
+        // The hit lies on the edge and projects back onto the pointer
+        const start = mesh.worldVertices[i];
+        const end = mesh.worldVertices[j];
+        assert.ok(Math.abs(start.distanceTo(hit.point) + hit.point.distanceTo(end) - start.distanceTo(end)) < 1e-6);
+        const p = renderer.camera.project(hit.point);
+        assert.ok(Math.hypot(p.x - (a.x + b.x) / 2, p.y - (a.y + b.y) / 2) < 1e-6);
+    });
+
+    it('prefers vertices over edges and edges over faces', () => {
+        const { renderer } = cubeRenderer({ renderMode: 'solid' });
+        // Just inside a corner, within reach of it, its edges and its faces
+        const p = projected(renderer, 0);
+        const x = p.x + Math.sign(WIDTH / 2 - p.x) * 3;
+        const y = p.y + Math.sign(HEIGHT / 2 - p.y) * 3;
+        assert.equal(renderer.pick(x, y).type, 'vertex');
+        assert.equal(renderer.pick(x, y, { types: ['edge', 'face'] }).type, 'edge');
+        assert.equal(renderer.pick(x, y, { types: ['face'] }).type, 'face');
+    });
+});
+
+/* ============================================
+ * FACES AND OCCLUSION
+ * ============================================ */
+
+describe('Renderer3D#pick faces', () => {
+    it('hits the frontmost face under the pointer', () => {
+        const { renderer } = cubeRenderer({ renderMode: 'solid' });
+        const hit = renderer.pick(80, 70, { types: ['face'] });
+
+        assert.equal(hit.type, 'face');
+        assert.deepEqual(hit.vertices, renderer.activeMesh.shape.faces[hit.index]);
+        assert.ok(onFacePlane(hit.mesh, hit.vertices, hit.point));
+        // Nearer to the viewer than the cube's center
+        assert.ok(renderer.camera.depthOf(hit.point) < 0);
+
+        const p = renderer.camera.project(hit.point);
+        assert.ok(Math.abs(p.x - 80) < 1e-6 && Math.abs(p.y - 70) < 1e-6);
+    });
+
+    it('hits faces through an orthographic view', () => {
+        const { renderer } = cubeRenderer({ renderMode: 'solid', projection: 'orthographic' });
+        const hit = renderer.pick(120, 95, { types: ['face'] });
+
+        assert.ok(onFacePlane(hit.mesh, hit.vertices, hit.point));
+        const p = renderer.camera.project(hit.point);
+        assert.ok(Math.abs(p.x - 120) < 1e-6 && Math.abs(p.y - 95) < 1e-6);
+    });
+
+    it('returns null where nothing is drawn', () => {
+        const { renderer } = cubeRenderer({ renderMode: 'solid' });
+        assert.equal(renderer.pick(2, 2), null);
+    });
+
+    it('skips vertices behind faces, except in wireframe mode', () => {
+        // Vertex 7 is the corner pointing away from the viewer
+        const { renderer } = cubeRenderer({ renderMode: 'solid' });
+        const p = projected(renderer, 7);
+        assert.notEqual(renderer.pick(p.x, p.y).type, 'vertex');
+
+        renderer.settings.renderMode = 'wireframe';
+        const hit = renderer.pick(p.x, p.y);
+        assert.equal(hit.type, 'vertex');
+        assert.equal(hit.index, 7);
+    });
+
+    it('picks through the viewport under the pointer', () => {
+        const frame = new FrameBuffer(2 * WIDTH, 2 * HEIGHT);
+        const renderer = createRenderer(frame, { shape: 'cube', layout: 'quad', renderMode: 'solid' });
+        renderer.transform(FIT);
+        renderer.render();
+
+        // The top view (upper left) looks down onto the +Y face
+        const hit = renderer.pick(WIDTH / 2, HEIGHT / 2, { types: ['face'] });
+        assert.equal(hit.viewport.name, 'Top');
+        assert.ok(hit.vertices.every(i => renderer.activeMesh.worldVertices[i].y > 0));
+        assert.ok(onFacePlane(hit.mesh, hit.vertices, hit.point));
+    });
+});
+
+/* ============================================
+ * HIGHLIGHTS
+ * ============================================ */
+
+describe('Renderer3D highlights', () => {
+    it('draws the hovered face and the selected vertex on top', () => {
+        const { renderer, frame } = cubeRenderer({ renderMode: 'solid', shading: 'flat' });
+        renderer.hovered = renderer.pick(80, 70, { types: ['face'] });
+        const p = projected(renderer, 0);
+        renderer.selected = renderer.pick(p.x, p.y);
+        renderer.render();
+        expectGolden('cube-highlights', frame);
+    });
+
+    it('leaves hidden meshes unhighlighted', () => {
+        const { renderer, frame } = cubeRenderer();
+        const hit = renderer.pick(100, 80, { types: ['face'] });
+        renderer.activeMesh.visible = false;
+        renderer.render();
+        const empty = Uint8ClampedArray.from(frame.data);
+
+        renderer.selected = hit;
+        renderer.render();
+        assert.deepEqual(frame.data, empty);
+    });
+});
@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Golden-image tests for Renderer3D
+ * @description Renders scenes headlessly into FrameBuffers and compares
+ * them with the reference PNGs in test/golden (see helpers/golden.js).
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Renderer3D, createRenderer } from '../src/renderer.js';
+import { FrameBuffer } from '../src/framebuffer.js';
+import { Texture } from '../src/texture.js';
+import { ImageEncoder } from '../src/image_encoder.js';
+import { renderShape, encodeImage } from '../src/headless.js';
+import { decodePNG, expectGolden } from './helpers/golden.js';
+import { WIDTH, HEIGHT, FIT } from './helpers/scene.js';
+
+/** Renders a built-in shape at the golden image size on white */
+function render(shape, { settings = {}, transform = {}, ...options } = {}) {
+    return renderShape({
+        shape,
+        width: WIDTH,
+        height: HEIGHT,
+        transform: { ...FIT, ...transform },
+        settings: { backgroundColor: '#ffffff', ...settings },
+        ...options
+    });
+}
+
+/* ============================================
+ * GOLDEN IMAGES
+ * ============================================ */
+
+describe('Renderer3D golden images', () => {
+    it('draws a depth-colored wireframe cube', () => {
+        const frame = render('cube', { transform: { rotationX: 30, rotationY: 45 } });
+        expectGolden('cube-wireframe', frame);
+    });
+
+    it('draws hidden lines of a dodecahedron dashed', () => {
+        const frame = render('dodecahedron', {
+            transform: { rotationX: 20, rotationY: 30 },
+            settings: { renderMode: 'hidden-line', hiddenLineStyle: 'dashed' }
+        });
+        expectGolden('dodecahedron-hidden-line', frame);
+    });
+
+    it('shades a solid torus per face', () => {
+        const frame = render('torus', {
+            transform: { rotationX: 60, rotationY: 30 },
+            settings: { renderMode: 'solid', shading: 'flat' }
+        });
+        expectGolden('torus-solid-flat', frame);
+    });
+
+    it('shades a sphere per vertex under its wireframe', () => {
+        const frame = render('sphere', {
+            transform: { rotationX: 20, rotationY: 35 },
+            settings: { renderMode: 'solid-wireframe', shading: 'gouraud', depthColoring: false }
+        });
+        expectGolden('sphere-gouraud-wireframe', frame);
+    });
+
+    it('projects an isometric pyramid orthographically', () => {
+        const frame = render('pyramid', {
+            view: 'isometric',
+            settings: { projection: 'orthographic', showAxes: true, showVertices: true }
+        });
+        expectGolden('pyramid-isometric', frame);
+    });
+
+    it('maps a texture onto a cube', () => {
+        const frame = new FrameBuffer(WIDTH, HEIGHT);
+        const renderer = createRenderer(frame, {
+            shape: 'cube',
+            renderMode: 'solid',
+            shading: 'flat',
+            backgroundColor: '#ffffff',
+            texture: Texture.checkerboard({ size: 64, squares: 4 }),
+            textureFilter: 'nearest'
+        });
+        renderer.transform({ ...FIT, rotationX: 25, rotationY: -40 });
+        renderer.render();
+        expectGolden('cube-textured', frame);
+    });
+
+    it('draws the quad viewport layout', () => {
+        const frame = new FrameBuffer(2 * WIDTH, 2 * HEIGHT);
+        const renderer = createRenderer(frame, {
+            shape: 'octahedron',
+            layout: 'quad',
+            backgroundColor: '#ffffff'
+        });
+        renderer.transform({ rotationX: 15, rotationY: 25 });
+        renderer.render();
+        expectGolden('octahedron-quad', frame);
+    });
+});
+
+/* ============================================
+ * SETTINGS
+ * ============================================ */
+
+describe('Renderer3D settings', () => {
+    it('rejects names the renderer does not know', () => {
+        const frame = new FrameBuffer(20, 20);
+        assert.throws(() => createRenderer(frame, { renderMode: 'bogus' }),
+            /Renderer setting renderMode expects one of wireframe, hidden-line, solid, solid-wireframe, got "bogus"/);
+        assert.throws(() => createRenderer(frame, { shading: 'phong' }), /shading expects one of none, flat, gouraud/);
+        assert.throws(() => createRenderer(frame, { projection: 'fisheye' }), /projection expects one of perspective, orthographic/);
+        assert.throws(() => render('cube', { settings: { hiddenLineStyle: 'dotted' } }), /hiddenLineStyle expects one of/);
+
+        Object.entries(Renderer3D.SETTING_VALUES).forEach(([key, values]) => {
+            values.forEach(value => assert.equal(createRenderer(frame, { [key]: value }).settings[key], value));
+        });
+    });
+
+    it('lists the allowed values in one frozen table', () => {
+        const values = Renderer3D.SETTING_VALUES;
+        assert.equal(Renderer3D.SETTING_VALUES, values);
+        assert.ok(Object.isFrozen(values));
+        Object.values(values).forEach(list => assert.ok(Object.isFrozen(list)));
+    });
+});
+
+/* ============================================
+ * DETERMINISM AND ENCODING
+ * ============================================ */
+
+describe('Headless output', () => {
+    it('renders identical frames on every run', () => {
+        const options = { transform: { rotationY: 40 }, settings: { renderMode: 'solid', shading: 'gouraud' } };
+        assert.deepEqual(render('sphere', options).data, render('sphere', options).data);
+    });
+
+    it('decodes its PNGs back to the same pixels, stored or deflated', () => {
+        const frame = render('tetrahedron', { transform: { rotationX: 10 } });
+        [true, false].forEach(compress => {
+            const decoded = decodePNG(encodeImage(frame, 'png', { compress }));
+            assert.equal(decoded.width, WIDTH);
+            assert.equal(decoded.height, HEIGHT);
+            assert.deepEqual(decoded.data, frame.data);
+        });
+    });
+
+    it('writes PPM pixels composited over the background', () => {
+        const rgba = new Uint8ClampedArray([255, 0, 0, 255, 0, 0, 255, 0]);
+        const ppm = ImageEncoder.encodePPM(2, 1, rgba, { background: '#00ff00' });
+        const header = 'P6\n2 1\n255\n';
+        assert.equal(Buffer.from(ppm.subarray(0, header.length)).toString('ascii'), header);
+        assert.deepEqual([...ppm.subarray(header.length)], [255, 0, 0, 0, 255, 0]);
+    });
+});
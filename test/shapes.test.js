@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Topology tests for every Shapes generator
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Vector3 } from '../src/math.js';
+import { Shapes, ShapeValidator } from '../src/shapes.js';
+
+/**
+ * Expected vertex, edge and face counts and Euler characteristic
+ * (V - E + F) for each generator with its default arguments. Solids
+ * homeomorphic to a sphere have χ = 2, the torus has χ = 0 and line sets
+ * (axes, grid) have no faces.
+ */
+const EXPECTED = {
+    cube: { vertices: 8, edges: 12, faces: 6, euler: 2 },
+    tetrahedron: { vertices: 4, edges: 6, faces: 4, euler: 2 },
+    octahedron: { vertices: 6, edges: 12, faces: 8, euler: 2 },
+    pyramid: { vertices: 5, edges: 8, faces: 5, euler: 2 },
+    prism: { vertices: 6, edges: 9, faces: 5, euler: 2 },
+    dodecahedron: { vertices: 20, edges: 30, faces: 12, euler: 2 },
+    torus: { vertices: 16 * 8, edges: 2 * 16 * 8, faces: 16 * 8, euler: 0 },
+    sphere: { vertices: 2 + 12 * 11, edges: 2 * 12 * 12 - 12, faces: 12 * 12, euler: 2 },
+    axes: { vertices: 4, edges: 3, faces: 0, euler: null },
+    grid: { vertices: 44, edges: 22, faces: 0, euler: null }
+};
+
+const edgeKey = (a, b) => a < b ? `${a}-${b}` : `${b}-${a}`;
+
+/** Undirected edges bounding the faces of a shape */
+function faceEdges(shape) {
+    const keys = new Set();
+    shape.faces.forEach(face => face.forEach((a, k) => keys.add(edgeKey(a, face[(k + 1) % face.length]))));
+    return keys;
+}
+
+/* ============================================
+ * EVERY GENERATOR
+ * ============================================ */
+
+describe('Shapes', () => {
+    it('has an expectation for every generator', () => {
+        assert.deepEqual(Object.keys(Shapes).sort(), Object.keys(EXPECTED).sort());
+    });
+
+    Object.entries(EXPECTED).forEach(([name, expected]) => {
+        describe(name, () => {
+            const shape = Shapes[name]();
+            const vertexCount = shape.vertices.length;
+
+            it('has the expected vertex, edge and face counts', () => {
+                assert.equal(vertexCount, expected.vertices);
+                assert.equal(shape.edges.length, expected.edges);
+                assert.equal((shape.faces || []).length, expected.faces);
+            });
+
+            it('has only finite Vector3 vertices', () => {
+                shape.vertices.forEach(v => {
+                    assert.ok(v instanceof Vector3);
+                    assert.ok([v.x, v.y, v.z].every(Number.isFinite));
+                });
+            });
+
+            it('indexes only existing vertices', () => {
+                const inRange = i => Number.isInteger(i) && i >= 0 && i < vertexCount;
+                shape.edges.forEach((edge, e) => {
+                    assert.equal(edge.length, 2, `edge ${e}`);
+                    assert.ok(edge.every(inRange), `edge ${e} is out of range: ${edge}`);
+                });
+                (shape.faces || []).forEach((face, f) => {
+                    assert.ok(face.length >= 3, `face ${f} has ${face.length} corners`);
+                    assert.ok(face.every(inRange), `face ${f} is out of range: ${face}`);
+                });
+            });
+
+            it('has no duplicate or degenerate edges', () => {
+                const keys = shape.edges.map(([a, b]) => edgeKey(a, b));
+                assert.equal(new Set(keys).size, keys.length);
+                shape.edges.forEach(([a, b], e) => assert.notEqual(a, b, `edge ${e} is degenerate`));
+            });
+
+            if (expected.faces > 0) {
+                it('has exactly the edges that bound its faces', () => {
+                    const keys = shape.edges.map(([a, b]) => edgeKey(a, b));
+                    assert.deepEqual([...faceEdges(shape)].sort(), keys.sort());
+                });
+
+                it(`has Euler characteristic ${expected.euler}`, () => {
+                    assert.equal(vertexCount - shape.edges.length + shape.faces.length, expected.euler);
+                });
+
+                it('encloses a positive volume (faces wound outward)', () => {
+                    assert.ok(ShapeValidator.signedVolume(shape) > 0);
+                });
+            }
+
+            it('passes ShapeValidator', () => {
+                const result = ShapeValidator.validate(shape);
+                assert.deepEqual(result.errors, []);
+                assert.equal(result.eulerCharacteristic, expected.euler);
+            });
+        });
+    });
+});
+
+/* ============================================
+ * PARAMETERS
+ * ============================================ */
+
+describe('Shapes with custom resolution', () => {
+    [3, 4, 7, 16].forEach(segments => {
+        it(`sphere with ${segments} segments is a closed manifold`, () => {
+            const shape = Shapes.sphere(50, segments);
+            assert.equal(shape.vertices.length, 2 + segments * (segments - 1));
+            assert.equal(shape.edges.length, 2 * segments * segments - segments);
+            assert.equal(shape.faces.length, segments * segments);
+            assert.deepEqual(ShapeValidator.validate(shape).errors, []);
+        });
+    });
+
+    [[3, 3], [5, 4], [24, 12]].forEach(([major, minor]) => {
+        it(`torus with ${major}x${minor} segments has χ = 0`, () => {
+            const shape = Shapes.torus(80, 30, major, minor);
+            const result = ShapeValidator.validate(shape);
+            assert.deepEqual(result.errors, []);
+            assert.equal(result.eulerCharacteristic, 0);
+        });
+    });
+
+    it('rejects segment counts that cannot close the surface', () => {
+        [0, 1, 2, 3.5].forEach(segments => {
+            assert.throws(() => Shapes.sphere(50, segments), RangeError);
+        });
+        assert.throws(() => Shapes.sphere(50, 2), /Sphere needs at least 3 segments, got 2/);
+        assert.throws(() => Shapes.torus(80, 30, 2, 8), /Torus needs at least 3 segments, got 2/);
+        assert.throws(() => Shapes.torus(80, 30, 16, 1), RangeError);
+    });
+
+    it('scales the sphere to its radius', () => {
+        Shapes.sphere(42, 8).vertices.forEach(v => assert.ok(Math.abs(v.magnitude() - 42) < 1e-9));
+    });
+});
+
+/* ============================================
+ * VALIDATOR
+ * ============================================ */
+
+describe('ShapeValidator', () => {
+    it('reports out-of-range indices', () => {
+        const shape = Shapes.cube();
+        shape.edges.push([0, 99]);
+        assert.match(ShapeValidator.validate(shape).errors.join('\n'), /out of range/);
+    });
+
+    it('reports open shapes', () => {
+        const shape = Shapes.cube();
+        shape.faces.pop();
+        assert.match(ShapeValidator.validate(shape).errors.join('\n'), /not closed/);
+    });
+
+    it('reports inward winding', () => {
+        const shape = Shapes.tetrahedron();
+        shape.faces = shape.faces.map(face => [...face].reverse());
+        assert.deepEqual(ShapeValidator.validate(shape).errors, ['Faces are wound inward']);
+    });
+
+    it('reports edges missing from the edge list', () => {
+        const shape = Shapes.octahedron();
+        shape.edges.pop();
+        assert.match(ShapeValidator.validate(shape).errors.join('\n'), /missing from edges/);
+    });
+});
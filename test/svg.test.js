@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Tests for SVG export
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FrameBuffer } from '../src/framebuffer.js';
+import { SvgContext, SvgExporter } from '../src/svg_export.js';
+import { cubeRenderer } from './helpers/scene.js';
+
+/** Opening tags of one SVG element type */
+function tags(svg, name) {
+    return svg.match(new RegExp(`<${name} [^>]*>`, 'g')) || [];
+}
+
+/* ============================================
+ * SVG EXPORTER
+ * ============================================ */
+
+describe('SvgExporter.fromRenderer', () => {
+    it('writes the visible faces of a cube as filled and outlined paths', () => {
+        const { renderer } = cubeRenderer({
+            renderMode: 'solid-wireframe',
+            shading: 'none',
+            depthColoring: false,
+            faceColor: '#818cf8',
+            wireframeColor: '#4f46e5'
+        });
+        const svg = SvgExporter.fromRenderer(renderer);
+
+        assert.match(svg, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="200" height="160" viewBox="0 0 200 160">/);
+        assert.match(svg, /<\/svg>\n$/);
+        assert.deepEqual(tags(svg, 'rect'), ['<rect x="0" y="0" width="200" height="160" fill="#ffffff"/>']);
+
+        // Back faces are culled: three faces, each filled and then stroked
+        const paths = tags(svg, 'path');
+        assert.equal(paths.length, 6);
+        const fills = paths.filter(path => path.includes('fill="#818cf8"'));
+        const strokes = paths.filter(path => path.includes('fill="none"'));
+        assert.equal(fills.length, 3);
+        assert.equal(strokes.length, 3);
+        strokes.forEach(path => {
+            assert.match(path, /stroke="#4f46e5" stroke-width="2"/);
+            assert.match(path, / d="M[\d.]+ [\d.]+(L[\d.]+ [\d.]+){3}Z"/);
+        });
+    });
+
+    it('draws wireframe edges as lines', () => {
+        const { renderer } = cubeRenderer({ depthColoring: false, wireframeColor: '#4f46e5' });
+        const lines = tags(SvgExporter.fromRenderer(renderer), 'line');
+
+        assert.equal(lines.length, 12);
+        lines.forEach(line => assert.match(line, /stroke="#4f46e5" stroke-width="2"/));
+    });
+
+    it('leaves viewports with a canvas of their own untouched', () => {
+        const { renderer, frame } = cubeRenderer();
+        const ownCanvas = new FrameBuffer(50, 40);
+        renderer.addViewport({ canvas: ownCanvas, view: 'top' });
+        const before = Uint8ClampedArray.from(frame.data);
+
+        const svg = SvgExporter.fromRenderer(renderer);
+        assert.equal(tags(svg, 'line').length, 12);
+        assert.ok(ownCanvas.data.every(value => value === 0));
+        assert.deepEqual(frame.data, before);
+    });
+});
+
+/* ============================================
+ * SVG CONTEXT
+ * ============================================ */
+
+describe('SvgContext', () => {
+    it('keeps dash, alpha and clipping state across save() and restore()', () => {
+        const ctx = new SvgContext(10, 10);
+        ctx.save();
+        ctx.rect(0, 0, 5, 5);
+        ctx.clip();
+        ctx.setLineDash([4, 2]);
+        ctx.globalAlpha = 0.5;
+        ctx.beginPath();
+        ctx.moveTo(1, 1);
+        ctx.lineTo(9, 9);
+        ctx.stroke();
+        ctx.restore();
+        ctx.beginPath();
+        ctx.arc(5, 5, 2, 0, Math.PI * 2);
+        ctx.fill();
+
+        const lines = ctx.toString().split('\n');
+        assert.ok(lines.includes('  <g clip-path="url(#clip1)">'));
+        const line = lines.find(l => l.includes('<line'));
+        assert.match(line, /stroke-dasharray="4 2"/);
+        assert.match(line, /stroke-opacity="0\.5"/);
+        // The clip group closes before the circle drawn after restore()
+        assert.ok(lines.indexOf('  </g>') < lines.findIndex(l => l.includes('<circle')));
+        assert.match(lines.find(l => l.includes('<circle')), /<circle cx="5" cy="5" r="2" fill="#000000"\/>/);
+    });
+});
@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Tests for easing curves and keyframe timelines
+ * @author Akhil Sirvi
+ * @version 3.0.0
+ * @license MIT
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Vector3, Quaternion } from '../src/math.js';
+import { Easing, Timeline } from '../src/timeline.js';
+
+const EPSILON = 1e-9;
+
+/** A timeline turning a target from 0 to 100 over two seconds, then back to 40 by three */
+function turningTimeline(options) {
+    const target = {};
+    const timeline = new Timeline(options);
+    timeline.addKeyframe(target, 'rotationY', 0, 0);
+    timeline.addKeyframe(target, 'rotationY', 2, 100);
+    timeline.addKeyframe(target, 'rotationY', 3, 40);
+    return { target, timeline };
+}
+
+/** Plays a timeline for a number of seconds of simulated wall-clock time */
+function playFor(timeline, seconds) {
+    timeline.play();
+    timeline.update(1000);
+    timeline.update(1000 + seconds * 1000);
+}
+
+/* ============================================
+ * EASING
+ * ============================================ */
+
+describe('Easing', () => {
+    it('starts at 0 and ends at 1', () => {
+        [Easing.linear, Easing.cubic, Easing.elastic, Easing.bezier(0.25, 0.1, 0.25, 1)].forEach(ease => {
+            assert.ok(Math.abs(ease(0)) < EPSILON);
+            assert.ok(Math.abs(ease(1) - 1) < EPSILON);
+        });
+    });
+
+    it('eases in and out symmetrically and overshoots when elastic', () => {
+        assert.equal(Easing.cubic(0.5), 0.5);
+        assert.equal(Easing.cubic(0.25), 0.0625);
+        assert.ok(Math.abs(Easing.cubic(0.75) - 0.9375) < EPSILON);
+        assert.ok([0.2, 0.3, 0.4].some(t => Easing.elastic(t) > 1));
+    });
+
+    it('follows straight Bézier control points as a line', () => {
+        const linear = Easing.bezier(1 / 3, 1 / 3, 2 / 3, 2 / 3);
+        [0.1, 0.37, 0.5, 0.9].forEach(t => assert.ok(Math.abs(linear(t) - t) < 1e-6));
+    });
+
+    it('resolves names, control points and functions', () => {
+        assert.equal(Easing.resolve('cubic'), Easing.cubic);
+        assert.ok(Math.abs(Easing.resolve([0, 0, 1, 1])(0.5) - 0.5) < 1e-6);
+        const custom = t => t * t;
+        assert.equal(Easing.resolve(custom), custom);
+        assert.throws(() => Easing.resolve('bounce'), /Unknown easing: "bounce"/);
+    });
+});
+
+/* ============================================
+ * INTERPOLATION
+ * ============================================ */
+
+describe('Timeline interpolation', () => {
+    it('interpolates between keyframes and holds the ends', () => {
+        const { target, timeline } = turningTimeline();
+
+        assert.equal(timeline.duration, 3);
+        assert.equal(timeline.valueAt(target, 'rotationY', -1), 0);
+        assert.equal(timeline.valueAt(target, 'rotationY', 0.5), 25);
+        assert.equal(timeline.valueAt(target, 'rotationY', 2), 100);
+        assert.equal(timeline.valueAt(target, 'rotationY', 2.5), 70);
+        assert.equal(timeline.valueAt(target, 'rotationY', 5), 40);
+        assert.equal(timeline.valueAt(target, 'rotationX', 1), undefined);
+    });
+
+    it('eases with the curve of the keyframe it leaves', () => {
+        const target = {};
+        const timeline = new Timeline();
+        timeline.addKeyframe(target, 'scaleX', 0, 1, 'cubic');
+        timeline.addKeyframe(target, 'scaleX', 4, 3);
+
+        assert.equal(timeline.valueAt(target, 'scaleX', 1), 1 + 2 * 0.0625);
+        assert.equal(timeline.valueAt(target, 'scaleX', 2), 2);
+    });
+
+    it('replaces a keyframe at the same time', () => {
+        const { target, timeline } = turningTimeline();
+        timeline.addKeyframe(target, 'rotationY', 2, 50);
+
+        assert.equal(timeline.getKeyframes(target, 'rotationY').length, 3);
+        assert.equal(timeline.valueAt(target, 'rotationY', 1), 25);
+    });
+
+    it('slerps quaternion keyframes', () => {
+        const target = {};
+        const timeline = new Timeline();
+        const axis = new Vector3(0, 1, 0);
+        timeline.addKeyframe(target, 'quaternion', 0, Quaternion.fromAxisAngle(axis, 0));
+        timeline.addKeyframe(target, 'quaternion', 1, Quaternion.fromAxisAngle(axis, Math.PI / 2));
+
+        const halfway = timeline.valueAt(target, 'quaternion', 0.5);
+        const expected = Quaternion.fromAxisAngle(axis, Math.PI / 4);
+        ['x', 'y', 'z', 'w'].forEach(c => assert.ok(Math.abs(halfway[c] - expected[c]) < 1e-9));
+    });
+
+    it('evaluates every track of every target', () => {
+        const { target, timeline } = turningTimeline();
+        const other = {};
+        timeline.addKeyframe(other, 'translateX', 0, -10);
+        timeline.addKeyframe(other, 'translateX', 1, 10);
+
+        const values = timeline.evaluate(0.5);
+        assert.deepEqual(values.get(target), { rotationY: 25 });
+        assert.deepEqual(values.get(other), { translateX: 0 });
+    });
+});
+
+/* ============================================
+ * PLAYBACK
+ * ============================================ */
+
+describe('Timeline playback', () => {
+    it('plays once and stops at the end', () => {
+        const { target, timeline } = turningTimeline({ mode: 'once' });
+        playFor(timeline, 1);
+        assert.equal(timeline.time, 1);
+        assert.equal(timeline.valueAt(target, 'rotationY'), 50);
+
+        timeline.update(1000 + 4000);
+        assert.equal(timeline.time, 3);
+        assert.equal(timeline.playing, false);
+        assert.equal(timeline.valueAt(target, 'rotationY'), 40);
+
+        // Playing again restarts from the beginning
+        timeline.play();
+        assert.equal(timeline.time, 0);
+    });
+
+    it('wraps around when looping', () => {
+        const { target, timeline } = turningTimeline({ mode: 'loop' });
+        playFor(timeline, 3.5);
+        assert.equal(timeline.time, 0.5);
+        assert.equal(timeline.valueAt(target, 'rotationY'), 25);
+        assert.equal(timeline.playing, true);
+
+        timeline.seek(3);
+        assert.equal(timeline.time, 3);
+    });
+
+    it('runs backwards on the way back in ping-pong mode', () => {
+        const { target, timeline } = turningTimeline({ mode: 'ping-pong' });
+        playFor(timeline, 3.5);
+        assert.equal(timeline.time, 2.5);
+        assert.equal(timeline.valueAt(target, 'rotationY'), 70);
+
+        timeline.update(1000 + 5500);
+        assert.equal(timeline.time, 0.5);
+        assert.equal(timeline.valueAt(target, 'rotationY'), 25);
+    });
+
+    it('scales elapsed time by the speed and keeps a fixed duration', () => {
+        const { target, timeline } = turningTimeline({ mode: 'loop', duration: 4, speed: 2 });
+        playFor(timeline, 1.25);
+        assert.equal(timeline.time, 2.5);
+        assert.equal(timeline.valueAt(target, 'rotationY'), 70);
+
+        timeline.update(1000 + 1750);
+        assert.equal(timeline.time, 3.5);
+        assert.equal(timeline.valueAt(target, 'rotationY'), 40);
+    });
+
+    it('does not move while paused', () => {
+        const { timeline } = turningTimeline();
+        playFor(timeline, 1);
+        timeline.pause();
+        assert.equal(timeline.update(9000), false);
+        assert.equal(timeline.time, 1);
+    });
+});